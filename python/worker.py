@@ -1,4 +1,4 @@
-import os, sys, json
+import os, sys, json, hashlib
 import torch, torch.nn as nn
 from torchvision.models import mobilenet_v2
 from PIL import Image
@@ -7,6 +7,7 @@ import torchvision.transforms as T
 # Set default file paths for the model weights and class mapping
 MODEL_PATH = os.getenv("MODEL_PATH", "./mobilenet_v2_SmartPlant.pth")
 CLASSMAP_PATH = os.getenv("CLASS_MAP_PATH", "./class_mapping.json")
+MODEL_NAME = os.getenv("MODEL_NAME", "") # Defaults to the weights file name
 
 # Load the mapping of class indices to species names
 def load_class_map(path):
@@ -14,30 +15,80 @@ def load_class_map(path):
         mp = json.load(f)
     return {int(k): str(v) for k, v in mp.items()} # Convert all keys to integers and ensure values are strings
 
+# Model version recorded with every prediction: a name plus a hash of the weights and the class map,
+# e.g. "mobilenet_v2_SmartPlant@3f9a0c1b2d4e"
+def model_version(model_path, classmap_path, name=""):
+    h = hashlib.sha256()
+    for p in (model_path, classmap_path):
+        with open(p, "rb") as f:
+            for chunk in iter(lambda: f.read(1 << 20), b""):
+                h.update(chunk)
+    name = name or os.path.splitext(os.path.basename(model_path))[0]
+    return f"{name}@{h.hexdigest()[:12]}"
+
+TRANSFORM = T.Compose([
+    T.Resize(256), # Resize image to 256 pixels on the shorter side
+    T.CenterCrop(224), # Crop the center 224x224 pixels
+    T.ToTensor(), # Convert image to tensor
+    T.Normalize(mean=[0.485,0.456,0.406], std=[0.229,0.224,0.225]), # Normalize with ImageNet means and stds
+])
+
 # Preprocess the input image for model inference
 def load_image(image_path):
-    tfm = T.Compose([
-        T.Resize(256), # Resize image to 256 pixels on the shorter side
-        T.CenterCrop(224), # Crop the center 224x224 pixels
-        T.ToTensor(), # Convert image to tensor
-        T.Normalize(mean=[0.485,0.456,0.406], std=[0.229,0.224,0.225]), # Normalize with ImageNet means and stds
-    ])
     img = Image.open(image_path).convert("RGB") # Ensure image is in RGB format
-    return tfm(img).unsqueeze(0) # Add batch dimension
+    return TRANSFORM(img).unsqueeze(0) # Add batch dimension
+
+# Build a model from one weights/class-map pair
+def load_bundle(model_path, classmap_path, name=""):
+    class_map = load_class_map(classmap_path) # Read species labels from JSON file
+    if sorted(class_map) != list(range(len(class_map))):
+        raise ValueError("class map keys must be 0..n-1")
+
+    model = mobilenet_v2(weights=None) # Initialize a MobileNetV2 model (no pretrained weights)
+    model.classifier[1] = nn.Linear(model.classifier[1].in_features, len(class_map)) # Replace the final classification layer with one matching the dataset class count
 
-class_map = load_class_map(CLASSMAP_PATH) # Read species labels from JSON fil
-num_classes = len(class_map) 
+    # Load trained model weights from file
+    state = torch.load(model_path, map_location="cpu") # Load model parameters to CPU memory
+    if isinstance(state, dict) and "state_dict" in state:
+        state = state["state_dict"]
+    state = {k.replace("module.", ""): v for k, v in state.items()} # Remove 'module.' prefix from keys
+    missing, _ = model.load_state_dict(state, strict=False)
+    model.eval()
 
-model = mobilenet_v2(weights=None) # Initialize a MobileNetV2 model (no pretrained weights)
-model.classifier[1] = nn.Linear(model.classifier[1].in_features, num_classes) # Replace the final classification layer with one matching the dataset class count
+    return {
+        "model": model,
+        "class_map": class_map,
+        "missing_keys": len(missing),
+        "model_path": model_path,
+        "class_map_path": classmap_path,
+        "version": model_version(model_path, classmap_path, name),
+    }
 
-# Load trained model weights from file
-state = torch.load(MODEL_PATH, map_location="cpu") # Load model parameters to CPU memory
-if isinstance(state, dict) and "state_dict" in state: 
-    state = state["state_dict"]
-state = {k.replace("module.", ""): v for k, v in state.items()} # Remove 'module.' prefix from keys
-model.load_state_dict(state, strict=False)
-model.eval()
+# Public description of a loaded model (sent back to Node)
+def describe(bundle):
+    return {
+        "version": bundle["version"],
+        "model_path": bundle["model_path"],
+        "class_map_path": bundle["class_map_path"],
+        "num_classes": len(bundle["class_map"]),
+    }
+
+# One forward pass on a blank image, so a broken model is caught before it serves any scan
+def smoke_test(bundle):
+    if bundle["missing_keys"]:
+        raise ValueError(f"weights are missing {bundle['missing_keys']} parameter(s) of the model")
+    x = TRANSFORM(Image.new("RGB", (256, 256), (128, 128, 128))).unsqueeze(0)
+    with torch.no_grad():
+        probs = torch.softmax(bundle["model"](x), dim=1).squeeze(0)
+    if probs.numel() != len(bundle["class_map"]):
+        raise ValueError(f"model has {probs.numel()} outputs but the class map has {len(bundle['class_map'])} classes")
+    if not bool(torch.isfinite(probs).all()):
+        raise ValueError("model produced non-finite scores")
+    conf, idx = torch.max(probs, dim=0)
+    return {"species_name": bundle["class_map"][int(idx.item())], "confidence": round(float(conf.item()), 5)}
+
+current = load_bundle(MODEL_PATH, CLASSMAP_PATH, MODEL_NAME) # Model answering inference requests
+staged = None # Model loaded by a "stage" command, waiting for "activate"
 
 # Optimize CPU thread usage
 try:
@@ -46,7 +97,8 @@ except Exception:
     pass # Ignore if system does not support this setting
 
 # Define inference function for one image
-def infer(image_path, topk=5):
+def infer(bundle, image_path, topk=5):
+    model, class_map = bundle["model"], bundle["class_map"]
     with torch.no_grad(): # Disable gradient calculations for inference
         x = load_image(image_path) # Preprocess the input image
         logits = model(x) # Forward pass through the model
@@ -72,21 +124,54 @@ def infer(image_path, topk=5):
             "index": idx,
             "species_name": class_map.get(idx, "unknown"),
             "confidence": round(conf, 5),  
-            "topk": top
+            "topk": top,
+            "model_version": bundle["version"],
         }
 
+# Requests without a "cmd" are inferences. Hot-swapping a model takes two commands:
+# "stage" loads and smoke-tests a new pair next to the current one, "activate" switches to it.
+# Lines are handled one at a time, so no inference ever sees a half-loaded model.
+def handle(req):
+    global current, staged
+    cmd = req.get("cmd", "infer")
+    if cmd == "infer":
+        return infer(current, req["image"], req.get("topk", 5)) # Perform inference
+    if cmd == "stage":
+        bundle = load_bundle(req["model_path"], req["class_map_path"], req.get("name") or "")
+        smoke = smoke_test(bundle)
+        staged = bundle
+        return {**describe(bundle), "smoke": smoke}
+    if cmd == "activate":
+        if staged is None or staged["version"] != req.get("version"):
+            raise ValueError(f"no staged model with version {req.get('version')}")
+        current, staged = staged, None
+        return describe(current)
+    if cmd == "discard":
+        staged = None
+        return {"discarded": True}
+    if cmd == "info":
+        return describe(current)
+    raise ValueError(f"unknown cmd {cmd}")
+
 # Worker loop: listen for JSON commands from Node.js (stdin/stdout)
-# The Node backend sends one line per request:
-# {"image": "path/to/file.jpg", "topk": 5}
+# The Node backend sends one line per request, tagged with a unique id:
+# {"id": 1, "image": "path/to/file.jpg", "topk": 5}
+# Every response echoes the id so concurrent requests can be matched up:
+# {"id": 1, "species_name": ..., "topk": [...], "model_version": ...} or {"id": 1, "error": "..."}
 for line in sys.stdin:
     line = line.strip() # Remove whitespace/newlines
     if not line: # Skip empty lines
         continue
+    req_id = None
     try:
         req = json.loads(line) # Parse JSON request
-        out = infer(req["image"], req.get("topk", 5)) # Perform inference
+        req_id = req.get("id")
+        out = handle(req)
+        out["id"] = req_id
         sys.stdout.write(json.dumps(out) + "\n") # Send JSON response
         sys.stdout.flush() # Ensure immediate delivery
     except Exception as e: # Handle any errors 
         sys.stderr.write(f"[worker error] {e}\n")
         sys.stderr.flush()
+        sys.stdout.write(json.dumps({"id": req_id, "error": str(e)}) + "\n") # Let Node reject this request
+        sys.stdout.flush()
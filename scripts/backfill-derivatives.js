@@ -0,0 +1,48 @@
+// Generate thumbnail/medium derivatives for images already in uploads/ and species_images/
+// (in whichever storage STORAGE_DRIVER points at).
+// Run once after upgrading an install that has photos from before derivatives existed: list
+// endpoints link thumbnails without checking that they are there (see src/derivatives.js).
+//   npm run backfill-derivatives            (only missing files)
+//   npm run backfill-derivatives -- --force (regenerate everything)
+import 'dotenv/config';
+import path from 'path';
+
+import { generateDerivatives, DERIVED_DIR } from '../src/derivatives.js';
+import { storage } from '../src/storage.js';
+
+const IMAGE_EXTS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+const force = process.argv.includes('--force');
+
+// Every original image key under an area (derivative folders are skipped)
+async function originalKeys(area) {
+  const keys = await storage().list(`${area}/`);
+  return keys.filter(k =>
+    !k.split('/').includes(DERIVED_DIR) && IMAGE_EXTS.has(path.extname(k).toLowerCase())
+  );
+}
+
+async function main() {
+  let scanned = 0;
+  let written = 0;
+  let failed = 0;
+
+  for (const area of ['uploads', 'species_images']) {
+    for (const key of await originalKeys(area)) {
+      scanned += 1;
+      try {
+        written += (await generateDerivatives(key, { force })).length;
+      } catch (e) {
+        failed += 1;
+        console.warn(`[backfill] ${key}: ${e.message}`);
+      }
+    }
+  }
+
+  console.log(`[backfill] ${scanned} image(s) scanned, ${written} derivative(s) written, ${failed} failed`);
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((e) => {
+  console.error('[backfill] failed', e);
+  process.exitCode = 1;
+});
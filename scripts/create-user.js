@@ -0,0 +1,37 @@
+// Create (or promote) an account from the command line, e.g. to bootstrap the first admin:
+//   npm run create-user -- <username> <password> [user|reviewer|admin]
+import 'dotenv/config';
+import pool, { insertUser, findUserByUsername, updateUserRole } from '../src/db.js';
+import { hashPassword, ROLES } from '../src/auth.js';
+
+const [username, password, role = 'user'] = process.argv.slice(2);
+
+async function main() {
+  if (!username || !password) {
+    console.error('Usage: npm run create-user -- <username> <password> [user|reviewer|admin]');
+    process.exitCode = 1;
+    return;
+  }
+  if (!ROLES.includes(role)) {
+    console.error(`role must be one of ${ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const existing = await findUserByUsername(username);
+  if (existing) {
+    await updateUserRole(existing.user_id, role);
+    console.log(`[create-user] ${username} (id ${existing.user_id}) already exists, role set to ${role}`);
+    return;
+  }
+
+  const user_id = await insertUser({ username, password_hash: await hashPassword(password), role });
+  console.log(`[create-user] created ${username} (id ${user_id}) with role ${role}`);
+}
+
+main()
+  .catch((e) => {
+    console.error('[create-user] failed', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
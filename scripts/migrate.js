@@ -0,0 +1,67 @@
+// Schema migrations (sql/migrations/NNNN_name.{up,down}.sql):
+//   npm run migrate                          apply every pending migration
+//   npm run migrate -- up --to 5             apply pending migrations up to version 5
+//   npm run migrate -- rollback [--steps 2]  undo the last migration (or the last N)
+//   npm run migrate -- rollback --to 3       undo every migration above version 3
+//   npm run migrate -- status                list applied and pending migrations
+//   npm run migrate -- baseline --to 13      record 1..13 as applied without running them
+//                                            (for a database created before migrations existed)
+import 'dotenv/config';
+import { parseArgs } from 'util';
+
+import pool from '../src/db.js';
+import { migrate, rollback, migrationStatus, markApplied } from '../src/migrations.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    to: { type: 'string' },
+    steps: { type: 'string' },
+  },
+});
+
+const log = msg => console.log(`[migrate] ${msg}`);
+
+function versionOption(name) {
+  if (values[name] === undefined) return null;
+  const n = Number(values[name]);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} must be a non-negative integer`);
+  return n;
+}
+
+async function main() {
+  const command = positionals[0] || 'up';
+
+  if (command === 'up') {
+    const done = await migrate({ to: versionOption('to'), log });
+    log(done.length ? `applied ${done.length} migration(s)` : 'schema is up to date');
+  } else if (command === 'rollback') {
+    const done = await rollback({ steps: versionOption('steps') ?? 1, to: versionOption('to'), log });
+    log(done.length ? `rolled back ${done.length} migration(s)` : 'nothing to roll back');
+  } else if (command === 'status') {
+    const status = await migrationStatus();
+    for (const m of status.migrations) {
+      const when = m.applied_at ? ` (${new Date(m.applied_at).toISOString()})` : '';
+      console.log(`${String(m.version).padStart(4, '0')} ${m.name.padEnd(32)} ${m.state}${when}`);
+    }
+    for (const r of status.unknown) console.log(`${String(r.version).padStart(4, '0')} ${r.name.padEnd(32)} not on disk`);
+    const pending = status.migrations.filter(m => m.state === 'pending').length;
+    log(`current version ${status.current}, ${pending} pending`);
+  } else if (command === 'baseline') {
+    const to = versionOption('to');
+    if (to === null) throw new Error('baseline needs --to <version>');
+    const marked = await markApplied({ to });
+    log(`marked ${marked.length} migration(s) as applied`);
+  } else {
+    console.error('Usage: npm run migrate -- [up [--to N] | rollback [--steps N | --to N] | status | baseline --to N]');
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('[migrate] failed', e.message);
+    if (e.statement) console.error(`[migrate] statement:\n${e.statement}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
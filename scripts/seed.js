@@ -0,0 +1,73 @@
+// Create species rows for every class the model knows, from class_mapping.json:
+//   npm run seed [-- --file path/to/class_mapping.json] [--dry-run]
+// Labels like "acacia_mangium" become "Acacia mangium"; names that already exist (or are a
+// synonym of an existing species) are left alone, so the command can be run again safely.
+// Names of merged or deleted species are reported and skipped: the retired row keeps its name.
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+import pool, { findSpeciesIdByName, getSpeciesById, insertSpecies } from '../src/db.js';
+import { canonicalSpeciesName } from '../src/names.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const { values } = parseArgs({
+  options: {
+    file: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+  },
+});
+
+function readClassNames(file) {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const classes = Object.entries(raw || {})
+    .map(([k, v]) => ({ index: Number(k), name: canonicalSpeciesName(v) }))
+    .sort((a, b) => a.index - b.index);
+  if (!classes.length || classes.some((c, i) => c.index !== i || !c.name)) {
+    throw new Error(`${file} must map every index 0..n-1 to a species name`);
+  }
+  return classes.map(c => c.name);
+}
+
+async function main() {
+  const file = values.file || process.env.CLASS_MAP_PATH || path.join(__dirname, '..', 'class_mapping.json');
+  const names = readClassNames(file);
+
+  let created = 0;
+  let retired = 0;
+  for (const scientific_name of names) {
+    const existing = await findSpeciesIdByName(scientific_name);
+    if (existing) {
+      console.log(`[seed] ${scientific_name} exists (id ${existing})`);
+      continue;
+    }
+    // inserting the name again would hit the UNIQUE key the deleted row still holds
+    const resolved = await findSpeciesIdByName(scientific_name, { retired: true });
+    if (resolved) {
+      const target = await getSpeciesById(resolved);
+      console.warn(target
+        ? `[seed] ${scientific_name} was merged into ${target.scientific_name} (id ${resolved}), skipped`
+        : `[seed] ${scientific_name} was deleted (id ${resolved}), skipped`);
+      retired += 1;
+      continue;
+    }
+    if (values['dry-run']) {
+      console.log(`[seed] would create ${scientific_name}`);
+    } else {
+      const species_id = await insertSpecies({ scientific_name });
+      console.log(`[seed] created ${scientific_name} (id ${species_id})`);
+    }
+    created += 1;
+  }
+  console.log(`[seed] ${names.length} classes in ${file}, ${created} ${values['dry-run'] ? 'to create' : 'created'}, ${retired} retired`);
+}
+
+main()
+  .catch((e) => {
+    console.error('[seed] failed', e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
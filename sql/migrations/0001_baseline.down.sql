@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS ai_results;
+DROP TABLE IF EXISTS plant_observations;
+DROP TABLE IF EXISTS species;
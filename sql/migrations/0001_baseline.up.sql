@@ -0,0 +1,44 @@
+-- Core tables the app was first written against: the species catalogue, observations and
+-- the model's ranked predictions for each observation
+CREATE TABLE IF NOT EXISTS species (
+  species_id INT NOT NULL AUTO_INCREMENT,
+  scientific_name VARCHAR(255) NOT NULL,
+  common_name VARCHAR(255) NULL,
+  is_endangered TINYINT(1) NOT NULL DEFAULT 0,
+  description TEXT NULL,
+  image_url VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (species_id),
+  UNIQUE KEY uq_species_scientific_name (scientific_name)
+);
+
+CREATE TABLE IF NOT EXISTS plant_observations (
+  observation_id INT NOT NULL AUTO_INCREMENT,
+  user_id INT NULL,
+  species_id INT NULL,
+  photo_url VARCHAR(500) NOT NULL,
+  location_latitude DECIMAL(10, 7) NOT NULL DEFAULT 0,
+  location_longitude DECIMAL(10, 7) NOT NULL DEFAULT 0,
+  location_name VARCHAR(255) NULL,
+  source VARCHAR(50) NOT NULL DEFAULT 'camera',
+  status ENUM('pending', 'verified', 'rejected') NOT NULL DEFAULT 'pending',
+  notes TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (observation_id),
+  KEY idx_plant_observations_status (status, created_at),
+  KEY idx_plant_observations_species (species_id),
+  KEY idx_plant_observations_user (user_id)
+);
+
+-- rank 1 is the top prediction
+CREATE TABLE IF NOT EXISTS ai_results (
+  ai_result_id INT NOT NULL AUTO_INCREMENT,
+  observation_id INT NOT NULL,
+  species_id INT NULL,
+  confidence_score DECIMAL(5, 4) NOT NULL DEFAULT 0,
+  `rank` INT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (ai_result_id),
+  KEY idx_ai_results_observation (observation_id, `rank`),
+  KEY idx_ai_results_species (species_id)
+);
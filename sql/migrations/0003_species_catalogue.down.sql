@@ -0,0 +1,3 @@
+ALTER TABLE species
+  DROP INDEX ft_species_names,
+  DROP COLUMN deleted_at;
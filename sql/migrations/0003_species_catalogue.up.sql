@@ -0,0 +1,4 @@
+-- Species catalogue: soft delete and full-text search over names (src/species.js)
+ALTER TABLE species
+  ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+  ADD FULLTEXT INDEX ft_species_names (scientific_name, common_name);
@@ -0,0 +1,4 @@
+ALTER TABLE species
+  DROP COLUMN merged_into_species_id;
+
+DROP TABLE IF EXISTS species_synonyms;
@@ -0,0 +1,13 @@
+-- Alternative names that resolve to one species, and where merged duplicates went
+CREATE TABLE IF NOT EXISTS species_synonyms (
+  synonym_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  species_id INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (synonym_id),
+  UNIQUE KEY uq_species_synonyms_name (name),
+  KEY idx_species_synonyms_species (species_id)
+);
+
+ALTER TABLE species
+  ADD COLUMN merged_into_species_id INT NULL DEFAULT NULL;
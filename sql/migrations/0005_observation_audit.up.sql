@@ -0,0 +1,15 @@
+-- One row per moderation action on an observation (verify, reject, confirm, edit)
+CREATE TABLE IF NOT EXISTS observation_audit (
+  audit_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  observation_id INT NOT NULL,
+  user_id INT UNSIGNED NULL,
+  action VARCHAR(32) NOT NULL,
+  before_values JSON NULL,
+  after_values JSON NULL,
+  ai_top_species_id INT NULL,
+  notes TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (audit_id),
+  KEY idx_observation_audit_observation (observation_id, created_at),
+  KEY idx_observation_audit_user (user_id)
+);
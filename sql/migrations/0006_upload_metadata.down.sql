@@ -0,0 +1,9 @@
+-- Unknown positions go back to 0,0
+UPDATE plant_observations SET location_latitude = 0 WHERE location_latitude IS NULL;
+UPDATE plant_observations SET location_longitude = 0 WHERE location_longitude IS NULL;
+
+ALTER TABLE plant_observations
+  MODIFY location_latitude DECIMAL(10, 7) NOT NULL DEFAULT 0,
+  MODIFY location_longitude DECIMAL(10, 7) NOT NULL DEFAULT 0,
+  DROP COLUMN location_source,
+  DROP COLUMN captured_at;
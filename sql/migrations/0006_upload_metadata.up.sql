@@ -0,0 +1,6 @@
+-- Unknown positions are stored as NULL (not 0,0); EXIF capture time and where the position came from
+ALTER TABLE plant_observations
+  MODIFY location_latitude DECIMAL(10, 7) NULL DEFAULT NULL,
+  MODIFY location_longitude DECIMAL(10, 7) NULL DEFAULT NULL,
+  ADD COLUMN location_source ENUM('form', 'exif') NULL DEFAULT NULL,
+  ADD COLUMN captured_at DATETIME NULL DEFAULT NULL;
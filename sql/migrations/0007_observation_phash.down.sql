@@ -0,0 +1,3 @@
+ALTER TABLE plant_observations
+  DROP INDEX idx_plant_observations_user_phash,
+  DROP COLUMN phash;
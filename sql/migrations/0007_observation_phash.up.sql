@@ -0,0 +1,4 @@
+-- 64-bit perceptual hash (dHash) of each observation photo, for duplicate detection
+ALTER TABLE plant_observations
+  ADD COLUMN phash BIGINT UNSIGNED NULL DEFAULT NULL,
+  ADD INDEX idx_plant_observations_user_phash (user_id, phash);
@@ -0,0 +1,2 @@
+ALTER TABLE plant_observations
+  DROP INDEX idx_plant_observations_lat_lon;
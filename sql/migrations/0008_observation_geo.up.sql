@@ -0,0 +1,3 @@
+-- Index for bounding-box and radius queries on observation coordinates (src/geo.js)
+ALTER TABLE plant_observations
+  ADD INDEX idx_plant_observations_lat_lon (location_latitude, location_longitude);
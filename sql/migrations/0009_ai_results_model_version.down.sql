@@ -0,0 +1,3 @@
+ALTER TABLE ai_results
+  DROP INDEX idx_ai_results_model_version,
+  DROP COLUMN model_version;
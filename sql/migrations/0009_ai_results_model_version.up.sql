@@ -0,0 +1,4 @@
+-- Which model produced each prediction, so evaluation can be split by model version
+ALTER TABLE ai_results
+  ADD COLUMN model_version VARCHAR(100) NULL DEFAULT NULL,
+  ADD INDEX idx_ai_results_model_version (model_version);
@@ -0,0 +1,15 @@
+DROP TABLE IF EXISTS reclassify_job_items;
+DROP TABLE IF EXISTS reclassify_jobs;
+
+-- Only the current result set of each observation survives; older sets are deleted
+DELETE ar FROM ai_results ar
+  JOIN plant_observations po ON po.observation_id = ar.observation_id
+  WHERE ar.result_set <> po.ai_result_set;
+
+ALTER TABLE plant_observations
+  DROP COLUMN ai_result_set;
+
+ALTER TABLE ai_results
+  DROP INDEX idx_ai_results_set,
+  DROP COLUMN job_id,
+  DROP COLUMN result_set;
@@ -0,0 +1,39 @@
+-- Batch re-classification (src/reclassify.js). Each inference run over an observation is a
+-- numbered result set in ai_results; plant_observations.ai_result_set points at the current one,
+-- so older sets stay available for comparison.
+ALTER TABLE ai_results
+  ADD COLUMN result_set SMALLINT UNSIGNED NOT NULL DEFAULT 1,
+  ADD COLUMN job_id INT UNSIGNED NULL DEFAULT NULL,
+  ADD INDEX idx_ai_results_set (observation_id, result_set, `rank`);
+
+ALTER TABLE plant_observations
+  ADD COLUMN ai_result_set SMALLINT UNSIGNED NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS reclassify_jobs (
+  job_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  status ENUM('queued', 'running', 'completed', 'cancelled', 'failed') NOT NULL DEFAULT 'queued',
+  selection JSON NOT NULL,
+  model_version VARCHAR(100) NULL,
+  total INT UNSIGNED NOT NULL DEFAULT 0,
+  error TEXT NULL,
+  created_by INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME NULL,
+  finished_at DATETIME NULL,
+  PRIMARY KEY (job_id),
+  KEY idx_reclassify_jobs_status (status)
+);
+
+-- The observations a job selected (fixed when the job is created) and what happened to each
+CREATE TABLE IF NOT EXISTS reclassify_job_items (
+  job_id INT UNSIGNED NOT NULL,
+  observation_id INT NOT NULL,
+  status ENUM('pending', 'done', 'failed') NOT NULL DEFAULT 'pending',
+  previous_top_species_id INT NULL,
+  new_top_species_id INT NULL,
+  result_set SMALLINT UNSIGNED NULL,
+  error VARCHAR(255) NULL,
+  PRIMARY KEY (job_id, observation_id),
+  KEY idx_reclassify_job_items_status (job_id, status),
+  CONSTRAINT fk_reclassify_job_items_job FOREIGN KEY (job_id) REFERENCES reclassify_jobs (job_id) ON DELETE CASCADE
+);
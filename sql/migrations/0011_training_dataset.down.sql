@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS dataset_exports;
+DROP TABLE IF EXISTS training_samples;
@@ -0,0 +1,30 @@
+-- Training-set manifest (src/dataset.js): one row per confirmed observation photo, labelled
+-- with the species it was confirmed as and assigned to a train/val/test split
+CREATE TABLE IF NOT EXISTS training_samples (
+  observation_id INT NOT NULL,
+  species_id INT NOT NULL,
+  split ENUM('train', 'val', 'test') NOT NULL,
+  excluded TINYINT(1) NOT NULL DEFAULT 0,
+  exclude_reason VARCHAR(255) NULL,
+  added_by INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (observation_id),
+  KEY idx_training_samples_species (species_id, split)
+);
+
+-- Versioned exports: datasets/v<version>/ holds {train,val,test}/<label>/ folders,
+-- class_mapping.json and manifest.json
+CREATE TABLE IF NOT EXISTS dataset_exports (
+  version INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  status ENUM('building', 'ready', 'failed') NOT NULL DEFAULT 'building',
+  path VARCHAR(255) NULL,
+  class_count INT UNSIGNED NULL,
+  sample_count INT UNSIGNED NULL,
+  counts JSON NULL,
+  error TEXT NULL,
+  created_by INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at DATETIME NULL,
+  PRIMARY KEY (version)
+);
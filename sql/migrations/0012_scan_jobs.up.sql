@@ -0,0 +1,16 @@
+-- Asynchronous scans (POST /scan?async=1, see src/scans.js). The observation is stored when the
+-- upload arrives; the job tracks the inference that fills in its ai_results. job_id is a random
+-- UUID because it is all an anonymous client needs to read the result.
+CREATE TABLE IF NOT EXISTS scan_jobs (
+  job_id CHAR(36) NOT NULL,
+  observation_id INT NOT NULL,
+  user_id INT UNSIGNED NULL,
+  status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+  error VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME NULL,
+  finished_at DATETIME NULL,
+  PRIMARY KEY (job_id),
+  KEY idx_scan_jobs_status (status),
+  KEY idx_scan_jobs_observation (observation_id)
+);
@@ -0,0 +1,13 @@
+-- Every time a caller is shown the exact coordinates of an endangered-species observation
+-- (src/sensitivity.js), one row per observation
+CREATE TABLE IF NOT EXISTS location_access_log (
+  access_id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NULL,
+  observation_id INT NOT NULL,
+  context VARCHAR(100) NOT NULL,
+  ip VARCHAR(45) NULL,
+  accessed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (access_id),
+  KEY idx_location_access_observation (observation_id),
+  KEY idx_location_access_user (user_id, accessed_at)
+);
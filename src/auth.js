@@ -0,0 +1,174 @@
+import express from 'express';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+import {
+  insertUser,
+  findUserByUsername,
+  updateUserRole,
+  listUsers,
+  insertAuthToken,
+  findUserByTokenHash,
+  deleteAuthToken,
+} from './db.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles in increasing order of privilege; a role includes everything below it
+export const ROLES = ['user', 'reviewer', 'admin'];
+const TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS || 24 * 7); // Opaque session token lifetime
+
+// Password hashes are stored as "scrypt$<salt hex>$<key hex>"
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function bearerToken(req) {
+  const header = req.get('authorization') || '';
+  const m = header.match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : null;
+}
+
+export function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+async function issueToken(user_id) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expires_at = new Date(Date.now() + TOKEN_TTL_HOURS * 3600 * 1000);
+  await insertAuthToken({ token_hash: hashToken(token), user_id, expires_at });
+  return { token, expires_at };
+}
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+export async function optionalAuth(req, res, next) {
+  if (req.user) return next(); // already looked up earlier in the chain
+  try {
+    const token = bearerToken(req);
+    req.user = token ? await findUserByTokenHash(hashToken(token)) : null;
+    next();
+  } catch (e) {
+    console.error('[auth] token lookup failed', e);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
+export async function requireAuth(req, res, next) {
+  await optionalAuth(req, res, () => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    next();
+  });
+}
+
+// Use after requireAuth: requireRole('reviewer') admits reviewers and admins
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires role: ${role}` });
+    }
+    next();
+  };
+}
+
+export function publicUser(u) {
+  return { user_id: u.user_id, username: u.username, role: u.role };
+}
+
+export const authRouter = express.Router();
+
+// Self-service sign up always creates a plain "user"; roles are granted by an admin
+authRouter.post('/register', async (req, res) => {
+  try {
+    const username = String(req.body?.username || '').trim();
+    const password = String(req.body?.password || '');
+    if (!username) return res.status(400).json({ error: 'username is required' });
+    if (password.length < 8) return res.status(400).json({ error: 'password must be at least 8 characters' });
+
+    if (await findUserByUsername(username)) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+
+    const user_id = await insertUser({ username, password_hash: await hashPassword(password), role: 'user' });
+    const { token, expires_at } = await issueToken(user_id);
+    res.status(201).json({ token, expires_at, user: { user_id, username, role: 'user' } });
+  } catch (e) {
+    console.error('[auth] register error', e);
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
+
+authRouter.post('/login', async (req, res) => {
+  try {
+    const username = String(req.body?.username || '').trim();
+    const password = String(req.body?.password || '');
+    const user = username ? await findUserByUsername(username) : null;
+
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    const { token, expires_at } = await issueToken(user.user_id);
+    res.json({ token, expires_at, user: publicUser(user) });
+  } catch (e) {
+    console.error('[auth] login error', e);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+authRouter.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await deleteAuthToken(hashToken(bearerToken(req)));
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[auth] logout error', e);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+authRouter.get('/me', requireAuth, (req, res) => {
+  res.json({ user: publicUser(req.user) });
+});
+
+// User management, mounted under the admin routes (admin role only)
+export const userAdminRouter = express.Router();
+
+userAdminRouter.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ data: await listUsers() });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+userAdminRouter.put('/users/:id/role', requireRole('admin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const role = String(req.body?.role || '');
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid user id' });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+
+    const updated = await updateUserRole(id, role);
+    if (!updated) return res.status(404).json({ error: 'User not found' });
+    res.json({ ok: true, user_id: id, role });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
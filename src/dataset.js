@@ -0,0 +1,340 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import {
+  upsertTrainingSamples,
+  listUnrecordedConfirmedObservations,
+  listTrainingSamples,
+  updateTrainingSample,
+  trainingClassCounts,
+  listTrainingSamplesForExport,
+  insertDatasetExport,
+  finishDatasetExport,
+  listDatasetExports,
+  getDatasetExport,
+} from './db.js';
+import { requireRole } from './auth.js';
+import { loadClassMap } from './inference.js';
+import { slugifyName } from './names.js';
+import { storage, keyFromUrl } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Training-set curation: every confirmed observation photo goes into a manifest with its label
+// and a train/val/test split; exports turn the manifest into a folder ready for retraining.
+export const DATASET_DIR = process.env.DATASET_DIR || path.join(__dirname, '..', 'datasets');
+export const SPLITS = ['train', 'val', 'test'];
+
+// DATASET_SPLIT="80,10,10": share of samples per split, in SPLITS order
+function splitWeights() {
+  const parts = String(process.env.DATASET_SPLIT || '80,10,10').split(',').map(Number);
+  if (parts.length !== 3 || parts.some(n => !Number.isFinite(n) || n < 0) || !parts.some(n => n > 0)) {
+    return [80, 10, 10];
+  }
+  return parts;
+}
+
+// The split comes from a hash of the observation id, so it never changes between runs
+// and an image cannot drift from val into train when the label is corrected
+export function assignSplit(observation_id) {
+  const weights = splitWeights();
+  const total = weights.reduce((a, b) => a + b, 0);
+  const h = crypto.createHash('sha256').update(`split:${observation_id}`).digest().readUInt32BE(0) / 0x100000000;
+  let acc = 0;
+  for (let i = 0; i < SPLITS.length; i++) {
+    acc += weights[i] / total;
+    if (h < acc) return SPLITS[i];
+  }
+  return SPLITS[0];
+}
+
+// Called by the confirm routes once an observation is verified with a species
+export async function recordTrainingSamples(samples, added_by = null) {
+  await upsertTrainingSamples(samples.map(t => ({
+    observation_id: t.observation_id,
+    species_id: t.species_id,
+    split: assignSplit(t.observation_id),
+    added_by,
+  })));
+}
+
+export function recordTrainingSample({ observation_id, species_id }, added_by = null) {
+  return recordTrainingSamples([{ observation_id, species_id }], added_by);
+}
+
+// Re-check one observation after a status or species edit. A verified observation with a species
+// is (re)labelled; samples whose observation is no longer verified stay in the manifest but are
+// left out of counts and exports until it is verified again.
+export async function syncTrainingSample(observation, added_by = null) {
+  if (observation?.status === 'verified' && observation.species_id) {
+    await recordTrainingSample(observation, added_by);
+  }
+}
+
+// Class folder / class_mapping.json name for a species, in the style of the current class map
+export const classLabel = scientific_name => slugifyName(scientific_name);
+
+function currentModelLabels() {
+  try {
+    return new Set(loadClassMap().map(c => slugifyName(c.name)));
+  } catch (e) {
+    console.warn('[dataset] could not read the current class map', e.message);
+    return new Set();
+  }
+}
+
+// Write datasets/v<version>/: {train,val,test}/<label>/<observation_id>.<ext>, a class_mapping.json
+// in ImageFolder order (labels sorted by name) and manifest.json. It is built in a temporary folder
+// and renamed at the end, so a half-written export is never picked up.
+let exporting = false;
+
+export async function buildDatasetExport({ created_by = null } = {}) {
+  if (exporting) {
+    const err = new Error('Another dataset export is being built');
+    err.code = 'EXPORT_IN_PROGRESS';
+    throw err;
+  }
+  exporting = true;
+  try {
+    return await writeDatasetExport(await insertDatasetExport(created_by));
+  } finally {
+    exporting = false;
+  }
+}
+
+async function writeDatasetExport(version) {
+  const finalDir = path.join(DATASET_DIR, `v${version}`);
+  const tmpDir = `${finalDir}.partial`;
+  try {
+    const samples = await listTrainingSamplesForExport();
+
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    const files = [];
+    const skipped = [];
+    for (const r of samples) {
+      const label = classLabel(r.scientific_name);
+      let rel;
+      try {
+        const key = keyFromUrl(r.photo_url, { area: 'uploads' });
+        rel = path.join(r.split, label, `${r.observation_id}${path.extname(key).toLowerCase()}`);
+        const data = await storage().get(key); // before mkdir, so a missing photo leaves no empty folder
+        await fs.promises.mkdir(path.join(tmpDir, r.split, label), { recursive: true });
+        await fs.promises.writeFile(path.join(tmpDir, rel), data);
+      } catch (e) {
+        skipped.push({ observation_id: r.observation_id, reason: e.code === 'ENOENT' ? 'photo missing' : e.message });
+        continue;
+      }
+      files.push({
+        observation_id: r.observation_id,
+        species_id: r.species_id,
+        label,
+        split: r.split,
+        file: rel.split(path.sep).join('/'),
+      });
+    }
+
+    // only labels that ended up with images, since ImageFolder rejects empty class folders
+    const labels = [...new Set(files.map(f => f.label))].sort();
+    const index = new Map(labels.map((l, i) => [l, i]));
+    const classMapping = Object.fromEntries(labels.map((l, i) => [String(i), l]));
+    const counts = Object.fromEntries(labels.map(l => [l, { train: 0, val: 0, test: 0 }]));
+    for (const f of files) {
+      f.class_index = index.get(f.label);
+      counts[f.label][f.split] += 1;
+    }
+
+    const known = currentModelLabels();
+    const speciesOf = new Map(samples.map(r => [classLabel(r.scientific_name), r]));
+    const classes = labels.map(l => {
+      const first = speciesOf.get(l);
+      return {
+        index: index.get(l),
+        label: l,
+        species_id: first.species_id,
+        scientific_name: first.scientific_name,
+        new_class: !known.has(l),
+        ...counts[l],
+      };
+    });
+    const manifest = {
+      version,
+      created_at: new Date().toISOString(),
+      layout: 'ImageFolder',
+      splits: SPLITS,
+      classes,
+      new_classes: classes.filter(c => c.new_class).map(c => c.label),
+      missing_classes: [...known].filter(l => !index.has(l)).sort(), // in the current model, no samples here
+      samples: files,
+      skipped,
+    };
+
+    await fs.promises.mkdir(tmpDir, { recursive: true });
+    await fs.promises.writeFile(path.join(tmpDir, 'class_mapping.json'), JSON.stringify(classMapping, null, 2) + '\n');
+    await fs.promises.writeFile(path.join(tmpDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    await fs.promises.rename(tmpDir, finalDir);
+
+    const summary = {
+      class_count: labels.length,
+      sample_count: files.length,
+      counts: { classes: counts, new_classes: manifest.new_classes, missing_classes: manifest.missing_classes, skipped: skipped.length },
+    };
+    await finishDatasetExport(version, { status: 'ready', path: finalDir, ...summary });
+    return { version, status: 'ready', path: finalDir, ...summary };
+  } catch (e) {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+    await finishDatasetExport(version, { status: 'failed', error: e.message })
+      .catch(err => console.error('[dataset] could not mark export failed', err));
+    throw e;
+  }
+}
+
+export const datasetRouter = express.Router();
+
+// ?species_id=&split=train&excluded=0&page=1&page_size=50
+datasetRouter.get('/dataset/samples', async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const pageSize = Math.max(1, Math.min(200, Number(req.query.page_size) || 50));
+    const split = req.query.split ? String(req.query.split) : null;
+    if (split && !SPLITS.includes(split)) {
+      return res.status(400).json({ error: `split must be one of ${SPLITS.join(', ')}` });
+    }
+    const species_id = req.query.species_id ? Number(req.query.species_id) : null;
+    if (species_id !== null && (!Number.isFinite(species_id) || species_id <= 0)) {
+      return res.status(400).json({ error: 'Invalid species_id' });
+    }
+    const excluded = req.query.excluded === undefined ? null : ['1', 'true'].includes(String(req.query.excluded));
+
+    const { rows, total } = await listTrainingSamples({
+      species_id,
+      split,
+      excluded,
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+    });
+    res.json({
+      page,
+      page_size: pageSize,
+      total: Number(total),
+      data: rows.map(r => ({ ...r, excluded: Boolean(r.excluded), label: classLabel(r.scientific_name || '') })),
+    });
+  } catch (e) {
+    console.error('[dataset] list error', e);
+    res.status(500).json({ error: 'Failed to fetch training samples' });
+  }
+});
+
+// Body: { excluded: true, exclude_reason: "blurry" } and/or { split: "val" }
+datasetRouter.put('/dataset/samples/:observationId', async (req, res) => {
+  try {
+    const id = Number(req.params.observationId);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid observation id' });
+    const { split, excluded, exclude_reason } = req.body || {};
+    if (split !== undefined && !SPLITS.includes(split)) {
+      return res.status(400).json({ error: `split must be one of ${SPLITS.join(', ')}` });
+    }
+    if (excluded !== undefined && typeof excluded !== 'boolean') {
+      return res.status(400).json({ error: 'excluded must be true or false' });
+    }
+    if (split === undefined && excluded === undefined) {
+      return res.status(400).json({ error: 'Nothing to update (split, excluded)' });
+    }
+
+    const found = await updateTrainingSample(id, {
+      split,
+      excluded,
+      exclude_reason: exclude_reason ? String(exclude_reason).slice(0, 255) : null,
+    });
+    if (!found) return res.status(404).json({ error: 'Training sample not found' });
+    res.json({ ok: true, observation_id: id });
+  } catch (e) {
+    console.error('[dataset] update error', e);
+    res.status(500).json({ error: 'Failed to update training sample' });
+  }
+});
+
+// Add verified observations confirmed before the manifest existed
+datasetRouter.post('/dataset/samples/backfill', requireRole('admin'), async (req, res) => {
+  try {
+    const rows = await listUnrecordedConfirmedObservations();
+    await recordTrainingSamples(rows, req.user.user_id);
+    res.json({ ok: true, added: rows.length });
+  } catch (e) {
+    console.error('[dataset] backfill error', e);
+    res.status(500).json({ error: 'Failed to backfill training samples' });
+  }
+});
+
+// Per-class counts per split; new_class marks labels the current model does not know yet
+datasetRouter.get('/dataset/classes', async (req, res) => {
+  try {
+    const known = currentModelLabels();
+    const rows = await trainingClassCounts();
+    const data = rows.map(r => {
+      const label = classLabel(r.scientific_name || '');
+      const c = { train: Number(r.train), val: Number(r.val), test: Number(r.test), excluded: Number(r.excluded) };
+      return {
+        species_id: r.species_id,
+        scientific_name: r.scientific_name,
+        common_name: r.common_name,
+        label,
+        new_class: !known.has(label),
+        ...c,
+        total: c.train + c.val + c.test,
+      };
+    });
+    res.json({ class_count: data.filter(c => c.total > 0).length, data });
+  } catch (e) {
+    console.error('[dataset] classes error', e);
+    res.status(500).json({ error: 'Failed to fetch class counts' });
+  }
+});
+
+datasetRouter.post('/dataset/exports', requireRole('admin'), async (req, res) => {
+  try {
+    res.status(201).json(await buildDatasetExport({ created_by: req.user.user_id }));
+  } catch (e) {
+    if (e.code === 'EXPORT_IN_PROGRESS') return res.status(409).json({ error: e.message, code: e.code });
+    console.error('[dataset] export error', e);
+    res.status(500).json({ error: 'Failed to build dataset export' });
+  }
+});
+
+datasetRouter.get('/dataset/exports', async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 20));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    res.json({ data: await listDatasetExports({ limit, offset }), limit, offset });
+  } catch (e) {
+    console.error('[dataset] exports error', e);
+    res.status(500).json({ error: 'Failed to fetch dataset exports' });
+  }
+});
+
+// One export with its manifest (classes, new/missing classes, skipped samples)
+datasetRouter.get('/dataset/exports/:version', async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    if (!Number.isFinite(version) || version <= 0) return res.status(400).json({ error: 'Invalid version' });
+    const row = await getDatasetExport(version);
+    if (!row) return res.status(404).json({ error: 'Export not found' });
+
+    let manifest = null;
+    if (row.status === 'ready' && row.path) {
+      try {
+        const { samples, ...rest } = JSON.parse(await fs.promises.readFile(path.join(row.path, 'manifest.json'), 'utf8'));
+        manifest = rest;
+      } catch (e) {
+        console.warn(`[dataset] manifest of v${version} is unreadable`, e.message);
+      }
+    }
+    res.json({ ...row, counts: typeof row.counts === 'string' ? JSON.parse(row.counts) : row.counts, manifest });
+  } catch (e) {
+    console.error('[dataset] export detail error', e);
+    res.status(500).json({ error: 'Failed to fetch dataset export' });
+  }
+});
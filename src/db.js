@@ -3,6 +3,8 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
+import { canonicalSpeciesName, slugifyName } from './names.js';
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
@@ -31,6 +33,7 @@ export async function insertSpecies({
   }
 
   const endangeredFlag = is_endangered ? 1 : 0;
+  const canonical = canonicalSpeciesName(scientific_name);
 
   const [result] = await pool.query(
     `
@@ -38,7 +41,7 @@ export async function insertSpecies({
         (scientific_name, common_name, is_endangered, description, image_url, created_at)
       VALUES (?, ?, ?, ?, ?, NOW())
     `,
-    [scientific_name, common_name, endangeredFlag, description, image_url]
+    [canonical, common_name, endangeredFlag, description, image_url]
   );
 
   return result.insertId;
@@ -48,36 +51,180 @@ export async function attachObservationToSpecies({
   observation_id,
   species_id,
   status = 'verified',
+  audit = null,
 }) {
   if (!observation_id || !species_id) {
     throw new Error('observation_id and species_id are required');
   }
 
-  await pool.query(
-    `
-      UPDATE plant_observations
-      SET species_id = ?, status = ?
-      WHERE observation_id = ?
-    `,
-    [species_id, status, observation_id]
+  return withObservationAudit(observation_id, audit, async (conn) => {
+    await conn.query(
+      `
+        UPDATE plant_observations
+        SET species_id = ?, status = ?
+        WHERE observation_id = ?
+      `,
+      [species_id, status, observation_id]
+    );
+  });
+}
+
+// Moderation audit trail (see sql/migrations/0005_observation_audit.up.sql)
+const AUDITED_FIELDS = ['status', 'species_id', 'notes'];
+
+// Run an observation update in a transaction and, when an audit context
+// ({ user_id, action, notes }) is given, record the before/after values.
+// Resolves to false when the observation does not exist.
+async function withObservationAudit(observation_id, audit, update) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT ${AUDITED_FIELDS.join(', ')} FROM plant_observations WHERE observation_id = ? FOR UPDATE`,
+      [observation_id]
+    );
+    if (!rows.length) {
+      await conn.rollback();
+      return false;
+    }
+
+    await update(conn);
+
+    if (audit) await insertObservationAudit(conn, observation_id, rows[0], audit);
+
+    await conn.commit();
+    return true;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// Write one audit row; `before` is the row as it was read (FOR UPDATE) before the change
+async function insertObservationAudit(conn, observation_id, before, audit) {
+  const [[after]] = await conn.query(
+    `SELECT ${AUDITED_FIELDS.join(', ')} FROM plant_observations WHERE observation_id = ?`,
+    [observation_id]
+  );
+  // Snapshot what the model suggested so the history survives later re-classification
+  const [top] = await conn.query(
+    `SELECT ar.species_id
+     FROM ai_results ar
+     JOIN plant_observations po ON ${CURRENT_RESULT_SET}
+     WHERE ar.observation_id = ?
+     ORDER BY ar.rank ASC LIMIT 1`,
+    [observation_id]
+  );
+  await conn.query(
+    `INSERT INTO observation_audit
+       (observation_id, user_id, action, before_values, after_values, ai_top_species_id, notes, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+    [
+      observation_id,
+      audit.user_id ?? null,
+      audit.action,
+      JSON.stringify(before),
+      JSON.stringify(after),
+      top[0]?.species_id ?? null,
+      audit.notes ?? null,
+    ]
+  );
+}
+
+export async function listObservationAudit(observation_id) {
+  const [rows] = await pool.query(
+    `SELECT oa.audit_id, oa.observation_id, oa.user_id, u.username, oa.action,
+            oa.before_values, oa.after_values, oa.ai_top_species_id,
+            s.scientific_name AS ai_top_species_name, oa.notes, oa.created_at
+     FROM observation_audit oa
+     LEFT JOIN users u ON u.user_id = oa.user_id
+     LEFT JOIN species s ON s.species_id = oa.ai_top_species_id
+     WHERE oa.observation_id = ?
+     ORDER BY oa.created_at ASC, oa.audit_id ASC`,
+    [observation_id]
+  );
+  return rows;
+}
+
+// Find the species a name refers to: the canonical scientific name first, then the raw or
+// slug form (older rows were created from class_mapping.json labels such as "acacia_mangium"),
+// then the synonyms table. Merged-away (soft-deleted) rows are skipped unless `retired` is set,
+// in which case a name only a deleted row holds resolves as retiredSpeciesId describes.
+async function resolveSpeciesId(conn, name, { retired = false } = {}) {
+  const canonical = canonicalSpeciesName(name);
+  if (!canonical) return null;
+
+  const forms = [...new Set([canonical, String(name).trim(), slugifyName(canonical)])];
+  const [rows] = await conn.query(
+    `SELECT species_id FROM species
+     WHERE scientific_name IN (?) AND deleted_at IS NULL
+     ORDER BY scientific_name = ? DESC, species_id ASC
+     LIMIT 1`,
+    [forms, canonical]
+  );
+  if (rows.length) return rows[0].species_id;
+
+  const [syn] = await conn.query(
+    `SELECT ss.species_id FROM species_synonyms ss
+     JOIN species s ON s.species_id = ss.species_id AND s.deleted_at IS NULL
+     WHERE ss.name = ? LIMIT 1`,
+    [canonical]
+  );
+  if (syn.length) return syn[0].species_id;
+  return retired ? retiredSpeciesId(conn, forms, canonical) : null;
+}
+
+// A deleted row keeps its scientific_name (and the UNIQUE key on it), so the name cannot be
+// inserted again: it resolves to the species it was merged into, following later merges, or
+// to the deleted row itself when it was simply deleted.
+const MAX_MERGE_HOPS = 20;
+
+async function retiredSpeciesId(conn, forms, canonical) {
+  const [rows] = await conn.query(
+    `SELECT species_id, merged_into_species_id FROM species
+     WHERE scientific_name IN (?) AND deleted_at IS NOT NULL
+     ORDER BY scientific_name = ? DESC, species_id ASC
+     LIMIT 1`,
+    [forms, canonical]
   );
+  if (!rows.length) return null;
+
+  let species_id = rows[0].species_id;
+  let next = rows[0].merged_into_species_id;
+  for (let hops = 0; next && hops < MAX_MERGE_HOPS; hops++) {
+    const [[row]] = await conn.query(
+      'SELECT species_id, deleted_at, merged_into_species_id FROM species WHERE species_id = ?',
+      [next]
+    );
+    if (!row) break;
+    species_id = row.species_id;
+    if (!row.deleted_at) break;
+    next = row.merged_into_species_id;
+  }
+  return species_id;
+}
+
+// `retired: true` also answers for names only a deleted species holds (see retiredSpeciesId)
+export async function findSpeciesIdByName(name, { retired = false } = {}) {
+  return resolveSpeciesId(pool, name, { retired });
 }
 
 // Retrieve species_id from database if it exists, otherwise, insert a new record and return the new ID
 export async function getOrCreateSpeciesId(scientific_name) {
   const conn = await pool.getConnection(); // Get a dedicated connection from the pool
   try {
-    // Attempt to find an existing species by its scientific name
-    const [rows] = await conn.query(
-      'SELECT species_id FROM species WHERE scientific_name = ? LIMIT 1',
-      [scientific_name]
-    );
-    if (rows.length) return rows[0].species_id; // If a match is found, return the existing species_id
+    // Attempt to find an existing species by its name or one of its synonyms (or where a
+    // deleted species with that name went)
+    const existing = await resolveSpeciesId(conn, scientific_name, { retired: true });
+    if (existing) return existing; // If a match is found, return the existing species_id
 
-    // If not found, create a placeholder row
+    // If not found, create a placeholder row under the canonical name
     const [ins] = await conn.query(
       'INSERT INTO species (scientific_name) VALUES (?)',
-      [scientific_name]
+      [canonicalSpeciesName(scientific_name)]
     );
     return ins.insertId; // Return the ID of the newly inserted species
   } finally {
@@ -93,15 +240,19 @@ export async function insertObservation({
   location_latitude = null,
   location_longitude = null,
   location_name = null,
+  location_source = null,
+  captured_at = null,
+  phash = null,
   source = 'camera',
   status = 'pending',
   notes = null,
 }) {
-  /// Ensure latitude and longitude are numeric and non-null
-  const lat =
-    Number.isFinite(Number(location_latitude)) ? Number(location_latitude) : 0.0;
-  const lon =
-    Number.isFinite(Number(location_longitude)) ? Number(location_longitude) : 0.0;
+  // Keep latitude and longitude numeric, or NULL together when the position is unknown
+  const latNum = location_latitude === null ? NaN : Number(location_latitude);
+  const lonNum = location_longitude === null ? NaN : Number(location_longitude);
+  const hasPos = Number.isFinite(latNum) && Number.isFinite(lonNum);
+  const lat = hasPos ? latNum : null;
+  const lon = hasPos ? lonNum : null;
   // Provide safe defaults for optional fields
   const locName = (location_name ?? '') || ''; // empty string instead of NULL
   const src = (source ?? 'camera') || 'camera';
@@ -111,8 +262,9 @@ export async function insertObservation({
   // Insert a new observation record
   const [res] = await pool.query(
     `INSERT INTO plant_observations
-     (user_id, species_id, photo_url, location_latitude, location_longitude, location_name, source, status, notes)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+     (user_id, species_id, photo_url, location_latitude, location_longitude, location_name,
+      location_source, captured_at, phash, source, status, notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, CAST(CONV(?, 16, 10) AS UNSIGNED), ?, ?, ?)`,
     [
       user_id,
       species_id,
@@ -120,6 +272,9 @@ export async function insertObservation({
       lat,
       lon,
       locName,
+      hasPos ? location_source : null,
+      captured_at,
+      phash,
       src,
       st,
       nts,
@@ -129,8 +284,14 @@ export async function insertObservation({
   return res.insertId; // Return the new observation_id for later linking with AI results
 }
 
-// Insert Top-K AI classification results for an observation
-export async function insertAiResults(observation_id, items) {
+// Each inference run over an observation is a numbered result set in ai_results (see
+// sql/migrations/0010_reclassify_jobs.up.sql); plant_observations.ai_result_set is the one
+// shown and counted.
+// Joins on this condition expect the aliases ar (ai_results) and po (plant_observations).
+const CURRENT_RESULT_SET = 'po.observation_id = ar.observation_id AND ar.result_set = po.ai_result_set';
+
+// Insert Top-K AI classification results for an observation, tagged with the model version that produced them
+export async function insertAiResults(observation_id, items, { model_version = null, result_set = 1, job_id = null, conn = pool } = {}) {
   if (!items?.length) return; // Exit early if no results to insert
 
   const values = [];
@@ -140,12 +301,13 @@ export async function insertAiResults(observation_id, items) {
     const score = Math.max(0, Math.min(1, Number(it.confidence))); // Clamp confidence between 0 and 1
     const rank = Number(it.rank); // Rank (1 = top prediction)
     const species_id = Number(it.species_id); // Foreign key to 'species' table
-    values.push([observation_id, species_id, Number(score.toFixed(4)), rank]); // Each subarray represents one row for insertion
+    // Each subarray represents one row for insertion
+    values.push([observation_id, species_id, Number(score.toFixed(4)), rank, model_version, result_set, job_id]);
   }
 
   // Bulk insert all AI results at once 
-  await pool.query(
-    `INSERT INTO ai_results (observation_id, species_id, confidence_score, rank)
+  await conn.query(
+    `INSERT INTO ai_results (observation_id, species_id, confidence_score, rank, model_version, result_set, job_id)
      VALUES ?`,
     [values]
   );
@@ -156,7 +318,7 @@ export async function getObservationWithResults(observation_id) {
   // Query to get the observation details
   const [obsRows] = await pool.query(
     `SELECT observation_id, user_id, species_id, photo_url, location_latitude, location_longitude,
-            location_name, source, status, created_at
+            location_name, location_source, captured_at, source, status, created_at
      FROM plant_observations WHERE observation_id = ?`,
     [observation_id]
   );
@@ -165,9 +327,10 @@ export async function getObservationWithResults(observation_id) {
 
   // Query to get all AI results linked to this observation
   const [resRows] = await pool.query(
-    `SELECT ar.ai_result_id, ar.observation_id, ar.confidence_score, ar.rank,
-            s.species_id, s.scientific_name, s.common_name
+    `SELECT ar.ai_result_id, ar.observation_id, ar.confidence_score, ar.rank, ar.model_version,
+            s.species_id, s.scientific_name, s.common_name, s.is_endangered
      FROM ai_results ar
+     JOIN plant_observations po ON ${CURRENT_RESULT_SET}
      LEFT JOIN species s ON s.species_id = ar.species_id
      WHERE ar.observation_id = ?
      ORDER BY ar.rank ASC`, // Order by rank so Top-1 comes first
@@ -178,19 +341,92 @@ export async function getObservationWithResults(observation_id) {
   return { observation, results: resRows };
 }
 
-export async function listObservationsByStatus(
-  statuses = ['pending'],
+// Top-1 prediction of an observation's current result set
+const TOP_SPECIES_ID_SQL = `(
+  SELECT ar3.species_id FROM ai_results ar3
+  WHERE ar3.observation_id = po.observation_id AND ar3.result_set = po.ai_result_set
+  ORDER BY ar3.rank ASC, ar3.confidence_score DESC
+  LIMIT 1)`;
+
+export const OBSERVATION_SORTS = { created_at: 'po.created_at', top_confidence: 'top_confidence' };
+
+// Admin review list. filters: { statuses, from, to, userId, location, speciesId or speciesName
+// (matched against speciesSource: 'predicted' top-1, 'assigned' species_id, or 'any'),
+// minConfidence, maxConfidence, autoFlagged + threshold, locationSearchable }.
+// Rows come in `sort` order with observation_id breaking ties; `after` is { value, id } of the
+// last row already shown (keyset paging: rows arriving meanwhile never shift later pages).
+// Resolves to { rows, total }, where total counts every match whatever the page.
+export async function listObservationsByStatus({
+  filters = {},
+  sort = 'created_at',
+  order = 'desc',
+  after = null,
   limit = 20,
   offset = 0,
-  opts = {}
-) {
-  const { autoFlagged = false, threshold = null } = opts;
+} = {}) {
+  const {
+    statuses = ['pending'],
+    from = null,
+    to = null,
+    userId = null,
+    location = '',
+    speciesId = null,
+    speciesName = '',
+    speciesSource = 'any',
+    minConfidence = null,
+    maxConfidence = null,
+    autoFlagged = false,
+    threshold = null,
+    locationSearchable = true,
+  } = filters;
 
-  const placeholders = statuses.map(() => '?').join(',');
   const topExpr = 'COALESCE(MAX(ar.confidence_score), 0)';
+  const where = [`po.status IN (${statuses.map(() => '?').join(',')})`];
+  const params = [...statuses];
 
-  const sqlParts = [];
-  sqlParts.push(`
+  if (from) { where.push('po.created_at >= ?'); params.push(from); }
+  if (to) { where.push('po.created_at < ?'); params.push(to); }
+  if (userId) { where.push('po.user_id = ?'); params.push(Number(userId)); }
+  if (location) {
+    where.push('po.location_name LIKE ?');
+    params.push(`%${String(location).replace(/[\\%_]/g, '\\$&')}%`);
+    // a caller who only sees generalised locations must not find sensitive rows by their place name
+    if (!locationSearchable) where.push(`NOT ${LOCATION_SENSITIVE_SQL}`);
+  }
+
+  let speciesMatch = null;
+  if (speciesId) {
+    speciesMatch = { sql: '= ?', params: [Number(speciesId)] };
+  } else if (speciesName) {
+    const search = speciesSearchClause(speciesName);
+    speciesMatch = { sql: `IN (SELECT s.species_id FROM species s WHERE 1 = 1 ${search.sql})`, params: search.params };
+  }
+  if (speciesMatch) {
+    const predicted = `${TOP_SPECIES_ID_SQL} ${speciesMatch.sql}`;
+    const assigned = `po.species_id ${speciesMatch.sql}`;
+    if (speciesSource === 'predicted') {
+      where.push(predicted);
+      params.push(...speciesMatch.params);
+    } else if (speciesSource === 'assigned') {
+      where.push(assigned);
+      params.push(...speciesMatch.params);
+    } else {
+      where.push(`(${predicted} OR ${assigned})`);
+      params.push(...speciesMatch.params, ...speciesMatch.params);
+    }
+  }
+
+  // conditions on the aggregated top confidence go in HAVING
+  const having = [];
+  const havingParams = [];
+  if (minConfidence !== null) { having.push(`${topExpr} >= ?`); havingParams.push(Number(minConfidence)); }
+  if (maxConfidence !== null) { having.push(`${topExpr} <= ?`); havingParams.push(Number(maxConfidence)); }
+  if (autoFlagged && Number.isFinite(Number(threshold))) {
+    having.push(`${topExpr} < ?`);
+    havingParams.push(Number(threshold));
+  }
+
+  const base = `
     SELECT
       po.observation_id,
       po.photo_url,
@@ -201,17 +437,18 @@ export async function listObservationsByStatus(
       po.location_latitude,
       po.location_longitude,
       po.user_id,
+      ${LOCATION_SENSITIVE_SQL} AS location_sensitive,
       (
         SELECT s.scientific_name
         FROM ai_results ar2
         LEFT JOIN species s ON s.species_id = ar2.species_id
-        WHERE ar2.observation_id = po.observation_id
+        WHERE ar2.observation_id = po.observation_id AND ar2.result_set = po.ai_result_set
         ORDER BY ar2.rank ASC, ar2.confidence_score DESC
         LIMIT 1
       ) AS top_species_name
     FROM plant_observations po
-    LEFT JOIN ai_results ar ON ar.observation_id = po.observation_id
-    WHERE po.status IN (${placeholders})
+    LEFT JOIN ai_results ar ON ${CURRENT_RESULT_SET}
+    WHERE ${where.join(' AND ')}
     GROUP BY
       po.observation_id,
       po.photo_url,
@@ -221,42 +458,49 @@ export async function listObservationsByStatus(
       po.location_latitude,
       po.location_longitude,
       po.user_id
-  `);
+  `;
 
-  const params = [...statuses];
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM (${base} ${having.length ? `HAVING ${having.join(' AND ')}` : ''}) t`,
+    [...params, ...havingParams]
+  );
 
-  if (autoFlagged && Number.isFinite(Number(threshold))) {
-    sqlParts.push(`HAVING ${topExpr} < ?`);
-    params.push(Number(threshold));
+  const col = OBSERVATION_SORTS[sort] || OBSERVATION_SORTS.created_at;
+  const dir = order === 'asc' ? 'ASC' : 'DESC';
+  const pageHaving = [...having];
+  const pageParams = [...havingParams];
+  if (after) {
+    const op = dir === 'ASC' ? '>' : '<';
+    pageHaving.push(`(${col} ${op} ? OR (${col} = ? AND po.observation_id ${op} ?))`);
+    pageParams.push(after.value, after.value, Number(after.id));
   }
 
-  sqlParts.push(`ORDER BY po.created_at DESC LIMIT ? OFFSET ?`);
-  params.push(Number(limit), Number(offset));
-
-  const sql = sqlParts.join('\n');
-
-  const [rows] = await pool.query(sql, params);
-  return rows;
-}
-
-export async function updateObservationStatus(observation_id, status) {
-  await pool.query(
-    'UPDATE plant_observations SET status = ? WHERE observation_id = ?',
-    [status, observation_id]
+  const [rows] = await pool.query(
+    `${base}
+     ${pageHaving.length ? `HAVING ${pageHaving.join(' AND ')}` : ''}
+     ORDER BY ${col} ${dir}, po.observation_id ${dir}
+     LIMIT ? OFFSET ?`,
+    [...params, ...pageParams, Number(limit), after ? 0 : Number(offset)]
   );
+  return { rows, total: Number(total) };
 }
 
-export async function updateObservation({ observation_id, status, notes = null, species_name = null }) {
-  const conn = await pool.getConnection();
-  try {
-    await conn.beginTransaction();
+export async function updateObservationStatus(observation_id, status, audit = null) {
+  return withObservationAudit(observation_id, audit, async (conn) => {
+    await conn.query(
+      'UPDATE plant_observations SET status = ? WHERE observation_id = ?',
+      [status, observation_id]
+    );
+  });
+}
 
+export async function updateObservation({ observation_id, status, notes = null, species_name = null, audit = null }) {
+  return withObservationAudit(observation_id, audit, async (conn) => {
     let species_id = null;
     if (species_name && String(species_name).trim()) {
-      const [rows] = await conn.query('SELECT species_id FROM species WHERE scientific_name = ? LIMIT 1', [species_name.trim()]);
-      if (rows.length) species_id = rows[0].species_id;
-      else {
-        const [ins] = await conn.query('INSERT INTO species (scientific_name) VALUES (?)', [species_name.trim()]);
+      species_id = await resolveSpeciesId(conn, species_name, { retired: true });
+      if (species_id === null) {
+        const [ins] = await conn.query('INSERT INTO species (scientific_name) VALUES (?)', [canonicalSpeciesName(species_name)]);
         species_id = ins.insertId;
       }
     }
@@ -272,8 +516,597 @@ export async function updateObservation({ observation_id, status, notes = null,
       params.push(observation_id);
       await conn.query(`UPDATE plant_observations SET ${fields.join(', ')} WHERE observation_id = ?`, params);
     }
+  });
+}
+
+// Bulk moderation: apply one status (and optionally a species) to many observations in a
+// single transaction. Returns one { observation_id, result } per requested id, where result is
+// 'updated', 'not_found' or 'already_final' (verified/rejected rows are left untouched).
+// Instead of ids, `filter: { minConfidence }` selects pending rows whose top AI confidence is at least that.
+export const FINAL_STATUSES = ['verified', 'rejected'];
+
+export async function bulkModerateObservations({ ids = null, filter = null, status, species_id = null, audit, limit = 1000 }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    let targetIds = ids;
+    if (filter) {
+      const [matches] = await conn.query(
+        `SELECT po.observation_id
+         FROM plant_observations po
+         LEFT JOIN ai_results ar ON ${CURRENT_RESULT_SET}
+         WHERE po.status = 'pending'
+         GROUP BY po.observation_id
+         HAVING COALESCE(MAX(ar.confidence_score), 0) >= ?
+         ORDER BY po.observation_id ASC
+         LIMIT ?`,
+        [Number(filter.minConfidence), Number(limit)]
+      );
+      targetIds = matches.map(r => r.observation_id);
+    }
+    if (!targetIds.length) {
+      await conn.commit();
+      return [];
+    }
+
+    const [rows] = await conn.query(
+      `SELECT observation_id, ${AUDITED_FIELDS.join(', ')}
+       FROM plant_observations WHERE observation_id IN (?) FOR UPDATE`,
+      [targetIds]
+    );
+    const byId = new Map(rows.map(r => [r.observation_id, r]));
+
+    const results = [];
+    for (const id of targetIds) {
+      const row = byId.get(id);
+      if (!row) {
+        results.push({ observation_id: id, result: 'not_found' });
+        continue;
+      }
+      if (FINAL_STATUSES.includes(row.status)) {
+        results.push({ observation_id: id, result: 'already_final', status: row.status });
+        continue;
+      }
+
+      if (species_id) {
+        await conn.query(
+          'UPDATE plant_observations SET status = ?, species_id = ? WHERE observation_id = ?',
+          [status, species_id, id]
+        );
+      } else {
+        await conn.query('UPDATE plant_observations SET status = ? WHERE observation_id = ?', [status, id]);
+      }
+
+      const { observation_id, ...before } = row;
+      await insertObservationAudit(conn, id, before, audit);
+      results.push({ observation_id: id, result: 'updated', status });
+    }
+
+    await conn.commit();
+    return results;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// Near-duplicate photos. phash is a 64-bit dHash stored as BIGINT UNSIGNED so MySQL can
+// compare with BIT_COUNT(a ^ b) (the Hamming distance); it is read back as 16 hex chars.
+const PHASH_HEX = "LPAD(LOWER(HEX(po.phash)), 16, '0')";
+
+// Closest earlier observation by the same user within maxDistance bits (rejected ones are ignored)
+export async function findNearDuplicateObservation({ user_id, phash, maxDistance }) {
+  if (!user_id || !phash) return null;
+  const [rows] = await pool.query(
+    `SELECT po.observation_id, BIT_COUNT(po.phash ^ CAST(CONV(?, 16, 10) AS UNSIGNED)) AS distance
+     FROM plant_observations po
+     WHERE po.user_id = ? AND po.phash IS NOT NULL AND po.status <> 'rejected'
+     HAVING distance <= ?
+     ORDER BY distance ASC, po.created_at ASC
+     LIMIT 1`,
+    [phash, user_id, Number(maxDistance)]
+  );
+  return rows[0] || null;
+}
+
+// Pairs of observations whose photos are within maxDistance bits of each other, closest first.
+// Every photo is compared with every other one, so callers keep [from, to) to a bounded window;
+// the (status, created_at) index narrows both sides of the join to it. At most `limit` pairs
+// come back; `truncated` says more matched (one extra row is fetched to tell).
+export async function listNearDuplicatePairs({ statuses, maxDistance, from, to, sameUser = false, limit = 5000 }) {
+  const placeholders = statuses.map(() => '?').join(',');
+  const [rows] = await pool.query(
+    `SELECT a.observation_id AS a_id, b.observation_id AS b_id,
+            BIT_COUNT(a.phash ^ b.phash) AS distance
+     FROM plant_observations a
+     JOIN plant_observations b
+       ON b.observation_id > a.observation_id
+      AND b.phash IS NOT NULL
+      AND BIT_COUNT(a.phash ^ b.phash) <= ?
+      AND b.created_at >= ? AND b.created_at < ?
+     WHERE a.phash IS NOT NULL
+       AND a.status IN (${placeholders})
+       AND b.status IN (${placeholders})
+       AND a.created_at >= ? AND a.created_at < ?
+       ${sameUser ? 'AND a.user_id = b.user_id' : ''}
+     ORDER BY distance ASC, a.observation_id ASC
+     LIMIT ?`,
+    [Number(maxDistance), from, to, ...statuses, ...statuses, from, to, Number(limit) + 1]
+  );
+  return { pairs: rows.slice(0, limit), truncated: rows.length > limit };
+}
+
+export async function getObservationSummaries(ids) {
+  if (!ids.length) return [];
+  const [rows] = await pool.query(
+    `SELECT po.observation_id, po.user_id, po.photo_url, po.status, po.created_at,
+            po.location_name, ${PHASH_HEX} AS phash,
+            ${LOCATION_SENSITIVE_SQL} AS location_sensitive,
+            (
+              SELECT s.scientific_name
+              FROM ai_results ar
+              LEFT JOIN species s ON s.species_id = ar.species_id
+              WHERE ${CURRENT_RESULT_SET}
+              ORDER BY ar.rank ASC
+              LIMIT 1
+            ) AS top_species_name
+     FROM plant_observations po
+     WHERE po.observation_id IN (?)`,
+    [ids]
+  );
+  return rows;
+}
+
+// Location sensitivity (see src/sensitivity.js): an observation is sensitive when its species,
+// or the species of its current top prediction, is endangered
+const LOCATION_SENSITIVE_SQL = `(
+  EXISTS (SELECT 1 FROM species sx WHERE sx.species_id = po.species_id AND sx.is_endangered = 1)
+  OR EXISTS (SELECT 1 FROM ai_results arx JOIN species sy ON sy.species_id = arx.species_id
+             WHERE arx.observation_id = po.observation_id AND arx.result_set = po.ai_result_set
+               AND arx.rank = 1 AND sy.is_endangered = 1))`;
+
+// A coordinate column as a caller without exact-location access sees it: sensitive rows
+// snap to the centre of their gridDeg x gridDeg cell (same rule as generalizeCoordinate)
+function generalizedCoordinateSql(column, gridDeg) {
+  const g = Number(gridDeg);
+  return `(CASE WHEN ${LOCATION_SENSITIVE_SQL} THEN (FLOOR(${column} / ${g}) + 0.5) * ${g} ELSE ${column} END)`;
+}
+
+// Geospatial queries over observation coordinates. `area` is either
+// { bbox: [minLon, minLat, maxLon, maxLat] } or { center: [lon, lat], radiusKm }.
+// With gridDeg, sensitive rows are placed, filtered and clustered by their generalised
+// position, so narrowing the area cannot reveal where inside the cell they are.
+const EARTH_RADIUS_KM = 6371;
+const distanceKmSql = (latCol, lonCol) => `${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+  POW(SIN(RADIANS(${latCol} - ?) / 2), 2) +
+  COS(RADIANS(?)) * COS(RADIANS(${latCol})) *
+  POW(SIN(RADIANS(${lonCol} - ?) / 2), 2)))`;
+
+function geoColumns(gridDeg) {
+  if (!gridDeg) return { lat: 'po.location_latitude', lon: 'po.location_longitude' };
+  return {
+    lat: generalizedCoordinateSql('po.location_latitude', gridDeg),
+    lon: generalizedCoordinateSql('po.location_longitude', gridDeg),
+  };
+}
+
+function geoWhere({ area, statuses, speciesId, gridDeg = null }) {
+  const where = ['po.location_latitude IS NOT NULL', 'po.location_longitude IS NOT NULL'];
+  const params = [];
+  const col = geoColumns(gridDeg);
+
+  let bbox = area.bbox;
+  if (area.center) {
+    // bounding box of the circle first, so the lat/lon index narrows the rows before the distance test
+    const [lon, lat] = area.center;
+    const dLat = area.radiusKm / 111.32;
+    const dLon = area.radiusKm / (111.32 * Math.max(0.01, Math.cos((lat * Math.PI) / 180)));
+    bbox = [lon - dLon, lat - dLat, lon + dLon, lat + dLat];
+    where.push(`${distanceKmSql(col.lat, col.lon)} <= ?`);
+    params.push(lat, lat, lon, area.radiusKm);
+  }
+  // a generalised point is less than one cell from the exact one, so pad the indexed test by a cell
+  const pad = gridDeg ? Number(gridDeg) : 0;
+  where.push('po.location_latitude BETWEEN ? AND ?', 'po.location_longitude BETWEEN ? AND ?');
+  params.push(bbox[1] - pad, bbox[3] + pad, bbox[0] - pad, bbox[2] + pad);
+  if (gridDeg) {
+    where.push(`${col.lat} BETWEEN ? AND ?`, `${col.lon} BETWEEN ? AND ?`);
+    params.push(bbox[1], bbox[3], bbox[0], bbox[2]);
+  }
+
+  where.push(`po.status IN (${statuses.map(() => '?').join(',')})`);
+  params.push(...statuses);
+
+  if (speciesId) {
+    where.push('po.species_id = ?');
+    params.push(speciesId);
+  }
+  return { sql: where.join(' AND '), params };
+}
+
+export async function listObservationsInArea({ area, statuses, speciesId = null, limit = 1000, gridDeg = null }) {
+  const where = geoWhere({ area, statuses, speciesId, gridDeg });
+  const col = geoColumns(gridDeg);
+  const [rows] = await pool.query(
+    `SELECT po.observation_id, po.species_id, s.scientific_name, s.common_name, s.is_endangered,
+            ${col.lat} AS location_latitude, ${col.lon} AS location_longitude, po.location_name,
+            ${LOCATION_SENSITIVE_SQL} AS location_sensitive,
+            po.photo_url, po.status, po.captured_at, po.created_at
+     FROM plant_observations po
+     LEFT JOIN species s ON s.species_id = po.species_id
+     WHERE ${where.sql}
+     ORDER BY po.created_at DESC
+     LIMIT ?`,
+    [...where.params, Number(limit)]
+  );
+  return rows;
+}
+
+// Observations bucketed into a cellDeg x cellDeg degree grid (one row per non-empty cell)
+export async function clusterObservationsInArea({ area, statuses, speciesId = null, cellDeg, gridDeg = null }) {
+  const where = geoWhere({ area, statuses, speciesId, gridDeg });
+  const col = geoColumns(gridDeg);
+  const [rows] = await pool.query(
+    `SELECT FLOOR(${col.lat} / ?) AS cell_y,
+            FLOOR(${col.lon} / ?) AS cell_x,
+            COUNT(*) AS count,
+            COUNT(DISTINCT po.species_id) AS species_count,
+            AVG(${col.lat}) AS latitude,
+            AVG(${col.lon}) AS longitude
+     FROM plant_observations po
+     WHERE ${where.sql}
+     GROUP BY cell_y, cell_x
+     ORDER BY count DESC`,
+    [cellDeg, cellDeg, ...where.params]
+  );
+  return rows;
+}
+
+// Stream observations joined with their species for exports, one row at a time, so large
+// exports never hold the whole result in memory. Filters: statuses, from/to (created_at), speciesId.
+export async function* streamObservationsForExport({ statuses = ['verified'], from = null, to = null, speciesId = null } = {}) {
+  const where = [`po.status IN (${statuses.map(() => '?').join(',')})`];
+  const params = [...statuses];
+  if (from) { where.push('po.created_at >= ?'); params.push(from); }
+  if (to) { where.push('po.created_at < ?'); params.push(to); }
+  if (speciesId) { where.push('po.species_id = ?'); params.push(speciesId); }
+
+  const sql = `
+    SELECT po.observation_id, po.user_id, po.species_id, po.photo_url,
+           po.location_latitude, po.location_longitude, po.location_name, po.location_source,
+           po.captured_at, po.source, po.status, po.notes, po.created_at,
+           s.scientific_name, s.common_name, s.is_endangered,
+           ${LOCATION_SENSITIVE_SQL} AS location_sensitive
+    FROM plant_observations po
+    LEFT JOIN species s ON s.species_id = po.species_id
+    WHERE ${where.join(' AND ')}
+    ORDER BY po.observation_id ASC`;
+
+  const conn = await pool.getConnection();
+  let finished = false;
+  try {
+    const rows = conn.connection.query(sql, params).stream({ highWaterMark: 200 });
+    for await (const row of rows) yield row;
+    finished = true;
+  } finally {
+    // a half-read result set leaves the connection unusable, so drop it instead of pooling it
+    if (finished) conn.release();
+    else conn.destroy();
+  }
+}
+
+// Dashboard statistics. Every query takes an optional { from, to } range on submission time.
+function statsRange({ from = null, to = null } = {}) {
+  const where = [];
+  const params = [];
+  if (from) { where.push('po.created_at >= ?'); params.push(from); }
+  if (to) { where.push('po.created_at < ?'); params.push(to); }
+  return { sql: where.length ? `AND ${where.join(' AND ')}` : '', params };
+}
+
+// Top-1 prediction of each observation
+const TOP_RESULT_JOIN = `LEFT JOIN ai_results ar ON ${CURRENT_RESULT_SET} AND ar.rank = 1`;
+
+const STATS_GROUPS = {
+  status: { key: 'po.status', label: 'po.status', join: '' },
+  species: {
+    key: 'po.species_id',
+    label: 'MAX(s.scientific_name)',
+    join: 'LEFT JOIN species s ON s.species_id = po.species_id',
+  },
+  predicted_species: {
+    key: 'ar.species_id',
+    label: 'MAX(s.scientific_name)',
+    join: `${TOP_RESULT_JOIN} LEFT JOIN species s ON s.species_id = ar.species_id`,
+  },
+  user: { key: 'po.user_id', label: 'po.user_id', join: '' },
+  day: { key: 'DATE(po.created_at)', label: "DATE_FORMAT(MIN(po.created_at), '%Y-%m-%d')", join: '' },
+  week: {
+    key: 'YEARWEEK(po.created_at, 3)',
+    label: "DATE_FORMAT(MIN(po.created_at), '%x-W%v')",
+    join: '',
+  },
+};
+export const STATS_GROUP_BY = Object.keys(STATS_GROUPS);
+
+// Observation counts per group, with a breakdown by status
+export async function statsObservationCounts({ groupBy = 'status', ...range }) {
+  const g = STATS_GROUPS[groupBy];
+  const r = statsRange(range);
+  const [rows] = await pool.query(
+    `SELECT ${g.key} AS group_key, ${g.label} AS label,
+            COUNT(*) AS total,
+            SUM(po.status = 'pending') AS pending,
+            SUM(po.status = 'verified') AS verified,
+            SUM(po.status = 'rejected') AS rejected
+     FROM plant_observations po
+     ${g.join}
+     WHERE 1 = 1 ${r.sql}
+     GROUP BY ${g.key}
+     ORDER BY ${['day', 'week'].includes(groupBy) ? 'group_key ASC' : 'total DESC'}`,
+    r.params
+  );
+  return rows;
+}
+
+// How many scans had a top confidence under the threshold (what /scan reports as auto_flagged)
+export async function statsAutoFlagged({ threshold, ...range }) {
+  const r = statsRange(range);
+  const [[row]] = await pool.query(
+    `SELECT COUNT(*) AS total,
+            COALESCE(SUM(COALESCE(ar.confidence_score, 0) < ?), 0) AS flagged
+     FROM plant_observations po
+     ${TOP_RESULT_JOIN}
+     WHERE 1 = 1 ${r.sql}`,
+    [threshold, ...r.params]
+  );
+  return row;
+}
+
+// Counts of top-1 confidence per equal-width bin over [0, 1]
+export async function statsConfidenceHistogram({ bins = 10, ...range }) {
+  const r = statsRange(range);
+  const [rows] = await pool.query(
+    `SELECT LEAST(FLOOR(COALESCE(ar.confidence_score, 0) * ?), ? - 1) AS bin, COUNT(*) AS count
+     FROM plant_observations po
+     ${TOP_RESULT_JOIN}
+     WHERE 1 = 1 ${r.sql}
+     GROUP BY bin
+     ORDER BY bin ASC`,
+    [bins, bins, ...r.params]
+  );
+  return rows;
+}
+
+// Time from submission to the first moderation action (from the audit trail)
+export async function statsReviewTime(range = {}) {
+  const r = statsRange(range);
+  const [[row]] = await pool.query(
+    `SELECT COUNT(*) AS reviewed,
+            AVG(TIMESTAMPDIFF(SECOND, t.created_at, t.reviewed_at)) AS avg_seconds,
+            MIN(TIMESTAMPDIFF(SECOND, t.created_at, t.reviewed_at)) AS min_seconds,
+            MAX(TIMESTAMPDIFF(SECOND, t.created_at, t.reviewed_at)) AS max_seconds
+     FROM (
+       SELECT po.observation_id, po.created_at, MIN(oa.created_at) AS reviewed_at
+       FROM plant_observations po
+       JOIN observation_audit oa ON oa.observation_id = po.observation_id
+       WHERE 1 = 1 ${r.sql}
+       GROUP BY po.observation_id, po.created_at
+     ) t`,
+    r.params
+  );
+  return row;
+}
+
+// Labelled evaluation data: every verified observation with a reviewer-assigned species,
+// with the model's ranked predictions (one row per ai_results entry, ranks 1..k).
+// Uses the current result set, or with a modelVersion the latest set that version produced.
+export async function listEvaluationRows({ from = null, to = null, modelVersion = null } = {}) {
+  const r = statsRange({ from, to });
+  const params = [...r.params];
+  let resultJoin = `JOIN ai_results ar ON ${CURRENT_RESULT_SET}`;
+  if (modelVersion) {
+    resultJoin = `JOIN ai_results ar ON ar.observation_id = po.observation_id AND ar.model_version = ?
+      AND ar.result_set = (
+        SELECT MAX(ar2.result_set) FROM ai_results ar2
+        WHERE ar2.observation_id = po.observation_id AND ar2.model_version = ar.model_version
+      )`;
+    params.unshift(modelVersion);
+  }
+  const [rows] = await pool.query(
+    `SELECT po.observation_id, po.species_id AS true_species_id,
+            ar.species_id AS predicted_species_id, ar.rank, ar.confidence_score
+     FROM plant_observations po
+     ${resultJoin}
+     WHERE po.status = 'verified' AND po.species_id IS NOT NULL ${r.sql}
+     ORDER BY po.observation_id ASC, ar.rank ASC`,
+    params
+  );
+  return rows;
+}
+
+// Batch re-classification jobs (see sql/migrations/0010_reclassify_jobs.up.sql and src/reclassify.js).
+// `selection` is { statuses, from, to, top_species_id }; every given filter must match.
+function reclassifySelectionWhere({ statuses = null, from = null, to = null, top_species_id = null }) {
+  const where = [];
+  const params = [];
+  if (statuses?.length) { where.push('po.status IN (?)'); params.push(statuses); }
+  if (from) { where.push('po.created_at >= ?'); params.push(new Date(from)); }
+  if (to) { where.push('po.created_at < ?'); params.push(new Date(to)); }
+  if (top_species_id) { where.push('ar.species_id = ?'); params.push(top_species_id); }
+  return { sql: where.length ? where.join(' AND ') : '1 = 1', params };
+}
+
+// Create a job and fix its list of observations in one transaction
+export async function insertReclassifyJob({ selection, created_by = null }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [job] = await conn.query(
+      'INSERT INTO reclassify_jobs (status, selection, created_by, created_at) VALUES (?, ?, ?, NOW())',
+      ['queued', JSON.stringify(selection), created_by]
+    );
+    const w = reclassifySelectionWhere(selection);
+    const [items] = await conn.query(
+      `INSERT INTO reclassify_job_items (job_id, observation_id)
+       SELECT ?, po.observation_id
+       FROM plant_observations po
+       ${TOP_RESULT_JOIN}
+       WHERE ${w.sql}`,
+      [job.insertId, ...w.params]
+    );
+    await conn.query('UPDATE reclassify_jobs SET total = ? WHERE job_id = ?', [items.affectedRows, job.insertId]);
+    await conn.commit();
+    return job.insertId;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+const RECLASSIFY_JOB_COLUMNS = `j.job_id, j.status, j.selection, j.model_version, j.total, j.error,
+  j.created_by, j.created_at, j.started_at, j.finished_at,
+  COALESCE(SUM(i.status = 'done'), 0) AS done,
+  COALESCE(SUM(i.status = 'failed'), 0) AS failed,
+  COALESCE(SUM(i.status = 'done' AND NOT (i.new_top_species_id <=> i.previous_top_species_id)), 0) AS changed`;
+
+export async function getReclassifyJob(job_id) {
+  const [rows] = await pool.query(
+    `SELECT ${RECLASSIFY_JOB_COLUMNS}
+     FROM reclassify_jobs j
+     LEFT JOIN reclassify_job_items i ON i.job_id = j.job_id
+     WHERE j.job_id = ?
+     GROUP BY j.job_id`,
+    [job_id]
+  );
+  return rows[0] || null;
+}
+
+export async function listReclassifyJobs({ limit = 20, offset = 0 } = {}) {
+  const [rows] = await pool.query(
+    `SELECT ${RECLASSIFY_JOB_COLUMNS}
+     FROM reclassify_jobs j
+     LEFT JOIN reclassify_job_items i ON i.job_id = j.job_id
+     GROUP BY j.job_id
+     ORDER BY j.job_id DESC
+     LIMIT ? OFFSET ?`,
+    [Number(limit), Number(offset)]
+  );
+  return rows;
+}
+
+// Most common top-1 changes of a job: previous species -> new species, with counts
+export async function listReclassifyChanges(job_id, limit = 20) {
+  const [rows] = await pool.query(
+    `SELECT i.previous_top_species_id, ps.scientific_name AS previous_scientific_name,
+            i.new_top_species_id, ns.scientific_name AS new_scientific_name,
+            COUNT(*) AS count
+     FROM reclassify_job_items i
+     LEFT JOIN species ps ON ps.species_id = i.previous_top_species_id
+     LEFT JOIN species ns ON ns.species_id = i.new_top_species_id
+     WHERE i.job_id = ? AND i.status = 'done' AND NOT (i.new_top_species_id <=> i.previous_top_species_id)
+     GROUP BY i.previous_top_species_id, ps.scientific_name, i.new_top_species_id, ns.scientific_name
+     ORDER BY count DESC
+     LIMIT ?`,
+    [job_id, Number(limit)]
+  );
+  return rows;
+}
+
+// Items still to do, with the photo each one needs
+export async function listPendingReclassifyItems(job_id, limit = 100) {
+  const [rows] = await pool.query(
+    `SELECT i.observation_id, po.photo_url
+     FROM reclassify_job_items i
+     JOIN plant_observations po ON po.observation_id = i.observation_id
+     WHERE i.job_id = ? AND i.status = 'pending'
+     ORDER BY i.observation_id ASC
+     LIMIT ?`,
+    [job_id, Number(limit)]
+  );
+  return rows;
+}
+
+// Move a job between states; only from one of `fromStatuses`, so a cancelled job stays cancelled
+export async function setReclassifyJobStatus(job_id, status, { fromStatuses, error = null } = {}) {
+  const stamps = {
+    running: ', started_at = COALESCE(started_at, NOW())',
+    completed: ', finished_at = NOW()',
+    cancelled: ', finished_at = NOW()',
+    failed: ', finished_at = NOW()',
+  };
+  const [res] = await pool.query(
+    `UPDATE reclassify_jobs SET status = ?, error = ?${stamps[status] || ''}
+     WHERE job_id = ? AND status IN (?)`,
+    [status, error, job_id, fromStatuses]
+  );
+  return res.affectedRows > 0;
+}
+
+export async function setReclassifyJobModelVersion(job_id, model_version) {
+  await pool.query(
+    'UPDATE reclassify_jobs SET model_version = ? WHERE job_id = ? AND model_version IS NULL',
+    [model_version, job_id]
+  );
+}
+
+export async function listReclassifyJobsByStatus(statuses) {
+  const [rows] = await pool.query(
+    'SELECT job_id FROM reclassify_jobs WHERE status IN (?) ORDER BY job_id ASC',
+    [statuses]
+  );
+  return rows.map(r => r.job_id);
+}
+
+// Store one re-classified observation: the new predictions become the next result set and the
+// current one; the previous set is kept. The job item is closed in the same transaction, so a
+// resumed job never adds a second set for the same observation.
+export async function storeReclassification({ job_id, observation_id, items, model_version }) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [[obs]] = await conn.query(
+      'SELECT ai_result_set FROM plant_observations WHERE observation_id = ? FOR UPDATE',
+      [observation_id]
+    );
+    if (!obs) {
+      await conn.query(
+        `UPDATE reclassify_job_items SET status = 'failed', error = 'observation not found'
+         WHERE job_id = ? AND observation_id = ?`,
+        [job_id, observation_id]
+      );
+      await conn.commit();
+      return null;
+    }
 
+    const [[prev]] = await conn.query(
+      `SELECT
+         (SELECT ar.species_id FROM ai_results ar WHERE ar.observation_id = ? AND ar.result_set = ? AND ar.rank = 1 LIMIT 1) AS top_species_id,
+         (SELECT COALESCE(MAX(result_set), 0) FROM ai_results WHERE observation_id = ?) AS last_set`,
+      [observation_id, obs.ai_result_set, observation_id]
+    );
+    const result_set = Math.max(Number(prev.last_set), Number(obs.ai_result_set)) + 1;
+
+    await insertAiResults(observation_id, items, { model_version, result_set, job_id, conn });
+    await conn.query(
+      'UPDATE plant_observations SET ai_result_set = ? WHERE observation_id = ?',
+      [result_set, observation_id]
+    );
+
+    const newTop = items.find(it => Number(it.rank) === 1)?.species_id ?? null;
+    await conn.query(
+      `UPDATE reclassify_job_items
+       SET status = 'done', previous_top_species_id = ?, new_top_species_id = ?, result_set = ?, error = NULL
+       WHERE job_id = ? AND observation_id = ?`,
+      [prev.top_species_id ?? null, newTop, result_set, job_id, observation_id]
+    );
     await conn.commit();
+    return { result_set, previous_top_species_id: prev.top_species_id ?? null, new_top_species_id: newTop };
   } catch (e) {
     await conn.rollback();
     throw e;
@@ -282,4 +1115,465 @@ export async function updateObservation({ observation_id, status, notes = null,
   }
 }
 
+export async function failReclassifyItem(job_id, observation_id, error) {
+  await pool.query(
+    `UPDATE reclassify_job_items SET status = 'failed', error = ?
+     WHERE job_id = ? AND observation_id = ?`,
+    [String(error).slice(0, 255), job_id, observation_id]
+  );
+}
+
+// Training dataset manifest (see sql/migrations/0011_training_dataset.up.sql and src/dataset.js).
+// A re-confirmation changes the label but keeps the split and any exclusion.
+export async function upsertTrainingSamples(samples) {
+  if (!samples.length) return;
+  await pool.query(
+    `INSERT INTO training_samples (observation_id, species_id, split, added_by, created_at)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE species_id = VALUES(species_id)`,
+    [samples.map(t => [t.observation_id, t.species_id, t.split, t.added_by ?? null, new Date()])]
+  );
+}
+
+// Verified observations with a species that are not in the manifest yet
+export async function listUnrecordedConfirmedObservations(limit = 5000) {
+  const [rows] = await pool.query(
+    `SELECT po.observation_id, po.species_id
+     FROM plant_observations po
+     LEFT JOIN training_samples ts ON ts.observation_id = po.observation_id
+     WHERE po.status = 'verified' AND po.species_id IS NOT NULL AND ts.observation_id IS NULL
+     ORDER BY po.observation_id ASC
+     LIMIT ?`,
+    [Number(limit)]
+  );
+  return rows;
+}
+
+function trainingSampleWhere({ species_id = null, split = null, excluded = null }) {
+  const where = [];
+  const params = [];
+  if (species_id) { where.push('ts.species_id = ?'); params.push(species_id); }
+  if (split) { where.push('ts.split = ?'); params.push(split); }
+  if (excluded !== null) { where.push('ts.excluded = ?'); params.push(excluded ? 1 : 0); }
+  return { sql: where.length ? `WHERE ${where.join(' AND ')}` : '', params };
+}
+
+export async function listTrainingSamples({ limit = 50, offset = 0, ...filters } = {}) {
+  const w = trainingSampleWhere(filters);
+  const [rows] = await pool.query(
+    `SELECT ts.observation_id, ts.species_id, s.scientific_name, ts.split, ts.excluded, ts.exclude_reason,
+            ts.added_by, ts.created_at, ts.updated_at, po.photo_url
+     FROM training_samples ts
+     JOIN plant_observations po ON po.observation_id = ts.observation_id
+     LEFT JOIN species s ON s.species_id = ts.species_id
+     ${w.sql}
+     ORDER BY ts.observation_id DESC
+     LIMIT ? OFFSET ?`,
+    [...w.params, Number(limit), Number(offset)]
+  );
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM training_samples ts ${w.sql}`,
+    w.params
+  );
+  return { rows, total };
+}
+
+// fields: { split, excluded, exclude_reason }; resolves to false when the sample does not exist
+export async function updateTrainingSample(observation_id, fields) {
+  const sets = [];
+  const params = [];
+  if (fields.split !== undefined) { sets.push('split = ?'); params.push(fields.split); }
+  if (fields.excluded !== undefined) {
+    sets.push('excluded = ?', 'exclude_reason = ?');
+    params.push(fields.excluded ? 1 : 0, fields.excluded ? fields.exclude_reason ?? null : null);
+  }
+  if (!sets.length) return true;
+  const [res] = await pool.query(
+    `UPDATE training_samples SET ${sets.join(', ')} WHERE observation_id = ?`,
+    [...params, observation_id]
+  );
+  return res.affectedRows > 0;
+}
+
+// Per-species sample counts by split. Excluded samples, and samples whose observation is no
+// longer verified, are counted separately and never exported.
+const TRAINING_SAMPLE_USABLE = "ts.excluded = 0 AND po.status = 'verified'";
+
+export async function trainingClassCounts() {
+  const [rows] = await pool.query(
+    `SELECT ts.species_id, s.scientific_name, s.common_name,
+            SUM(${TRAINING_SAMPLE_USABLE} AND ts.split = 'train') AS train,
+            SUM(${TRAINING_SAMPLE_USABLE} AND ts.split = 'val') AS val,
+            SUM(${TRAINING_SAMPLE_USABLE} AND ts.split = 'test') AS test,
+            SUM(NOT (${TRAINING_SAMPLE_USABLE})) AS excluded
+     FROM training_samples ts
+     JOIN plant_observations po ON po.observation_id = ts.observation_id
+     LEFT JOIN species s ON s.species_id = ts.species_id
+     GROUP BY ts.species_id, s.scientific_name, s.common_name
+     ORDER BY s.scientific_name ASC`
+  );
+  return rows;
+}
+
+// Everything an export copies: included samples with their label and photo
+export async function listTrainingSamplesForExport() {
+  const [rows] = await pool.query(
+    `SELECT ts.observation_id, ts.split, ts.species_id, s.scientific_name, po.photo_url
+     FROM training_samples ts
+     JOIN plant_observations po ON po.observation_id = ts.observation_id
+     JOIN species s ON s.species_id = ts.species_id
+     WHERE ${TRAINING_SAMPLE_USABLE} AND s.deleted_at IS NULL
+     ORDER BY ts.observation_id ASC`
+  );
+  return rows;
+}
+
+export async function insertDatasetExport(created_by = null) {
+  const [res] = await pool.query(
+    "INSERT INTO dataset_exports (status, created_by, created_at) VALUES ('building', ?, NOW())",
+    [created_by]
+  );
+  return res.insertId;
+}
+
+export async function finishDatasetExport(version, { status, path = null, class_count = null, sample_count = null, counts = null, error = null }) {
+  await pool.query(
+    `UPDATE dataset_exports
+     SET status = ?, path = ?, class_count = ?, sample_count = ?, counts = ?, error = ?, finished_at = NOW()
+     WHERE version = ?`,
+    [status, path, class_count, sample_count, counts ? JSON.stringify(counts) : null, error, version]
+  );
+}
+
+export async function listDatasetExports({ limit = 20, offset = 0 } = {}) {
+  const [rows] = await pool.query(
+    `SELECT version, status, path, class_count, sample_count, error, created_by, created_at, finished_at
+     FROM dataset_exports ORDER BY version DESC LIMIT ? OFFSET ?`,
+    [Number(limit), Number(offset)]
+  );
+  return rows;
+}
+
+export async function getDatasetExport(version) {
+  const [rows] = await pool.query('SELECT * FROM dataset_exports WHERE version = ?', [version]);
+  return rows[0] || null;
+}
+
+// Asynchronous scan jobs (see sql/migrations/0012_scan_jobs.up.sql and src/scans.js)
+export async function insertScanJob({ job_id, observation_id, user_id = null }) {
+  await pool.query(
+    'INSERT INTO scan_jobs (job_id, observation_id, user_id) VALUES (?, ?, ?)',
+    [job_id, observation_id, user_id]
+  );
+}
+
+export async function getScanJob(job_id) {
+  const [rows] = await pool.query(
+    `SELECT j.job_id, j.observation_id, j.user_id, j.status, j.error, j.created_at, j.started_at, j.finished_at,
+            po.photo_url
+     FROM scan_jobs j
+     LEFT JOIN plant_observations po ON po.observation_id = j.observation_id
+     WHERE j.job_id = ?`,
+    [job_id]
+  );
+  return rows[0] || null;
+}
+
+export async function listScanJobsByStatus(statuses) {
+  const [rows] = await pool.query(
+    'SELECT job_id FROM scan_jobs WHERE status IN (?) ORDER BY created_at ASC',
+    [statuses]
+  );
+  return rows.map(r => r.job_id);
+}
+
+// Move a job between states; only from one of `fromStatuses`
+export async function setScanJobStatus(job_id, status, { fromStatuses, error = null } = {}) {
+  const stamps = {
+    running: ', started_at = COALESCE(started_at, NOW())',
+    completed: ', finished_at = NOW()',
+    failed: ', finished_at = NOW()',
+  };
+  const [res] = await pool.query(
+    `UPDATE scan_jobs SET status = ?, error = ?${stamps[status] || ''}
+     WHERE job_id = ? AND status IN (?)`,
+    [status, error, job_id, fromStatuses]
+  );
+  return res.affectedRows > 0;
+}
+
+// Store the predictions and close the job in one transaction, so a job resumed after a
+// restart never adds a second set of results
+export async function completeScanJob(job_id, observation_id, items, { model_version = null } = {}) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [res] = await conn.query(
+      `UPDATE scan_jobs SET status = 'completed', error = NULL, finished_at = NOW()
+       WHERE job_id = ? AND status = 'running'`,
+      [job_id]
+    );
+    if (res.affectedRows > 0) await insertAiResults(observation_id, items, { model_version, conn });
+    await conn.commit();
+    return res.affectedRows > 0;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// Exact-location access log (see sql/migrations/0013_location_access_log.up.sql and src/sensitivity.js)
+export async function insertLocationAccessLog({ user_id = null, context, ip = null }, observation_ids) {
+  for (let i = 0; i < observation_ids.length; i += 500) {
+    const values = observation_ids.slice(i, i + 500).map(id => [user_id, id, context, ip]);
+    await pool.query(
+      'INSERT INTO location_access_log (user_id, observation_id, context, ip) VALUES ?',
+      [values]
+    );
+  }
+}
+
+export async function listLocationAccessLog({ observation_id = null, user_id = null, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const params = [];
+  if (observation_id) { where.push('l.observation_id = ?'); params.push(observation_id); }
+  if (user_id) { where.push('l.user_id = ?'); params.push(user_id); }
+  const [rows] = await pool.query(
+    `SELECT l.access_id, l.user_id, u.username, l.observation_id, l.context, l.ip, l.accessed_at
+     FROM location_access_log l
+     LEFT JOIN users u ON u.user_id = l.user_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY l.access_id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, Number(limit), Number(offset)]
+  );
+  return rows;
+}
+
+// Species catalogue (soft-deleted rows are hidden from the catalogue but kept for history)
+function speciesSearchClause(q) {
+  const term = String(q || '').trim();
+  if (!term) return { sql: '', params: [] };
+
+  // FULLTEXT matches whole words; the LIKE keeps short prefixes such as "aca" working
+  const words = term.split(/\s+/).map(w => w.replace(/[+\-<>()~*"@]/g, '')).filter(Boolean);
+  const boolean = words.map(w => `+${w}*`).join(' ');
+  return {
+    sql: `AND (MATCH(s.scientific_name, s.common_name) AGAINST (? IN BOOLEAN MODE)
+              OR s.scientific_name LIKE ? OR s.common_name LIKE ?)`,
+    params: [boolean || term, `${term}%`, `${term}%`],
+  };
+}
+
+export async function listSpecies({ q = '', limit = 20, offset = 0 } = {}) {
+  const search = speciesSearchClause(q);
+  const where = `WHERE s.deleted_at IS NULL ${search.sql}`;
+
+  const [rows] = await pool.query(
+    `SELECT s.species_id, s.scientific_name, s.common_name, s.is_endangered, s.image_url, s.created_at
+     FROM species s
+     ${where}
+     ORDER BY s.scientific_name ASC
+     LIMIT ? OFFSET ?`,
+    [...search.params, Number(limit), Number(offset)]
+  );
+  const [[{ total }]] = await pool.query(
+    `SELECT COUNT(*) AS total FROM species s ${where}`,
+    search.params
+  );
+  return { rows, total };
+}
+
+export async function getSpeciesById(species_id) {
+  const [rows] = await pool.query(
+    `SELECT s.species_id, s.scientific_name, s.common_name, s.is_endangered, s.description,
+            s.image_url, s.created_at,
+            (SELECT COUNT(*) FROM plant_observations po
+             WHERE po.species_id = s.species_id AND po.status = 'verified') AS verified_observation_count
+     FROM species s
+     WHERE s.species_id = ? AND s.deleted_at IS NULL`,
+    [species_id]
+  );
+  return rows[0] || null;
+}
+
+export async function updateSpecies(species_id, fields) {
+  const allowed = ['scientific_name', 'common_name', 'is_endangered', 'description', 'image_url'];
+  const sets = [];
+  const params = [];
+  for (const key of allowed) {
+    if (fields[key] === undefined) continue;
+    sets.push(`${key} = ?`);
+    params.push(key === 'is_endangered' ? (fields[key] ? 1 : 0) : fields[key]);
+  }
+  if (!sets.length) return false;
+
+  params.push(species_id);
+  const [res] = await pool.query(
+    `UPDATE species SET ${sets.join(', ')} WHERE species_id = ? AND deleted_at IS NULL`,
+    params
+  );
+  return res.affectedRows > 0;
+}
+
+export async function softDeleteSpecies(species_id) {
+  const [res] = await pool.query(
+    'UPDATE species SET deleted_at = NOW() WHERE species_id = ? AND deleted_at IS NULL',
+    [species_id]
+  );
+  return res.affectedRows > 0;
+}
+
+// Synonyms / aliases: alternative names that resolve to one species (see sql/migrations/0004_species_synonyms.up.sql)
+export async function listSpeciesSynonyms(species_id) {
+  const [rows] = await pool.query(
+    'SELECT synonym_id, species_id, name, created_at FROM species_synonyms WHERE species_id = ? ORDER BY name ASC',
+    [species_id]
+  );
+  return rows;
+}
+
+export async function insertSpeciesSynonym(species_id, name) {
+  const [res] = await pool.query(
+    'INSERT INTO species_synonyms (species_id, name, created_at) VALUES (?, ?, NOW())',
+    [species_id, canonicalSpeciesName(name)]
+  );
+  return res.insertId;
+}
+
+export async function deleteSpeciesSynonym(species_id, synonym_id) {
+  const [res] = await pool.query(
+    'DELETE FROM species_synonyms WHERE synonym_id = ? AND species_id = ?',
+    [synonym_id, species_id]
+  );
+  return res.affectedRows > 0;
+}
+
+// Merge a duplicate species into the surviving row in one transaction: observations,
+// AI results and synonyms are re-pointed, the duplicate's names become synonyms of the
+// survivor, and the duplicate is soft-deleted with a pointer to where it went.
+export async function mergeSpecies(from_species_id, into_species_id) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    const [rows] = await conn.query(
+      `SELECT species_id, scientific_name, common_name FROM species
+       WHERE species_id IN (?, ?) AND deleted_at IS NULL
+       FOR UPDATE`,
+      [from_species_id, into_species_id]
+    );
+    const from = rows.find(r => r.species_id === from_species_id);
+    const into = rows.find(r => r.species_id === into_species_id);
+    if (!from || !into) {
+      await conn.rollback();
+      return null;
+    }
+
+    const [obs] = await conn.query(
+      'UPDATE plant_observations SET species_id = ? WHERE species_id = ?',
+      [into_species_id, from_species_id]
+    );
+    const [ai] = await conn.query(
+      'UPDATE ai_results SET species_id = ? WHERE species_id = ?',
+      [into_species_id, from_species_id]
+    );
+    await conn.query(
+      'UPDATE species_synonyms SET species_id = ? WHERE species_id = ?',
+      [into_species_id, from_species_id]
+    );
+    await conn.query(
+      'UPDATE training_samples SET species_id = ? WHERE species_id = ?',
+      [into_species_id, from_species_id]
+    );
+
+    // Keep the duplicate's name resolvable unless it is just a spelling of the survivor's name
+    const alias = canonicalSpeciesName(from.scientific_name);
+    if (alias && alias !== canonicalSpeciesName(into.scientific_name)) {
+      await conn.query(
+        'INSERT IGNORE INTO species_synonyms (species_id, name, created_at) VALUES (?, ?, NOW())',
+        [into_species_id, alias]
+      );
+    }
+
+    // Fill gaps on the survivor from the duplicate rather than dropping data
+    await conn.query(
+      'UPDATE species SET common_name = COALESCE(common_name, ?) WHERE species_id = ?',
+      [from.common_name, into_species_id]
+    );
+    await conn.query(
+      'UPDATE species SET deleted_at = NOW(), merged_into_species_id = ? WHERE species_id = ?',
+      [into_species_id, from_species_id]
+    );
+
+    await conn.commit();
+    return {
+      from_species_id,
+      into_species_id,
+      observations_moved: obs.affectedRows,
+      ai_results_moved: ai.affectedRows,
+    };
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// Users and auth tokens (see sql/migrations/0002_auth.up.sql)
+export async function insertUser({ username, password_hash, role = 'user' }) {
+  const [res] = await pool.query(
+    'INSERT INTO users (username, password_hash, role, created_at) VALUES (?, ?, ?, NOW())',
+    [username, password_hash, role]
+  );
+  return res.insertId;
+}
+
+export async function findUserByUsername(username) {
+  const [rows] = await pool.query(
+    'SELECT user_id, username, password_hash, role, created_at FROM users WHERE username = ? LIMIT 1',
+    [username]
+  );
+  return rows[0] || null;
+}
+
+export async function updateUserRole(user_id, role) {
+  const [res] = await pool.query('UPDATE users SET role = ? WHERE user_id = ?', [role, user_id]);
+  return res.affectedRows > 0;
+}
+
+export async function listUsers() {
+  const [rows] = await pool.query(
+    'SELECT user_id, username, role, created_at FROM users ORDER BY user_id ASC'
+  );
+  return rows;
+}
+
+// Only the SHA-256 of a token is stored, so a leaked table cannot be replayed
+export async function insertAuthToken({ token_hash, user_id, expires_at }) {
+  await pool.query(
+    'INSERT INTO auth_tokens (token_hash, user_id, expires_at, created_at) VALUES (?, ?, ?, NOW())',
+    [token_hash, user_id, expires_at]
+  );
+}
+
+export async function findUserByTokenHash(token_hash) {
+  const [rows] = await pool.query(
+    `SELECT u.user_id, u.username, u.role
+     FROM auth_tokens t
+     JOIN users u ON u.user_id = t.user_id
+     WHERE t.token_hash = ? AND t.expires_at > NOW()
+     LIMIT 1`,
+    [token_hash]
+  );
+  return rows[0] || null;
+}
+
+export async function deleteAuthToken(token_hash) {
+  await pool.query('DELETE FROM auth_tokens WHERE token_hash = ?', [token_hash]);
+}
+
 export default pool; // Export the pool instance (used in server.js for general queries)
@@ -0,0 +1,65 @@
+import path from 'path';
+import sharp from 'sharp';
+
+import { storage, keyFromUrl, urlForKey } from './storage.js';
+
+// Smaller copies of observation and species photos for grids and detail views.
+// They live next to the original in a "_derived" folder, so the key of each one can be
+// worked out from the original's key without a DB lookup:
+//   uploads/abc.jpg -> uploads/_derived/abc.thumb.webp, uploads/_derived/abc.medium.webp
+// Photos stored before derivatives existed have none until `npm run backfill-derivatives` has
+// run (or when generation failed); storedDerivativeUrls links the original for those.
+export const DERIVED_DIR = '_derived';
+export const DERIVATIVE_SIZES = { thumb: 256, medium: 1024 }; // Longest edge in pixels
+const FORMAT = process.env.DERIVATIVE_FORMAT === 'jpeg' ? 'jpeg' : 'webp';
+const EXT = FORMAT === 'jpeg' ? '.jpg' : '.webp';
+
+function derivedName(file, size) {
+  return `${path.parse(file).name}.${size}${EXT}`;
+}
+
+// Storage keys of the derivatives of an original's key
+export function derivativeKeys(key) {
+  const dir = `${path.posix.dirname(key)}/${DERIVED_DIR}`;
+  return Object.fromEntries(
+    Object.keys(DERIVATIVE_SIZES).map(size => [size, `${dir}/${derivedName(key, size)}`])
+  );
+}
+
+// Public URLs of the derivatives of one photo ("/uploads/x.jpg" or absolute), checked against
+// storage: a size that is missing (generation failed, or the photo was never backfilled) falls
+// back to the original's URL. List endpoints pass only the sizes they show, to check less.
+export async function storedDerivativeUrls(publicUrl, sizes = Object.keys(DERIVATIVE_SIZES)) {
+  if (!publicUrl) return Object.fromEntries(sizes.map(size => [size, null]));
+  let keys;
+  try {
+    keys = derivativeKeys(keyFromUrl(publicUrl));
+  } catch (e) {
+    // not in our storage, so nothing was derived
+    return Object.fromEntries(sizes.map(size => [size, publicUrl]));
+  }
+  const store = storage();
+  const present = await Promise.all(sizes.map(size => store.exists(keys[size]).catch(() => false)));
+  return Object.fromEntries(sizes.map((size, i) => [size, present[i] ? urlForKey(keys[size]) : publicUrl]));
+}
+
+// Write every derivative of one original; existing ones are kept unless force is set.
+// `source` is the original's bytes when the caller already has them (saves a read from storage).
+export async function generateDerivatives(key, { force = false, source = null } = {}) {
+  const store = storage();
+  const written = [];
+  for (const [size, target] of Object.entries(derivativeKeys(key))) {
+    if (!force && await store.exists(target)) continue;
+
+    source ??= await store.get(key);
+    const edge = DERIVATIVE_SIZES[size];
+    const img = sharp(source)
+      .rotate()
+      .resize(edge, edge, { fit: 'inside', withoutEnlargement: true });
+    const data = await (FORMAT === 'jpeg' ? img.jpeg({ quality: 80, mozjpeg: true }) : img.webp({ quality: 75 }))
+      .toBuffer();
+    await store.put(target, data, { contentType: `image/${FORMAT}` });
+    written.push(target);
+  }
+  return written;
+}
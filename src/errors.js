@@ -0,0 +1,51 @@
+// Uniform error envelope: every error response is { error, code, details? }. `error` is the
+// human-readable message clients already show; `code` is the machine-readable reason (see
+// components.schemas.Error in src/openapi.js). Routes that know a more specific reason send it
+// as `code` themselves; otherwise the status code picks the default below.
+export const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE',
+  500: 'INTERNAL_ERROR',
+  501: 'NOT_IMPLEMENTED',
+  502: 'BAD_GATEWAY',
+  503: 'UNAVAILABLE',
+  504: 'TIMEOUT',
+};
+
+export function errorCodeFor(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+export function sendError(res, status, code, message, details = undefined) {
+  const body = { error: message, code: code || errorCodeFor(status) };
+  if (details !== undefined) body.details = details;
+  return res.status(status).json(body);
+}
+
+// Adds `code` to the { error: '...' } bodies the route handlers send
+export function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body.error === 'string' && !body.code) {
+      body = { ...body, code: errorCodeFor(res.statusCode) };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Last middleware: errors passed to next() (body parsing, streams) as the envelope, not HTML
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  if (err.type === 'entity.parse.failed') return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+  if (err.type === 'entity.too.large') return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+  if (err.status >= 400 && err.status < 500) return sendError(res, err.status, err.code, err.message);
+  console.error(`[error] ${req.method} ${req.originalUrl}`, err);
+  sendError(res, 500, 'INTERNAL_ERROR', 'Server error');
+}
@@ -0,0 +1,147 @@
+import express from 'express';
+
+import { listEvaluationRows, findSpeciesIdByName, getSpeciesById } from './db.js';
+import { loadClassMap, unsureThreshold } from './inference.js';
+import { parseDateParam } from './exporter.js';
+
+// Model accuracy measured against reviewer decisions: each verified observation's assigned
+// species is the ground truth for the model's ranked ai_results.
+const OTHER = 'other'; // confusion-matrix bucket for species outside class_mapping.json
+
+// class_mapping.json labels with the species row each one resolves to
+async function resolveClasses() {
+  const classes = [];
+  for (const c of loadClassMap()) {
+    const species_id = await findSpeciesIdByName(c.name);
+    const species = species_id ? await getSpeciesById(species_id) : null;
+    classes.push({ index: c.index, label: c.name, species_id, scientific_name: species?.scientific_name ?? null });
+  }
+  return classes;
+}
+
+const ratio = (a, b) => (b ? a / b : null);
+
+// Lowest confidence cut-off whose accepted predictions reach the target precision
+// (the lowest such cut-off accepts the most scans). `samples` are { confidence, correct }.
+function recommendThreshold(samples, targetPrecision) {
+  const sorted = [...samples].sort((a, b) => b.confidence - a.confidence);
+  let correct = 0;
+  let best = null;
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].correct) correct += 1;
+    // only cut between distinct confidences, since a threshold accepts every tie
+    if (i + 1 < sorted.length && sorted[i + 1].confidence === sorted[i].confidence) continue;
+    const precision = correct / (i + 1);
+    if (precision >= targetPrecision) {
+      best = { threshold: sorted[i].confidence, precision, coverage: (i + 1) / sorted.length };
+    }
+  }
+  return best;
+}
+
+function precisionAt(samples, threshold) {
+  const accepted = samples.filter(s => s.confidence >= threshold);
+  return {
+    threshold,
+    precision: ratio(accepted.filter(s => s.correct).length, accepted.length),
+    coverage: ratio(accepted.length, samples.length),
+  };
+}
+
+export function evaluatePredictions(rows, classes, { targetPrecision, currentThreshold }) {
+  // group the ranked rows per observation
+  const byObs = new Map();
+  for (const r of rows) {
+    if (!byObs.has(r.observation_id)) byObs.set(r.observation_id, { truth: r.true_species_id, ranked: [] });
+    byObs.get(r.observation_id).ranked.push(r);
+  }
+
+  const labelOf = new Map(classes.filter(c => c.species_id).map(c => [c.species_id, c.label]));
+  const labels = [...classes.map(c => c.label), OTHER];
+  const idx = new Map(labels.map((l, i) => [l, i]));
+  const matrix = labels.map(() => labels.map(() => 0));
+
+  let top1 = 0;
+  let top5 = 0;
+  const samples = [];
+
+  for (const { truth, ranked } of byObs.values()) {
+    ranked.sort((a, b) => a.rank - b.rank);
+    const first = ranked[0];
+    const correct = first.predicted_species_id === truth;
+    if (correct) top1 += 1;
+    if (ranked.slice(0, 5).some(r => r.predicted_species_id === truth)) top5 += 1;
+    samples.push({ confidence: Number(first.confidence_score) || 0, correct });
+
+    const t = idx.get(labelOf.get(truth) ?? OTHER);
+    const p = idx.get(labelOf.get(first.predicted_species_id) ?? OTHER);
+    matrix[t][p] += 1;
+  }
+
+  const total = byObs.size;
+  const perClass = labels.map((label, i) => {
+    const tp = matrix[i][i];
+    const support = matrix[i].reduce((a, b) => a + b, 0);
+    const predicted = matrix.reduce((a, row) => a + row[i], 0);
+    const cls = classes.find(c => c.label === label);
+    return {
+      label,
+      species_id: cls?.species_id ?? null,
+      scientific_name: cls?.scientific_name ?? null,
+      support,
+      predicted,
+      true_positives: tp,
+      precision: ratio(tp, predicted),
+      recall: ratio(tp, support),
+    };
+  });
+
+  return {
+    evaluated: total,
+    top1_accuracy: ratio(top1, total),
+    top5_accuracy: ratio(top5, total),
+    classes: perClass,
+    confusion_matrix: { labels, rows: 'true', columns: 'predicted', matrix },
+    threshold: {
+      target_precision: targetPrecision,
+      recommended: recommendThreshold(samples, targetPrecision),
+      current: precisionAt(samples, currentThreshold),
+    },
+  };
+}
+
+export const evaluationRouter = express.Router();
+
+// /evaluation?from=2025-01-01&to=2025-06-30&model_version=mobilenet_v2@ab12cd34&target_precision=0.9
+evaluationRouter.get('/evaluation', async (req, res) => {
+  try {
+    let from;
+    let to;
+    try {
+      from = parseDateParam(req.query.from, 'from');
+      to = parseDateParam(req.query.to, 'to', true);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const targetPrecision = Number(req.query.target_precision ?? 0.9);
+    if (!Number.isFinite(targetPrecision) || targetPrecision <= 0 || targetPrecision > 1) {
+      return res.status(400).json({ error: 'target_precision must be in (0, 1]' });
+    }
+    const modelVersion = req.query.model_version ? String(req.query.model_version) : null;
+
+    const [rows, classes] = await Promise.all([
+      listEvaluationRows({ from, to, modelVersion }),
+      resolveClasses(),
+    ]);
+
+    res.json({
+      from,
+      to,
+      model_version: modelVersion,
+      ...evaluatePredictions(rows, classes, { targetPrecision, currentThreshold: unsureThreshold() }),
+    });
+  } catch (e) {
+    console.error('[evaluation] error', e);
+    res.status(500).json({ error: 'Failed to evaluate model' });
+  }
+});
@@ -0,0 +1,131 @@
+import express from 'express';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+import { getObservationWithResults } from './db.js';
+import { unsureThreshold } from './inference.js';
+import { storedDerivativeUrls } from './derivatives.js';
+import { openEventStream } from './sse.js';
+
+// Live feed for the review queue (GET /admin/events, server-sent events). Event types:
+//   observation.created         a scan stored a new pending observation
+//   observation.flagged         ... whose top confidence is under the unsure threshold
+//   observation.endangered      ... whose top prediction is an is_endangered species
+//   observation.status_changed  a reviewer verified, rejected, confirmed or edited observations
+// Recent events are kept in memory so a client reconnecting with Last-Event-ID gets what it missed.
+export const ADMIN_EVENT_TYPES = [
+  'observation.created',
+  'observation.flagged',
+  'observation.endangered',
+  'observation.status_changed',
+];
+const REPLAY_SIZE = 500;
+
+// Event ids are "<boot>.<n>", so an id from before a restart is recognised as stale
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+let lastSeq = 0;
+const recent = [];
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per connected reviewer
+
+export function publishAdminEvent(type, data) {
+  const event = { id: `${BOOT_ID}.${++lastSeq}`, seq: lastSeq, type, at: new Date().toISOString(), data };
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) recent.shift();
+  bus.emit('event', event);
+  return event;
+}
+
+// Called once a scan's predictions are stored (sync /scan, or when an async scan job finishes)
+export async function announceScan(observation_id) {
+  try {
+    const detail = await getObservationWithResults(observation_id);
+    if (!detail || detail.observation.status !== 'pending') return;
+    const obs = detail.observation;
+    const top = detail.results[0] || null;
+    const confidence = Number(top?.confidence_score) || 0;
+    const threshold = unsureThreshold();
+
+    const summary = {
+      observation_id,
+      status: obs.status,
+      user_id: obs.user_id,
+      photo_url: obs.photo_url,
+      thumbnail_path: (await storedDerivativeUrls(obs.photo_url)).thumb,
+      created_at: obs.created_at,
+      top_prediction: top
+        ? {
+            species_id: top.species_id,
+            scientific_name: top.scientific_name,
+            common_name: top.common_name,
+            confidence,
+            is_endangered: Boolean(top.is_endangered),
+          }
+        : null,
+      model_version: top?.model_version || null,
+      threshold,
+      auto_flagged: confidence < threshold,
+    };
+    publishAdminEvent('observation.created', summary);
+    if (summary.auto_flagged) publishAdminEvent('observation.flagged', summary);
+    if (summary.top_prediction?.is_endangered) publishAdminEvent('observation.endangered', summary);
+  } catch (e) {
+    console.error(`[events] could not announce observation ${observation_id}`, e);
+  }
+}
+
+// `by` is req.user, so a reviewer's client can tell its own changes from someone else's
+export function announceStatusChange({ observation_ids, status, action, species_id = null, by }) {
+  if (!observation_ids.length) return;
+  publishAdminEvent('observation.status_changed', {
+    observation_ids,
+    status,
+    action,
+    species_id,
+    by: by ? { user_id: by.user_id, username: by.username } : null,
+  });
+}
+
+// Events after Last-Event-ID, or null when that id is unknown (older than the buffer or
+// from before a restart) and the client should reload the queue instead
+export function missedEvents(lastEventId) {
+  const [boot, seqText] = String(lastEventId).split('.');
+  const seq = Number(seqText);
+  if (boot !== BOOT_ID || !Number.isInteger(seq) || seq > lastSeq) return null;
+  if (seq < lastSeq && (!recent.length || recent[0].seq > seq + 1)) return null;
+  return recent.filter(e => e.seq > seq);
+}
+
+export const eventsRouter = express.Router();
+
+// ?types=observation.flagged,observation.endangered limits the stream to those types
+eventsRouter.get('/events', (req, res) => {
+  try {
+    let types = ADMIN_EVENT_TYPES;
+    if (req.query.types) {
+      types = String(req.query.types).split(',').map(t => t.trim()).filter(Boolean);
+      const unknown = types.filter(t => !ADMIN_EVENT_TYPES.includes(t));
+      if (!types.length || unknown.length) {
+        return res.status(400).json({ error: `types must be one or more of ${ADMIN_EVENT_TYPES.join(', ')}` });
+      }
+    }
+
+    const send = event => {
+      if (types.includes(event.type)) stream.send(event.type, { type: event.type, at: event.at, ...event.data }, event.id);
+    };
+    const stream = openEventStream(req, res, { onClose: () => bus.off('event', send) });
+
+    stream.send('ready', { user_id: req.user.user_id, types });
+    const lastEventId = req.get('last-event-id') || req.query.last_event_id;
+    if (lastEventId) {
+      const missed = missedEvents(lastEventId);
+      if (missed) missed.forEach(send);
+      else stream.send('resync', { reason: 'Missed events are no longer available; reload the review queue' });
+    }
+    bus.on('event', send);
+  } catch (e) {
+    console.error('[events] stream error', e);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to open event stream' });
+    else res.end();
+  }
+});
@@ -0,0 +1,301 @@
+import express from 'express';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { ZipArchive } from 'archiver';
+
+import { streamObservationsForExport } from './db.js';
+import { LOCATION_GRID_DEG, canSeeExactLocation, protectLocation, accessContext, logExactLocationAccess } from './sensitivity.js';
+
+// Streamed exports of observations: plain CSV / JSON, and a Darwin Core Archive
+// (occurrence.txt + meta.xml + eml.xml in a zip) that GBIF-style portals can ingest.
+const DATASET_TITLE = process.env.DWC_DATASET_TITLE || 'SmartPlant Sarawak plant observations';
+const PUBLISHER = process.env.DWC_PUBLISHER || 'SmartPlant';
+const LICENSE = process.env.DWC_LICENSE || 'http://creativecommons.org/licenses/by/4.0/legalcode';
+const COUNTRY_CODE = process.env.DWC_COUNTRY_CODE || 'MY';
+const STATUSES = ['pending', 'verified', 'rejected'];
+
+function exportError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function parseDateParam(raw, name, endOfDay = false) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const d = new Date(String(raw));
+  if (Number.isNaN(d.getTime())) throw exportError(`${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+  // a bare date as the upper bound includes that whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(raw))) d.setUTCDate(d.getUTCDate() + 1);
+  return d;
+}
+
+// Shared by the HTTP routes and the CLI: { from, to, species_id, status } -> DB filters
+export function parseExportFilters(query = {}, { defaultStatuses = ['verified'] } = {}) {
+  const statuses = query.status
+    ? String(query.status).split(',').map(s => s.trim()).filter(Boolean)
+    : defaultStatuses;
+  if (!statuses.length || statuses.some(s => !STATUSES.includes(s))) {
+    throw exportError(`status must be one or more of ${STATUSES.join(', ')}`);
+  }
+
+  let speciesId = null;
+  if (query.species_id !== undefined && query.species_id !== null && query.species_id !== '') {
+    speciesId = Number(query.species_id);
+    if (!Number.isFinite(speciesId) || speciesId <= 0) throw exportError('Invalid species_id');
+  }
+
+  return {
+    statuses,
+    speciesId,
+    from: parseDateParam(query.from, 'from'),
+    to: parseDateParam(query.to, 'to', true),
+  };
+}
+
+const iso = d => (d instanceof Date && !Number.isNaN(d.getTime()) ? d.toISOString() : '');
+const absUrl = (u, baseUrl) => (u?.startsWith('/') && baseUrl ? baseUrl.replace(/\/$/, '') + u : u || '');
+
+// Flat record used by the CSV and JSON exports
+function plainRecord(r, baseUrl) {
+  return {
+    observation_id: r.observation_id,
+    status: r.status,
+    species_id: r.species_id,
+    scientific_name: r.scientific_name,
+    common_name: r.common_name,
+    latitude: r.location_latitude,
+    longitude: r.location_longitude,
+    location_name: r.location_name,
+    location_source: r.location_source,
+    location_generalized: r.location_generalized,
+    observed_at: iso(r.captured_at || r.created_at),
+    submitted_at: iso(r.created_at),
+    user: r.user_id ? `user_${r.user_id}` : '',
+    source: r.source,
+    photo_url: absUrl(r.photo_url, baseUrl),
+  };
+}
+
+const PLAIN_COLUMNS = Object.keys(plainRecord({}, ''));
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+async function* csvLines(rows, baseUrl) {
+  yield PLAIN_COLUMNS.join(',') + '\r\n';
+  for await (const r of rows) {
+    const rec = plainRecord(r, baseUrl);
+    yield PLAIN_COLUMNS.map(c => csvCell(rec[c])).join(',') + '\r\n';
+  }
+}
+
+async function* jsonChunks(rows, baseUrl) {
+  yield '[';
+  let first = true;
+  for await (const r of rows) {
+    yield (first ? '\n' : ',\n') + JSON.stringify(plainRecord(r, baseUrl));
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+// Darwin Core terms written to occurrence.txt, in column order (the first is the core id)
+const DWC_TERMS = [
+  ['occurrenceID', (r, ctx) => `${ctx.idPrefix}${r.observation_id}`],
+  ['basisOfRecord', () => 'HumanObservation'],
+  ['occurrenceStatus', () => 'present'],
+  ['eventDate', r => iso(r.captured_at || r.created_at)],
+  ['scientificName', r => r.scientific_name],
+  ['vernacularName', r => r.common_name],
+  ['kingdom', () => 'Plantae'],
+  ['taxonRank', r => (String(r.scientific_name || '').trim().includes(' ') ? 'species' : 'genus')],
+  ['decimalLatitude', r => r.location_latitude],
+  ['decimalLongitude', r => r.location_longitude],
+  ['geodeticDatum', r => (r.location_latitude != null ? 'WGS84' : '')],
+  ['locality', r => r.location_name],
+  // half the diagonal of a grid cell, for records on the sensitive-location grid
+  ['coordinateUncertaintyInMeters', r => (r.location_generalized ? Math.round(LOCATION_GRID_DEG * 111320 * Math.SQRT1_2) : '')],
+  ['dataGeneralizations', r => (r.location_generalized ? `Coordinates generalised to the centre of a ${LOCATION_GRID_DEG} degree grid cell` : '')],
+  ['informationWithheld', r => (r.location_generalized ? 'Exact location and locality withheld (endangered species)' : '')],
+  ['countryCode', () => COUNTRY_CODE],
+  ['recordedBy', r => (r.user_id ? `user_${r.user_id}` : '')],
+  ['identificationVerificationStatus', r => r.status],
+  ['associatedMedia', (r, ctx) => absUrl(r.photo_url, ctx.baseUrl)],
+  ['license', () => LICENSE],
+  ['modified', r => iso(r.created_at)],
+];
+
+// Tabs and newlines would break the tab-delimited file, so they become spaces
+const tsvCell = v => (v === null || v === undefined ? '' : String(v).replace(/[\t\r\n]+/g, ' '));
+
+async function* occurrenceLines(rows, ctx) {
+  yield DWC_TERMS.map(([term]) => term).join('\t') + '\n';
+  for await (const r of rows) {
+    yield DWC_TERMS.map(([, value]) => tsvCell(value(r, ctx))).join('\t') + '\n';
+  }
+}
+
+const xmlEscape = s => String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+function metaXml() {
+  const fields = DWC_TERMS.map(([term], i) => {
+    const ns = term === 'license' || term === 'modified' ? 'http://purl.org/dc/terms/' : 'http://rs.tdwg.org/dwc/terms/';
+    return `    <field index="${i}" term="${ns}${term}"/>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<archive xmlns="http://rs.tdwg.org/dwc/text/" metadata="eml.xml">
+  <core encoding="UTF-8" fieldsTerminatedBy="\\t" linesTerminatedBy="\\n" fieldsEnclosedBy="" ignoreHeaderLines="1" rowType="http://rs.tdwg.org/dwc/terms/Occurrence">
+    <files>
+      <location>occurrence.txt</location>
+    </files>
+    <id index="0"/>
+${fields.join('\n')}
+  </core>
+</archive>
+`;
+}
+
+function emlXml({ filters, generatedAt }) {
+  const range = [filters.from && `from ${iso(filters.from)}`, filters.to && `until ${iso(filters.to)}`]
+    .filter(Boolean).join(' ');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<eml:eml xmlns:eml="eml://ecoinformatics.org/eml-2.1.1"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="eml://ecoinformatics.org/eml-2.1.1 http://rs.gbif.org/schema/eml-gbif-profile/1.1/eml.xsd"
+         packageId="smartplant-${generatedAt.getTime()}" system="http://gbif.org" scope="system" xml:lang="en">
+  <dataset>
+    <title xml:lang="en">${xmlEscape(DATASET_TITLE)}</title>
+    <creator>
+      <organizationName>${xmlEscape(PUBLISHER)}</organizationName>
+    </creator>
+    <metadataProvider>
+      <organizationName>${xmlEscape(PUBLISHER)}</organizationName>
+    </metadataProvider>
+    <pubDate>${generatedAt.toISOString().slice(0, 10)}</pubDate>
+    <language>en</language>
+    <abstract>
+      <para>${xmlEscape(`Plant occurrences photographed by SmartPlant volunteers, identified by a MobileNetV2 model and confirmed by reviewers (status: ${filters.statuses.join(', ')}${range ? `; ${range}` : ''}).`)}</para>
+    </abstract>
+    <intellectualRights>
+      <para>${xmlEscape(LICENSE)}</para>
+    </intellectualRights>
+    <contact>
+      <organizationName>${xmlEscape(PUBLISHER)}</organizationName>
+    </contact>
+  </dataset>
+</eml:eml>
+`;
+}
+
+// Export rows with endangered-species locations generalised. With exactLocations they pass
+// through unchanged and the sensitive ones are collected in `shown` for the access log.
+async function* protectedRows(rows, { exactLocations, shown }) {
+  for await (const r of rows) {
+    if (exactLocations && Number(r.location_sensitive)) {
+      shown.push({ observation_id: r.observation_id, location_sensitive: 1, location_latitude: r.location_latitude });
+    }
+    yield protectLocation(r, { exact: exactLocations });
+  }
+}
+
+// Write the CSV or JSON export to a writable stream (HTTP response or file).
+// exactLocations is only for trusted callers; `access` (see accessContext) is who gets logged.
+export async function writePlainExport(out, { format, filters, baseUrl, exactLocations = false, access = null }) {
+  const shown = [];
+  const rows = protectedRows(streamObservationsForExport(filters), { exactLocations, shown });
+  const chunks = format === 'json' ? jsonChunks(rows, baseUrl) : csvLines(rows, baseUrl);
+  try {
+    await pipeline(Readable.from(chunks), out);
+  } finally {
+    if (exactLocations) await logExactLocationAccess(access, shown);
+  }
+}
+
+// Write a Darwin Core Archive zip to a writable stream (HTTP response or file)
+export async function writeDarwinCoreArchive(out, { filters, baseUrl, exactLocations = false, access = null }) {
+  const ctx = { baseUrl, idPrefix: process.env.DWC_ID_PREFIX || 'smartplant:obs:' };
+  const archive = new ZipArchive({ zlib: { level: 6 } });
+  const shown = [];
+
+  const done = pipeline(archive, out);
+  const rows = protectedRows(streamObservationsForExport(filters), { exactLocations, shown });
+  const occurrences = Readable.from(occurrenceLines(rows, ctx));
+  occurrences.on('error', e => archive.destroy(e)); // a failed query fails the whole archive
+
+  archive.append(occurrences, { name: 'occurrence.txt' });
+  archive.append(metaXml(), { name: 'meta.xml' });
+  archive.append(emlXml({ filters, generatedAt: new Date() }), { name: 'eml.xml' });
+  try {
+    await Promise.all([archive.finalize(), done]);
+  } finally {
+    if (exactLocations) await logExactLocationAccess(access, shown);
+  }
+}
+
+// ?exact_locations=1 keeps endangered-species coordinates; only trusted roles may ask for it
+function exactLocationsParam(req) {
+  if (!['1', 'true'].includes(String(req.query.exact_locations))) return false;
+  if (!canSeeExactLocation(req.user)) {
+    const err = exportError('Not allowed to export exact locations');
+    err.status = 403;
+    throw err;
+  }
+  return true;
+}
+
+export const exportRouter = express.Router();
+
+function stamp() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Plain export, any status: /export/observations?format=csv|json&status=verified&from=2025-01-01&to=2025-06-30&species_id=3
+// Endangered-species locations are generalised unless a trusted caller adds exact_locations=1.
+exportRouter.get('/export/observations', async (req, res) => {
+  let filters;
+  let exactLocations;
+  try {
+    filters = parseExportFilters(req.query);
+    exactLocations = exactLocationsParam(req);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+  res.set('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="observations-${stamp()}.${format}"`);
+  try {
+    await writePlainExport(res, { format, filters, baseUrl, exactLocations, access: accessContext(req) });
+  } catch (e) {
+    console.error('[export] error', e);
+    if (!res.headersSent) res.status(500).json({ error: 'Export failed' });
+    else res.destroy(e);
+  }
+});
+
+// Darwin Core Archive of verified observations: /export/dwca?from=&to=&species_id=&exact_locations=1
+exportRouter.get('/export/dwca', async (req, res) => {
+  let filters;
+  let exactLocations;
+  try {
+    filters = parseExportFilters({ ...req.query, status: 'verified' });
+    exactLocations = exactLocationsParam(req);
+  } catch (e) {
+    return res.status(e.status || 400).json({ error: e.message });
+  }
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="smartplant-dwca-${stamp()}.zip"`);
+  try {
+    await writeDarwinCoreArchive(res, { filters, baseUrl, exactLocations, access: accessContext(req) });
+  } catch (e) {
+    console.error('[export] dwca error', e);
+    if (!res.headersSent) res.status(500).json({ error: 'Export failed' });
+    else res.destroy(e);
+  }
+});
@@ -0,0 +1,151 @@
+import express from 'express';
+
+import { listObservationsInArea, clusterObservationsInArea } from './db.js';
+import { optionalAuth, hasRole } from './auth.js';
+import { storedDerivativeUrls } from './derivatives.js';
+import { LOCATION_GRID_DEG, canSeeExactLocation, protectLocation, accessContext, logExactLocationAccess } from './sensitivity.js';
+
+const MAX_RADIUS_KM = 500;
+const MAX_POINTS = 5000;
+
+function geoError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseNumberList(raw, count, name) {
+  const parts = String(raw).split(',').map(Number);
+  if (parts.length !== count || parts.some(n => !Number.isFinite(n))) {
+    throw geoError(`${name} must be ${count} comma-separated numbers`);
+  }
+  return parts;
+}
+
+// ?bbox=minLon,minLat,maxLon,maxLat  or  ?lat=..&lon=..&radius_km=..
+function parseArea(query) {
+  if (query.bbox) {
+    const [minLon, minLat, maxLon, maxLat] = parseNumberList(query.bbox, 4, 'bbox');
+    if (minLon >= maxLon || minLat >= maxLat) throw geoError('bbox must be minLon,minLat,maxLon,maxLat');
+    if (Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) {
+      throw geoError('bbox is outside valid coordinates');
+    }
+    return { bbox: [minLon, minLat, maxLon, maxLat] };
+  }
+
+  if (query.lat !== undefined && query.lon !== undefined) {
+    const lat = Number(query.lat);
+    const lon = Number(query.lon);
+    const radiusKm = Number(query.radius_km ?? 10);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      throw geoError('lat and lon must be valid coordinates');
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      throw geoError(`radius_km must be between 0 and ${MAX_RADIUS_KM}`);
+    }
+    return { center: [lon, lat], radiusKm };
+  }
+
+  throw geoError('Provide bbox, or lat, lon and radius_km');
+}
+
+// Grid cell size for a web-map zoom level: about 8 cells across one 256px tile
+function cellSizeForZoom(zoom) {
+  const z = Math.max(0, Math.min(22, Math.floor(zoom)));
+  return 360 / 2 ** z / 8;
+}
+
+function toFeatureCollection(features) {
+  return { type: 'FeatureCollection', features };
+}
+
+function pointFeature(lon, lat, properties) {
+  return { type: 'Feature', geometry: { type: 'Point', coordinates: [lon, lat] }, properties };
+}
+
+export const geoRouter = express.Router();
+
+// Observations inside an area, as points or grid clusters, JSON or GeoJSON:
+//   /plant-observations/geo?bbox=109.5,1.2,111.0,2.0&species_id=3&format=geojson
+//   /plant-observations/geo?lat=1.55&lon=110.34&radius_km=25&cluster=1&zoom=9
+// Only verified records are public; reviewers may ask for other statuses. Endangered-species
+// records are placed on the sensitive-location grid unless the caller may see exact locations.
+geoRouter.get('/geo', optionalAuth, async (req, res) => {
+  try {
+    const area = parseArea(req.query);
+
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+      : ['verified'];
+    if (statuses.some(s => s !== 'verified') && !hasRole(req.user, 'reviewer')) {
+      return res.status(403).json({ error: 'Only verified observations are public' });
+    }
+
+    let speciesId = null;
+    if (req.query.species_id !== undefined) {
+      speciesId = Number(req.query.species_id);
+      if (!Number.isFinite(speciesId) || speciesId <= 0) return res.status(400).json({ error: 'Invalid species_id' });
+    }
+
+    const geojson = req.query.format === 'geojson';
+    const exact = canSeeExactLocation(req.user);
+    const gridDeg = exact ? null : LOCATION_GRID_DEG;
+
+    if (req.query.cluster === '1') {
+      const zoom = Number(req.query.zoom ?? 10);
+      if (!Number.isFinite(zoom)) return res.status(400).json({ error: 'Invalid zoom' });
+      const cellDeg = cellSizeForZoom(zoom);
+
+      const cells = (await clusterObservationsInArea({ area, statuses, speciesId, cellDeg, gridDeg })).map(c => ({
+        latitude: Number(c.latitude),
+        longitude: Number(c.longitude),
+        count: Number(c.count),
+        species_count: Number(c.species_count),
+        cell: [Number(c.cell_x), Number(c.cell_y)],
+      }));
+
+      if (geojson) {
+        return res.json(toFeatureCollection(cells.map(c => pointFeature(c.longitude, c.latitude, {
+          cluster: true,
+          count: c.count,
+          species_count: c.species_count,
+          cell: c.cell,
+        }))));
+      }
+      return res.json({ statuses, species_id: speciesId, zoom, cell_size_deg: cellDeg, clusters: cells });
+    }
+
+    const limit = Math.max(1, Math.min(MAX_POINTS, Number(req.query.limit) || 1000));
+    const rows = (await listObservationsInArea({ area, statuses, speciesId, limit, gridDeg }))
+      .map(r => protectLocation(r, { exact }));
+    if (exact) await logExactLocationAccess(accessContext(req), rows);
+
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const abs = u => (u?.startsWith('/') ? origin + u : u);
+    const thumbs = await Promise.all(rows.map(async r => (await storedDerivativeUrls(r.photo_url, ['thumb'])).thumb));
+    const points = rows.map((r, i) => ({
+      observation_id: r.observation_id,
+      species_id: r.species_id,
+      scientific_name: r.scientific_name,
+      common_name: r.common_name,
+      is_endangered: Boolean(r.is_endangered),
+      latitude: Number(r.location_latitude),
+      longitude: Number(r.location_longitude),
+      location: r.location_name || '',
+      location_generalized: r.location_generalized,
+      status: r.status,
+      photo_thumb: abs(thumbs[i]),
+      observed_at: r.captured_at || r.created_at,
+    }));
+
+    if (geojson) {
+      return res.json(toFeatureCollection(points.map(({ latitude, longitude, ...props }) =>
+        pointFeature(longitude, latitude, props))));
+    }
+    res.json({ statuses, species_id: speciesId, count: points.length, limit, data: points });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to query observations by location' });
+  }
+});
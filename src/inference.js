@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import {
+  startWorkers,
+  inferWithWorker,
+  workerCapacityError,
+  workerModelInfo,
+  swapWorkerModel,
+  inferError,
+} from './pyworker.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Inference backend selection: python (local worker pool), stub (deterministic, no model) or http (remote service)
+export const INFER_BACKEND = String(process.env.INFER_BACKEND || 'python').trim().toLowerCase();
+const CLASS_MAP_PATH = process.env.CLASS_MAP_PATH || path.join(__dirname, '..', 'class_mapping.json');
+const INFER_TIMEOUT_MS = Number(process.env.INFER_TIMEOUT_MS || 30000);
+const MODEL_DIR = path.resolve(process.env.MODEL_DIR || '.'); // Hot-swapped model files must live under here
+const MODEL_STATE_PATH = process.env.MODEL_STATE_PATH || path.join(__dirname, '..', 'model_state.json');
+
+// Every backend resolves with the worker's JSON shape:
+// { index, species_name, confidence, topk: [{ index, name, confidence }], model_version }
+
+// The model/class-map pair in use. A hot-swapped pair is written to MODEL_STATE_PATH, so a restart
+// comes back on it instead of the MODEL_PATH / CLASS_MAP_PATH it was started with.
+function readModelState() {
+  try {
+    const state = JSON.parse(fs.readFileSync(MODEL_STATE_PATH, 'utf8'));
+    const files = INFER_BACKEND === 'python' ? [state.model_path, state.class_map_path] : [state.class_map_path];
+    if (files.every(f => f && fs.existsSync(f))) return state;
+    console.warn(`[inference] ignoring ${MODEL_STATE_PATH}: its model files are gone`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[inference] could not read ${MODEL_STATE_PATH}`, e.message);
+  }
+  return null;
+}
+
+let activeModel = readModelState() || {
+  name: process.env.MODEL_NAME || '',
+  model_path: path.resolve(process.env.MODEL_PATH || 'mobilenet_v2_SmartPlant.pth'),
+  class_map_path: path.resolve(CLASS_MAP_PATH),
+  version: null, // reported by the python workers; computed here for the stub
+};
+
+// Parse and check a class_mapping.json file: { "0": "Genus species", "1": ... } with keys 0..n-1
+function readClassMapFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw inferError('MODEL_INVALID', `Class map is not readable JSON: ${e.message}`);
+  }
+  const classes = Object.entries(raw || {})
+    .map(([k, v]) => ({ index: Number(k), name: String(v ?? '').trim() }))
+    .sort((a, b) => a.index - b.index);
+  if (!classes.length || classes.some((c, i) => c.index !== i || !c.name)) {
+    throw inferError('MODEL_INVALID', 'Class map must map every index 0..n-1 to a species name');
+  }
+  return classes;
+}
+
+// Load the mapping of class indices to species names (same file the python worker reads)
+let classMap = null;
+export function loadClassMap() {
+  if (!classMap) {
+    const raw = JSON.parse(fs.readFileSync(activeModel.class_map_path, 'utf8'));
+    classMap = Object.entries(raw)
+      .map(([k, v]) => ({ index: Number(k), name: String(v) }))
+      .sort((a, b) => a.index - b.index);
+  }
+  return classMap;
+}
+
+// Same shape as the python worker's version: name@first 12 hex chars of a sha256
+function stubModelVersion(classMapFile, name) {
+  const hash = crypto.createHash('sha256').update(fs.readFileSync(classMapFile)).digest('hex');
+  return `${name || 'stub'}@${hash.slice(0, 12)}`;
+}
+
+// Stub: scores every class from a hash of the image bytes, so the same photo always gets the same answer
+async function stubInfer(imagePath, topk = 5) {
+  const bytes = await fs.promises.readFile(imagePath);
+  return stubScores(bytes, topk, loadClassMap(), activeModel.version);
+}
+
+function stubScores(bytes, topk, classes, model_version) {
+  const imageHash = crypto.createHash('sha256').update(bytes).digest('hex');
+
+  const scored = classes.map(c => {
+    const h = crypto.createHash('sha256').update(`${imageHash}:${c.name}`).digest();
+    return { ...c, weight: h.readUInt32BE(0) / 0xffffffff };
+  });
+
+  // Sharpen the weights so the top class gets a realistic share of the probability mass
+  const exps = scored.map(c => Math.exp(c.weight * 6));
+  const total = exps.reduce((a, b) => a + b, 0);
+  const ranked = scored
+    .map((c, i) => ({ index: c.index, name: c.name, confidence: Number((exps[i] / total).toFixed(5)) }))
+    .sort((a, b) => b.confidence - a.confidence || a.index - b.index);
+
+  const k = Math.max(1, Math.min(Number(topk) || 5, ranked.length));
+  const top = ranked.slice(0, k);
+  return {
+    index: top[0].index,
+    species_name: top[0].name,
+    confidence: top[0].confidence,
+    topk: top,
+    model_version,
+  };
+}
+
+// Stub swap: the class map is the whole model, so checking it and scoring a blank input is the smoke test
+async function stubSwap(model) {
+  const classes = readClassMapFile(model.class_map_path);
+  const version = stubModelVersion(model.class_map_path, model.name);
+  const smoke = stubScores(Buffer.alloc(0), 1, classes, version);
+  return {
+    version,
+    model_path: model.model_path,
+    class_map_path: model.class_map_path,
+    num_classes: classes.length,
+    smoke: { species_name: smoke.species_name, confidence: smoke.confidence },
+  };
+}
+
+// HTTP: POST the image as multipart/form-data (field "image") to INFER_HTTP_URL
+async function httpInfer(imagePath, topk = 5) {
+  const url = process.env.INFER_HTTP_URL;
+  if (!url) throw inferError('INFER_FAILED', 'INFER_HTTP_URL is not configured');
+
+  const bytes = await fs.promises.readFile(imagePath);
+  const form = new FormData();
+  form.append('image', new Blob([bytes]), path.basename(imagePath));
+  form.append('topk', String(topk));
+
+  const headers = {};
+  if (process.env.INFER_HTTP_TOKEN) headers.Authorization = `Bearer ${process.env.INFER_HTTP_TOKEN}`;
+
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      body: form,
+      headers,
+      signal: AbortSignal.timeout(INFER_TIMEOUT_MS),
+    });
+  } catch (e) {
+    if (e.name === 'TimeoutError') {
+      throw inferError('INFER_TIMEOUT', `Inference timed out after ${INFER_TIMEOUT_MS} ms`);
+    }
+    throw inferError('INFER_FAILED', `Inference service unreachable: ${e.message}`);
+  }
+
+  if (resp.status === 503) {
+    throw inferError('INFER_UNAVAILABLE', 'Inference service is unavailable', {
+      retryAfter: Number(resp.headers.get('retry-after')) || 5,
+    });
+  }
+  if (!resp.ok) {
+    throw inferError('INFER_FAILED', `Inference service returned HTTP ${resp.status}`);
+  }
+
+  const json = await resp.json();
+  if (json?.error) throw inferError('INFER_FAILED', `Inference failed: ${json.error}`);
+  // the remote service may report its own version; otherwise use the one it is configured as here
+  return { ...json, model_version: json.model_version || process.env.INFER_HTTP_MODEL_VERSION || null };
+}
+
+const BACKENDS = {
+  python: {
+    start: () => startWorkers(activeModel),
+    infer: inferWithWorker,
+    capacityError: workerCapacityError,
+    swap: swapWorkerModel,
+    info: async () => {
+      const workers = await workerModelInfo();
+      return { version: workers[0]?.version ?? activeModel.version, workers };
+    },
+  },
+  stub: {
+    start: () => {
+      loadClassMap();
+      activeModel.version = stubModelVersion(activeModel.class_map_path, activeModel.name);
+    },
+    infer: stubInfer,
+    capacityError: () => null,
+    swap: stubSwap,
+    info: async () => ({}),
+  },
+  http: {
+    start: () => {},
+    infer: httpInfer,
+    capacityError: () => null,
+    swap: async () => {
+      throw inferError('MODEL_SWAP_UNSUPPORTED', 'The http inference backend manages its own model');
+    },
+    info: async () => ({ version: process.env.INFER_HTTP_MODEL_VERSION || null }),
+  },
+};
+
+function backend() {
+  const b = BACKENDS[INFER_BACKEND];
+  if (!b) {
+    throw new Error(`Unknown INFER_BACKEND "${INFER_BACKEND}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return b;
+}
+
+// Top-1 confidence below this marks a scan as auto_flagged (UNSURE_THRESHOLD, clamped to 0..1)
+export function unsureThreshold() {
+  const rawThresh = Number(process.env.UNSURE_THRESHOLD || 0.6);
+  return Number.isFinite(rawThresh) ? Math.max(0, Math.min(1, rawThresh)) : 0.6;
+}
+
+// Called once on boot (spawns the python workers when that backend is active)
+export function startInference() {
+  backend().start();
+  console.log(`[inference] backend: ${INFER_BACKEND}`);
+}
+
+// Run inference on one image file with the active backend
+export function inferImage(imagePath, topk = 5) {
+  return backend().infer(imagePath, topk);
+}
+
+// Returns an error when the backend cannot take another request right now, otherwise null
+export function inferenceCapacityError() {
+  return backend().capacityError();
+}
+
+// A model file named by an admin: relative to MODEL_DIR (or absolute inside it), and it must exist
+function resolveModelFile(file, what) {
+  const abs = path.resolve(MODEL_DIR, String(file));
+  const rel = path.relative(MODEL_DIR, abs);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) {
+    throw inferError('MODEL_INVALID', `${what} must be inside ${MODEL_DIR}`);
+  }
+  if (!fs.existsSync(abs) || !fs.statSync(abs).isFile()) throw inferError('MODEL_INVALID', `${what} not found`);
+  return abs;
+}
+
+// The model currently serving predictions
+export async function modelInfo() {
+  return { backend: INFER_BACKEND, ...activeModel, ...(await backend().info()) };
+}
+
+// Load a new model/class-map pair, smoke-test it and switch to it without a restart.
+// Throws MODEL_INVALID (the current model keeps serving) or a capacity error.
+export async function swapModel({ model_path, class_map_path, name }, { by = null } = {}) {
+  const model = {
+    name: name ? String(name).trim() : '',
+    model_path: INFER_BACKEND === 'python' ? resolveModelFile(model_path, 'model_path') : activeModel.model_path,
+    class_map_path: resolveModelFile(class_map_path, 'class_map_path'),
+  };
+  readClassMapFile(model.class_map_path); // fail fast before any worker spends time loading weights
+
+  const loaded = await backend().swap(model);
+
+  activeModel = {
+    ...model,
+    version: loaded.version,
+    activated_at: new Date().toISOString(),
+    activated_by: by,
+  };
+  classMap = null;
+  try {
+    await fs.promises.writeFile(MODEL_STATE_PATH, JSON.stringify(activeModel, null, 2));
+  } catch (e) {
+    console.warn(`[inference] could not save ${MODEL_STATE_PATH}; a restart will load the old model`, e.message);
+  }
+  console.log(`[inference] now serving model ${loaded.version}`);
+  return { ...activeModel, num_classes: loaded.num_classes, smoke: loaded.smoke };
+}
@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+import pool from './db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Versioned schema migrations: sql/migrations/NNNN_name.up.sql and NNNN_name.down.sql, applied in
+// version order and recorded in schema_migrations. Run them with `npm run migrate` (scripts/migrate.js);
+// the server refuses to start while any are pending.
+export const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || path.join(__dirname, '..', 'sql', 'migrations');
+const FILE_RE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_NAME = 'smartplant_migrations';
+const LOCK_TIMEOUT_S = 30;
+
+function migrationError(message, code = 'MIGRATION_INVALID') {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// The checksum ignores line endings, so a checkout with CRLF files matches one with LF
+const checksum = sql => crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+
+// Every migration on disk, oldest first; each needs both an up and a down file
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir).sort()) {
+    const m = file.match(FILE_RE);
+    if (!m) continue;
+    const version = Number(m[1]);
+    const entry = byVersion.get(version) || { version, name: m[2] };
+    if (entry.name !== m[2]) throw migrationError(`Migration ${m[1]} has two names: ${entry.name}, ${m[2]}`);
+    entry[m[3]] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations) {
+    if (m.up === undefined || m.down === undefined) {
+      throw migrationError(`Migration ${m.version} (${m.name}) needs both an .up.sql and a .down.sql file`);
+    }
+    m.checksum = checksum(m.up);
+  }
+  return migrations;
+}
+
+// A migration file as single statements: `--` comment lines dropped, split on a ; at the end of a line
+export function splitStatements(sql) {
+  return sql
+    .split(/\r?\n/)
+    .filter(line => !/^\s*--/.test(line))
+    .join('\n')
+    .split(/;[ \t]*(?:\n|$)/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+async function ensureMigrationsTable(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version INT UNSIGNED NOT NULL,
+       name VARCHAR(255) NOT NULL,
+       checksum CHAR(64) NOT NULL,
+       applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       PRIMARY KEY (version)
+     )`
+  );
+}
+
+async function appliedMigrations(conn) {
+  await ensureMigrationsTable(conn);
+  const [rows] = await conn.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version ASC');
+  return new Map(rows.map(r => [Number(r.version), r]));
+}
+
+// One runner at a time across processes (two servers deploying at once, say)
+async function withMigrationLock(fn) {
+  const conn = await pool.getConnection();
+  try {
+    const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, ?) AS locked', [LOCK_NAME, LOCK_TIMEOUT_S]);
+    if (Number(locked) !== 1) throw migrationError('Another migration run holds the lock', 'MIGRATION_LOCKED');
+    try {
+      return await fn(conn);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+// MySQL commits DDL as it goes, so a migration that fails half way is not undone: the error
+// names the migration so it can be fixed by hand before running again
+async function runStatements(conn, migration, direction) {
+  for (const statement of splitStatements(migration[direction])) {
+    try {
+      await conn.query(statement);
+    } catch (e) {
+      const err = migrationError(
+        `Migration ${migration.version} (${migration.name}) ${direction} failed: ${e.message}`,
+        'MIGRATION_FAILED'
+      );
+      err.statement = statement;
+      throw err;
+    }
+  }
+}
+
+// Applied / pending state of every migration. `changed` marks an applied migration whose up file
+// was edited afterwards; `unknown` lists versions in the database that are not on disk.
+export async function migrationStatus() {
+  const migrations = loadMigrations();
+  const conn = await pool.getConnection();
+  try {
+    const applied = await appliedMigrations(conn);
+    const known = new Set(migrations.map(m => m.version));
+    return {
+      current: applied.size ? Math.max(...applied.keys()) : 0,
+      migrations: migrations.map(m => {
+        const row = applied.get(m.version);
+        return {
+          version: m.version,
+          name: m.name,
+          state: !row ? 'pending' : (row.checksum === m.checksum ? 'applied' : 'changed'),
+          applied_at: row?.applied_at || null,
+        };
+      }),
+      unknown: [...applied.values()].filter(r => !known.has(Number(r.version))),
+    };
+  } finally {
+    conn.release();
+  }
+}
+
+// Apply pending migrations up to `to` (default: all). Resolves to the migrations applied.
+export async function migrate({ to = null, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  return withMigrationLock(async conn => {
+    const applied = await appliedMigrations(conn);
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version) || (to !== null && m.version > to)) continue;
+      log(`applying ${m.version} ${m.name}`);
+      await runStatements(conn, m, 'up');
+      await conn.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [m.version, m.name, m.checksum]
+      );
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+// Undo the last `steps` applied migrations, or every one above `to`. Resolves to those undone.
+export async function rollback({ steps = 1, to = null, log = () => {} } = {}) {
+  const migrations = new Map(loadMigrations().map(m => [m.version, m]));
+  return withMigrationLock(async conn => {
+    const applied = [...(await appliedMigrations(conn)).keys()].sort((a, b) => b - a);
+    const targets = to !== null ? applied.filter(v => v > to) : applied.slice(0, steps);
+    const done = [];
+    for (const version of targets) {
+      const m = migrations.get(version);
+      if (!m) throw migrationError(`Migration ${version} is applied but not on disk; cannot roll it back`);
+      log(`rolling back ${m.version} ${m.name}`);
+      await runStatements(conn, m, 'down');
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+// For a database created before migrations existed: record versions up to `to` as applied
+// without running them
+export async function markApplied({ to }) {
+  const migrations = loadMigrations().filter(m => m.version <= to);
+  return withMigrationLock(async conn => {
+    const applied = await appliedMigrations(conn);
+    const marked = migrations.filter(m => !applied.has(m.version));
+    for (const m of marked) {
+      await conn.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [m.version, m.name, m.checksum]
+      );
+    }
+    return marked;
+  });
+}
+
+// Called on boot: rejects with SCHEMA_BEHIND when migrations are pending
+export async function assertSchemaCurrent() {
+  const status = await migrationStatus();
+  const pending = status.migrations.filter(m => m.state === 'pending');
+  if (pending.length) {
+    throw migrationError(
+      `Database schema is behind: ${pending.map(m => `${m.version} ${m.name}`).join(', ')} pending (run npm run migrate)`,
+      'SCHEMA_BEHIND'
+    );
+  }
+  for (const m of status.migrations.filter(x => x.state === 'changed')) {
+    console.warn(`[migrations] ${m.version} ${m.name} was edited after it was applied`);
+  }
+  for (const r of status.unknown) {
+    console.warn(`[migrations] database has migration ${r.version} ${r.name}, which this code does not know`);
+  }
+  return status;
+}
@@ -0,0 +1,38 @@
+import express from 'express';
+
+import { requireRole } from './auth.js';
+import { modelInfo, swapModel } from './inference.js';
+
+// Which model is serving /scan, and hot-swapping it for a retrained one without a restart
+export const modelRouter = express.Router();
+
+modelRouter.get('/model', async (req, res) => {
+  try {
+    res.json(await modelInfo());
+  } catch (e) {
+    console.error('[model] info error', e);
+    res.status(500).json({ error: 'Failed to read model info' });
+  }
+});
+
+// Body: { model_path, class_map_path, name? }, paths relative to MODEL_DIR.
+// The new pair is loaded and smoke-tested first; on any failure the current model keeps serving.
+modelRouter.post('/model', requireRole('admin'), async (req, res) => {
+  const { model_path, class_map_path, name } = req.body || {};
+  if (!class_map_path) return res.status(400).json({ error: 'class_map_path is required' });
+  try {
+    const model = await swapModel({ model_path: model_path ?? '', class_map_path, name }, { by: req.user.user_id });
+    res.json({ ok: true, model });
+  } catch (e) {
+    if (e.code === 'MODEL_INVALID') return res.status(422).json({ error: e.message, code: e.code });
+    if (e.code === 'MODEL_SWAP_IN_PROGRESS') return res.status(409).json({ error: e.message, code: e.code });
+    if (e.code === 'MODEL_SWAP_UNSUPPORTED') return res.status(501).json({ error: e.message, code: e.code });
+    if (e.code === 'INFER_UNAVAILABLE') {
+      res.set('Retry-After', String(e.retryAfter));
+      return res.status(503).json({ error: e.message, code: e.code });
+    }
+    if (e.code === 'INFER_TIMEOUT') return res.status(504).json({ error: e.message, code: e.code });
+    console.error('[model] swap error', e);
+    res.status(500).json({ error: 'Failed to swap model' });
+  }
+});
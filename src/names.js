@@ -0,0 +1,27 @@
+// Species name helpers shared by the DB layer and the routes
+
+// Canonical scientific name: "acacia_mangium", "ACACIA  Mangium" -> "Acacia mangium"
+// The genus is capitalised and everything after it (epithet, var./subsp. parts) is lower case.
+export function canonicalSpeciesName(name) {
+  const words = String(name ?? '')
+    .replace(/[_\s]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  if (!words.length) return '';
+
+  const [genus, ...rest] = words;
+  return [
+    genus.charAt(0).toUpperCase() + genus.slice(1).toLowerCase(),
+    ...rest.map(w => w.toLowerCase()),
+  ].join(' ');
+}
+
+// Folder name used under species_images/ for a scientific name
+export function slugifyName(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
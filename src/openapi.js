@@ -0,0 +1,1002 @@
+import express from 'express';
+
+import { STATS_GROUP_BY, OBSERVATION_SORTS } from './db.js';
+import { ROLES } from './auth.js';
+import { SPLITS } from './dataset.js';
+import { ADMIN_EVENT_TYPES } from './events.js';
+
+// OpenAPI 3 description of every route, served at GET /openapi.json. src/validation.js checks
+// incoming requests against it, so a route's parameters and body are defined here first.
+// Admin paths are listed under /api/admin (also mounted at /admin) and the catalogue under
+// /species (also at /api/species).
+
+const STATUSES = ['pending', 'verified', 'rejected'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const ok = (schema, description = 'OK') => ({ description, content: json(schema) });
+const body = (schema, { required = true } = {}) => ({ required, content: json(schema) });
+
+// Shared error responses by status
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthenticated',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  503: 'Unavailable',
+};
+const errors = (...statuses) => Object.fromEntries(
+  statuses.map(s => [s, { $ref: `#/components/responses/${ERROR_RESPONSES[s]}` }])
+);
+
+// Query parameters arrive as strings; the validator coerces them to these types. Paging values the
+// handlers clamp (page, page_size, limit, offset) are only type-checked.
+const query = (name, schema, description) => ({ name, in: 'query', schema, ...(description && { description }) });
+const pathId = (name = 'id', description = undefined) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 1 },
+  ...(description && { description }),
+});
+const flag = { type: 'string', enum: ['0', '1', 'true', 'false'] };
+const date = { type: 'string', description: 'YYYY-MM-DD or ISO 8601; a bare date as `to` includes that day' };
+// comma-separated values from a fixed set, as the handlers split them
+const listOf = (values) => {
+  const one = `\\s*(${values.map(v => v.replace(/\./g, '\\.')).join('|')})\\s*`;
+  return { type: 'string', pattern: `^${one}(,${one})*$`, 'x-values': values };
+};
+const statusList = listOf(STATUSES);
+const pageParams = (max, def) => [
+  query('page', { type: 'integer', default: 1 }),
+  query('page_size', { type: 'integer', default: def }, `Clamped to 1..${max}`),
+];
+const limitOffset = (max, def) => [
+  query('limit', { type: 'integer', default: def }, `Clamped to 1..${max}`),
+  query('offset', { type: 'integer', default: 0 }),
+];
+const dateRange = [query('from', date), query('to', date)];
+
+// Route metadata: who may call it
+const reviewer = { security: [{ bearerAuth: [] }], 'x-required-role': 'reviewer' };
+const admin = { security: [{ bearerAuth: [] }], 'x-required-role': 'admin' };
+const signedIn = { security: [{ bearerAuth: [] }] };
+const optionalSignIn = { security: [{}, { bearerAuth: [] }] };
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: {
+        type: 'string',
+        description: 'Machine-readable reason, e.g. VALIDATION_FAILED, NOT_FOUND, UNAUTHENTICATED, '
+          + 'FORBIDDEN, CONFLICT, INFER_QUEUE_FULL, UNSUPPORTED_IMAGE, INTERNAL_ERROR',
+      },
+      details: {
+        type: 'array',
+        description: 'Per-field problems (VALIDATION_FAILED)',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  // DECIMAL columns come back from MySQL as numeric strings
+  Decimal: { anyOf: [{ type: 'number', nullable: true }, { type: 'string' }] },
+  Id: {
+    description: 'Positive integer id (numeric strings are accepted)',
+    anyOf: [{ type: 'integer', minimum: 1 }, { type: 'string', pattern: '^[1-9][0-9]*$' }],
+  },
+  Flag: {
+    description: 'true / false, or 1 / 0',
+    anyOf: [{ type: 'boolean' }, { type: 'integer', enum: [0, 1] }, { type: 'string', enum: ['0', '1'] }],
+  },
+  Ok: { type: 'object', properties: { ok: { type: 'boolean' } } },
+  User: {
+    type: 'object',
+    properties: {
+      user_id: { type: 'integer' },
+      username: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+    },
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      token: { type: 'string', description: 'Send as Authorization: Bearer <token>' },
+      expires_at: { type: 'string', format: 'date-time' },
+      user: ref('User'),
+    },
+  },
+  Credentials: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string' },
+    },
+  },
+  Species: {
+    type: 'object',
+    properties: {
+      species_id: { type: 'integer' },
+      scientific_name: { type: 'string' },
+      common_name: { type: 'string', nullable: true },
+      is_endangered: { type: 'boolean' },
+      description: { type: 'string', nullable: true },
+      image_url: { type: 'string', nullable: true },
+      created_at: { type: 'string', format: 'date-time' },
+    },
+  },
+  SpeciesDetail: {
+    allOf: [
+      ref('Species'),
+      {
+        type: 'object',
+        properties: {
+          verified_observation_count: { type: 'integer' },
+          gallery: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    ],
+  },
+  SpeciesPage: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer' },
+      page_size: { type: 'integer' },
+      q: { type: 'string' },
+      total: { type: 'integer' },
+      next_page: { type: 'integer', nullable: true },
+      data: { type: 'array', items: ref('Species') },
+    },
+  },
+  SpeciesUpdate: {
+    type: 'object',
+    minProperties: 1,
+    properties: {
+      scientific_name: { type: 'string', minLength: 1 },
+      common_name: { type: 'string', nullable: true },
+      is_endangered: ref('Flag'),
+      description: { type: 'string', nullable: true },
+      image_url: { type: 'string', nullable: true },
+    },
+  },
+  Prediction: {
+    type: 'object',
+    properties: {
+      ai_result_id: { type: 'integer' },
+      species_id: { type: 'integer', nullable: true },
+      scientific_name: { type: 'string', nullable: true },
+      common_name: { type: 'string', nullable: true },
+      is_endangered: { type: 'integer', nullable: true },
+      confidence_score: ref('Decimal'),
+      confidence: { type: 'number' },
+      rank: { type: 'integer' },
+      model_version: { type: 'string', nullable: true },
+    },
+  },
+  ScanResult: {
+    type: 'object',
+    properties: {
+      observation_id: { type: 'integer' },
+      status: { type: 'string', enum: STATUSES },
+      threshold: { type: 'number' },
+      auto_flagged: { type: 'boolean' },
+      model_version: { type: 'string', nullable: true },
+      primary: {
+        type: 'object',
+        properties: {
+          species_name: { type: 'string', nullable: true },
+          confidence: { type: 'number' },
+          image_path: { type: 'string' },
+          thumbnail_path: { type: 'string', nullable: true },
+          medium_path: { type: 'string', nullable: true },
+        },
+      },
+      candidates: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            species: { type: 'string', nullable: true },
+            confidence: { type: 'number' },
+            rank: { type: 'integer' },
+          },
+        },
+      },
+      results: { type: 'array', items: ref('Prediction') },
+      location_latitude: ref('Decimal'),
+      location_longitude: ref('Decimal'),
+      location_source: { type: 'string', nullable: true, enum: ['form', 'exif', null] },
+      captured_at: { type: 'string', format: 'date-time', nullable: true },
+      created_at: { type: 'string', format: 'date-time', nullable: true },
+      duplicate: {
+        type: 'object',
+        description: 'Present when the photo matched one of the user\'s earlier scans',
+        properties: {
+          observation_id: { type: 'integer' },
+          distance: { type: 'integer' },
+          exact: { type: 'boolean' },
+        },
+      },
+    },
+  },
+  ScanJob: {
+    type: 'object',
+    properties: {
+      job_id: { type: 'string', format: 'uuid' },
+      observation_id: { type: 'integer' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      error: { type: 'string', nullable: true },
+      status_url: { type: 'string' },
+      events_url: { type: 'string' },
+      created_at: { type: 'string', format: 'date-time', nullable: true },
+      started_at: { type: 'string', format: 'date-time', nullable: true },
+      finished_at: { type: 'string', format: 'date-time', nullable: true },
+      result: { type: 'object', nullable: true, description: 'The ScanResult once completed' },
+    },
+  },
+  ObservationListItem: {
+    type: 'object',
+    properties: {
+      observation_id: { type: 'integer' },
+      plant_name: { type: 'string' },
+      confidence: { type: 'number' },
+      photo: { type: 'string' },
+      photo_thumb: { type: 'string', nullable: true },
+      photo_medium: { type: 'string', nullable: true },
+      submitted_at: { type: 'string', format: 'date-time' },
+      location: { type: 'string' },
+      location_latitude: ref('Decimal'),
+      location_longitude: ref('Decimal'),
+      location_generalized: { type: 'boolean' },
+      user: { type: 'string' },
+    },
+  },
+  ObservationPage: {
+    type: 'object',
+    properties: {
+      page: { type: 'integer', nullable: true, description: 'Only with ?page= (offset paging)' },
+      page_size: { type: 'integer' },
+      statuses: { type: 'array', items: { type: 'string', enum: STATUSES } },
+      sort: { type: 'string', enum: Object.keys(OBSERVATION_SORTS) },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      auto_flagged: { type: 'boolean' },
+      threshold: { type: 'number', nullable: true },
+      total: { type: 'integer', description: 'Every match, not just this page' },
+      next_cursor: { type: 'string', nullable: true },
+      next_page: { type: 'integer', nullable: true },
+      data: { type: 'array', items: ref('ObservationListItem') },
+    },
+  },
+  ReviewNotes: {
+    type: 'object',
+    properties: { review_notes: { type: 'string', nullable: true, maxLength: 1000 } },
+  },
+  BulkAction: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ['verify', 'reject', 'confirm'] },
+      ids: { type: 'array', minItems: 1, maxItems: 1000, items: ref('Id') },
+      filter: {
+        type: 'object',
+        description: 'Pending observations whose top confidence is at least min_confidence',
+        properties: {
+          min_confidence: { type: 'number', minimum: 0, maximum: 1 },
+          auto_flagged: ref('Flag'),
+          threshold: { type: 'number', description: 'Clamped to 0..1' },
+        },
+      },
+      species_id: { allOf: [ref('Id')], description: 'Required for confirm' },
+      review_notes: { type: 'string', nullable: true },
+    },
+  },
+  BulkResult: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean' },
+      action: { type: 'string' },
+      species_id: { type: 'integer', nullable: true },
+      min_confidence: { type: 'number', nullable: true },
+      requested: { type: 'integer' },
+      updated: { type: 'integer' },
+      not_found: { type: 'integer' },
+      already_final: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            observation_id: { type: 'integer' },
+            result: { type: 'string', enum: ['updated', 'not_found', 'already_final'] },
+          },
+        },
+      },
+    },
+  },
+  ObservationEdit: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: STATUSES },
+      notes: { type: 'string', nullable: true },
+      species_name: { type: 'string', nullable: true },
+      review_notes: { type: 'string', nullable: true },
+    },
+  },
+  ConfirmExisting: {
+    type: 'object',
+    description: 'species_id, or a scientific_name resolved (or created) through the synonym table',
+    anyOf: [{ required: ['species_id'] }, { required: ['scientific_name'] }],
+    properties: {
+      species_id: ref('Id'),
+      scientific_name: { type: 'string' },
+      review_notes: { type: 'string', nullable: true },
+    },
+  },
+  ConfirmNew: {
+    type: 'object',
+    required: ['scientific_name'],
+    properties: {
+      scientific_name: { type: 'string', minLength: 1 },
+      common_name: { type: 'string', nullable: true },
+      is_endangered: ref('Flag'),
+      description: { type: 'string', nullable: true },
+      review_notes: { type: 'string', nullable: true },
+    },
+  },
+  Anything: { type: 'object', additionalProperties: true },
+};
+
+const responses = {
+  BadRequest: { description: 'Invalid request (code VALIDATION_FAILED names the fields)', content: json(ref('Error')) },
+  Unauthenticated: { description: 'Missing or expired token', content: json(ref('Error')) },
+  Forbidden: { description: 'The caller\'s role is not allowed', content: json(ref('Error')) },
+  NotFound: { description: 'Not found', content: json(ref('Error')) },
+  Conflict: { description: 'Conflicts with the current state', content: json(ref('Error')) },
+  Unavailable: {
+    description: 'Inference backend busy or restarting; retry after Retry-After seconds',
+    headers: { 'Retry-After': { schema: { type: 'integer' } } },
+    content: json(ref('Error')),
+  },
+};
+
+const paths = {
+  '/health': {
+    get: { operationId: 'health', tags: ['meta'], responses: { 200: ok(ref('Ok')) } },
+  },
+  '/openapi.json': {
+    get: { operationId: 'openapi', tags: ['meta'], summary: 'This document', responses: { 200: ok(ref('Anything')) } },
+  },
+
+  // Accounts
+  '/auth/register': {
+    post: {
+      operationId: 'register',
+      tags: ['auth'],
+      summary: 'Create a plain user account and sign in',
+      requestBody: body({
+        allOf: [
+          ref('Credentials'),
+          { type: 'object', properties: { username: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 8 } } },
+        ],
+      }),
+      responses: { 201: ok(ref('Session'), 'Created'), ...errors(400, 409) },
+    },
+  },
+  '/auth/login': {
+    post: {
+      operationId: 'login',
+      tags: ['auth'],
+      requestBody: body(ref('Credentials')),
+      responses: { 200: ok(ref('Session')), ...errors(400, 401) },
+    },
+  },
+  '/auth/logout': {
+    post: { operationId: 'logout', tags: ['auth'], ...signedIn, responses: { 200: ok(ref('Ok')), ...errors(401) } },
+  },
+  '/auth/me': {
+    get: {
+      operationId: 'me',
+      tags: ['auth'],
+      ...signedIn,
+      responses: { 200: ok({ type: 'object', properties: { user: ref('User') } }), ...errors(401) },
+    },
+  },
+
+  // Scanning
+  '/scan': {
+    post: {
+      operationId: 'scan',
+      tags: ['scan'],
+      summary: 'Identify a plant photo',
+      description: 'Stores the photo and returns the predictions. With ?async=1, an async form field or '
+        + '`Prefer: respond-async` it answers 202 with a job to poll instead.',
+      ...optionalSignIn,
+      parameters: [query('async', flag)],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['image'],
+              properties: {
+                image: { type: 'string', format: 'binary', description: 'JPEG, PNG, WebP or HEIC' },
+                location_latitude: { type: 'string', description: 'Blank to use the photo\'s EXIF position' },
+                location_longitude: { type: 'string' },
+                location_name: { type: 'string', maxLength: 255 },
+                source: { type: 'string', maxLength: 32 },
+                notes: { type: 'string' },
+                allow_duplicate: flag,
+                async: flag,
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: ok(ref('ScanResult')),
+        202: {
+          description: 'Accepted; follow status_url or events_url',
+          headers: { Location: { schema: { type: 'string' } } },
+          content: json(ref('ScanJob')),
+        },
+        413: { description: 'Image too large', content: json(ref('Error')) },
+        415: { description: 'Not an image type we accept', content: json(ref('Error')) },
+        ...errors(400, 503),
+      },
+    },
+  },
+  '/scan/jobs/{id}': {
+    get: {
+      operationId: 'getScanJob',
+      tags: ['scan'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+      responses: { 200: ok(ref('ScanJob')), ...errors(400, 404) },
+    },
+  },
+  '/scan/jobs/{id}/events': {
+    get: {
+      operationId: 'streamScanJob',
+      tags: ['scan'],
+      summary: 'Server-sent events: status, then completed or failed',
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+      responses: {
+        200: { description: 'text/event-stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400, 404),
+      },
+    },
+  },
+
+  // Map and catalogue
+  '/plant-observations/geo': {
+    get: {
+      operationId: 'observationsInArea',
+      tags: ['map'],
+      description: 'bbox, or lat + lon (+ radius_km). Only verified observations are public.',
+      ...optionalSignIn,
+      parameters: [
+        query('bbox', { type: 'string', pattern: '^[^,]+(,[^,]+){3}$' }, 'minLon,minLat,maxLon,maxLat'),
+        query('lat', { type: 'number', minimum: -90, maximum: 90 }),
+        query('lon', { type: 'number', minimum: -180, maximum: 180 }),
+        query('radius_km', { type: 'number', minimum: 0 }),
+        query('status', statusList),
+        query('species_id', { type: 'integer', minimum: 1 }),
+        query('format', { type: 'string', enum: ['json', 'geojson'] }),
+        query('cluster', flag),
+        query('zoom', { type: 'number', minimum: 0, maximum: 22 }),
+        query('limit', { type: 'integer' }),
+      ],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 403) },
+    },
+  },
+  '/plant-observations/{id}': {
+    put: {
+      operationId: 'editObservation',
+      tags: ['moderation'],
+      ...reviewer,
+      parameters: [pathId()],
+      requestBody: body(ref('ObservationEdit')),
+      responses: {
+        200: ok({ type: 'object', properties: { ok: { type: 'boolean' }, id: { type: 'integer' }, status: { type: 'string', nullable: true } } }),
+        ...errors(400, 401, 403, 404),
+      },
+    },
+  },
+  '/species': {
+    get: {
+      operationId: 'listSpecies',
+      tags: ['species'],
+      parameters: [query('q', { type: 'string' }), ...pageParams(100, 20)],
+      responses: { 200: ok(ref('SpeciesPage')) },
+    },
+  },
+  '/species/{id}': {
+    get: {
+      operationId: 'getSpecies',
+      tags: ['species'],
+      parameters: [pathId()],
+      responses: { 200: ok(ref('SpeciesDetail')), ...errors(400, 404) },
+    },
+    put: {
+      operationId: 'updateSpecies',
+      tags: ['species'],
+      ...reviewer,
+      parameters: [pathId()],
+      requestBody: body(ref('SpeciesUpdate')),
+      responses: {
+        200: ok({ type: 'object', properties: { ok: { type: 'boolean' }, species: ref('Species') } }),
+        ...errors(400, 401, 403, 404, 409),
+      },
+    },
+    delete: {
+      operationId: 'deleteSpecies',
+      tags: ['species'],
+      summary: 'Soft delete',
+      ...admin,
+      parameters: [pathId()],
+      responses: { 200: ok(ref('Ok')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/species/{id}/synonyms': {
+    get: {
+      operationId: 'listSynonyms',
+      tags: ['species'],
+      parameters: [pathId()],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 404) },
+    },
+    post: {
+      operationId: 'addSynonym',
+      tags: ['species'],
+      ...reviewer,
+      parameters: [pathId()],
+      requestBody: body({ type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } }),
+      responses: { 201: ok(ref('Anything'), 'Created'), ...errors(400, 401, 403, 404, 409) },
+    },
+  },
+  '/species/{id}/synonyms/{synonymId}': {
+    delete: {
+      operationId: 'deleteSynonym',
+      tags: ['species'],
+      ...reviewer,
+      parameters: [pathId(), pathId('synonymId')],
+      responses: { 200: ok(ref('Ok')), ...errors(400, 401, 403, 404) },
+    },
+  },
+
+  // Review queue
+  '/api/admin/observations': {
+    get: {
+      operationId: 'listObservations',
+      tags: ['moderation'],
+      description: 'Page with ?cursor=<next_cursor>. ?page= still pages by offset for older clients.',
+      ...reviewer,
+      parameters: [
+        query('status', statusList),
+        ...dateRange,
+        query('user_id', { type: 'integer', minimum: 1 }),
+        query('location', { type: 'string', maxLength: 255 }, 'Text in location_name'),
+        query('species_id', { type: 'integer', minimum: 1 }),
+        query('species', { type: 'string', maxLength: 255 }, 'Scientific or common name prefix'),
+        query('species_source', { type: 'string', enum: ['any', 'predicted', 'assigned'] }),
+        query('min_confidence', { type: 'number', minimum: 0, maximum: 1 }),
+        query('max_confidence', { type: 'number', minimum: 0, maximum: 1 }),
+        query('auto_flagged', flag),
+        query('threshold', { type: 'number' }, 'Clamped to 0..1'),
+        query('sort', { type: 'string', enum: Object.keys(OBSERVATION_SORTS) }),
+        query('order', { type: 'string', enum: ['asc', 'desc'] }),
+        query('cursor', { type: 'string', maxLength: 512 }),
+        query('page', { type: 'integer', minimum: 1 }),
+        query('page_size', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }),
+      ],
+      responses: { 200: ok(ref('ObservationPage')), ...errors(400, 401, 403) },
+    },
+  },
+  '/api/admin/observations/{id}/verify': {
+    put: {
+      operationId: 'verifyObservation',
+      tags: ['moderation'],
+      ...reviewer,
+      parameters: [pathId()],
+      requestBody: body(ref('ReviewNotes'), { required: false }),
+      responses: { 200: ok(ref('Ok')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/observations/{id}/reject': {
+    put: {
+      operationId: 'rejectObservation',
+      tags: ['moderation'],
+      ...reviewer,
+      parameters: [pathId()],
+      requestBody: body(ref('ReviewNotes'), { required: false }),
+      responses: { 200: ok(ref('Ok')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/observations/{id}/confirm-existing': {
+    post: {
+      operationId: 'confirmExistingSpecies',
+      tags: ['moderation'],
+      ...reviewer,
+      parameters: [pathId()],
+      requestBody: body(ref('ConfirmExisting')),
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/observations/{id}/confirm-new': {
+    post: {
+      operationId: 'confirmNewSpecies',
+      tags: ['moderation'],
+      ...reviewer,
+      parameters: [pathId()],
+      requestBody: body(ref('ConfirmNew')),
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404, 409) },
+    },
+  },
+  '/api/admin/observations/{id}/history': {
+    get: {
+      operationId: 'observationHistory',
+      tags: ['moderation'],
+      ...reviewer,
+      parameters: [pathId()],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/observations/bulk': {
+    post: {
+      operationId: 'bulkModerate',
+      tags: ['moderation'],
+      description: 'Either ids or filter; confirm also needs species_id',
+      ...reviewer,
+      requestBody: body(ref('BulkAction')),
+      responses: { 200: ok(ref('BulkResult')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/observations/duplicates': {
+    get: {
+      operationId: 'duplicateClusters',
+      tags: ['moderation'],
+      summary: 'Clusters of near-duplicate photos; truncated is true when more than DUPLICATE_PAIR_LIMIT pairs matched',
+      ...reviewer,
+      parameters: [
+        query('status', statusList),
+        query('max_distance', { type: 'number' }, 'Hamming distance, clamped to 0..64'),
+        query('same_user', flag),
+        query('from', date, 'Start of the submission window; default 30 days (DUPLICATE_WINDOW_DAYS) before to'),
+        query('to', date, 'End of the submission window; default now. The window spans at most 90 days (DUPLICATE_MAX_WINDOW_DAYS)'),
+      ],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+  },
+  '/api/admin/events': {
+    get: {
+      operationId: 'adminEvents',
+      tags: ['moderation'],
+      summary: 'Server-sent events for the review queue',
+      ...reviewer,
+      parameters: [
+        query('types', listOf(ADMIN_EVENT_TYPES)),
+        query('last_event_id', { type: 'string' }, 'Same as the Last-Event-ID header'),
+        { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+      ],
+      responses: {
+        200: { description: 'text/event-stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400, 401, 403),
+      },
+    },
+  },
+
+  // Users and species maintenance
+  '/api/admin/users': {
+    get: { operationId: 'listUsers', tags: ['users'], ...admin, responses: { 200: ok(ref('Anything')), ...errors(401, 403) } },
+  },
+  '/api/admin/users/{id}/role': {
+    put: {
+      operationId: 'setUserRole',
+      tags: ['users'],
+      ...admin,
+      parameters: [pathId()],
+      requestBody: body({ type: 'object', required: ['role'], properties: { role: { type: 'string', enum: ROLES } } }),
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/species/merge': {
+    post: {
+      operationId: 'mergeSpecies',
+      tags: ['species'],
+      ...admin,
+      requestBody: body({
+        type: 'object',
+        required: ['from_species_id', 'into_species_id'],
+        properties: { from_species_id: ref('Id'), into_species_id: ref('Id') },
+      }),
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/location-access': {
+    get: {
+      operationId: 'locationAccessLog',
+      tags: ['users'],
+      ...admin,
+      parameters: [
+        query('observation_id', { type: 'integer', minimum: 1 }),
+        query('user_id', { type: 'integer', minimum: 1 }),
+        ...limitOffset(500, 50),
+      ],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+  },
+
+  // Exports and statistics
+  '/api/admin/export/observations': {
+    get: {
+      operationId: 'exportObservations',
+      tags: ['export'],
+      ...reviewer,
+      parameters: [
+        query('format', { type: 'string', enum: ['csv', 'json'] }),
+        query('status', statusList),
+        ...dateRange,
+        query('species_id', { type: 'integer', minimum: 1 }),
+        query('exact_locations', flag, 'Keep endangered-species coordinates (trusted roles only)'),
+      ],
+      responses: {
+        200: { description: 'CSV or JSON file', content: { 'text/csv': { schema: { type: 'string' } }, 'application/json': { schema: { type: 'array', items: ref('Anything') } } } },
+        ...errors(400, 401, 403),
+      },
+    },
+  },
+  '/api/admin/export/dwca': {
+    get: {
+      operationId: 'exportDarwinCore',
+      tags: ['export'],
+      ...reviewer,
+      parameters: [
+        ...dateRange,
+        query('species_id', { type: 'integer', minimum: 1 }),
+        query('exact_locations', flag),
+      ],
+      responses: {
+        200: { description: 'Darwin Core Archive', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+        ...errors(400, 401, 403),
+      },
+    },
+  },
+  '/api/admin/stats': {
+    get: { operationId: 'stats', tags: ['stats'], ...reviewer, parameters: dateRange, responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) } },
+  },
+  '/api/admin/stats/observations': {
+    get: {
+      operationId: 'statsObservations',
+      tags: ['stats'],
+      ...reviewer,
+      parameters: [...dateRange, query('group_by', { type: 'string', enum: STATS_GROUP_BY })],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+  },
+  '/api/admin/stats/auto-flagged': {
+    get: { operationId: 'statsAutoFlagged', tags: ['stats'], ...reviewer, parameters: dateRange, responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) } },
+  },
+  '/api/admin/stats/confidence-histogram': {
+    get: {
+      operationId: 'statsConfidenceHistogram',
+      tags: ['stats'],
+      ...reviewer,
+      parameters: [...dateRange, query('bins', { type: 'integer', minimum: 1, maximum: 100, default: 10 })],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+  },
+  '/api/admin/stats/review-time': {
+    get: { operationId: 'statsReviewTime', tags: ['stats'], ...reviewer, parameters: dateRange, responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) } },
+  },
+  '/api/admin/evaluation': {
+    get: {
+      operationId: 'evaluation',
+      tags: ['model'],
+      ...reviewer,
+      parameters: [
+        ...dateRange,
+        query('model_version', { type: 'string', maxLength: 100 }),
+        query('target_precision', { type: 'number', minimum: 0, maximum: 1 }),
+      ],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+  },
+
+  // Model and training data
+  '/api/admin/model': {
+    get: { operationId: 'modelInfo', tags: ['model'], ...reviewer, responses: { 200: ok(ref('Anything')), ...errors(401, 403) } },
+    post: {
+      operationId: 'swapModel',
+      tags: ['model'],
+      summary: 'Load a retrained model without a restart',
+      ...admin,
+      requestBody: body({
+        type: 'object',
+        required: ['class_map_path'],
+        properties: {
+          model_path: { type: 'string' },
+          class_map_path: { type: 'string', minLength: 1 },
+          name: { type: 'string' },
+        },
+      }),
+      responses: {
+        200: ok(ref('Anything')),
+        422: { description: 'The new model failed to load or smoke test', content: json(ref('Error')) },
+        501: { description: 'The inference backend cannot swap models', content: json(ref('Error')) },
+        ...errors(400, 401, 403, 409, 503),
+      },
+    },
+  },
+  '/api/admin/reclassify-jobs': {
+    get: {
+      operationId: 'listReclassifyJobs',
+      tags: ['model'],
+      ...reviewer,
+      parameters: limitOffset(100, 20),
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+    post: {
+      operationId: 'createReclassifyJob',
+      tags: ['model'],
+      description: 'At least one of status, from/to, top_species_id',
+      ...admin,
+      requestBody: body({
+        type: 'object',
+        properties: {
+          status: {
+            anyOf: [statusList, { type: 'array', minItems: 1, items: { type: 'string', enum: STATUSES } }],
+          },
+          from: date,
+          to: date,
+          top_species_id: ref('Id'),
+        },
+      }),
+      responses: { 202: ok(ref('Anything'), 'Queued'), ...errors(400, 401, 403) },
+    },
+  },
+  '/api/admin/reclassify-jobs/{id}': {
+    get: {
+      operationId: 'getReclassifyJob',
+      tags: ['model'],
+      ...reviewer,
+      parameters: [pathId()],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/reclassify-jobs/{id}/cancel': {
+    post: {
+      operationId: 'cancelReclassifyJob',
+      tags: ['model'],
+      ...admin,
+      parameters: [pathId()],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404, 409) },
+    },
+  },
+  '/api/admin/dataset/samples': {
+    get: {
+      operationId: 'listTrainingSamples',
+      tags: ['dataset'],
+      ...reviewer,
+      parameters: [
+        query('species_id', { type: 'integer', minimum: 1 }),
+        query('split', { type: 'string', enum: SPLITS }),
+        query('excluded', flag),
+        ...pageParams(200, 50),
+      ],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+  },
+  '/api/admin/dataset/samples/{observationId}': {
+    put: {
+      operationId: 'updateTrainingSample',
+      tags: ['dataset'],
+      ...reviewer,
+      parameters: [pathId('observationId')],
+      requestBody: body({
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          split: { type: 'string', enum: SPLITS },
+          excluded: { type: 'boolean' },
+          exclude_reason: { type: 'string', nullable: true },
+        },
+      }),
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404) },
+    },
+  },
+  '/api/admin/dataset/samples/backfill': {
+    post: { operationId: 'backfillTrainingSamples', tags: ['dataset'], ...admin, responses: { 200: ok(ref('Anything')), ...errors(401, 403) } },
+  },
+  '/api/admin/dataset/classes': {
+    get: { operationId: 'trainingClasses', tags: ['dataset'], ...reviewer, responses: { 200: ok(ref('Anything')), ...errors(401, 403) } },
+  },
+  '/api/admin/dataset/exports': {
+    get: {
+      operationId: 'listDatasetExports',
+      tags: ['dataset'],
+      ...reviewer,
+      parameters: limitOffset(100, 20),
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403) },
+    },
+    post: {
+      operationId: 'createDatasetExport',
+      tags: ['dataset'],
+      ...admin,
+      responses: { 202: ok(ref('Anything'), 'Started'), ...errors(401, 403, 409) },
+    },
+  },
+  '/api/admin/dataset/exports/{version}': {
+    get: {
+      operationId: 'getDatasetExport',
+      tags: ['dataset'],
+      ...reviewer,
+      parameters: [pathId('version')],
+      responses: { 200: ok(ref('Anything')), ...errors(400, 401, 403, 404) },
+    },
+  },
+
+  // Stored images (from the configured storage driver)
+  '/uploads/{file}': {
+    get: {
+      operationId: 'getUpload',
+      tags: ['images'],
+      parameters: [{ name: 'file', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: { description: 'Image', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } }, ...errors(404) },
+    },
+  },
+  '/uploads/_derived/{file}': {
+    get: {
+      operationId: 'getUploadDerivative',
+      tags: ['images'],
+      parameters: [{ name: 'file', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: { description: 'Thumbnail or medium copy', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } }, ...errors(404) },
+    },
+  },
+  '/species_images/{slug}/{file}': {
+    get: {
+      operationId: 'getSpeciesImage',
+      tags: ['images'],
+      parameters: [
+        { name: 'slug', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'file', in: 'path', required: true, schema: { type: 'string' } },
+      ],
+      responses: { 200: { description: 'Image', content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } }, ...errors(404) },
+    },
+  },
+};
+
+export const openapiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'SmartPlant API',
+    version: process.env.npm_package_version || '1.0.0',
+    description: 'Plant identification, review queue and species catalogue. Errors always use the '
+      + 'Error schema. Admin routes are served under both /api/admin and /admin; the catalogue under '
+      + 'both /species and /api/species.',
+  },
+  servers: [{ url: '/' }],
+  tags: ['meta', 'auth', 'scan', 'map', 'species', 'moderation', 'users', 'export', 'stats', 'model', 'dataset', 'images']
+    .map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from /auth/login' } },
+    schemas,
+    responses,
+  },
+};
+
+export const openapiRouter = express.Router();
+
+openapiRouter.get('/openapi.json', (req, res) => {
+  res.json(openapiDocument);
+});
@@ -0,0 +1,312 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Pool of persistent Python workers. Each one loads the AI model once and answers
+// one JSON line per request on stdout, tagged with the id it was sent.
+const POOL_SIZE = Math.max(1, Number(process.env.INFER_WORKERS) || 1); // Number of worker processes
+const QUEUE_LIMIT = Math.max(0, Number(process.env.INFER_QUEUE_LIMIT ?? 16)); // Max requests waiting behind busy workers
+const INFER_TIMEOUT_MS = Number(process.env.INFER_TIMEOUT_MS || 30000); // Max wait per inference
+const HUNG_AFTER_MS = Number(process.env.INFER_HUNG_AFTER_MS || INFER_TIMEOUT_MS); // Extra wait after a timeout before the worker counts as hung
+const RETRY_AFTER_S = Math.max(1, Number(process.env.INFER_RETRY_AFTER || 5)); // Hint sent with 503 responses
+const RESTART_BASE_MS = 1000; // First restart delay after a crash
+const RESTART_MAX_MS = 60000; // Upper bound for the exponential backoff
+const MODEL_LOAD_TIMEOUT_MS = Number(process.env.MODEL_LOAD_TIMEOUT_MS || 120000); // Max wait for a worker to stage a new model
+
+const workers = []; // One slot per pool member: { index, proc, pending, restarts, restartAt, restartTimer }
+let nextInferId = 1; // Incrementing id attached to every request sent to a worker
+let started = false;
+let workerModel = null; // { name, model_path, class_map_path } every worker is (re)started with
+let swapping = false;
+
+export function inferError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+function pythonPath() {
+  // An explicit PYTHON_PATH wins (the tests point it at a fake worker)
+  if (process.env.PYTHON_PATH) return process.env.PYTHON_PATH;
+
+  // Build the path to the python executable based on the Operating System
+  const pythonExecutable = process.platform === 'win32'
+    ? path.join(__dirname, '..', '.venv', 'Scripts', 'python.exe')
+    : path.join(__dirname, '..', '.venv', 'bin', 'python');
+
+  // Check if our venv python.exe exists. If not, fallback to the old method.
+  return fs.existsSync(pythonExecutable) ? pythonExecutable : 'python';
+}
+
+// Reject every in-flight inference of one worker (used when it dies)
+function rejectAllPending(slot, err) {
+  for (const [id, p] of slot.pending) {
+    clearTimeout(p.timer);
+    slot.pending.delete(id);
+    p.reject(err);
+  }
+}
+
+// Route one line of worker output to the request that has the same id
+function handleWorkerLine(slot, line) {
+  if (!line.trim()) return;
+  let msg;
+  try {
+    msg = JSON.parse(line);
+  } catch (e) {
+    console.warn(`[pyworker#${slot.index}] ignoring non-JSON output: ${line}`);
+    return;
+  }
+
+  const p = slot.pending.get(msg?.id);
+  if (!p) {
+    console.warn(`[pyworker#${slot.index}] response for unknown request id=${msg?.id}`);
+    return;
+  }
+  clearTimeout(p.timer);
+  slot.pending.delete(msg.id);
+  slot.restarts = 0; // A successful round trip means the worker is healthy again
+
+  if (p.timedOut) {
+    console.warn(`[pyworker#${slot.index}] late response for timed-out request id=${msg.id}`);
+    return;
+  }
+
+  if (msg.error) p.reject(inferError('INFER_FAILED', `Inference failed: ${msg.error}`, { detail: msg.error }));
+  else p.resolve(msg);
+}
+
+// Restart a crashed worker after an exponentially growing delay
+function scheduleRestart(slot) {
+  if (slot.restartTimer) return;
+  const delay = Math.min(RESTART_MAX_MS, RESTART_BASE_MS * 2 ** slot.restarts);
+  slot.restarts += 1;
+  slot.restartAt = Date.now() + delay;
+  console.warn(`[pyworker#${slot.index}] restarting in ${delay} ms (attempt ${slot.restarts})`);
+  slot.restartTimer = setTimeout(() => {
+    slot.restartTimer = null;
+    slot.restartAt = 0;
+    spawnWorker(slot);
+  }, delay);
+  slot.restartTimer.unref();
+}
+
+// Replace a worker whose state can no longer be trusted; like a crash, it comes back on workerModel
+function restartWorker(slot, reason) {
+  const { proc } = slot;
+  if (!proc) return; // already down, and its restart loads workerModel
+  console.warn(`[pyworker#${slot.index}] restarting: ${reason}`);
+  slot.proc = null; // detach first, so its 'close' does not tear the slot down a second time
+  rejectAllPending(slot, inferError('INFER_WORKER_EXIT', `Inference worker restarted: ${reason}`));
+  proc.kill();
+  scheduleRestart(slot);
+}
+
+function spawnWorker(slot) {
+  const py = pythonPath();
+  const workerPath = path.join(__dirname, '..', 'python', 'worker.py');
+
+  // A hot-swapped model must survive a crash, so restarts load whatever is active now
+  const env = workerModel
+    ? {
+        ...process.env,
+        MODEL_PATH: workerModel.model_path,
+        CLASS_MAP_PATH: workerModel.class_map_path,
+        MODEL_NAME: workerModel.name || '',
+      }
+    : process.env;
+
+  // Spawn a new python worker process
+  const proc = spawn(py, [workerPath], { stdio: ['pipe', 'pipe', 'pipe'], env });
+  slot.proc = proc;
+
+  let buf = '';
+  proc.stdout.on('data', (d) => {
+    buf += d.toString();
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      handleWorkerLine(slot, line);
+    }
+  });
+
+  // 'error' and 'close' can both fire for one process, so only tear down once
+  const onExit = (reason) => {
+    if (slot.proc !== proc) return;
+    slot.proc = null;
+    rejectAllPending(slot, inferError('INFER_WORKER_EXIT', `Inference worker ${reason}`));
+    scheduleRestart(slot);
+  };
+
+  proc.stdin.on('error', (err) => { // Writing to a dead worker raises EPIPE here
+    console.error(`[pyworker#${slot.index}] stdin error.`, err.message);
+  });
+  proc.stderr.on('data', (data) => { // Log any errors from the python worker to console
+    console.error(`[pyworker#${slot.index}-err] ${data.toString().trim()}`);
+  });
+  proc.on('close', (code) => { // Handle unexpected worker exit
+    console.warn(`[pyworker#${slot.index}] exited with code ${code}`);
+    onExit(`exited with code ${code}`);
+  });
+  proc.on('error', (err) => { // Handle spawn error (for example if a file is not found)
+    console.error(`[pyworker#${slot.index}] Failed to start worker.`, err.message);
+    onExit(`failed: ${err.message}`);
+  });
+  console.log(`[pyworker#${slot.index}] started. Path: ${py}`);
+}
+
+// Spawn the whole pool (called once on boot so the models load immediately)
+export function startWorkers(model) {
+  if (model && !started) workerModel = model;
+  if (started) return;
+  started = true;
+  for (let i = 0; i < POOL_SIZE; i++) {
+    const slot = { index: i, proc: null, pending: new Map(), restarts: 0, restartAt: 0, restartTimer: null };
+    workers.push(slot);
+    spawnWorker(slot);
+  }
+  console.log(`[pyworker] pool of ${POOL_SIZE} worker(s), queue limit ${QUEUE_LIMIT}`);
+}
+
+// Stop every worker for good (shutdown, tests): nothing is restarted and in-flight requests are rejected
+export function stopWorkers() {
+  for (const slot of workers) {
+    clearTimeout(slot.restartTimer);
+    slot.restartTimer = null;
+    slot.restartAt = 0;
+    const { proc } = slot;
+    slot.proc = null;
+    rejectAllPending(slot, inferError('INFER_WORKER_EXIT', 'Inference workers stopped'));
+    proc?.kill();
+  }
+  workers.length = 0;
+  started = false;
+}
+
+// Requests that are waiting behind another request on their worker
+function queuedCount() {
+  return workers.reduce((n, w) => n + Math.max(0, w.pending.size - 1), 0);
+}
+
+// Seconds until the first crashed worker is due back, or the default hint
+function retryAfterSeconds() {
+  const due = workers.filter(w => w.restartAt).map(w => w.restartAt - Date.now());
+  if (!due.length) return RETRY_AFTER_S;
+  return Math.max(1, Math.ceil(Math.min(...due) / 1000));
+}
+
+// Throws a 503-style error when no request could be accepted right now
+function assertCapacity() {
+  const alive = workers.filter(w => w.proc);
+  if (!alive.length) {
+    throw inferError('INFER_UNAVAILABLE', 'No inference workers are running', { retryAfter: retryAfterSeconds() });
+  }
+  const idle = alive.some(w => w.pending.size === 0);
+  if (!idle && queuedCount() >= QUEUE_LIMIT) {
+    throw inferError('INFER_QUEUE_FULL', 'Inference queue is full', { retryAfter: RETRY_AFTER_S });
+  }
+  return alive;
+}
+
+// Cheap check used before accepting an upload
+export function workerCapacityError() {
+  startWorkers();
+  try {
+    assertCapacity();
+    return null;
+  } catch (e) {
+    return e;
+  }
+}
+
+// Write one request line to a worker and wait for the response with the same id.
+// A timed-out request stays in `pending` (marked timedOut) until the worker answers it,
+// because the worker is still busy with it: dispatch and the queue limit keep counting it.
+// A worker that still has not answered HUNG_AFTER_MS later is hung and gets restarted.
+function sendToWorker(slot, payload, timeoutMs = INFER_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    if (!slot.proc) return reject(inferError('INFER_WORKER_EXIT', 'Inference worker is not running'));
+    const id = nextInferId++;
+
+    const entry = { resolve, reject, timedOut: false };
+    entry.timer = setTimeout(() => {
+      entry.timedOut = true;
+      reject(inferError('INFER_TIMEOUT', `Inference timed out after ${timeoutMs} ms`));
+      entry.timer = setTimeout(() => {
+        if (slot.pending.get(id) === entry) restartWorker(slot, `no answer to request id=${id}`);
+      }, HUNG_AFTER_MS);
+    }, timeoutMs);
+
+    slot.pending.set(id, entry);
+    slot.proc.stdin.write(JSON.stringify({ id, ...payload }) + '\n');
+  });
+}
+
+// Send an inference request to the least-busy worker
+export function inferWithWorker(imagePath, topk = 5) {
+  startWorkers();
+  let alive;
+  try {
+    alive = assertCapacity();
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  const slot = alive.reduce((best, w) => (w.pending.size < best.pending.size ? w : best));
+  return sendToWorker(slot, { image: imagePath, topk });
+}
+
+// The model each running worker is serving
+export async function workerModelInfo() {
+  startWorkers();
+  const alive = workers.filter(w => w.proc);
+  const infos = await Promise.all(alive.map(w => sendToWorker(w, { cmd: 'info' })));
+  return infos.map(({ id, ...info }, i) => ({ worker: alive[i].index, ...info }));
+}
+
+// Hot-swap: every worker loads the new pair next to the current one and smoke-tests it ("stage").
+// Only when all of them succeeded with the same version do they switch over ("activate");
+// otherwise the staged copies are dropped and the current model keeps serving. A worker whose
+// activate fails is restarted on the new model, so no worker keeps answering with the old one.
+export async function swapWorkerModel(model) {
+  startWorkers();
+  if (swapping) throw inferError('MODEL_SWAP_IN_PROGRESS', 'Another model swap is in progress');
+  if (workers.some(w => !w.proc)) {
+    throw inferError('INFER_UNAVAILABLE', 'Not every inference worker is running', { retryAfter: retryAfterSeconds() });
+  }
+
+  swapping = true;
+  try {
+    const staged = await Promise.allSettled(workers.map(w => sendToWorker(w, {
+      cmd: 'stage',
+      model_path: model.model_path,
+      class_map_path: model.class_map_path,
+      name: model.name || '',
+    }, MODEL_LOAD_TIMEOUT_MS)));
+
+    const failed = staged.find(s => s.status === 'rejected');
+    const versions = new Set(staged.filter(s => s.status === 'fulfilled').map(s => s.value.version));
+    if (failed || versions.size !== 1) {
+      await Promise.allSettled(workers.map(w => sendToWorker(w, { cmd: 'discard' })));
+      throw inferError('MODEL_INVALID', failed
+        ? `Model failed validation: ${failed.reason.detail || failed.reason.message}`
+        : 'Workers loaded different versions of the model');
+    }
+
+    const { id, ...loaded } = staged[0].value;
+    workerModel = model; // set first, so a worker that dies during the switch comes back on the new model
+    const activated = await Promise.allSettled(workers.map(w => sendToWorker(w, { cmd: 'activate', version: loaded.version })));
+    activated.forEach((a, i) => {
+      if (a.status === 'rejected') restartWorker(workers[i], `activate failed: ${a.reason.message}`);
+    });
+    return loaded;
+  } finally {
+    swapping = false;
+  }
+}
@@ -0,0 +1,261 @@
+import express from 'express';
+
+import {
+  getOrCreateSpeciesId,
+  insertReclassifyJob,
+  getReclassifyJob,
+  listReclassifyJobs,
+  listReclassifyChanges,
+  listPendingReclassifyItems,
+  listReclassifyJobsByStatus,
+  setReclassifyJobStatus,
+  setReclassifyJobModelVersion,
+  storeReclassification,
+  failReclassifyItem,
+} from './db.js';
+import { requireRole } from './auth.js';
+import { inferImage } from './inference.js';
+import { parseDateParam } from './exporter.js';
+import { keyFromUrl, withLocalFile } from './storage.js';
+
+// Background re-classification: re-run inference over a fixed set of existing observations and
+// store the answers as a new result set. Jobs run one at a time, one image at a time, so /scan
+// keeps most of the worker pool; state lives in the DB so a restart picks up where it stopped.
+const BUSY_BACKOFF_MS = 2000; // wait before retrying an image when the workers are saturated
+const STATUSES = ['pending', 'verified', 'rejected'];
+
+let running = null; // { job_id, cancelled } of the job being processed
+let draining = false;
+let drainAgain = false; // a job was queued while the queue was being drained
+
+// Ranked { species_id, confidence, rank } rows for insertAiResults from a backend's JSON answer
+export async function predictionItems(result) {
+  const clamp = v => Math.max(0, Math.min(1, v));
+  const topk = Array.isArray(result?.topk)
+    ? result.topk
+    : (result?.species_name ? [{ name: result.species_name, confidence: result.confidence }] : []);
+
+  const items = [];
+  let rank = 1;
+  for (const t of topk) {
+    const sci = String(t.name || t.species_name || '').trim();
+    if (!sci) continue;
+    const sid = await getOrCreateSpeciesId(sci);
+    const c = Number(t.confidence);
+    items.push({ species_id: sid, confidence: Number.isFinite(c) ? clamp(c) : 0, rank });
+    rank += 1;
+  }
+  return items;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function reclassifyOne(job_id, item) {
+  for (;;) {
+    try {
+      const key = keyFromUrl(item.photo_url, { area: 'uploads' });
+      const result = await withLocalFile(key, file => inferImage(file, 5));
+      const model_version = result?.model_version || null;
+      if (model_version) await setReclassifyJobModelVersion(job_id, model_version);
+      await storeReclassification({
+        job_id,
+        observation_id: item.observation_id,
+        items: await predictionItems(result),
+        model_version,
+      });
+      return;
+    } catch (e) {
+      // a busy or restarting pool is not the image's fault: wait and try the same one again
+      if ((e.code === 'INFER_QUEUE_FULL' || e.code === 'INFER_UNAVAILABLE') && !running?.cancelled) {
+        await sleep(e.retryAfter ? e.retryAfter * 1000 : BUSY_BACKOFF_MS);
+        continue;
+      }
+      if (e.code?.startsWith('INFER_') || e.code === 'ENOENT' || e.code === 'INVALID_KEY') {
+        await failReclassifyItem(job_id, item.observation_id, e.message);
+        return;
+      }
+      throw e;
+    }
+  }
+}
+
+async function runJob(job_id) {
+  if (!(await setReclassifyJobStatus(job_id, 'running', { fromStatuses: ['queued', 'running'] }))) return;
+  running = { job_id, cancelled: false };
+  console.log(`[reclassify] job ${job_id} started`);
+  try {
+    for (;;) {
+      const batch = await listPendingReclassifyItems(job_id);
+      if (!batch.length) break;
+      for (const item of batch) {
+        if (running.cancelled) return;
+        await reclassifyOne(job_id, item);
+      }
+    }
+    await setReclassifyJobStatus(job_id, 'completed', { fromStatuses: ['running'] });
+    console.log(`[reclassify] job ${job_id} completed`);
+  } catch (e) {
+    console.error(`[reclassify] job ${job_id} failed`, e);
+    await setReclassifyJobStatus(job_id, 'failed', { fromStatuses: ['running'], error: e.message })
+      .catch(err => console.error('[reclassify] could not mark job failed', err));
+  } finally {
+    running = null;
+  }
+}
+
+// Work through queued jobs in creation order until none are left
+async function drain() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+  try {
+    do {
+      drainAgain = false;
+      for (;;) {
+        const [next] = await listReclassifyJobsByStatus(['queued']);
+        if (!next) break;
+        await runJob(next);
+      }
+    } while (drainAgain);
+  } catch (e) {
+    console.error('[reclassify] queue error', e);
+  } finally {
+    draining = false;
+  }
+}
+
+// Called on boot: jobs that were running when the server stopped go back in the queue
+export async function resumeReclassifyJobs() {
+  try {
+    for (const job_id of await listReclassifyJobsByStatus(['running'])) {
+      await setReclassifyJobStatus(job_id, 'queued', { fromStatuses: ['running'] });
+    }
+    drain();
+  } catch (e) {
+    console.error('[reclassify] could not resume jobs', e.message);
+  }
+}
+
+function jobPayload(job) {
+  const total = Number(job.total);
+  const done = Number(job.done);
+  const failed = Number(job.failed);
+  const changed = Number(job.changed);
+  return {
+    job_id: job.job_id,
+    status: job.status,
+    selection: typeof job.selection === 'string' ? JSON.parse(job.selection) : job.selection,
+    model_version: job.model_version,
+    progress: {
+      total,
+      processed: done + failed,
+      remaining: Math.max(0, total - done - failed),
+      failed,
+      percent: total ? Math.round(((done + failed) / total) * 1000) / 10 : 100,
+    },
+    summary: { reclassified: done, top1_changed: changed, top1_unchanged: done - changed },
+    error: job.error,
+    created_by: job.created_by,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+  };
+}
+
+function jobError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Request body -> stored selection. At least one filter is required so a typo cannot queue every observation.
+function parseSelection(body = {}) {
+  const selection = {};
+  if (body.status !== undefined) {
+    const statuses = (Array.isArray(body.status) ? body.status : String(body.status).split(','))
+      .map(s => String(s).trim()).filter(Boolean);
+    if (!statuses.length || statuses.some(s => !STATUSES.includes(s))) {
+      throw jobError(`status must be one or more of ${STATUSES.join(', ')}`);
+    }
+    selection.statuses = statuses;
+  }
+  const from = parseDateParam(body.from, 'from');
+  const to = parseDateParam(body.to, 'to', true);
+  if (from) selection.from = from.toISOString();
+  if (to) selection.to = to.toISOString();
+  if (body.top_species_id !== undefined && body.top_species_id !== null && body.top_species_id !== '') {
+    const id = Number(body.top_species_id);
+    if (!Number.isFinite(id) || id <= 0) throw jobError('Invalid top_species_id');
+    selection.top_species_id = id;
+  }
+  if (!Object.keys(selection).length) {
+    throw jobError('Select observations by status, from/to and/or top_species_id');
+  }
+  return selection;
+}
+
+export const reclassifyRouter = express.Router();
+
+// Body: { status: "pending" | ["pending", ...], from, to, top_species_id } (filters are combined)
+reclassifyRouter.post('/reclassify-jobs', requireRole('admin'), async (req, res) => {
+  try {
+    let selection;
+    try {
+      selection = parseSelection(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    const job_id = await insertReclassifyJob({ selection, created_by: req.user.user_id });
+    drain();
+    res.status(201).json(jobPayload(await getReclassifyJob(job_id)));
+  } catch (e) {
+    console.error('[reclassify] create error', e);
+    res.status(500).json({ error: 'Failed to create re-classification job' });
+  }
+});
+
+reclassifyRouter.get('/reclassify-jobs', async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 20));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const rows = await listReclassifyJobs({ limit, offset });
+    res.json({ data: rows.map(jobPayload), limit, offset });
+  } catch (e) {
+    console.error('[reclassify] list error', e);
+    res.status(500).json({ error: 'Failed to fetch re-classification jobs' });
+  }
+});
+
+// Progress plus the most common top-1 changes (previous species -> new species)
+reclassifyRouter.get('/reclassify-jobs/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid job id' });
+    const job = await getReclassifyJob(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    const changes = (await listReclassifyChanges(id)).map(c => ({ ...c, count: Number(c.count) }));
+    res.json({ ...jobPayload(job), changes });
+  } catch (e) {
+    console.error('[reclassify] detail error', e);
+    res.status(500).json({ error: 'Failed to fetch re-classification job' });
+  }
+});
+
+// Stops a queued or running job; result sets already stored are kept
+reclassifyRouter.post('/reclassify-jobs/:id/cancel', requireRole('admin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid job id' });
+    const cancelled = await setReclassifyJobStatus(id, 'cancelled', { fromStatuses: ['queued', 'running'] });
+    if (running?.job_id === id) running.cancelled = true;
+    const job = await getReclassifyJob(id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!cancelled) return res.status(409).json({ error: `Job is already ${job.status}` });
+    res.json(jobPayload(job));
+  } catch (e) {
+    console.error('[reclassify] cancel error', e);
+    res.status(500).json({ error: 'Failed to cancel re-classification job' });
+  }
+});
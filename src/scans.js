@@ -0,0 +1,202 @@
+import express from 'express';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+import {
+  getObservationWithResults,
+  insertScanJob,
+  getScanJob,
+  listScanJobsByStatus,
+  setScanJobStatus,
+  completeScanJob,
+} from './db.js';
+import { inferImage, unsureThreshold } from './inference.js';
+import { storedDerivativeUrls } from './derivatives.js';
+import { predictionItems } from './reclassify.js';
+import { openEventStream } from './sse.js';
+import { announceScan } from './events.js';
+import { keyFromUrl, withLocalFile } from './storage.js';
+
+// Asynchronous scans: POST /scan?async=1 stores the observation and answers 202 with a job id;
+// the inference runs here in the background and the client polls GET /scan/jobs/:id or
+// listens on GET /scan/jobs/:id/events. Job state lives in the DB so a restart resumes it.
+const BUSY_BACKOFF_MS = 2000; // wait before retrying when the workers are saturated
+const POLL_RETRY_AFTER_S = 2; // hint for clients polling an unfinished job
+const FINISHED = ['completed', 'failed'];
+const JOB_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // one listener per open SSE connection
+
+// The scan response, built from what is stored for an observation. Synchronous scans, async
+// job results and duplicate answers all go through here, so species are always the canonical
+// scientific names and confidences the stored (rounded) scores.
+export async function scanPayload(detail) {
+  const thresh = unsureThreshold();
+  const results = (detail?.results || []).map(r => ({
+    ...r,
+    confidence: Number(r.confidence_score) || 0,
+  }));
+  const candidates = results.map(r => ({
+    species: r.scientific_name,
+    confidence: r.confidence,
+    rank: r.rank,
+  }));
+  const confidence = results[0]?.confidence || 0;
+  const obs = detail?.observation || {};
+  const derived = await storedDerivativeUrls(obs.photo_url);
+
+  return {
+    observation_id: obs.observation_id,
+    status: obs.status,
+    threshold: thresh,
+    auto_flagged: confidence < thresh,
+    model_version: results[0]?.model_version || null,
+    primary: {
+      species_name: candidates[0]?.species || null,
+      confidence,
+      image_path: obs.photo_url,
+      thumbnail_path: derived.thumb,
+      medium_path: derived.medium,
+    },
+    candidates,
+    results,
+    location_latitude: obs.location_latitude,
+    location_longitude: obs.location_longitude,
+    location_source: obs.location_source,
+    captured_at: obs.captured_at,
+    created_at: obs.created_at,
+  };
+}
+
+// ?async=1, an `async` form field, or `Prefer: respond-async`
+export function wantsAsyncScan(req) {
+  const flag = req.query.async ?? req.body?.async;
+  if (flag !== undefined) return ['1', 'true'].includes(String(flag).toLowerCase());
+  return /\brespond-async\b/i.test(String(req.get('prefer') || ''));
+}
+
+// Job status, with the scan payload once the job has completed
+async function jobPayload(job) {
+  const result = job.status === 'completed'
+    ? await scanPayload(await getObservationWithResults(job.observation_id))
+    : null;
+  return {
+    job_id: job.job_id,
+    observation_id: job.observation_id,
+    status: job.status,
+    error: job.error,
+    status_url: `/scan/jobs/${job.job_id}`,
+    events_url: `/scan/jobs/${job.job_id}/events`,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    result,
+  };
+}
+
+async function publish(job_id) {
+  const job = await getScanJob(job_id);
+  if (job) jobEvents.emit(job_id, await jobPayload(job));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runScanJob(job_id) {
+  let observation_id = null;
+  try {
+    if (!(await setScanJobStatus(job_id, 'running', { fromStatuses: ['queued', 'running'] }))) return;
+    const job = await getScanJob(job_id);
+    observation_id = job.observation_id;
+    await publish(job_id);
+
+    const key = keyFromUrl(job.photo_url, { area: 'uploads' });
+    let result;
+    for (;;) {
+      try {
+        result = await withLocalFile(key, file => inferImage(file, 5));
+        break;
+      } catch (e) {
+        // a busy or restarting pool is not the upload's fault: wait and try again
+        if (e.code === 'INFER_QUEUE_FULL' || e.code === 'INFER_UNAVAILABLE') {
+          await sleep(e.retryAfter ? e.retryAfter * 1000 : BUSY_BACKOFF_MS);
+          continue;
+        }
+        throw e;
+      }
+    }
+    console.log('[inference JSON]', result);
+
+    await completeScanJob(job_id, job.observation_id, await predictionItems(result), {
+      model_version: result?.model_version || null,
+    });
+  } catch (e) {
+    console.error(`[scan] job ${job_id} failed`, e);
+    let error = 'Server error';
+    if (e.code?.startsWith('INFER_')) error = String(e.message).slice(0, 255);
+    if (e.code === 'ENOENT' || e.code === 'INVALID_KEY') error = 'Uploaded image is missing';
+    await setScanJobStatus(job_id, 'failed', { fromStatuses: ['queued', 'running'], error }).catch(err => console.error('[scan] could not mark job failed', err));
+  }
+  await publish(job_id).catch(e => console.error('[scan] could not publish job', e));
+  // reviewers hear about the observation once it has predictions (or the job gave up)
+  if (observation_id) announceScan(observation_id);
+}
+
+// Called by POST /scan once the observation is stored; resolves to the 202 body
+export async function enqueueScanJob({ observation_id, user_id = null }) {
+  const job_id = crypto.randomUUID();
+  await insertScanJob({ job_id, observation_id, user_id });
+  runScanJob(job_id);
+  return jobPayload(await getScanJob(job_id));
+}
+
+// Called on boot: jobs interrupted by a restart run again
+export async function resumeScanJobs() {
+  try {
+    for (const job_id of await listScanJobsByStatus(['queued', 'running'])) runScanJob(job_id);
+  } catch (e) {
+    console.error('[scan] could not resume jobs', e.message);
+  }
+}
+
+// The job id is a random UUID handed out only to the uploader, so it doubles as the
+// credential for reading the result (scans may be anonymous)
+export const scanJobsRouter = express.Router();
+
+scanJobsRouter.get('/jobs/:id', async (req, res) => {
+  try {
+    if (!JOB_ID_RE.test(req.params.id)) return res.status(400).json({ error: 'Invalid job id' });
+    const job = await getScanJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    if (!FINISHED.includes(job.status)) res.set('Retry-After', String(POLL_RETRY_AFTER_S));
+    res.json(await jobPayload(job));
+  } catch (e) {
+    console.error('[scan] job status error', e);
+    res.status(500).json({ error: 'Failed to fetch scan job' });
+  }
+});
+
+// Events: `status` on connect and on every change, then `completed` (with `result`) or
+// `failed`, after which the server closes the stream
+scanJobsRouter.get('/jobs/:id/events', async (req, res) => {
+  try {
+    if (!JOB_ID_RE.test(req.params.id)) return res.status(400).json({ error: 'Invalid job id' });
+    const job_id = req.params.id;
+    const job = await getScanJob(job_id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const listener = payload => {
+      stream.send(FINISHED.includes(payload.status) ? payload.status : 'status', payload);
+      if (FINISHED.includes(payload.status)) stream.close();
+    };
+    const stream = openEventStream(req, res, { onClose: () => jobEvents.off(job_id, listener) });
+    jobEvents.on(job_id, listener);
+
+    // re-read after subscribing so a job finishing in between is not missed
+    listener(await jobPayload((await getScanJob(job_id)) || job));
+  } catch (e) {
+    console.error('[scan] job events error', e);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to open scan job events' });
+    else res.end();
+  }
+});
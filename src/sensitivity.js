@@ -0,0 +1,85 @@
+import express from 'express';
+
+import { insertLocationAccessLog, listLocationAccessLog } from './db.js';
+import { ROLES, hasRole, requireRole } from './auth.js';
+
+// Location protection for endangered species. An observation is sensitive when its species, or
+// the species of its current top prediction, has is_endangered set (see LOCATION_SENSITIVE_SQL
+// in db.js). Callers below EXACT_LOCATION_ROLE get sensitive coordinates snapped to the centre
+// of a LOCATION_GRID_DEG grid cell and no location_name; every exact value handed out is logged.
+export const LOCATION_GRID_DEG = (() => {
+  const g = Number(process.env.SENSITIVE_LOCATION_GRID_DEG ?? 0.1); // ~11 km at the equator
+  return Number.isFinite(g) && g > 0 && g <= 10 ? g : 0.1;
+})();
+export const EXACT_LOCATION_ROLE = ROLES.includes(process.env.EXACT_LOCATION_ROLE)
+  ? process.env.EXACT_LOCATION_ROLE
+  : 'admin';
+
+export function canSeeExactLocation(user) {
+  return hasRole(user, EXACT_LOCATION_ROLE);
+}
+
+// Centre of the grid cell holding v (the same rule the SQL side applies)
+export function generalizeCoordinate(v, gridDeg = LOCATION_GRID_DEG) {
+  if (v === null || v === undefined || v === '') return null;
+  const n = Number(v);
+  if (!Number.isFinite(n)) return null;
+  return Number(((Math.floor(n / gridDeg) + 0.5) * gridDeg).toFixed(6));
+}
+
+// A row as the caller may see it: for a sensitive row without exact access, coordinates are
+// generalised and location_name is blanked. Adds location_generalized either way.
+export function protectLocation(row, { exact }) {
+  const sensitive = Boolean(Number(row.location_sensitive));
+  if (!sensitive || exact) return { ...row, location_generalized: false };
+  return {
+    ...row,
+    location_latitude: generalizeCoordinate(row.location_latitude),
+    location_longitude: generalizeCoordinate(row.location_longitude),
+    location_name: '',
+    location_generalized: true,
+  };
+}
+
+// Who asked, for the access log: "GET /admin/observations" plus user and address
+export function accessContext(req, context = null) {
+  return {
+    user_id: req.user?.user_id ?? null,
+    context: context || `${req.method} ${req.baseUrl}${req.route?.path || ''}`.slice(0, 100),
+    ip: req.ip || null,
+  };
+}
+
+// Record that `rows` were shown with exact coordinates; only sensitive rows with a location count.
+// Logging failures are reported but never fail the request that triggered them.
+export async function logExactLocationAccess(access, rows) {
+  const ids = rows
+    .filter(r => Number(r.location_sensitive) && r.location_latitude !== null && r.location_latitude !== undefined)
+    .map(r => r.observation_id);
+  if (!ids.length) return;
+  try {
+    await insertLocationAccessLog(access, ids);
+  } catch (e) {
+    console.error('[sensitivity] could not log exact-location access', e);
+  }
+}
+
+export const locationAccessRouter = express.Router();
+
+// Audit of exact-location access: ?observation_id=&user_id=&limit=&offset=
+locationAccessRouter.get('/location-access', requireRole('admin'), async (req, res) => {
+  try {
+    const observation_id = req.query.observation_id ? Number(req.query.observation_id) : null;
+    const user_id = req.query.user_id ? Number(req.query.user_id) : null;
+    if ((observation_id !== null && !(observation_id > 0)) || (user_id !== null && !(user_id > 0))) {
+      return res.status(400).json({ error: 'observation_id and user_id must be positive integers' });
+    }
+    const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 50));
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const data = await listLocationAccessLog({ observation_id, user_id, limit, offset });
+    res.json({ grid_deg: LOCATION_GRID_DEG, exact_location_role: EXACT_LOCATION_ROLE, limit, offset, data });
+  } catch (e) {
+    console.error('[sensitivity] access log error', e);
+    res.status(500).json({ error: 'Failed to fetch location access log' });
+  }
+});
@@ -1,11 +1,7 @@
 import 'dotenv/config';
 import express from 'express';
-import multer from 'multer';
-import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { spawn } from 'child_process';
-import { v4 as uuidv4 } from 'uuid';
 import cors from 'cors';
 
 import pool, {
@@ -14,17 +10,45 @@ import pool, {
   insertAiResults,
   getObservationWithResults,
   listObservationsByStatus,
+  OBSERVATION_SORTS,
   updateObservationStatus,
   updateObservation,
   insertSpecies,
   attachObservationToSpecies,
+  findSpeciesIdByName,
+  listObservationAudit,
+  bulkModerateObservations,
+  getSpeciesById,
+  findNearDuplicateObservation,
+  listNearDuplicatePairs,
+  getObservationSummaries,
 } from './db.js';
+import { startInference, inferImage, inferenceCapacityError, unsureThreshold } from './inference.js';
+import { authRouter, userAdminRouter, optionalAuth, requireAuth, requireRole } from './auth.js';
+import { speciesRouter, speciesAdminRouter } from './species.js';
+import { slugifyName, canonicalSpeciesName } from './names.js';
+import { singleImageUpload, processImageUpload, perceptualHash } from './uploads.js';
+import { generateDerivatives, storedDerivativeUrls } from './derivatives.js';
+import { geoRouter } from './geo.js';
+import { exportRouter, parseDateParam } from './exporter.js';
+import { statsRouter } from './stats.js';
+import { evaluationRouter } from './evaluation.js';
+import { modelRouter } from './model.js';
+import { reclassifyRouter, resumeReclassifyJobs, predictionItems } from './reclassify.js';
+import { datasetRouter, recordTrainingSample, recordTrainingSamples, syncTrainingSample } from './dataset.js';
+import { eventsRouter, announceScan, announceStatusChange } from './events.js';
+import { locationAccessRouter, canSeeExactLocation, protectLocation, accessContext, logExactLocationAccess } from './sensitivity.js';
+import { assertSchemaCurrent } from './migrations.js';
+import { scanJobsRouter, enqueueScanJob, resumeScanJobs, scanPayload, wantsAsyncScan } from './scans.js';
+import { storage, keyFromUrl, urlForKey, withLocalFile, serveStorage } from './storage.js';
+import { openapiDocument, openapiRouter } from './openapi.js';
+import { validateRequests, validateFormFields } from './validation.js';
+import { errorEnvelope, errorHandler } from './errors.js';
 
 // Environment setup and Express app configuration
 const __filename = fileURLToPath(import.meta.url); // Get the current file path 
 const __dirname = path.dirname(__filename); // Get the current directory path
 const app = express(); // Initialize the Express application
-const SPECIES_IMAGE_ROOT = path.join(__dirname, '..', 'species_images');
 
 app.use((req, _res, next) => {
   console.log(`[req] ${req.method} ${req.url}`);
@@ -39,145 +63,211 @@ async function getScientificNameById(species_id) {
   return rows.length ? rows[0].scientific_name : null;
 }
 
-// Python worker, which loads the AI model once and handles all inferences
-let pyWorker = null; // Will store the persistent Python process reference
-
-function getWorker() { // Create or return an existing worker process
-  if (pyWorker && !pyWorker.killed) return pyWorker; // Reuse existing worker if alive
-  
-  // Build the path to the python executable based on the Operating System
-  const pythonExecutable = process.platform === 'win32' 
-    ? path.join(__dirname, '..', '.venv', 'Scripts', 'python.exe') 
-    : path.join(__dirname, '..', '.venv', 'bin', 'python');
-
-  // Check if our venv python.exe exists. If not, fallback to the old method.
-  const pythonPath = fs.existsSync(pythonExecutable) 
-      ? pythonExecutable 
-      : (process.env.PYTHON_PATH || 'python'); // Fallback
-
-  const workerPath = path.join(__dirname, '..', 'python', 'worker.py');
-  
-  // Spawn a new python worker process
-  pyWorker = spawn(pythonPath, [workerPath], { stdio: ['pipe', 'pipe', 'pipe'] }); 
-
-  pyWorker.stderr.on('data', (data) => { // Log any errors from the python worker to console
-    console.error(`[pyworker-err] ${data.toString().trim()}`);
-  });
-  pyWorker.on('close', (code) => { // Handle unexpected worker exit
-    console.warn(`[pyworker] exited with code ${code}`);
-    pyWorker = null; // Set worker to null so it can be recreated
-  });
-  pyWorker.on('error', (err) => { // Handle spawn error (for example if a file is not found)
-    console.error('[pyworker] Failed to start worker.', err.message);
-    pyWorker = null;
-  });
-  console.log(`[pyworker] started. Path: ${pythonPath}`);
-  return pyWorker;
+// Refuse to start against a database with pending migrations (npm run migrate)
+try {
+  await assertSchemaCurrent();
+} catch (e) {
+  console.error(e.code === 'SCHEMA_BEHIND' ? `[startup] ${e.message}` : `[startup] could not check the database schema: ${e.message}`);
+  process.exit(1);
 }
 
-// Send an inference request to the worker and wait for response
-function inferWithWorker(imagePath, topk = 5) {
-  return new Promise((resolve, reject) => {
-    const worker = getWorker(); // Ensure we have a worker process
-    let buf = ''; // Buffer to accumulate stdout data
-
-    // Listen for worker output
-    const onData = (d) => {
-      buf += d.toString();
-      const nl = buf.indexOf('\n'); // Python worker sends one line per result
-      if (nl !== -1) {
-        const line = buf.slice(0, nl);
-        buf = buf.slice(nl + 1);
-        worker.stdout.off('data', onData);
-        try {
-          const json = JSON.parse(line); // Parse the JSON result
-          resolve(json);
-        } catch (e) {
-          reject(e);
-        }
-      }
-    };
-
-    // Attach listener and send JSON request
-    worker.stdout.on('data', onData);
-    worker.stdin.write(JSON.stringify({ image: imagePath, topk }) + '\n');
-  });
+// ... or with a storage driver it cannot build (STORAGE_DRIVER, S3_* in src/storage.js)
+try {
+  console.log(`[startup] image storage: ${storage().name}`);
+} catch (e) {
+  console.error(`[startup] ${e.message}`);
+  process.exit(1);
 }
 
-// warm up the worker on boot (loads model once immediately)
-(async () => {
-  try {
-    getWorker();
-    console.log('[pyworker] started');
-  } catch (e) {
-    console.error('[pyworker] start error', e);
-  }
-})();
+// warm up the inference backend on boot (the python pool loads the model once per worker immediately)
+startInference();
+resumeReclassifyJobs(); // re-classification jobs interrupted by a restart carry on
+resumeScanJobs(); // and so do asynchronous scans
 
 app.use(express.json()); // for parsing application/json
-app.use(cors({ methods: ['GET','POST','PUT','OPTIONS'] }));  // Enable CORS so the mobile app can call this 
+app.use(cors({ methods: ['GET','POST','PUT','DELETE','OPTIONS'] }));  // Enable CORS so the mobile app can call this 
 
 app.use((req, res, next) => {
   console.log(`[REQ] ${req.method} ${req.originalUrl}`);
   next();
 });
 
-// serve uploaded images for frontend display
-const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-app.use('/uploads', express.static(UPLOAD_DIR));
+// every error body gets a machine-readable code (src/errors.js)
+app.use(errorEnvelope);
+
+// API description (GET /openapi.json)
+app.use(openapiRouter);
+
+// Every admin route needs a signed-in reviewer (or admin); user management needs admin
+app.use(['/admin', '/api/admin'], requireAuth, requireRole('reviewer'));
+
+// Requests to documented routes are checked against the API description, after the sign-in
+// and role checks it declares, so anonymous callers get 401 rather than schema details
+app.use(validateRequests(openapiDocument, {
+  authorize: ({ role }) => (role ? [requireAuth, requireRole(role)] : [requireAuth]),
+}));
+
+// serve uploaded images for frontend display (from whichever storage driver is configured)
+app.use('/uploads', serveStorage('uploads'));
+
+// Accounts and session tokens
+app.use('/auth', authRouter);
+
+// Map queries over observation coordinates
+app.use('/plant-observations', geoRouter);
+
+// Species catalogue (field guide and admin species picker)
+app.use('/species', speciesRouter);
+app.use('/api/species', speciesRouter);
 
 // Admin router
 const adminRouter = express.Router();
 
+const LIST_STATUSES = ['pending', 'verified', 'rejected'];
+const SPECIES_SOURCES = ['any', 'predicted', 'assigned'];
+
+function listError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Opaque page cursor: the sort it belongs to plus the sort value and id of the last row shown
+function encodeListCursor(sort, order, row) {
+  const value = sort === 'top_confidence' ? Number(row.top_confidence) || 0 : row.created_at;
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value, id: row.observation_id })).toString('base64url');
+}
+
+function decodeListCursor(raw, sort, order) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(String(raw), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw listError('Invalid cursor');
+  }
+  if (!c || !Number.isInteger(c.id) || c.v === undefined || c.v === null) throw listError('Invalid cursor');
+  if (c.s !== sort || c.o !== order) throw listError('cursor belongs to a different sort or order');
+  const value = sort === 'top_confidence' ? Number(c.v) : new Date(c.v);
+  if (sort === 'top_confidence' ? !Number.isFinite(value) : Number.isNaN(value.getTime())) {
+    throw listError('Invalid cursor');
+  }
+  return { value, id: c.id };
+}
+
+function optionalId(raw, name) {
+  if (raw === undefined || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n <= 0) throw listError(`${name} must be a positive integer`);
+  return n;
+}
+
+function optionalConfidence(raw, name) {
+  if (raw === undefined || raw === '') return null;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0 || n > 1) throw listError(`${name} must be between 0 and 1`);
+  return n;
+}
+
+// Review queue. Filters: status, from, to, user_id, location (text in location_name),
+// species_id or species (name prefix) matched against species_source=any|predicted|assigned,
+// min_confidence, max_confidence, auto_flagged + threshold. sort=created_at|top_confidence,
+// order=desc|asc. Page with ?cursor=<next_cursor>; ?page=N (offset paging) still works for
+// older clients but shifts as new scans arrive.
 adminRouter.get('/observations', async (req, res) => {
   try {
-    const statusParam = req.query.status;
-    const page = Math.max(1, Number(req.query.page) || 1);
-    // const pageSize = Math.max(1, Math.min(100, Number(req.query.page_size) || 20));
-    const pageSize = Math.max(1, Math.min(1000, Number(req.query.page_size) || 100));
-    const offset = (page - 1) * pageSize;
-
-    const statuses = statusParam
-      ? String(statusParam).split(',').map(s => s.trim()).filter(Boolean)
+    const q = req.query;
+    const pageSize = Math.max(1, Math.min(1000, Number(q.page_size) || 100));
+
+    const statuses = q.status
+      ? String(q.status).split(',').map(s => s.trim()).filter(Boolean)
       : ['pending'];
+    if (!statuses.length || statuses.some(s => !LIST_STATUSES.includes(s))) {
+      throw listError(`status must be one or more of ${LIST_STATUSES.join(', ')}`);
+    }
+
+    const sort = q.sort ? String(q.sort) : 'created_at';
+    if (!Object.hasOwn(OBSERVATION_SORTS, sort)) {
+      throw listError(`sort must be one of ${Object.keys(OBSERVATION_SORTS).join(', ')}`);
+    }
+    const order = q.order ? String(q.order).toLowerCase() : 'desc';
+    if (!['asc', 'desc'].includes(order)) throw listError('order must be asc or desc');
 
-    const autoFlagged = req.query.auto_flagged === '1';
-    const rawThresh = Number(req.query.threshold);
+    const speciesSource = q.species_source ? String(q.species_source) : 'any';
+    if (!SPECIES_SOURCES.includes(speciesSource)) {
+      throw listError(`species_source must be one of ${SPECIES_SOURCES.join(', ')}`);
+    }
+
+    const autoFlagged = q.auto_flagged === '1';
+    const rawThresh = Number(q.threshold);
     const threshold = Number.isFinite(rawThresh) ? Math.max(0, Math.min(1, rawThresh)) : null;
 
-    const rows = await listObservationsByStatus(
-      statuses, pageSize, offset,
-      { autoFlagged, threshold }
-    );
+    // endangered-species locations are generalised unless the caller may see them exactly
+    const exact = canSeeExactLocation(req.user);
+    const filters = {
+      statuses,
+      from: parseDateParam(q.from, 'from'),
+      to: parseDateParam(q.to, 'to', true),
+      userId: optionalId(q.user_id, 'user_id'),
+      location: String(q.location || '').trim(),
+      speciesId: optionalId(q.species_id, 'species_id'),
+      speciesName: String(q.species || '').trim(),
+      speciesSource,
+      minConfidence: optionalConfidence(q.min_confidence, 'min_confidence'),
+      maxConfidence: optionalConfidence(q.max_confidence, 'max_confidence'),
+      autoFlagged,
+      threshold,
+      locationSearchable: exact,
+    };
+
+    const after = q.cursor ? decodeListCursor(q.cursor, sort, order) : null;
+    const page = after ? null : Math.max(1, Number(q.page) || 1);
+
+    // one extra row tells whether another page follows
+    const { rows: found, total } = await listObservationsByStatus({
+      filters,
+      sort,
+      order,
+      after,
+      limit: pageSize + 1,
+      offset: page ? (page - 1) * pageSize : 0,
+    });
+    const hasMore = found.length > pageSize;
+    const rows = found.slice(0, pageSize).map(r => protectLocation(r, { exact }));
+    if (exact) await logExactLocationAccess(accessContext(req), rows);
 
     const origin = `${req.protocol}://${req.get('host')}`;
-    const data = rows.map(r => ({
+    const abs = u => (u?.startsWith('/') ? origin + u : u);
+    const derived = await Promise.all(rows.map(r => storedDerivativeUrls(r.photo_url)));
+    const data = rows.map((r, i) => ({
       observation_id: r.observation_id,
       plant_name: r.top_species_name || 'Unknown',
       confidence: Number(r.top_confidence) || 0,
-      photo: r.photo_url?.startsWith('/') ? origin + r.photo_url : r.photo_url,
+      photo: abs(r.photo_url),
+      photo_thumb: abs(derived[i].thumb),
+      photo_medium: abs(derived[i].medium),
       submitted_at: r.created_at,
       location: r.location_name || '',
       location_latitude: r.location_latitude,
       location_longitude: r.location_longitude,
+      location_generalized: r.location_generalized,
       user: r.user_id ? `user_${r.user_id}` : '',
     }));
 
-    const hasMore = rows.length === pageSize;
-    const next_page = hasMore ? page + 1 : null;
-
-    // res.json({ page, page_size: pageSize, statuses, auto_flagged: autoFlagged, threshold, data });
     res.json({
       page,
       page_size: pageSize,
       statuses,
+      sort,
+      order,
       auto_flagged: autoFlagged,
       threshold,
-      next_page,
+      total,
+      next_cursor: hasMore ? encodeListCursor(sort, order, found[pageSize - 1]) : null,
+      next_page: hasMore && page ? page + 1 : null,
       data
     });
   } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
     console.error(e);
     res.status(500).json({ error: 'Failed to fetch observations' });
   }
@@ -186,7 +276,14 @@ adminRouter.get('/observations', async (req, res) => {
 adminRouter.put('/observations/:id/verify', async (req, res) => {
   try {
     const id = Number(req.params.id);
-    await updateObservationStatus(id, 'verified');
+    const found = await updateObservationStatus(id, 'verified', {
+      user_id: req.user.user_id,
+      action: 'verify',
+      notes: req.body?.review_notes,
+    });
+    if (!found) return res.status(404).json({ error: 'Observation not found' });
+    announceStatusChange({ observation_ids: [id], status: 'verified', action: 'verify', by: req.user });
+    await syncTrainingSample((await getObservationWithResults(id))?.observation, req.user.user_id);
     res.json({ ok: true });
   } catch (e) {
     console.error(e);
@@ -197,7 +294,14 @@ adminRouter.put('/observations/:id/verify', async (req, res) => {
 adminRouter.put('/observations/:id/reject', async (req, res) => {
   try {
     const id = Number(req.params.id);
-    await updateObservationStatus(id, 'rejected');
+    const found = await updateObservationStatus(id, 'rejected', {
+      user_id: req.user.user_id,
+      action: 'reject',
+      notes: req.body?.review_notes,
+    });
+    if (!found) return res.status(404).json({ error: 'Observation not found' });
+    announceStatusChange({ observation_ids: [id], status: 'rejected', action: 'reject', by: req.user });
+    await syncTrainingSample((await getObservationWithResults(id))?.observation, req.user.user_id);
     res.json({ ok: true });
   } catch (e) {
     console.error(e);
@@ -205,6 +309,245 @@ adminRouter.put('/observations/:id/reject', async (req, res) => {
   }
 });
 
+// Bulk moderation for the review queue, applied in one transaction:
+//   { action: 'verify' | 'reject', ids: [1, 2, 3] }
+//   { action: 'confirm', species_id: 7, ids: [...] }
+//   { action: 'verify', filter: { auto_flagged: false, min_confidence: 0.9 } }
+// The filter form selects pending observations whose top confidence is at least min_confidence
+// (and, with auto_flagged=false, at least the unsure threshold).
+const BULK_MAX = 1000;
+const BULK_ACTIONS = { verify: 'verified', reject: 'rejected', confirm: 'verified' };
+
+adminRouter.post('/observations/bulk', async (req, res) => {
+  try {
+    const { action, ids, filter, species_id, review_notes } = req.body || {};
+    if (!BULK_ACTIONS[action]) {
+      return res.status(400).json({ error: `action must be one of ${Object.keys(BULK_ACTIONS).join(', ')}` });
+    }
+    if (!ids === !filter) {
+      return res.status(400).json({ error: 'Provide either ids or filter' });
+    }
+
+    let targetIds = null;
+    if (ids) {
+      if (!Array.isArray(ids) || !ids.length) {
+        return res.status(400).json({ error: 'ids must be a non-empty array' });
+      }
+      targetIds = [...new Set(ids.map(Number))];
+      if (targetIds.some(id => !Number.isInteger(id) || id <= 0)) {
+        return res.status(400).json({ error: 'ids must be positive integers' });
+      }
+      if (targetIds.length > BULK_MAX) {
+        return res.status(400).json({ error: `At most ${BULK_MAX} ids per request` });
+      }
+    }
+
+    let minConfidence = null;
+    if (filter) {
+      const rawMin = Number(filter.min_confidence ?? 0);
+      if (!Number.isFinite(rawMin) || rawMin < 0 || rawMin > 1) {
+        return res.status(400).json({ error: 'filter.min_confidence must be between 0 and 1' });
+      }
+      minConfidence = rawMin;
+      if (filter.auto_flagged === false || filter.auto_flagged === 0 || filter.auto_flagged === '0') {
+        // same cut-off /scan flags with, unless the request names its own
+        const rawThresh = Number(filter.threshold ?? NaN);
+        const thresh = Number.isFinite(rawThresh) ? Math.max(0, Math.min(1, rawThresh)) : unsureThreshold();
+        minConfidence = Math.max(minConfidence, thresh);
+      }
+    }
+
+    let speciesId = null;
+    let sciName = null;
+    if (action === 'confirm') {
+      speciesId = Number(species_id);
+      if (!Number.isFinite(speciesId) || speciesId <= 0) {
+        return res.status(400).json({ error: 'species_id is required for confirm' });
+      }
+      const species = await getSpeciesById(speciesId);
+      if (!species) return res.status(404).json({ error: 'Species not found' });
+      sciName = species.scientific_name;
+    }
+
+    const results = await bulkModerateObservations({
+      ids: targetIds,
+      filter: filter ? { minConfidence } : null,
+      status: BULK_ACTIONS[action],
+      species_id: speciesId,
+      audit: { user_id: req.user.user_id, action: `bulk_${action}`, notes: review_notes },
+      limit: BULK_MAX,
+    });
+
+    announceStatusChange({
+      observation_ids: results.filter(x => x.result === 'updated').map(r => r.observation_id),
+      status: BULK_ACTIONS[action],
+      action: `bulk_${action}`,
+      species_id: speciesId,
+      by: req.user,
+    });
+
+    // Confirmed photos join the species gallery and the training set, as with confirm-existing
+    if (sciName) {
+      await recordTrainingSamples(
+        results.filter(x => x.result === 'updated').map(r => ({ observation_id: r.observation_id, species_id: speciesId })),
+        req.user.user_id
+      );
+
+      // gallery copies are best effort, after commit
+      for (const r of results.filter(x => x.result === 'updated')) {
+        try {
+          const detail = await getObservationWithResults(r.observation_id);
+          const imgUrl = await copyObservationImageToSpeciesFolder(sciName, detail?.observation?.photo_url);
+          if (imgUrl) {
+            await pool.query(
+              'UPDATE species SET image_url = COALESCE(image_url, ?) WHERE species_id = ?',
+              [imgUrl, speciesId]
+            );
+          }
+        } catch (e) {
+          console.warn(`[bulk] could not copy image for observation ${r.observation_id}`, e.message);
+        }
+      }
+    }
+
+    const count = kind => results.filter(r => r.result === kind).length;
+    res.json({
+      ok: true,
+      action,
+      species_id: speciesId,
+      min_confidence: minConfidence,
+      requested: targetIds ? targetIds.length : results.length,
+      updated: count('updated'),
+      not_found: count('not_found'),
+      already_final: count('already_final'),
+      results,
+    });
+  } catch (e) {
+    console.error('[bulk] error', e);
+    res.status(500).json({ error: 'Failed to apply bulk action' });
+  }
+});
+
+// Clusters of near-duplicate photos so reviewers can resolve them together:
+// ?status=pending&max_distance=6&same_user=1&from=2025-01-01&to=2025-01-31
+// Photos are compared pairwise, so only a window of submissions is searched: the last
+// DUPLICATE_WINDOW_DAYS up to `to` (default now), and at most DUPLICATE_MAX_WINDOW_DAYS long.
+// Past DUPLICATE_PAIR_LIMIT matching pairs the closest ones are kept and `truncated` is set,
+// since the clusters may then be incomplete; a narrower window gets them all.
+adminRouter.get('/observations/duplicates', async (req, res) => {
+  try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map(s => s.trim()).filter(Boolean)
+      : ['pending'];
+    const rawDist = Number(req.query.max_distance);
+    const maxDistance = Number.isFinite(rawDist) ? Math.max(0, Math.min(64, rawDist)) : DUPLICATE_MAX_DISTANCE;
+    const sameUser = req.query.same_user === '1';
+
+    let from;
+    let to;
+    try {
+      to = parseDateParam(req.query.to, 'to', true) || new Date();
+      from = parseDateParam(req.query.from, 'from') || new Date(to.getTime() - DUPLICATE_WINDOW_DAYS * DAY_MS);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+    if (from >= to) return res.status(400).json({ error: 'from must be before to' });
+    if (to - from > DUPLICATE_MAX_WINDOW_DAYS * DAY_MS) {
+      return res.status(400).json({ error: `from..to may span at most ${DUPLICATE_MAX_WINDOW_DAYS} days` });
+    }
+
+    const { pairs, truncated } = await listNearDuplicatePairs({ statuses, maxDistance, from, to, sameUser, limit: DUPLICATE_PAIR_LIMIT });
+
+    // union-find over the matching pairs
+    const parent = new Map();
+    const find = (x) => {
+      if (!parent.has(x)) parent.set(x, x);
+      while (parent.get(x) !== x) {
+        parent.set(x, parent.get(parent.get(x)));
+        x = parent.get(x);
+      }
+      return x;
+    };
+    for (const p of pairs) parent.set(find(p.a_id), find(p.b_id));
+
+    const groups = new Map();
+    for (const id of parent.keys()) {
+      const root = find(id);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(id);
+    }
+
+    const exact = canSeeExactLocation(req.user);
+    const rows = (await getObservationSummaries([...parent.keys()])).map(r => protectLocation(r, { exact }));
+    const byId = new Map(rows.map(r => [r.observation_id, r]));
+    const thumbs = new Map(await Promise.all(
+      rows.map(async r => [r.observation_id, (await storedDerivativeUrls(r.photo_url, ['thumb'])).thumb])
+    ));
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const abs = u => (u?.startsWith('/') ? origin + u : u);
+
+    const clusters = [...groups.values()]
+      .map(ids => {
+        const members = ids.sort((a, b) => a - b).map(id => byId.get(id)).filter(Boolean);
+        const maxDist = pairs
+          .filter(p => ids.includes(p.a_id))
+          .reduce((m, p) => Math.max(m, Number(p.distance)), 0);
+        return {
+          size: members.length,
+          max_distance: maxDist,
+          observations: members.map(r => ({
+            observation_id: r.observation_id,
+            plant_name: r.top_species_name || 'Unknown',
+            photo: abs(r.photo_url),
+            photo_thumb: abs(thumbs.get(r.observation_id)),
+            status: r.status,
+            submitted_at: r.created_at,
+            location: r.location_name || '',
+            user: r.user_id ? `user_${r.user_id}` : '',
+            phash: r.phash,
+          })),
+        };
+      })
+      .sort((a, b) => b.size - a.size || a.observations[0].observation_id - b.observations[0].observation_id);
+
+    res.json({ statuses, max_distance: maxDistance, same_user: sameUser, from, to, truncated, clusters });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch duplicate clusters' });
+  }
+});
+
+// Moderation history of one observation, oldest first
+adminRouter.get('/observations/:id/history', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid observation id' });
+
+    const detail = await getObservationWithResults(id);
+    if (!detail) return res.status(404).json({ error: 'Observation not found' });
+
+    const rows = await listObservationAudit(id);
+    res.json({
+      observation_id: id,
+      data: rows.map(r => ({
+        audit_id: r.audit_id,
+        action: r.action,
+        user_id: r.user_id,
+        username: r.username,
+        before: r.before_values,
+        after: r.after_values,
+        ai_top_species_id: r.ai_top_species_id,
+        ai_top_species_name: r.ai_top_species_name,
+        notes: r.notes,
+        created_at: r.created_at,
+      })),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch observation history' });
+  }
+});
+
 // Admin confirms observation as an EXISTING species
 app.post('/api/admin/observations/:id/confirm-existing', async (req, res) => {
   try {
@@ -225,13 +568,13 @@ app.post('/api/admin/observations/:id/confirm-existing', async (req, res) => {
       }
       sciName = await getScientificNameById(resolvedSpeciesId);
     } else if (scientific_name) {
-      const cleaned = scientific_name.trim();
+      const cleaned = canonicalSpeciesName(scientific_name);
       if (!cleaned) {
         return res.status(400).json({ error: 'scientific_name cannot be empty' });
       }
-      // use existing helper to get or create the species row
+      // use existing helper to get or create the species row (resolves synonyms too)
       resolvedSpeciesId = await getOrCreateSpeciesId(cleaned);
-      sciName = cleaned;
+      sciName = await getScientificNameById(resolvedSpeciesId);
     } else {
       return res.status(400).json({
         error: 'species_id or scientific_name is required',
@@ -261,9 +604,18 @@ app.post('/api/admin/observations/:id/confirm-existing', async (req, res) => {
       observation_id,
       species_id: resolvedSpeciesId,
       status: 'verified',
+      audit: { user_id: req.user.user_id, action: 'confirm_existing', notes: req.body.review_notes },
     });
 
-    // optionally notify python worker later
+    // the confirmed photo becomes a labelled training sample
+    await recordTrainingSample({ observation_id, species_id: resolvedSpeciesId }, req.user.user_id);
+    announceStatusChange({
+      observation_ids: [observation_id],
+      status: 'verified',
+      action: 'confirm_existing',
+      species_id: resolvedSpeciesId,
+      by: req.user,
+    });
 
     res.json({
       ok: true,
@@ -293,10 +645,21 @@ app.post('/api/admin/observations/:id/confirm-new', async (req, res) => {
     if (!Number.isFinite(observation_id)) {
       return res.status(400).json({ error: 'Invalid observation_id' });
     }
-    if (!scientific_name) {
+    const canonicalName = canonicalSpeciesName(scientific_name);
+    if (!canonicalName) {
       return res.status(400).json({ error: 'scientific_name is required' });
     }
 
+    // Same plant typed differently (or a known synonym) must not become a second species row;
+    // nor may the name of a deleted species, which its row still holds
+    const existingId = await findSpeciesIdByName(canonicalName, { retired: true });
+    if (existingId) {
+      return res.status(409).json({
+        error: 'Species already exists; use confirm-existing',
+        species_id: existingId,
+      });
+    }
+
     const detail = await getObservationWithResults(observation_id);
     if (!detail || !detail.observation) {
       return res.status(404).json({ error: 'Observation not found' });
@@ -306,13 +669,13 @@ app.post('/api/admin/observations/:id/confirm-new', async (req, res) => {
 
     // copy observation image into species_images/scientific_name/
     const imgUrl = await copyObservationImageToSpeciesFolder(
-      scientific_name,
+      canonicalName,
       photoUrl
     );
 
     // insert species row
     const species_id = await insertSpecies({
-      scientific_name,
+      scientific_name: canonicalName,
       common_name,
       is_endangered: Boolean(Number(is_endangered)),
       description,
@@ -324,15 +687,18 @@ app.post('/api/admin/observations/:id/confirm-new', async (req, res) => {
       observation_id,
       species_id,
       status: 'verified',
+      audit: { user_id: req.user.user_id, action: 'confirm_new', notes: req.body.review_notes },
     });
 
-    // TODO: later: send training sample to python worker
+    // first sample of a class the model does not know yet (it shows up as new_class in /dataset/classes)
+    await recordTrainingSample({ observation_id, species_id }, req.user.user_id);
+    announceStatusChange({ observation_ids: [observation_id], status: 'verified', action: 'confirm_new', species_id, by: req.user });
 
     res.json({
       ok: true,
       observation_id,
       species_id,
-      scientific_name,
+      scientific_name: canonicalName,
       image_url: imgUrl,
     });
   } catch (err) {
@@ -345,32 +711,52 @@ app.post('/api/admin/observations/:id/confirm-new', async (req, res) => {
 // Mount so both /admin/* and /api/admin/* work
 app.use('/admin', adminRouter);
 app.use('/api/admin', adminRouter);
+app.use('/admin', userAdminRouter);
+app.use('/api/admin', userAdminRouter);
+app.use('/admin', speciesAdminRouter);
+app.use('/api/admin', speciesAdminRouter);
+app.use('/admin', exportRouter);
+app.use('/api/admin', exportRouter);
+app.use('/admin', statsRouter);
+app.use('/api/admin', statsRouter);
+app.use('/admin', evaluationRouter);
+app.use('/api/admin', evaluationRouter);
+app.use('/admin', modelRouter);
+app.use('/api/admin', modelRouter);
+app.use('/admin', reclassifyRouter);
+app.use('/api/admin', reclassifyRouter);
+app.use('/admin', datasetRouter);
+app.use('/api/admin', datasetRouter);
+app.use('/admin', eventsRouter);
+app.use('/api/admin', eventsRouter);
+app.use('/admin', locationAccessRouter);
+app.use('/api/admin', locationAccessRouter);
 
 
-// Multer storage for /upload
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR), // Save to uploads folder
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname || '') || '.jpg'; // Keep file extension
-    cb(null, uuidv4() + ext.toLowerCase()); // Generate unique filename
-  }
-});
-const upload = multer({ storage }); // Create Multer instance
 
 // Health endpoint
 app.get('/health', (req, res) => res.json({ ok: true }));
 
-app.put('/plant-observations/:id', async (req, res) => {
+app.put('/plant-observations/:id', requireAuth, requireRole('reviewer'), async (req, res) => {
   try {
     const id = Number(req.params.id);
     if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid observation id' });
 
-    const { status, notes, species_name } = req.body || {};
+    const { status, notes, species_name, review_notes } = req.body || {};
     if (status && !['pending','verified','rejected'].includes(String(status))) {
       return res.status(400).json({ error: 'Invalid status' });
     }
 
-    await updateObservation({ observation_id: id, status, notes, species_name });
+    const found = await updateObservation({
+      observation_id: id,
+      status,
+      notes,
+      species_name,
+      audit: { user_id: req.user.user_id, action: 'edit', notes: review_notes },
+    });
+    if (!found) return res.status(404).json({ error: 'Observation not found' });
+    await syncTrainingSample((await getObservationWithResults(id))?.observation, req.user.user_id);
+    if (status) announceStatusChange({ observation_ids: [id], status, action: 'edit', by: req.user });
     res.json({ ok: true, id, status: status || null });
   } catch (e) {
     console.error(e);
@@ -378,7 +764,34 @@ app.put('/plant-observations/:id', async (req, res) => {
   }
 });
 
-app.post('/scan', upload.single('image'), async (req, res) => {
+// Turn away uploads early when the inference backend is saturated
+function rejectWhenBusy(req, res, next) {
+  const err = inferenceCapacityError();
+  if (!err) return next();
+  res.set('Retry-After', String(err.retryAfter));
+  return res.status(503).json({ error: err.message, code: err.code });
+}
+
+// Max Hamming distance (out of 64 bits) at which two photos count as the same picture
+const DUPLICATE_MAX_DISTANCE = Math.max(0, Math.min(64, Number(process.env.DUPLICATE_MAX_DISTANCE ?? 6)));
+// Submission window searched by GET /admin/observations/duplicates: default and largest allowed
+const DAY_MS = 24 * 3600 * 1000;
+const DUPLICATE_WINDOW_DAYS = Math.max(1, Number(process.env.DUPLICATE_WINDOW_DAYS) || 30);
+const DUPLICATE_MAX_WINDOW_DAYS = Math.max(DUPLICATE_WINDOW_DAYS, Number(process.env.DUPLICATE_MAX_WINDOW_DAYS) || 90);
+// Matching pairs read per request (each pair is a row of the self-join)
+const DUPLICATE_PAIR_LIMIT = Math.max(1, Number(process.env.DUPLICATE_PAIR_LIMIT) || 5000);
+
+// Form coordinates win; an absent or blank field yields null so EXIF can fill it in
+function formCoordinate(v) {
+  if (v === null || v === undefined || String(v).trim() === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Poll or subscribe to asynchronous scans
+app.use('/scan', scanJobsRouter);
+
+app.post('/scan', optionalAuth, rejectWhenBusy, singleImageUpload('image'), validateFormFields, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'Image is required (field name: image).' });
@@ -386,156 +799,137 @@ app.post('/scan', upload.single('image'), async (req, res) => {
 
     console.log('[scan] req.body:', req.body);
     
+    // user_id comes from the bearer token; anonymous scans are stored without a user
+    const user_id = req.user?.user_id ?? null;
     const {
-      user_id = null,
       location_latitude = null,
       location_longitude = null,
       source = 'camera',
       location_name = '',
       notes = null,
+      allow_duplicate = null,
     } = req.body || {};
 
-    const lat = Number.isFinite(Number(location_latitude)) ? Number(location_latitude) : 0.0;
-    const lon = Number.isFinite(Number(location_longitude)) ? Number(location_longitude) : 0.0;
+    // validate by content, read EXIF, and store a copy without metadata
+    const stored = await processImageUpload(req.file);
+    const phash = await perceptualHash(stored.data);
+
+    // The same user re-sending the same (or a nearly identical) photo gets the existing observation back
+    if (user_id && !['1', 'true'].includes(String(allow_duplicate))) {
+      const dup = await findNearDuplicateObservation({ user_id, phash, maxDistance: DUPLICATE_MAX_DISTANCE });
+      if (dup) {
+        await storage().remove(stored.key).catch(() => {});
+        const existing = await getObservationWithResults(dup.observation_id);
+        return res.json({
+          ...(await scanPayload(existing)),
+          duplicate: {
+            observation_id: dup.observation_id,
+            distance: Number(dup.distance),
+            exact: Number(dup.distance) === 0,
+          },
+        });
+      }
+    }
 
-    const imagePathAbs = req.file.path.replace(/\\/g, '/');
-    const imagePathPublic = `/uploads/${req.file.filename}`;
+    let lat = formCoordinate(location_latitude);
+    let lon = formCoordinate(location_longitude);
+    let location_source = lat !== null && lon !== null ? 'form' : null;
+    if (!location_source && stored.exif.latitude !== null) {
+      lat = stored.exif.latitude;
+      lon = stored.exif.longitude;
+      location_source = 'exif';
+    }
+    if (!location_source) {
+      lat = null;
+      lon = null;
+    }
 
-    // run inference
-    const result = await inferWithWorker(imagePathAbs, 5);
-    console.log('[pyworker JSON]', result);
-    
-    // const thresh = Number(process.env.UNSURE_THRESHOLD || 0.6);
-    // const confidence = Number.isFinite(Number(result?.confidence)) ? Number(result.confidence) : 0;
+    const imagePathPublic = stored.url;
 
-    const clamp = v => Math.max(0, Math.min(1, v));
-    const rawConf = Number(result?.confidence);
-    const confidence = Number.isFinite(rawConf) ? clamp(rawConf) : 0;
-    const rawThresh = Number(process.env.UNSURE_THRESHOLD || 0.6);
-    const thresh = Number.isFinite(rawThresh) ? clamp(rawThresh) : 0.6;
+    // thumbnail + medium copies for the review grid (a failure here should not fail the scan)
+    await generateDerivatives(stored.key, { source: stored.data })
+      .catch(e => console.warn('[scan] derivative generation failed', e.message));
 
     // decide initial status from confidence
     const status = 'pending';
-
-    const observation_id = await insertObservation({
-      user_id: user_id ? Number(user_id) : null,
+    const observation = {
+      user_id,
       species_id: null,
       photo_url: imagePathPublic,
       location_latitude: lat,
       location_longitude: lon,
       location_name,
+      location_source,
+      captured_at: stored.exif.captured_at,
+      phash,
       source: source || 'camera',
       status,
       notes,
-    });
+    };
 
-    // top-k results for DB
-    const topk = Array.isArray(result?.topk)
-      ? result.topk
-      : (result?.species_name ? [{ name: result.species_name, confidence }] : []);
-
-    const items = [];
-    let rank = 1;
-    for (const t of topk) {
-      const sci = String(t.name || t.species_name || '').trim();
-      if (!sci) continue;
-      const sid = await getOrCreateSpeciesId(sci);
-      const c = Number(t.confidence);
-      items.push({ species_id: sid, confidence: Number.isFinite(c) ? clamp(c) : 0, rank });
-      rank += 1;
+    // async mode: store the observation now and answer before the model runs (see src/scans.js)
+    if (wantsAsyncScan(req)) {
+      const job = await enqueueScanJob({ observation_id: await insertObservation(observation), user_id });
+      res.set('Location', job.status_url);
+      return res.status(202).json(job);
     }
-    await insertAiResults(observation_id, items);
-
-    // fetch joined view
-    const detail = await getObservationWithResults(observation_id);
 
-    // normalize payload for the app
-
-    // 1) flat candidates array from worker.topk
-    const candidates = Array.isArray(result?.topk)
-      ? result.topk.map((t, i) => {
-          const species = String(t.name || t.species_name || '').trim();
-          const confNum = Number(t.confidence);
-          const conf = Number.isFinite(confNum) ? clamp(confNum) : 0;
-          return {
-            species,
-            confidence: conf,
-            rank: i + 1,
-          };
-        })
-      : (result?.species_name
-          ? [{
-              species: String(result.species_name),
-              confidence: Number(confidence) || 0,
-              rank: 1
-            }]
-          : []);
-
-    // 2) mirror DB confidence_score to confidence
-    const resultsNormalized = (detail?.results || []).map(r => ({
-      ...r,
-      confidence: Number(r.confidence_score) || 0,
-    }));
+    // run inference
+    const result = await withLocalFile(stored.key, file => inferImage(file, 5));
+    console.log('[inference JSON]', result);
 
-    // Build candidates, resultsNormalized, then primary...
-    const primary = {
-      species_name: result?.species_name || (candidates[0]?.species || null),
-      confidence,
-      image_path: imagePathPublic,
-    };
+    const observation_id = await insertObservation(observation);
 
-    const auto_flagged = confidence < thresh;
+    // top-k results for DB
+    const items = await predictionItems(result);
+    await insertAiResults(observation_id, items, { model_version: result?.model_version || null });
+    announceScan(observation_id); // live review queue (GET /admin/events)
 
-    return res.json({
-      observation_id,
-      status,
-      threshold: thresh,
-      auto_flagged,
-      primary,
-      candidates,
-      results: resultsNormalized,
-      created_at: detail?.observation?.created_at,
-    });
+    // answered from what was stored, as async results and duplicates are, so all three agree
+    return res.json(await scanPayload(await getObservationWithResults(observation_id)));
   } catch (e) {
+    if (e.code === 'UNSUPPORTED_IMAGE' || e.code === 'INVALID_IMAGE') {
+      return res.status(e.status).json({ error: e.message, code: e.code });
+    }
     console.error(e);
+    if (e.code === 'INFER_QUEUE_FULL' || e.code === 'INFER_UNAVAILABLE') {
+      res.set('Retry-After', String(e.retryAfter));
+      return res.status(503).json({ error: e.message, code: e.code });
+    }
+    if (e.code === 'INFER_TIMEOUT') {
+      return res.status(504).json({ error: e.message, code: e.code });
+    }
+    if (e.code === 'INFER_WORKER_EXIT' || e.code === 'INFER_FAILED') {
+      return res.status(502).json({ error: e.message, code: e.code });
+    }
     return res.status(500).json({ error: 'Server error' });
   }
 });
 
-function slugifyName(name) {
-  return String(name)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '_')
-    .replace(/^_+|_+$/g, '');
-}
-
 async function copyObservationImageToSpeciesFolder(scientific_name, photoUrl) {
   if (!scientific_name || !photoUrl) return null;
 
-  const safeName = slugifyName(scientific_name);
-  const speciesDir = path.join(SPECIES_IMAGE_ROOT, safeName);
-
-  await fs.promises.mkdir(speciesDir, { recursive: true });
+  // only observation uploads can be copied; a photo_url pointing anywhere else is rejected
+  const srcKey = keyFromUrl(photoUrl, { area: 'uploads' });
+  const destKey = `species_images/${slugifyName(scientific_name)}/${path.posix.basename(srcKey)}`;
 
-  const filename = path.basename(photoUrl);
-  const uploadsDir = path.join(__dirname, '..'); // server root
-  const srcPath = path.join(uploadsDir, photoUrl.replace(/^\//, ''));
-  const destPath = path.join(speciesDir, filename);
-
-  await fs.promises.copyFile(srcPath, destPath);
+  await storage().copy(srcKey, destKey);
+  await generateDerivatives(destKey).catch(e => console.warn('[species-image] derivative generation failed', e.message));
 
   // URL you will store in DB
-  const publicUrl = `/species_images/${safeName}/${filename}`;
-  return publicUrl;
+  return urlForKey(destKey);
 }
 
-app.use('/species_images', express.static(path.join(__dirname, '..', 'species_images')));
+app.use('/species_images', serveStorage('species_images'));
 
 const PORT = Number(process.env.PORT || 3000);
-app.listen(PORT, () => console.log(`SmartPlant API on http://localhost:${PORT}`));
+// exported so tests can find the port (PORT=0) and close it
+export const server = app.listen(PORT, () => console.log(`SmartPlant API on http://localhost:${server.address().port}`));
 
 app.use((req, res) => {
   console.warn(`[404] ${req.method} ${req.originalUrl}`);
   res.status(404).json({ error: 'Not found', path: req.originalUrl });
 });
+
+// malformed JSON bodies and other errors passed to next()
+app.use(errorHandler);
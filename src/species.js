@@ -0,0 +1,247 @@
+import express from 'express';
+import path from 'path';
+
+import {
+  listSpecies,
+  getSpeciesById,
+  updateSpecies,
+  softDeleteSpecies,
+  findSpeciesIdByName,
+  listSpeciesSynonyms,
+  insertSpeciesSynonym,
+  deleteSpeciesSynonym,
+  mergeSpecies,
+} from './db.js';
+import { requireAuth, requireRole } from './auth.js';
+import { slugifyName, canonicalSpeciesName } from './names.js';
+import { storage, urlForKey } from './storage.js';
+
+const IMAGE_EXTS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.heic']);
+
+// Public URLs of every image in species_images/<slug>/
+async function listSpeciesGallery(scientific_name) {
+  const slug = slugifyName(scientific_name);
+  if (!slug) return [];
+  const prefix = `species_images/${slug}/`;
+  const keys = await storage().list(prefix);
+  return keys
+    .filter(k => !k.slice(prefix.length).includes('/')) // originals only, not _derived/
+    .filter(k => IMAGE_EXTS.has(path.extname(k).toLowerCase()))
+    .map(urlForKey);
+}
+
+// The gallery folder is named after the scientific name, so a rename moves it (derivatives
+// included) to the new name's folder. Returns a function mapping old image URLs to new ones.
+async function moveSpeciesGallery(fromName, toName) {
+  const from = `species_images/${slugifyName(fromName)}/`;
+  const to = `species_images/${slugifyName(toName)}/`;
+  const moved = url => (url?.startsWith(`/${from}`) ? `/${to}${url.slice(from.length + 1)}` : url);
+  if (from === to) return moved;
+
+  const store = storage();
+  for (const key of await store.list(from)) {
+    await store.copy(key, to + key.slice(from.length));
+    await store.remove(key);
+  }
+  return moved;
+}
+
+function toSpeciesJson(row, origin) {
+  const abs = u => (u?.startsWith('/') ? origin + u : u);
+  return {
+    species_id: row.species_id,
+    scientific_name: row.scientific_name,
+    common_name: row.common_name,
+    is_endangered: Boolean(row.is_endangered),
+    description: row.description,
+    image_url: abs(row.image_url),
+    created_at: row.created_at,
+  };
+}
+
+export const speciesRouter = express.Router();
+
+// List / search the catalogue: ?q=acacia&page=1&page_size=20
+speciesRouter.get('/', async (req, res) => {
+  try {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const pageSize = Math.max(1, Math.min(100, Number(req.query.page_size) || 20));
+    const q = String(req.query.q || '').trim();
+
+    const { rows, total } = await listSpecies({ q, limit: pageSize, offset: (page - 1) * pageSize });
+
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const data = rows.map(r => {
+      const { description, ...rest } = toSpeciesJson(r, origin);
+      return rest;
+    });
+
+    res.json({
+      page,
+      page_size: pageSize,
+      q,
+      total,
+      next_page: page * pageSize < total ? page + 1 : null,
+      data,
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch species' });
+  }
+});
+
+speciesRouter.get('/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid species id' });
+
+    const row = await getSpeciesById(id);
+    if (!row) return res.status(404).json({ error: 'Species not found' });
+
+    const origin = `${req.protocol}://${req.get('host')}`;
+    const gallery = await listSpeciesGallery(row.scientific_name);
+
+    res.json({
+      ...toSpeciesJson(row, origin),
+      verified_observation_count: Number(row.verified_observation_count) || 0,
+      gallery: gallery.map(u => origin + u),
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch species' });
+  }
+});
+
+speciesRouter.put('/:id', requireAuth, requireRole('reviewer'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid species id' });
+
+    const { scientific_name, common_name, is_endangered, description, image_url } = req.body || {};
+    if (scientific_name !== undefined && !String(scientific_name).trim()) {
+      return res.status(400).json({ error: 'scientific_name cannot be empty' });
+    }
+
+    const fields = {
+      scientific_name: scientific_name === undefined ? undefined : canonicalSpeciesName(scientific_name),
+      common_name,
+      is_endangered: is_endangered === undefined ? undefined : Boolean(Number(is_endangered)),
+      description,
+      image_url,
+    };
+    if (Object.values(fields).every(v => v === undefined)) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const before = await getSpeciesById(id);
+    if (!before) return res.status(404).json({ error: 'Species not found' });
+    const updated = await updateSpecies(id, fields);
+    if (!updated) return res.status(404).json({ error: 'Species not found' });
+
+    if (fields.scientific_name !== undefined) {
+      const moved = await moveSpeciesGallery(before.scientific_name, fields.scientific_name);
+      const image_url = moved(fields.image_url ?? before.image_url);
+      if (image_url !== (fields.image_url ?? before.image_url)) await updateSpecies(id, { image_url });
+    }
+
+    const origin = `${req.protocol}://${req.get('host')}`;
+    res.json({ ok: true, species: toSpeciesJson(await getSpeciesById(id), origin) });
+  } catch (e) {
+    if (e.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'scientific_name already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update species' });
+  }
+});
+
+// Soft delete: the row stays so existing observations and ai_results keep their species
+speciesRouter.delete('/:id', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid species id' });
+
+    const deleted = await softDeleteSpecies(id);
+    if (!deleted) return res.status(404).json({ error: 'Species not found' });
+    res.json({ ok: true, species_id: id });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete species' });
+  }
+});
+
+speciesRouter.get('/:id/synonyms', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid species id' });
+    if (!(await getSpeciesById(id))) return res.status(404).json({ error: 'Species not found' });
+
+    res.json({ species_id: id, data: await listSpeciesSynonyms(id) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch synonyms' });
+  }
+});
+
+speciesRouter.post('/:id/synonyms', requireAuth, requireRole('reviewer'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isFinite(id) || id <= 0) return res.status(400).json({ error: 'Invalid species id' });
+
+    const name = canonicalSpeciesName(req.body?.name);
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    if (!(await getSpeciesById(id))) return res.status(404).json({ error: 'Species not found' });
+
+    // A name may only point at one species, whether as its scientific name or as an alias
+    const owner = await findSpeciesIdByName(name);
+    if (owner) {
+      return res.status(409).json({ error: 'Name already resolves to a species', species_id: owner });
+    }
+
+    const synonym_id = await insertSpeciesSynonym(id, name);
+    res.status(201).json({ ok: true, synonym_id, species_id: id, name });
+  } catch (e) {
+    if (e.code === 'ER_DUP_ENTRY') return res.status(409).json({ error: 'Synonym already exists' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to add synonym' });
+  }
+});
+
+speciesRouter.delete('/:id/synonyms/:synonymId', requireAuth, requireRole('reviewer'), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const synonymId = Number(req.params.synonymId);
+    if (!Number.isFinite(id) || !Number.isFinite(synonymId)) {
+      return res.status(400).json({ error: 'Invalid id' });
+    }
+
+    const deleted = await deleteSpeciesSynonym(id, synonymId);
+    if (!deleted) return res.status(404).json({ error: 'Synonym not found' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete synonym' });
+  }
+});
+
+// Species maintenance, mounted under the admin routes
+export const speciesAdminRouter = express.Router();
+
+// Merge a duplicate into the surviving species: { from_species_id, into_species_id }
+speciesAdminRouter.post('/species/merge', requireRole('admin'), async (req, res) => {
+  try {
+    const from = Number(req.body?.from_species_id);
+    const into = Number(req.body?.into_species_id);
+    if (!Number.isFinite(from) || !Number.isFinite(into) || from <= 0 || into <= 0) {
+      return res.status(400).json({ error: 'from_species_id and into_species_id are required' });
+    }
+    if (from === into) {
+      return res.status(400).json({ error: 'Cannot merge a species into itself' });
+    }
+
+    const result = await mergeSpecies(from, into);
+    if (!result) return res.status(404).json({ error: 'Species not found' });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('[species-merge] error', e);
+    res.status(500).json({ error: 'Failed to merge species' });
+  }
+});
@@ -0,0 +1,42 @@
+// Server-sent events helpers shared by the scan job and admin event streams
+
+const HEARTBEAT_MS = 15000; // keeps proxies and mobile networks from dropping an idle stream
+
+// Switch a response to text/event-stream. Returns { send(event, data, id), close(), closed };
+// onClose runs once when either side ends the stream.
+export function openEventStream(req, res, { onClose } = {}) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would otherwise hold events back
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const stream = {
+    closed: false,
+    send(event, data, id) {
+      if (stream.closed) return;
+      if (id !== undefined && id !== null) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (stream.closed) return;
+      finish();
+      res.end();
+    },
+  };
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  function finish() {
+    stream.closed = true;
+    clearInterval(heartbeat);
+    onClose?.();
+  }
+  req.on('close', () => {
+    if (!stream.closed) finish();
+  });
+  return stream;
+}
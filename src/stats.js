@@ -0,0 +1,122 @@
+import express from 'express';
+
+import {
+  statsObservationCounts,
+  statsAutoFlagged,
+  statsConfidenceHistogram,
+  statsReviewTime,
+  STATS_GROUP_BY,
+} from './db.js';
+import { parseDateParam } from './exporter.js';
+import { unsureThreshold } from './inference.js';
+
+// Summary numbers for the admin dashboard, all computed in SQL. Every route accepts
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (submission date, `to` inclusive).
+export const statsRouter = express.Router();
+
+function parseRange(query) {
+  return { from: parseDateParam(query.from, 'from'), to: parseDateParam(query.to, 'to', true) };
+}
+
+async function observationCounts(groupBy, range) {
+  const rows = await statsObservationCounts({ groupBy, ...range });
+  return rows.map(r => ({
+    key: r.group_key,
+    label: groupBy === 'user' ? (r.group_key ? `user_${r.group_key}` : 'anonymous') : r.label,
+    total: Number(r.total),
+    pending: Number(r.pending),
+    verified: Number(r.verified),
+    rejected: Number(r.rejected),
+  }));
+}
+
+async function autoFlagged(range) {
+  const threshold = unsureThreshold();
+  const row = await statsAutoFlagged({ threshold, ...range });
+  const total = Number(row.total);
+  const flagged = Number(row.flagged);
+  return { threshold, total, auto_flagged: flagged, share: total ? flagged / total : 0 };
+}
+
+async function confidenceHistogram(bins, range) {
+  const rows = await statsConfidenceHistogram({ bins, ...range });
+  const counts = new Map(rows.map(r => [Number(r.bin), Number(r.count)]));
+  return Array.from({ length: bins }, (_, i) => ({
+    from: Number((i / bins).toFixed(4)),
+    to: Number(((i + 1) / bins).toFixed(4)),
+    count: counts.get(i) || 0,
+  }));
+}
+
+async function reviewTime(range) {
+  const row = await statsReviewTime(range);
+  const num = v => (v === null || v === undefined ? null : Number(v));
+  return {
+    reviewed: Number(row.reviewed),
+    avg_seconds: num(row.avg_seconds),
+    min_seconds: num(row.min_seconds),
+    max_seconds: num(row.max_seconds),
+  };
+}
+
+// Wrap a handler so bad query parameters answer 400 and anything else 500
+function statsRoute(handler) {
+  return async (req, res) => {
+    try {
+      res.json(await handler(req.query, parseRange(req.query)));
+    } catch (e) {
+      if (e.status === 400) return res.status(400).json({ error: e.message });
+      console.error('[stats] error', e);
+      res.status(500).json({ error: 'Failed to compute statistics' });
+    }
+  };
+}
+
+function parseBins(raw) {
+  const bins = Number(raw ?? 10);
+  if (!Number.isInteger(bins) || bins < 1 || bins > 100) {
+    const err = new Error('bins must be an integer between 1 and 100');
+    err.status = 400;
+    throw err;
+  }
+  return bins;
+}
+
+// Everything at once for the dashboard landing page
+statsRouter.get('/stats', statsRoute(async (query, range) => ({
+  from: range.from,
+  to: range.to,
+  by_status: await observationCounts('status', range),
+  by_week: await observationCounts('week', range),
+  auto_flagged: await autoFlagged(range),
+  confidence_histogram: await confidenceHistogram(10, range),
+  review_time: await reviewTime(range),
+})));
+
+// ?group_by=status|species|predicted_species|user|day|week
+statsRouter.get('/stats/observations', statsRoute(async (query, range) => {
+  const groupBy = query.group_by || 'status';
+  if (!STATS_GROUP_BY.includes(groupBy)) {
+    const err = new Error(`group_by must be one of ${STATS_GROUP_BY.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+  return { group_by: groupBy, from: range.from, to: range.to, data: await observationCounts(groupBy, range) };
+}));
+
+statsRouter.get('/stats/auto-flagged', statsRoute(async (query, range) => ({
+  from: range.from,
+  to: range.to,
+  ...(await autoFlagged(range)),
+})));
+
+statsRouter.get('/stats/confidence-histogram', statsRoute(async (query, range) => {
+  const bins = parseBins(query.bins);
+  return { bins, from: range.from, to: range.to, data: await confidenceHistogram(bins, range) };
+}));
+
+statsRouter.get('/stats/review-time', statsRoute(async (query, range) => ({
+  from: range.from,
+  to: range.to,
+  ...(await reviewTime(range)),
+})));
@@ -0,0 +1,302 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where observation photos, species galleries and their derivatives live. Everything is addressed
+// by a key such as "uploads/abc.jpg" or "species_images/acacia_mangium/abc.jpg"; the public URL of
+// a key is "/<key>" (what photo_url and species.image_url store) and the app serves it from
+// whichever driver is configured:
+//   STORAGE_DRIVER=local  files under UPLOAD_DIR and SPECIES_IMAGE_DIR (default)
+//   STORAGE_DRIVER=s3     one S3-compatible bucket (AWS, or MinIO with S3_ENDPOINT) shared by every instance
+export const STORAGE_DRIVER = String(process.env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+export const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+export const SPECIES_IMAGE_DIR = process.env.SPECIES_IMAGE_DIR || path.join(__dirname, '..', 'species_images');
+
+const AREAS = { uploads: UPLOAD_DIR, species_images: SPECIES_IMAGE_DIR };
+// one path segment: no "..", no dotfiles, no separators or encoded characters
+const SEGMENT_RE = /^[A-Za-z0-9_][A-Za-z0-9._-]{0,199}$/;
+
+export function storageError(code, message, status = 400) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+// Check a key and return it: a known top-level area followed by safe segments
+export function assertKey(key, { area = null } = {}) {
+  const parts = String(key ?? '').split('/');
+  if (
+    parts.length < 2
+    || !Object.hasOwn(AREAS, parts[0])
+    || (area && parts[0] !== area)
+    || parts.slice(1).some(p => !SEGMENT_RE.test(p))
+  ) {
+    throw storageError('INVALID_KEY', `Invalid storage path: ${String(key).slice(0, 200)}`);
+  }
+  return parts.join('/');
+}
+
+// "/uploads/abc.jpg" -> "uploads/abc.jpg". Anything else (absolute URLs, "..", other folders) is
+// rejected, so a stored photo_url can never point the server at an arbitrary file.
+export function keyFromUrl(url, { area = null } = {}) {
+  const s = String(url ?? '');
+  if (!s.startsWith('/')) throw storageError('INVALID_KEY', 'Image URL must be a path such as /uploads/<file>');
+  return assertKey(s.slice(1), { area });
+}
+
+export const urlForKey = key => `/${assertKey(key)}`;
+
+// Folder-like prefix ("uploads/", "species_images/acacia_mangium/") as [area, ...segments]
+function prefixParts(prefix) {
+  const parts = String(prefix ?? '').replace(/\/$/, '').split('/');
+  if (!Object.hasOwn(AREAS, parts[0]) || parts.slice(1).some(p => !SEGMENT_RE.test(p))) {
+    throw storageError('INVALID_KEY', `Invalid storage prefix: ${String(prefix).slice(0, 200)}`);
+  }
+  return parts;
+}
+
+function notFound(key) {
+  return storageError('ENOENT', `${key} not found`, 404);
+}
+
+function localDriver() {
+  const resolve = (key) => {
+    const [area, ...rest] = assertKey(key).split('/');
+    const root = path.resolve(AREAS[area]);
+    const abs = path.resolve(root, ...rest);
+    if (!abs.startsWith(root + path.sep)) throw storageError('INVALID_KEY', `Invalid storage path: ${key}`);
+    return abs;
+  };
+
+  async function* walk(dir, keyPrefix) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+    for (const entry of entries) {
+      if (!SEGMENT_RE.test(entry.name)) continue;
+      if (entry.isDirectory()) yield* walk(path.join(dir, entry.name), `${keyPrefix}${entry.name}/`);
+      else if (entry.isFile()) yield `${keyPrefix}${entry.name}`;
+    }
+  }
+
+  return {
+    name: 'local',
+    localPath: resolve,
+    async put(key, data) {
+      const abs = resolve(key);
+      await fs.promises.mkdir(path.dirname(abs), { recursive: true });
+      await fs.promises.writeFile(abs, data);
+    },
+    async get(key) {
+      return fs.promises.readFile(resolve(key));
+    },
+    async exists(key) {
+      try {
+        return (await fs.promises.stat(resolve(key))).isFile();
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+    },
+    async copy(fromKey, toKey) {
+      const to = resolve(toKey);
+      await fs.promises.mkdir(path.dirname(to), { recursive: true });
+      await fs.promises.copyFile(resolve(fromKey), to);
+    },
+    async remove(key) {
+      await fs.promises.unlink(resolve(key)).catch((e) => {
+        if (e.code !== 'ENOENT') throw e;
+      });
+    },
+    async list(prefix) {
+      const [area, ...rest] = prefixParts(prefix);
+      const keys = [];
+      for await (const key of walk(path.resolve(AREAS[area], ...rest), `${[area, ...rest].join('/')}/`)) keys.push(key);
+      return keys.sort();
+    },
+  };
+}
+
+// S3_BUCKET, S3_REGION, S3_ENDPOINT (e.g. http://localhost:9000 for MinIO), S3_ACCESS_KEY_ID /
+// S3_SECRET_ACCESS_KEY (otherwise the default AWS credential chain), S3_PREFIX (key prefix inside
+// the bucket), S3_FORCE_PATH_STYLE (on by default with a custom endpoint, as MinIO needs) and
+// S3_PUBLIC_URL (when the bucket is readable directly, images are redirected there instead of
+// being streamed through the app).
+function s3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw storageError('STORAGE_CONFIG', 'S3_BUCKET is required when STORAGE_DRIVER=s3', 500);
+  const prefix = String(process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE;
+  const publicUrl = String(process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle: pathStyle !== undefined ? ['1', 'true'].includes(pathStyle.toLowerCase()) : Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '' }
+      : undefined,
+  });
+
+  const objectKey = key => (prefix ? `${prefix}/${assertKey(key)}` : assertKey(key));
+  const isMissing = e => e?.name === 'NoSuchKey' || e?.name === 'NotFound' || e?.$metadata?.httpStatusCode === 404;
+
+  async function getObject(key) {
+    try {
+      return await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    } catch (e) {
+      if (isMissing(e)) throw notFound(key);
+      throw e;
+    }
+  }
+
+  return {
+    name: 's3',
+    localPath: null,
+    publicUrl: publicUrl ? key => `${publicUrl}/${objectKey(key)}` : null,
+    async put(key, data, { contentType } = {}) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: objectKey(key), Body: data, ContentType: contentType }));
+    },
+    async get(key) {
+      const obj = await getObject(key);
+      return Buffer.from(await obj.Body.transformToByteArray());
+    },
+    async open(key) {
+      const obj = await getObject(key);
+      return { body: obj.Body, size: obj.ContentLength, contentType: obj.ContentType, lastModified: obj.LastModified };
+    },
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (e) {
+        if (isMissing(e)) return false;
+        throw e;
+      }
+    },
+    async copy(fromKey, toKey) {
+      try {
+        await client.send(new CopyObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(toKey),
+          CopySource: `${bucket}/${objectKey(fromKey)}`, // keys only hold URL-safe characters
+        }));
+      } catch (e) {
+        if (isMissing(e)) throw notFound(fromKey);
+        throw e;
+      }
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    },
+    async list(listPrefix) {
+      const p = `${prefixParts(listPrefix).join('/')}/`;
+      const strip = prefix ? prefix.length + 1 : 0;
+      const keys = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix ? `${prefix}/${p}` : p,
+          ContinuationToken,
+        }));
+        for (const obj of page.Contents || []) keys.push(obj.Key.slice(strip));
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return keys.sort();
+    },
+  };
+}
+
+const DRIVERS = { local: localDriver, s3: s3Driver };
+let driver = null;
+
+// The configured driver: put / get / exists / copy / remove / list, plus localPath(key) on local disk
+export function storage() {
+  if (!driver) {
+    if (!DRIVERS[STORAGE_DRIVER]) {
+      throw storageError('STORAGE_CONFIG', `STORAGE_DRIVER must be one of ${Object.keys(DRIVERS).join(', ')}`, 500);
+    }
+    driver = DRIVERS[STORAGE_DRIVER]();
+  }
+  return driver;
+}
+
+// Run fn with a file on local disk holding the object (the python worker and sharp want paths).
+// Local storage hands over the real file; remote objects go to a temp file removed afterwards.
+export async function withLocalFile(key, fn) {
+  const store = storage();
+  if (store.localPath) {
+    const file = store.localPath(key);
+    await fs.promises.access(file, fs.constants.R_OK);
+    return fn(file);
+  }
+  const tmp = path.join(os.tmpdir(), `smartplant-${crypto.randomUUID()}${path.extname(key)}`);
+  await fs.promises.writeFile(tmp, await store.get(key));
+  try {
+    return await fn(tmp);
+  } finally {
+    await fs.promises.unlink(tmp).catch(() => {});
+  }
+}
+
+// Express handler serving one area (app.use('/uploads', serveStorage('uploads'))). Unknown or
+// malformed paths fall through to the 404 handler.
+export function serveStorage(area) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+    let key;
+    try {
+      key = assertKey(`${area}${req.path}`, { area });
+    } catch (e) {
+      return next();
+    }
+
+    const store = storage();
+    if (store.localPath) {
+      return res.sendFile(key.slice(area.length + 1), { root: AREAS[area] }, (err) => {
+        if (!err) return;
+        if (err.status === 404 || err.code === 'ENOENT') return next();
+        next(err);
+      });
+    }
+    if (store.publicUrl) return res.redirect(302, store.publicUrl(key));
+
+    try {
+      const obj = await store.open(key);
+      res.type(obj.contentType || path.extname(key));
+      if (obj.size !== undefined) res.set('Content-Length', String(obj.size));
+      if (obj.lastModified) res.set('Last-Modified', new Date(obj.lastModified).toUTCString());
+      res.set('Cache-Control', 'public, max-age=0');
+      if (req.method === 'HEAD') {
+        obj.body.destroy?.();
+        return res.end();
+      }
+      obj.body.on('error', (e) => res.destroy(e));
+      obj.body.pipe(res);
+    } catch (e) {
+      if (e.code === 'ENOENT') return next();
+      next(e);
+    }
+  };
+}
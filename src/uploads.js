@@ -0,0 +1,141 @@
+import multer from 'multer';
+import sharp from 'sharp';
+import exifr from 'exifr';
+import heicConvert from 'heic-convert';
+import { v4 as uuidv4 } from 'uuid';
+
+import { storage, urlForKey } from './storage.js';
+
+// Upload handling for /scan: size limit, content sniffing, EXIF extraction and stripping
+export const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 15 * 1024 * 1024); // 15 MB default
+
+// Files are kept in memory until they pass validation, so nothing unchecked touches the disk
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+});
+
+export function uploadError(code, status, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+// Identify the image type from its magic bytes (never from the client's filename or mimetype)
+export function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'jpeg';
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  // ISO-BMFF: "ftyp" box with a HEIF/HEIC brand
+  if (buf.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buf.toString('ascii', 8, 12);
+    if (['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'heic';
+  }
+  return null;
+}
+
+// GPS position and capture time from EXIF, or nulls when the photo carries none
+export async function readExifMetadata(buf) {
+  let tags = null;
+  try {
+    tags = await exifr.parse(buf, {
+      gps: true,
+      pick: ['DateTimeOriginal', 'CreateDate', 'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef'],
+    });
+  } catch (e) {
+    console.warn('[upload] could not read EXIF', e.message);
+  }
+
+  const lat = Number(tags?.latitude);
+  const lon = Number(tags?.longitude);
+  const hasGps = Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180
+    && !(lat === 0 && lon === 0);
+  const taken = tags?.DateTimeOriginal || tags?.CreateDate || null;
+
+  return {
+    latitude: hasGps ? lat : null,
+    longitude: hasGps ? lon : null,
+    captured_at: taken instanceof Date && !Number.isNaN(taken.getTime()) ? taken : null,
+  };
+}
+
+// Re-encode the image without metadata. EXIF orientation is applied to the pixels first so
+// the stripped copy still displays upright. HEIC is converted to JPEG, which every client
+// (and the python worker) can read.
+async function stripMetadata(buf, type) {
+  let input = buf;
+  let outType = type;
+  if (type === 'heic') {
+    input = Buffer.from(await heicConvert({ buffer: buf, format: 'JPEG', quality: 0.92 }));
+    outType = 'jpeg';
+  }
+
+  const img = sharp(input, { failOn: 'error' }).rotate();
+  if (outType === 'png') return { data: await img.png().toBuffer(), ext: '.png' };
+  if (outType === 'webp') return { data: await img.webp({ quality: 90 }).toBuffer(), ext: '.webp' };
+  return { data: await img.jpeg({ quality: 92 }).toBuffer(), ext: '.jpg' };
+}
+
+// Validate an in-memory multer file, pull EXIF metadata from it and store the stripped copy
+// under uploads/. Resolves with its storage key, public URL, bytes and the EXIF fields.
+export async function processImageUpload(file) {
+  const type = sniffImageType(file?.buffer);
+  if (!type) {
+    throw uploadError('UNSUPPORTED_IMAGE', 415, 'Unsupported image type (expected JPEG, PNG, WebP or HEIC).');
+  }
+
+  const exif = await readExifMetadata(file.buffer);
+
+  let stripped;
+  try {
+    stripped = await stripMetadata(file.buffer, type);
+  } catch (e) {
+    throw uploadError('INVALID_IMAGE', 400, `Image could not be decoded: ${e.message}`);
+  }
+
+  const filename = uuidv4() + stripped.ext;
+  const key = `uploads/${filename}`;
+  const contentType = stripped.ext === '.jpg' ? 'image/jpeg' : `image/${stripped.ext.slice(1)}`;
+  await storage().put(key, stripped.data, { contentType });
+
+  return { filename, key, url: urlForKey(key), data: stripped.data, type, exif };
+}
+
+// Wrap multer so size and count violations come back as JSON instead of the default error page
+export function singleImageUpload(field) {
+  const handler = upload.single(field);
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Image is larger than ${UPLOAD_MAX_BYTES} bytes.` });
+      }
+      if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.message });
+      }
+      next(err);
+    });
+  };
+}
+
+// 64-bit difference hash (dHash) as 16 hex chars: the image is shrunk to 9x8 grey pixels and
+// each bit says whether a pixel is darker than its right neighbour. Re-encoded, resized or
+// slightly cropped copies of one photo land within a few bits of each other.
+export async function perceptualHash(image) {
+  const px = await sharp(image)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits = (bits << 1n) | (px[y * 9 + x] < px[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return bits.toString(16).padStart(16, '0');
+}
@@ -0,0 +1,212 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+import { sendError } from './errors.js';
+
+// Request (and optionally response) validation against the OpenAPI document in src/openapi.js.
+// Path and query values are checked as the types the document declares ("abc" is not an
+// integer id) without changing what the handlers receive. Routes the document does not describe
+// pass through untouched. Set OPENAPI_VALIDATE_RESPONSES=1 to log responses that do not match.
+export const VALIDATE_RESPONSES = ['1', 'true'].includes(String(process.env.OPENAPI_VALIDATE_RESPONSES || '').toLowerCase());
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+function makeAjv(coerceTypes) {
+  const ajv = new Ajv({ allErrors: true, strict: false, verbose: true, coerceTypes });
+  addFormats(ajv);
+  return ajv;
+}
+
+// Admin routes are described once under /api/admin and the catalogue under /species
+function canonicalPath(p) {
+  let out = p.length > 1 ? p.replace(/\/+$/, '') : p;
+  if (out === '/admin' || out.startsWith('/admin/')) out = `/api${out}`;
+  if (out === '/api/species' || out.startsWith('/api/species/')) out = out.slice(4);
+  return out;
+}
+
+// { error, code: 'VALIDATION_FAILED', details: [{ in, field, message }] } from Ajv errors
+function describeErrors(where, errors) {
+  return errors
+    .filter(e => e.keyword !== 'anyOf' && e.keyword !== 'if')
+    .map(e => {
+      const parts = e.instancePath.split('/').slice(1);
+      if (e.keyword === 'required') parts.push(e.params.missingProperty);
+      if (e.keyword === 'additionalProperties') parts.push(e.params.additionalProperty);
+      let message = e.message;
+      if (e.keyword === 'required') message = 'is required';
+      if (e.keyword === 'enum') message = `must be one of ${e.params.allowedValues.join(', ')}`;
+      if (e.keyword === 'pattern' && e.parentSchema?.['x-values']) {
+        message = `must be one or more of ${e.parentSchema['x-values'].join(', ')} (comma-separated)`;
+      }
+      return { in: where, field: parts.join('.'), message };
+    })
+    .filter((d, i, all) => all.findIndex(o => o.field === d.field && o.message === d.message) === i);
+}
+
+function sendValidationError(res, details) {
+  const summary = details.map(d => (d.field ? `${d.field} ${d.message}` : `${d.in} ${d.message}`)).join('; ');
+  return sendError(res, 400, 'VALIDATION_FAILED', `Invalid request: ${summary}`, details);
+}
+
+// Finds the documented operation for a request, with its compiled validators
+function operationMatcher(doc) {
+  const coercing = makeAjv(true);
+  const strict = makeAjv(false);
+  // "#/components/..." references resolve inside each compiled schema
+  const withComponents = schema => ({ ...schema, components: doc.components });
+
+  const routes = Object.entries(doc.paths)
+    .map(([template, item]) => {
+      const names = [];
+      const source = template
+        .split('/')
+        .map(seg => {
+          const m = seg.match(/^\{(\w+)\}$/);
+          if (!m) return seg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          names.push(m[1]);
+          return '([^/]+)';
+        })
+        .join('/');
+      return { template, item, names, re: new RegExp(`^${source}$`) };
+    })
+    // literal segments win over parameters: /dataset/samples/backfill before /dataset/samples/{observationId}
+    .sort((a, b) => a.names.length - b.names.length);
+
+  function paramSchema(params, where) {
+    const list = params.filter(p => p.in === where);
+    if (!list.length) return null;
+    return coercing.compile(withComponents({
+      type: 'object',
+      properties: Object.fromEntries(list.map(p => [p.name, p.schema || {}])),
+      required: list.filter(p => p.required).map(p => p.name),
+    }));
+  }
+
+  function compile(route, method) {
+    const op = route.item[method];
+    const params = [...(route.item.parameters || []), ...(op.parameters || [])];
+    const content = op.requestBody?.content || {};
+    const form = content['multipart/form-data']?.schema;
+    let formSchema = null;
+    if (form) {
+      // files are checked by the upload middleware; only the text fields are validated here
+      const binary = Object.keys(form.properties || {}).filter(k => form.properties[k].format === 'binary');
+      const properties = Object.fromEntries(Object.entries(form.properties || {}).filter(([k]) => !binary.includes(k)));
+      formSchema = coercing.compile(withComponents({
+        ...form,
+        properties,
+        required: (form.required || []).filter(k => !binary.includes(k)),
+      }));
+    }
+
+    // bearerAuth without an anonymous ({}) alternative means the caller must be signed in
+    const security = op.security || doc.security || [];
+    const signedIn = security.length > 0 && !security.some(s => !Object.keys(s).length);
+
+    const responses = {};
+    if (VALIDATE_RESPONSES) {
+      for (const [status, response] of Object.entries(op.responses || {})) {
+        const resolved = response.$ref ? doc.components.responses[response.$ref.split('/').pop()] : response;
+        const schema = resolved?.content?.['application/json']?.schema;
+        if (schema) responses[status] = strict.compile(withComponents(schema));
+      }
+    }
+
+    return {
+      operationId: op.operationId,
+      template: route.template,
+      access: signedIn ? { role: op['x-required-role'] || null } : null,
+      path: paramSchema(params, 'path'),
+      query: paramSchema(params, 'query'),
+      body: content['application/json']?.schema ? strict.compile(withComponents(content['application/json'].schema)) : null,
+      form: formSchema,
+      responses,
+    };
+  }
+
+  // compiled up front, so a broken document fails at startup rather than on the first request
+  for (const route of routes) {
+    route.operations = Object.fromEntries(METHODS.filter(m => route.item[m]).map(m => [m, compile(route, m)]));
+  }
+
+  return (req) => {
+    const method = req.method.toLowerCase();
+    const reqPath = canonicalPath(req.path);
+    for (const route of routes) {
+      const m = reqPath.match(route.re);
+      if (!m || !route.operations[method]) continue;
+      let pathParams;
+      try {
+        pathParams = Object.fromEntries(route.names.map((n, i) => [n, decodeURIComponent(m[i + 1])]));
+      } catch (e) {
+        pathParams = Object.fromEntries(route.names.map((n, i) => [n, m[i + 1]]));
+      }
+      return { ...route.operations[method], pathParams };
+    }
+    return null;
+  };
+}
+
+// Run middleware one after another, then `done` (each answers the request itself on failure)
+function runChain([first, ...rest], req, res, done) {
+  if (!first) return done();
+  return first(req, res, () => runChain(rest, req, res, done));
+}
+
+// Validate path, query and JSON body of described routes; mount after express.json().
+// `authorize(access)` returns the guards for an operation that needs a signed-in caller
+// ({ role } from x-required-role); they run first, so callers who may not use the operation
+// get 401/403 rather than a description of what is wrong with their request.
+export function validateRequests(doc, { authorize = null } = {}) {
+  const match = operationMatcher(doc);
+
+  return (req, res, next) => {
+    const op = match(req);
+    if (!op) return next();
+    req.openapiOperation = op;
+
+    if (authorize && op.access) return runChain(authorize(op.access), req, res, () => validate(req, res, next, op));
+    return validate(req, res, next, op);
+  };
+}
+
+// The request checks themselves, for an operation the caller may use
+function validate(req, res, next, op) {
+  const details = [];
+  // validators coerce in place, so they get copies and the handlers keep the raw strings
+  if (op.path && !op.path({ ...op.pathParams })) details.push(...describeErrors('path', op.path.errors));
+  if (op.query && !op.query({ ...req.query })) details.push(...describeErrors('query', op.query.errors));
+  if (op.body && !op.body(req.body ?? {})) details.push(...describeErrors('body', op.body.errors));
+  if (details.length) return sendValidationError(res, details);
+
+  if (VALIDATE_RESPONSES && Object.keys(op.responses).length) watchResponse(req, res, op);
+  next();
+}
+
+// Multipart text fields, once the upload middleware has parsed them (see POST /scan)
+export function validateFormFields(req, res, next) {
+  const op = req.openapiOperation;
+  if (!op?.form || op.form({ ...(req.body || {}) })) return next();
+  return sendValidationError(res, describeErrors('body', op.form.errors));
+}
+
+// Log (never alter) JSON responses that do not match the documented schema for their status
+function watchResponse(req, res, op) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const validate = op.responses[res.statusCode] || op.responses.default;
+    if (validate) {
+      try {
+        // compare what goes on the wire (Dates as strings and so on)
+        if (!validate(JSON.parse(JSON.stringify(body ?? null)))) {
+          const problems = describeErrors('response', validate.errors).map(d => `${d.field || '(root)'} ${d.message}`);
+          console.warn(`[openapi] ${req.method} ${req.originalUrl} -> ${res.statusCode} does not match ${op.operationId}: ${problems.join('; ')}`);
+        }
+      } catch (e) {
+        console.warn(`[openapi] could not check the response of ${op.operationId}`, e.message);
+      }
+    }
+    return json(body);
+  };
+}
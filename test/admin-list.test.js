@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+const app = await startApp();
+test.after(() => app.close());
+
+const reviewer = app.db.signIn('reviewer');
+const [pitcher, rafflesia, slipper] = app.db.addSpecies(
+  { scientific_name: 'Nepenthes rafflesiana', common_name: 'Raffles pitcher plant' },
+  { scientific_name: 'Rafflesia tuan-mudae' },
+  { scientific_name: 'Paphiopedilum sanderianum', is_endangered: 1 }
+);
+const submitted = (day, fields, results) => app.db.addObservation({
+  created_at: new Date(`2025-01-0${day}T08:00:00Z`),
+  photo_url: '/uploads/no-derivatives.jpg',
+  ...fields,
+}, results);
+const bako = submitted(1, { user_id: 7, location_name: 'Bako' }, [[pitcher.species_id, 0.9]]);
+const kubah = submitted(2, { user_id: 8, location_name: 'Kubah', species_id: rafflesia.species_id }, [[pitcher.species_id, 0.4], [rafflesia.species_id, 0.3]]);
+const mulu = submitted(3, { location_name: 'Gunung Mulu', location_latitude: 4.0312, location_longitude: 114.8215 }, [[slipper.species_id, 0.2]]);
+const blank = submitted(4, {}, []);
+const verified = submitted(5, { status: 'verified', location_name: 'Bako' }, [[rafflesia.species_id, 0.95]]);
+
+const list = (query = '', headers = reviewer) => app.call(`/api/admin/observations?${query}`, { headers });
+const ids = res => res.body.data.map(o => o.observation_id);
+
+test('the review list shows pending observations newest first, with a total', async () => {
+  const res = await list();
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(ids(res), [blank, mulu, kubah, bako].map(o => o.observation_id));
+  assert.equal(res.body.total, 4);
+  assert.equal(res.body.next_cursor, null);
+
+  const first = res.body.data.find(o => o.observation_id === bako.observation_id);
+  assert.equal(first.plant_name, 'Nepenthes rafflesiana');
+  assert.equal(first.confidence, 0.9);
+  assert.equal(first.user, 'user_7');
+  // no derivatives were stored, so the thumbnail falls back to the original
+  assert.equal(first.photo_thumb, `${app.baseUrl}/uploads/no-derivatives.jpg`);
+  const empty = res.body.data.find(o => o.observation_id === blank.observation_id);
+  assert.deepEqual([empty.plant_name, empty.confidence], ['Unknown', 0]);
+
+  assert.equal((await list('', app.db.signIn('user'))).status, 403);
+});
+
+test('filters narrow the list and the total together', async () => {
+  const check = async (query, expected) => {
+    const res = await list(query);
+    assert.equal(res.status, 200, `${query}: ${JSON.stringify(res.body)}`);
+    assert.deepEqual(ids(res), expected.map(o => o.observation_id), query);
+    assert.equal(res.body.total, expected.length, query);
+  };
+
+  await check('status=pending,verified&location=bako', [verified, bako]);
+  await check('user_id=8', [kubah]);
+  await check('from=2025-01-02&to=2025-01-03', [mulu, kubah]);
+  await check('min_confidence=0.3&max_confidence=0.5', [kubah]);
+  await check('auto_flagged=1&threshold=0.5', [blank, mulu, kubah]);
+  await check(`species_id=${rafflesia.species_id}`, [kubah]);
+  await check(`species_id=${rafflesia.species_id}&species_source=predicted`, []);
+  await check('species=raffles&species_source=predicted', [kubah, bako]);
+  await check('species=rafflesia&species_source=assigned', [kubah]);
+});
+
+test('sensitive rows are generalised and cannot be found by place name below admin', async () => {
+  const res = await list('status=pending');
+  const row = res.body.data.find(o => o.observation_id === mulu.observation_id);
+  assert.deepEqual([row.location_latitude, row.location_longitude, row.location, row.location_generalized], [4.05, 114.85, '', true]);
+  assert.deepEqual(ids(await list('location=mulu')), []);
+
+  const admin = await list('location=mulu', app.db.signIn('admin'));
+  assert.deepEqual(ids(admin), [mulu.observation_id]);
+  assert.equal(admin.body.data[0].location, 'Gunung Mulu');
+});
+
+test('cursor paging walks every row once in the chosen sort', async () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const res = await list(`sort=top_confidence&order=asc&page_size=2${cursor ? `&cursor=${cursor}` : ''}`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.total, 4);
+    seen.push(...ids(res));
+    cursor = res.body.next_cursor;
+  } while (cursor);
+  assert.deepEqual(seen, [blank, mulu, kubah, bako].map(o => o.observation_id));
+
+  const firstPage = await list('page_size=2');
+  // a scan arriving after the first page does not shift the next one
+  submitted(6, {}, []);
+  const next = await list(`page_size=2&cursor=${firstPage.body.next_cursor}`);
+  assert.deepEqual(ids(next), [kubah, bako].map(o => o.observation_id));
+  assert.equal((await list(`sort=top_confidence&cursor=${firstPage.body.next_cursor}`)).status, 400);
+});
+
+test('malformed list parameters are rejected', async () => {
+  for (const query of ['status=deleted', 'sort=name', 'order=sideways', 'species_source=guessed', 'min_confidence=2', 'user_id=x', 'cursor=nonsense']) {
+    assert.equal((await list(query)).status, 400, query);
+  }
+});
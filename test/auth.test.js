@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+// Accounts, session tokens and the role checks in front of the admin routes
+const app = await startApp();
+test.after(() => app.close());
+
+test('sign up, log in, use the token and log out', async () => {
+  const reg = await app.call('/auth/register', { method: 'POST', body: { username: 'fern', password: 'long enough' } });
+  assert.equal(reg.status, 201);
+  assert.equal(reg.body.user.role, 'user');
+  assert.ok(reg.body.token);
+
+  // only a scrypt hash of the password and a SHA-256 of the token are stored
+  const stored = app.db.users.find(u => u.username === 'fern');
+  assert.match(stored.password_hash, /^scrypt\$/);
+  assert.ok(!app.db.authTokens.some(t => t.token_hash === reg.body.token));
+
+  assert.equal((await app.call('/auth/login', { method: 'POST', body: { username: 'fern', password: 'wrong one' } })).status, 401);
+  assert.equal((await app.call('/auth/login', { method: 'POST', body: { username: 'nobody', password: 'long enough' } })).status, 401);
+  const login = await app.call('/auth/login', { method: 'POST', body: { username: 'fern', password: 'long enough' } });
+  assert.equal(login.status, 200);
+
+  const headers = { Authorization: `Bearer ${login.body.token}` };
+  const me = await app.call('/auth/me', { headers });
+  assert.deepEqual(me.body.user, { user_id: stored.user_id, username: 'fern', role: 'user' });
+
+  assert.equal((await app.call('/auth/logout', { method: 'POST', headers })).status, 200);
+  assert.equal((await app.call('/auth/me', { headers })).status, 401);
+  // the token from sign-up is a separate session and still works
+  assert.equal((await app.call('/auth/me', { headers: { Authorization: `Bearer ${reg.body.token}` } })).status, 200);
+});
+
+test('sign-up rejects taken names and short passwords', async () => {
+  assert.equal((await app.call('/auth/register', { method: 'POST', body: { username: 'moss', password: 'short' } })).status, 400);
+  assert.equal((await app.call('/auth/register', { method: 'POST', body: { username: 'moss', password: 'long enough' } })).status, 201);
+  assert.equal((await app.call('/auth/register', { method: 'POST', body: { username: 'moss', password: 'long enough' } })).status, 409);
+});
+
+test('expired and unknown tokens are not accepted', async () => {
+  const headers = app.db.signIn('admin');
+  app.db.authTokens.at(-1).expires_at = new Date(Date.now() - 1000);
+  assert.equal((await app.call('/auth/me', { headers })).status, 401);
+  assert.equal((await app.call('/auth/me', { headers: { Authorization: 'Bearer made-up' } })).status, 401);
+});
+
+test('admin routes need a reviewer, user management an admin', async () => {
+  assert.equal((await app.call('/api/admin/users')).status, 401);
+  assert.equal((await app.call('/admin/users', { headers: app.db.signIn('user') })).status, 403);
+  assert.equal((await app.call('/api/admin/users', { headers: app.db.signIn('reviewer') })).status, 403);
+
+  const admin = app.db.signIn('admin');
+  const users = await app.call('/api/admin/users', { headers: admin });
+  assert.equal(users.status, 200);
+  assert.ok(users.body.data.every(u => !('password_hash' in u)));
+});
+
+test('admins grant roles, which take effect on the next request', async () => {
+  const admin = app.db.signIn('admin');
+  const headers = app.db.signIn('user', 'promoted');
+  const { user_id } = app.db.users.find(u => u.username === 'promoted');
+  assert.equal((await app.call('/api/admin/users', { headers })).status, 403);
+
+  const bad = await app.call(`/api/admin/users/${user_id}/role`, { method: 'PUT', headers: admin, body: { role: 'owner' } });
+  assert.equal(bad.status, 400);
+  assert.equal((await app.call('/api/admin/users/999999/role', { method: 'PUT', headers: admin, body: { role: 'admin' } })).status, 404);
+
+  const granted = await app.call(`/api/admin/users/${user_id}/role`, { method: 'PUT', headers: admin, body: { role: 'admin' } });
+  assert.deepEqual(granted.body, { ok: true, user_id, role: 'admin' });
+  assert.equal((await app.call('/api/admin/users', { headers })).status, 200);
+});
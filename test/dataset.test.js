@@ -0,0 +1,29 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assignSplit, SPLITS } from '../src/dataset.js';
+
+test('assignSplit is stable per observation', () => {
+  for (const id of [1, 42, 9999]) assert.equal(assignSplit(id), assignSplit(id));
+  assert.ok(SPLITS.includes(assignSplit(7)));
+});
+
+test('assignSplit follows the default 80/10/10 weights', () => {
+  const counts = Object.fromEntries(SPLITS.map(s => [s, 0]));
+  for (let id = 1; id <= 5000; id++) counts[assignSplit(id)] += 1;
+  assert.ok(counts.train > 3800 && counts.train < 4200, JSON.stringify(counts));
+  assert.ok(counts.val > 350 && counts.val < 650, JSON.stringify(counts));
+  assert.ok(counts.test > 350 && counts.test < 650, JSON.stringify(counts));
+});
+
+test('assignSplit honours DATASET_SPLIT and ignores invalid values', (t) => {
+  t.after(() => delete process.env.DATASET_SPLIT);
+
+  process.env.DATASET_SPLIT = '0,0,1';
+  for (let id = 1; id <= 50; id++) assert.equal(assignSplit(id), 'test');
+
+  process.env.DATASET_SPLIT = '1,nope,1';
+  const seen = new Set();
+  for (let id = 1; id <= 200; id++) seen.add(assignSplit(id));
+  assert.deepEqual([...seen].sort(), ['test', 'train', 'val']);
+});
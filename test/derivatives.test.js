@@ -0,0 +1,60 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+
+import { startApp, testImage, postScan } from './helpers/app.js';
+
+const app = await startApp();
+// storage reads UPLOAD_DIR on import, so only after startApp has pointed it at the temp dir
+const { storage, keyFromUrl } = await import('../src/storage.js');
+const { derivativeKeys, storedDerivativeUrls, DERIVATIVE_SIZES } = await import('../src/derivatives.js');
+test.after(() => app.close());
+
+test('a scan stores a thumbnail and a medium copy next to the photo', async () => {
+  const { status, body } = await postScan(app.baseUrl, await testImage(1, { width: 1600, height: 1200 }));
+  assert.equal(status, 200);
+
+  const { thumbnail_path, medium_path, image_path } = body.primary;
+  assert.notEqual(thumbnail_path, image_path);
+  assert.notEqual(medium_path, image_path);
+  for (const [url, edge] of [[thumbnail_path, DERIVATIVE_SIZES.thumb], [medium_path, DERIVATIVE_SIZES.medium]]) {
+    const res = await fetch(app.baseUrl + url);
+    assert.equal(res.status, 200);
+    const meta = await sharp(Buffer.from(await res.arrayBuffer())).metadata();
+    assert.equal(Math.max(meta.width, meta.height), edge);
+  }
+});
+
+test('a photo without derivatives links the original instead', async () => {
+  const { body } = await postScan(app.baseUrl, await testImage(4));
+  const original = body.primary.image_path;
+
+  // as for a photo stored before derivatives existed, or whose generation failed
+  await storage().remove(derivativeKeys(keyFromUrl(original)).medium);
+  const urls = await storedDerivativeUrls(original);
+  assert.equal(urls.thumb, body.primary.thumbnail_path);
+  assert.equal(urls.medium, original);
+  assert.equal((await fetch(app.baseUrl + urls.medium)).status, 200);
+
+  assert.deepEqual(await storedDerivativeUrls(original, ['thumb']), { thumb: body.primary.thumbnail_path });
+  assert.deepEqual(await storedDerivativeUrls(null), { thumb: null, medium: null });
+  // photos outside our storage never had derivatives
+  const remote = 'https://example.org/elsewhere/plant.jpg';
+  assert.deepEqual(await storedDerivativeUrls(remote), { thumb: remote, medium: remote });
+});
+
+test('duplicate clusters show the original when a thumbnail is missing', async () => {
+  app.db.observations.length = 0;
+  const img = await testImage(5);
+  const a = (await postScan(app.baseUrl, img)).body;
+  const b = (await postScan(app.baseUrl, img)).body;
+  await storage().remove(derivativeKeys(keyFromUrl(b.primary.image_path)).thumb);
+
+  const res = await app.call('/api/admin/observations/duplicates', { headers: app.db.signIn('reviewer') });
+  assert.equal(res.status, 200);
+  const [cluster] = res.body.clusters;
+  const thumbOf = id => cluster.observations.find(o => o.observation_id === id).photo_thumb;
+  assert.equal(thumbOf(a.observation_id), app.baseUrl + a.primary.thumbnail_path);
+  assert.equal(thumbOf(b.observation_id), app.baseUrl + b.primary.image_path);
+  assert.equal((await fetch(thumbOf(b.observation_id))).status, 200);
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+
+import { startApp, testImage, postScan } from './helpers/app.js';
+
+// Both are read when the server module loads
+process.env.DUPLICATE_MAX_DISTANCE = '6';
+process.env.DUPLICATE_PAIR_LIMIT = '3';
+const app = await startApp();
+test.after(() => app.close());
+
+const reviewer = app.db.signIn('reviewer');
+const clusters = (query = '') => app.call(`/api/admin/observations/duplicates${query}`, { headers: reviewer });
+
+test('a user scanning the same photo again gets the earlier observation back', async () => {
+  const alice = app.db.signIn('user', 'alice');
+  const img = await testImage(11, { width: 320, height: 240 });
+
+  const first = await postScan(app.baseUrl, img, {}, alice);
+  const stored = app.db.observations.length;
+  assert.equal(first.status, 200);
+  assert.equal(first.body.duplicate, undefined);
+
+  const again = await postScan(app.baseUrl, img, {}, alice);
+  assert.equal(again.body.observation_id, first.body.observation_id);
+  assert.deepEqual(again.body.duplicate, { observation_id: first.body.observation_id, distance: 0, exact: true });
+  assert.equal(again.body.candidates.length, first.body.candidates.length);
+
+  // a smaller re-encoded copy is the same picture, just not byte-for-byte
+  const copy = await postScan(app.baseUrl, await sharp(img).resize(160).jpeg({ quality: 50 }).toBuffer(), {}, alice);
+  assert.equal(copy.body.observation_id, first.body.observation_id);
+  assert.equal(copy.body.duplicate.exact, copy.body.duplicate.distance === 0);
+  assert.equal(app.db.observations.length, stored);
+
+  const forced = await postScan(app.baseUrl, img, { allow_duplicate: '1' }, alice);
+  assert.notEqual(forced.body.observation_id, first.body.observation_id);
+
+  // other users' photos, and anonymous scans, are never matched
+  const bob = await postScan(app.baseUrl, img, {}, app.db.signIn('user', 'bob'));
+  assert.notEqual(bob.body.observation_id, first.body.observation_id);
+  assert.equal(bob.body.duplicate, undefined);
+  const anon = await postScan(app.baseUrl, img);
+  assert.equal(anon.body.duplicate, undefined);
+  assert.equal(app.db.observations.length, stored + 3);
+});
+
+test('duplicate clusters group near-identical photos and say when pairs were cut off', async () => {
+  app.db.observations.length = 0;
+  const hour = new Date(Date.now() - 3600e3);
+  const add = (phash, user_id = 1) => app.db.addObservation({ phash, user_id, created_at: hour });
+  const a = add('ffff0000ffff0000');
+  const b = add('ffff0000ffff0001');
+  const c = add('0000ffff0000ffff');
+  const d = add('0000ffff0000fffe', 2);
+  add('123456789abcdef0'); // nothing close
+
+  const res = await clusters();
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.truncated, false);
+  assert.deepEqual(res.body.clusters.map(cl => cl.observations.map(o => o.observation_id)), [
+    [a.observation_id, b.observation_id],
+    [c.observation_id, d.observation_id],
+  ]);
+  assert.equal(res.body.clusters[0].max_distance, 1);
+
+  const sameUser = await clusters('?same_user=1');
+  assert.deepEqual(sameUser.body.clusters.map(cl => cl.size), [2]);
+
+  // five copies of one photo make ten pairs, past DUPLICATE_PAIR_LIMIT
+  for (let i = 0; i < 5; i++) add('aaaaaaaaaaaaaaa0');
+  const cut = await clusters();
+  assert.equal(cut.body.truncated, true);
+  const queried = app.db.queries.filter(q => q.sql.startsWith('SELECT a.observation_id AS a_id')).at(-1);
+  assert.equal(queried.params.at(-1), 4); // one past the limit, to tell
+});
+
+test('duplicate clusters validate the window', async () => {
+  assert.equal((await clusters('?from=2025-02-01&to=2025-01-01')).status, 400);
+  assert.equal((await clusters('?from=2024-01-01&to=2025-01-01')).status, 400);
+  assert.equal((await clusters('?to=yesterday-ish')).status, 400);
+});
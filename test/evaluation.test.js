@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { evaluatePredictions } from '../src/evaluation.js';
+
+const classes = [
+  { index: 0, label: 'acacia_mangium', species_id: 1, scientific_name: 'Acacia mangium' },
+  { index: 1, label: 'alocasia_longiloba', species_id: 2, scientific_name: 'Alocasia longiloba' },
+];
+
+// One ranked prediction list per observation: [truth, [[predicted, confidence], ...]]
+function rows(list) {
+  return list.flatMap(([truth, preds], i) => preds.map(([predicted, confidence], r) => ({
+    observation_id: i + 1,
+    true_species_id: truth,
+    predicted_species_id: predicted,
+    confidence_score: String(confidence),
+    rank: r + 1,
+  })));
+}
+
+test('accuracy, per-class precision/recall and the confusion matrix', () => {
+  const result = evaluatePredictions(rows([
+    [1, [[1, 0.9], [2, 0.05]]],
+    [1, [[2, 0.6], [1, 0.3]]],
+    [2, [[2, 0.8]]],
+    [99, [[1, 0.4]]], // a species outside the class map counts as "other"
+  ]), classes, { targetPrecision: 0.9, currentThreshold: 0.5 });
+
+  assert.equal(result.evaluated, 4);
+  assert.equal(result.top1_accuracy, 2 / 4);
+  assert.equal(result.top5_accuracy, 3 / 4);
+  assert.deepEqual(result.confusion_matrix.labels, ['acacia_mangium', 'alocasia_longiloba', 'other']);
+  assert.deepEqual(result.confusion_matrix.matrix, [[1, 1, 0], [0, 1, 0], [1, 0, 0]]);
+
+  const acacia = result.classes.find(c => c.label === 'acacia_mangium');
+  assert.equal(acacia.precision, 1 / 2);
+  assert.equal(acacia.recall, 1 / 2);
+  const other = result.classes.find(c => c.label === 'other');
+  assert.equal(other.precision, null); // never predicted
+});
+
+test('recommended threshold is the lowest cut-off reaching the target precision', () => {
+  const result = evaluatePredictions(rows([
+    [1, [[1, 0.95]]],
+    [1, [[1, 0.9]]],
+    [2, [[1, 0.8]]], // wrong
+    [2, [[2, 0.7]]],
+    [2, [[1, 0.6]]], // wrong
+  ]), classes, { targetPrecision: 0.75, currentThreshold: 0.85 });
+
+  assert.deepEqual(result.threshold.recommended, { threshold: 0.7, precision: 3 / 4, coverage: 4 / 5 });
+  assert.deepEqual(result.threshold.current, { threshold: 0.85, precision: 1, coverage: 2 / 5 });
+});
+
+test('no evaluated rows gives nulls, not NaN', () => {
+  const result = evaluatePredictions([], classes, { targetPrecision: 0.9, currentThreshold: 0.6 });
+  assert.equal(result.evaluated, 0);
+  assert.equal(result.top1_accuracy, null);
+  assert.equal(result.threshold.recommended, null);
+  assert.equal(result.threshold.current.precision, null);
+});
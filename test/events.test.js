@@ -0,0 +1,82 @@
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+let app, publishAdminEvent, missedEvents;
+before(async () => {
+  app = await startApp();
+  ({ publishAdminEvent, missedEvents } = await import('../src/events.js'));
+});
+after(() => app.close());
+
+// Read server-sent events until `until` matches one, then hang up
+async function readEvents(route, headers, until) {
+  const controller = new AbortController();
+  const res = await fetch(app.baseUrl + route, { headers, signal: controller.signal });
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  try {
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const field = name => block.split('\n').find(l => l.startsWith(`${name}: `))?.slice(name.length + 2);
+        if (!field('event')) continue;
+        const event = { event: field('event'), id: field('id'), data: JSON.parse(field('data')) };
+        events.push(event);
+        if (until(event)) return events;
+      }
+    }
+  } finally {
+    controller.abort();
+  }
+  return events;
+}
+
+test('missedEvents replays what came after Last-Event-ID', () => {
+  const events = [1, 2, 3].map(n => publishAdminEvent('observation.created', { observation_id: n }));
+
+  assert.deepEqual(missedEvents(events[0].id).map(e => e.data.observation_id), [2, 3]);
+  assert.deepEqual(missedEvents(events[1].id).map(e => e.id), [events[2].id]);
+  assert.deepEqual(missedEvents(events[2].id), []);
+});
+
+test('missedEvents asks for a reload for ids it cannot serve', () => {
+  const { id } = publishAdminEvent('observation.flagged', { observation_id: 4 });
+  const [boot, seq] = id.split('.');
+
+  assert.equal(missedEvents(`${boot}.${Number(seq) + 1}`), null); // not issued yet
+  assert.equal(missedEvents(`00000000.${seq}`), null); // from before a restart
+  assert.equal(missedEvents(`${boot}.abc`), null);
+  assert.equal(missedEvents('garbage'), null);
+});
+
+test('missedEvents gives up once the replay buffer has moved past the id', () => {
+  const first = publishAdminEvent('observation.created', { observation_id: 5 });
+  for (let i = 0; i < 600; i++) publishAdminEvent('observation.created', { observation_id: 6 + i });
+  assert.equal(missedEvents(first.id), null);
+});
+
+test('GET /admin/events is for reviewers and checks the requested types', async () => {
+  assert.equal((await app.call('/admin/events', { headers: app.db.signIn('user') })).status, 403);
+
+  const res = await app.call('/admin/events?types=observation.flagged,observation.eaten', { headers: app.db.signIn('reviewer') });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /observation\.flagged/);
+});
+
+test('GET /admin/events replays missed events, or asks for a resync', async () => {
+  const headers = app.db.signIn('reviewer');
+  const first = publishAdminEvent('observation.created', { observation_id: 700 });
+  const second = publishAdminEvent('observation.flagged', { observation_id: 701 });
+
+  const replayed = await readEvents('/admin/events', { ...headers, 'Last-Event-ID': first.id }, e => e.id === second.id);
+  assert.equal(replayed[0].event, 'ready');
+  assert.deepEqual(replayed.slice(1).map(e => [e.event, e.data.observation_id]), [['observation.flagged', 701]]);
+
+  const stale = await readEvents('/admin/events', { ...headers, 'Last-Event-ID': '00000000.1' }, e => e.event === 'resync');
+  assert.equal(stale.at(-1).event, 'resync');
+});
@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+
+import { startApp } from './helpers/app.js';
+import { parseExportFilters } from '../src/exporter.js';
+
+const app = await startApp();
+test.after(() => app.close());
+
+const [pitcher, orchid] = app.db.addSpecies(
+  { scientific_name: 'Nepenthes rafflesiana', common_name: 'Pitcher plant, "Raffles"' },
+  { scientific_name: 'Paphiopedilum sanderianum', common_name: "Sander's slipper orchid", is_endangered: 1 }
+);
+const add = fields => app.db.addObservation({
+  status: 'verified',
+  user_id: 7,
+  species_id: pitcher.species_id,
+  location_latitude: 1.5535,
+  location_longitude: 110.3593,
+  location_name: 'Kubah, Matang',
+  photo_url: '/uploads/a.jpg',
+  created_at: new Date('2025-03-10T08:00:00Z'),
+  ...fields,
+});
+const march = add({ captured_at: new Date('2025-03-09T06:30:00Z') });
+const april = add({ created_at: new Date('2025-04-02T10:00:00Z'), location_name: 'Bako\tNational Park' });
+const rare = add({ species_id: orchid.species_id, location_latitude: 4.0312, location_longitude: 114.8215, location_name: 'Gunung Mulu' });
+const pending = add({ status: 'pending' });
+
+// Entries of a zip archive by name (central directory, stored or deflated entries)
+function unzip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buf.readUInt16LE(end + 10);
+  let at = buf.readUInt32LE(end + 16);
+  const files = {};
+  for (let n = 0; n < count; n++) {
+    const method = buf.readUInt16LE(at + 10);
+    const size = buf.readUInt32LE(at + 20);
+    const nameLen = buf.readUInt16LE(at + 28);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLen);
+    const local = buf.readUInt32LE(at + 42);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    const data = buf.subarray(start, start + size);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    at += 46 + nameLen + buf.readUInt16LE(at + 30) + buf.readUInt16LE(at + 32);
+  }
+  return files;
+}
+
+// exports are under the admin routes, so reviewers and up
+const reviewer = app.db.signIn('reviewer');
+const download = async (route, headers = reviewer) => {
+  const res = await fetch(app.baseUrl + '/api/admin' + route, { headers });
+  return { status: res.status, headers: res.headers, body: Buffer.from(await res.arrayBuffer()) };
+};
+
+test('parseExportFilters: verified by default, bare end dates include the day', () => {
+  const f = parseExportFilters({ from: '2025-03-01', to: '2025-03-31', species_id: '3' });
+  assert.deepEqual(f.statuses, ['verified']);
+  assert.equal(f.speciesId, 3);
+  assert.equal(f.from.toISOString(), '2025-03-01T00:00:00.000Z');
+  assert.equal(f.to.toISOString(), '2025-04-01T00:00:00.000Z');
+  assert.equal(parseExportFilters({ to: '2025-03-31T12:00:00Z' }).to.toISOString(), '2025-03-31T12:00:00.000Z');
+  assert.deepEqual(parseExportFilters({ status: 'pending, verified' }).statuses, ['pending', 'verified']);
+
+  assert.throws(() => parseExportFilters({ status: 'deleted' }), { status: 400 });
+  assert.throws(() => parseExportFilters({ species_id: 'x' }), /species_id/);
+  assert.throws(() => parseExportFilters({ from: 'last tuesday' }), /from must be a date/);
+});
+
+test('CSV export: verified records, filters, quoting and absolute photo links', async () => {
+  const res = await download('/export/observations?format=csv');
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  assert.match(res.headers.get('content-disposition'), /attachment; filename="observations-\d{4}-\d{2}-\d{2}\.csv"/);
+
+  const lines = res.body.toString('utf8').trimEnd().split('\r\n');
+  assert.equal(lines[0].split(',')[0], 'observation_id');
+  assert.equal(lines.length, 4); // header + three verified records
+  const first = lines[1];
+  assert.ok(first.startsWith(`${march.observation_id},verified,${pitcher.species_id},Nepenthes rafflesiana,"Pitcher plant, ""Raffles""",`));
+  assert.ok(first.includes('2025-03-09T06:30:00.000Z')); // observed_at is the capture time
+  assert.ok(first.endsWith(`,${app.baseUrl}/uploads/a.jpg`));
+
+  const march31 = (await download('/export/observations?format=csv&from=2025-03-01&to=2025-03-31')).body.toString();
+  assert.equal(march31.trimEnd().split('\r\n').length, 3);
+  assert.ok(!march31.includes(`\r\n${april.observation_id},`));
+
+  const withPending = (await download('/export/observations?status=pending')).body.toString();
+  assert.ok(withPending.includes(`\r\n${pending.observation_id},pending,`));
+});
+
+test('JSON export streams an array of the same records', async () => {
+  const res = await download(`/export/observations?format=json&species_id=${pitcher.species_id}`);
+  assert.match(res.headers.get('content-type'), /^application\/json/);
+  const records = JSON.parse(res.body.toString());
+  assert.deepEqual(records.map(r => r.observation_id), [march.observation_id, april.observation_id]);
+  assert.equal(records[1].location_name, 'Bako\tNational Park');
+  assert.equal(records[0].user, 'user_7');
+});
+
+test('Darwin Core Archive: occurrence.txt matches meta.xml, with eml.xml', async () => {
+  const res = await download('/export/dwca?status=pending');
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/zip');
+  const files = unzip(res.body);
+  assert.deepEqual(Object.keys(files).sort(), ['eml.xml', 'meta.xml', 'occurrence.txt']);
+
+  const [header, ...rows] = files['occurrence.txt'].trimEnd().split('\n').map(l => l.split('\t'));
+  const fields = [...files['meta.xml'].matchAll(/<field index="(\d+)" term="[^"]*\/([^/"]+)"\/>/g)].map(m => m[2]);
+  assert.deepEqual(fields, header);
+  // only verified records, whatever status was asked for
+  assert.equal(rows.length, 3);
+  for (const row of rows) assert.equal(row.length, header.length);
+
+  const byId = Object.fromEntries(rows.map(r => [r[0], Object.fromEntries(header.map((h, i) => [h, r[i]]))]));
+  const m = byId[`smartplant:obs:${march.observation_id}`];
+  assert.equal(m.basisOfRecord, 'HumanObservation');
+  assert.equal(m.scientificName, 'Nepenthes rafflesiana');
+  assert.equal(m.eventDate, '2025-03-09T06:30:00.000Z');
+  assert.equal(m.decimalLatitude, '1.5535');
+  assert.equal(m.associatedMedia, `${app.baseUrl}/uploads/a.jpg`);
+  assert.equal(byId[`smartplant:obs:${april.observation_id}`].locality, 'Bako National Park');
+
+  assert.match(files['eml.xml'], /<title xml:lang="en">SmartPlant Sarawak plant observations<\/title>/);
+  assert.match(files['eml.xml'], /status: verified/);
+});
+
+test('endangered-species locations are generalised unless exact ones are allowed', async () => {
+  const files = unzip((await download('/export/dwca')).body);
+  const rareRow = files['occurrence.txt'].split('\n').find(l => l.startsWith(`smartplant:obs:${rare.observation_id}\t`));
+  assert.ok(rareRow.includes('\t4.05\t114.85\t'));
+  assert.ok(!rareRow.includes('Gunung Mulu'));
+  assert.match(rareRow, /generalised to the centre of a 0\.1 degree grid cell/);
+
+  assert.equal((await download('/export/observations', {})).status, 401);
+  assert.equal((await download('/export/observations?exact_locations=1')).status, 403);
+  assert.equal((await download('/export/dwca?exact_locations=1')).status, 403);
+  const exact = (await download('/export/observations?format=json&exact_locations=1', app.db.signIn('admin'))).body;
+  const record = JSON.parse(exact.toString()).find(r => r.observation_id === rare.observation_id);
+  assert.deepEqual([record.latitude, record.longitude, record.location_name], [4.0312, 114.8215, 'Gunung Mulu']);
+});
+
+test('malformed filters are rejected before anything streams', async () => {
+  assert.equal((await download('/export/observations?status=deleted')).status, 400);
+  assert.equal((await download('/export/dwca?from=soon')).status, 400);
+});
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+const app = await startApp();
+test.after(() => app.close());
+
+// Around Kuching, plus one record in Miri and one outside Sarawak
+const [nepenthes, rafflesia] = app.db.addSpecies(
+  { scientific_name: 'Nepenthes rafflesiana' },
+  { scientific_name: 'Rafflesia tuan-mudae' }
+);
+const at = (lat, lon, fields = {}) => app.db.addObservation({
+  location_latitude: lat,
+  location_longitude: lon,
+  location_name: 'Sarawak',
+  status: 'verified',
+  species_id: nepenthes.species_id,
+  photo_url: '/uploads/no-derivatives.jpg',
+  ...fields,
+});
+const kuching = at(1.5535, 110.3593, { created_at: new Date('2025-03-01') });
+const bako = at(1.7167, 110.4667, { species_id: rafflesia.species_id, created_at: new Date('2025-03-02') });
+const pending = at(1.56, 110.35, { status: 'pending' });
+const miri = at(4.3995, 113.9914);
+const sabah = at(5.9804, 116.0735);
+at(null, null); // no position
+
+const geo = (query, headers = {}) => app.call(`/plant-observations/geo?${query}`, { headers });
+const ids = body => body.data.map(p => p.observation_id);
+const SARAWAK = 'bbox=109.5,0.8,115.5,5.0';
+
+test('bbox returns verified records inside it, newest first', async () => {
+  const res = await geo(SARAWAK);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(ids(res.body), [miri.observation_id, bako.observation_id, kuching.observation_id]);
+  assert.deepEqual(res.body.statuses, ['verified']);
+
+  const [first] = res.body.data;
+  assert.equal(first.latitude, 4.3995);
+  assert.equal(first.longitude, 113.9914);
+  assert.equal(first.scientific_name, 'Nepenthes rafflesiana');
+  // no thumbnail was ever made for this photo, so the original is linked
+  assert.equal(first.photo_thumb, `${app.baseUrl}/uploads/no-derivatives.jpg`);
+});
+
+test('radius and species filters narrow the records', async () => {
+  const near = await geo('lat=1.55&lon=110.35&radius_km=5');
+  assert.deepEqual(ids(near.body), [kuching.observation_id]);
+  const byDefault = await geo('lat=1.55&lon=110.35'); // radius_km defaults to 10
+  assert.deepEqual(ids(byDefault.body), [kuching.observation_id]);
+  const wider = await geo('lat=1.55&lon=110.35&radius_km=25');
+  assert.deepEqual(ids(wider.body), [bako.observation_id, kuching.observation_id]);
+
+  const onlyRafflesia = await geo(`${SARAWAK}&species_id=${rafflesia.species_id}`);
+  assert.deepEqual(ids(onlyRafflesia.body), [bako.observation_id]);
+  const limited = await geo(`${SARAWAK}&limit=1`);
+  assert.deepEqual(ids(limited.body), [miri.observation_id]);
+});
+
+test('other statuses are for reviewers only', async () => {
+  assert.equal((await geo(`${SARAWAK}&status=pending`)).status, 403);
+  const res = await geo(`${SARAWAK}&status=pending,verified`, app.db.signIn('reviewer'));
+  assert.equal(res.status, 200);
+  assert.ok(ids(res.body).includes(pending.observation_id));
+  assert.ok(!ids(res.body).includes(sabah.observation_id));
+});
+
+test('GeoJSON output is a FeatureCollection of [lon, lat] points', async () => {
+  const res = await geo(`${SARAWAK}&format=geojson`);
+  assert.equal(res.body.type, 'FeatureCollection');
+  assert.equal(res.body.features.length, 3);
+  const feature = res.body.features.find(f => f.properties.observation_id === kuching.observation_id);
+  assert.deepEqual(feature.geometry, { type: 'Point', coordinates: [110.3593, 1.5535] });
+  assert.equal(feature.properties.latitude, undefined);
+  assert.equal(feature.properties.scientific_name, 'Nepenthes rafflesiana');
+});
+
+test('cluster mode buckets records into cells sized for the zoom level', async () => {
+  // zoom 5: 360 / 2^5 / 8 = 1.40625 degree cells, so Kuching and Bako share one
+  const res = await geo(`${SARAWAK}&cluster=1&zoom=5`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.cell_size_deg, 1.40625);
+  assert.deepEqual(res.body.clusters.map(c => [c.count, c.species_count]), [[2, 2], [1, 1]]);
+  assert.ok(Math.abs(res.body.clusters[0].latitude - (1.5535 + 1.7167) / 2) < 1e-9);
+
+  // zoom 12 cells are small enough to split them
+  const close = await geo(`${SARAWAK}&cluster=1&zoom=12`);
+  assert.deepEqual(close.body.clusters.map(c => c.count), [1, 1, 1]);
+
+  const features = await geo(`${SARAWAK}&cluster=1&zoom=5&format=geojson`);
+  assert.equal(features.body.type, 'FeatureCollection');
+  assert.deepEqual(features.body.features.map(f => [f.properties.cluster, f.properties.count]), [[true, 2], [true, 1]]);
+});
+
+test('malformed areas and filters are rejected', async () => {
+  for (const query of [
+    '',
+    'bbox=1,2,3',
+    'bbox=115,1,110,5',
+    'bbox=-200,0,10,10',
+    'lat=1.5&lon=110&radius_km=0',
+    'lat=1.5&lon=110&radius_km=900',
+    'lat=95&lon=110&radius_km=5',
+    `${SARAWAK}&species_id=abc`,
+    `${SARAWAK}&cluster=1&zoom=far`,
+  ]) {
+    const res = await geo(query);
+    assert.equal(res.status, 400, `${query}: ${JSON.stringify(res.body)}`);
+  }
+});
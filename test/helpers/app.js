@@ -0,0 +1,80 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+import { installFakeDb } from './fake-db.js';
+
+// Boot src/server.js once per test file: stub inference backend, images in a temp directory,
+// the fake pool from fake-db.js, and a random port. Call close() in an after() hook.
+export async function startApp(dbOptions = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartplant-test-'));
+  process.env.INFER_BACKEND = 'stub';
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.UPLOAD_DIR = path.join(dir, 'uploads');
+  process.env.SPECIES_IMAGE_DIR = path.join(dir, 'species_images');
+  process.env.PORT = '0';
+
+  const db = installFakeDb(dbOptions);
+  const { server } = await import('../../src/server.js');
+  if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    db,
+    baseUrl,
+    // JSON request to the app: call('/species', { method: 'POST', headers, body: {...} }) -> { status, headers, body }
+    call: async (route, { method = 'GET', headers = {}, body } = {}) => {
+      const res = await fetch(baseUrl + route, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const text = await res.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch (e) {
+        json = text;
+      }
+      return { status: res.status, headers: res.headers, body: json };
+    },
+    close: async () => {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+// EXIF as a phone writes it: device, capture time and a GPS fix (1.55 N, 110.34 E)
+export const PHONE_EXIF = {
+  IFD0: { Make: 'PhoneCo', Model: 'X1' },
+  IFD2: { DateTimeOriginal: '2024:05:06 07:08:09' },
+  IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '1/1 33/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '110/1 20/1 24/1' },
+};
+
+// A small JPEG with smooth structure (so dHash has something to see) that depends on `seed`,
+// optionally carrying EXIF tags (sharp's withExif layout: { IFD0, IFD2, IFD3 (GPS) })
+export function testImage(seed = 0, { width = 64, height = 48, exif = null } = {}) {
+  const px = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      const v = Math.sin((x / width) * (3 + seed) + seed) * Math.cos((y / height) * (2 + (seed % 3)));
+      px[i] = Math.round(127 + 120 * v);
+      px[i + 1] = Math.round(127 - 100 * v);
+      px[i + 2] = (seed * 37) % 256;
+    }
+  }
+  const img = sharp(px, { raw: { width, height, channels: 3 } }).jpeg();
+  return (exif ? img.withExif(exif) : img).toBuffer();
+}
+
+// POST /scan with one image as multipart/form-data
+export async function postScan(baseUrl, image, fields = {}, headers = {}) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+  form.append('image', new Blob([image], { type: 'image/jpeg' }), 'plant.jpg');
+  const res = await fetch(`${baseUrl}/scan`, { method: 'POST', body: form, headers });
+  return { status: res.status, body: await res.json() };
+}
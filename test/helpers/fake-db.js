@@ -0,0 +1,773 @@
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+import pool from '../../src/db.js';
+import { loadMigrations } from '../../src/migrations.js';
+
+// In-memory stand-in for the MySQL pool, enough for the routes the tests drive: the schema
+// check on boot, accounts with their session tokens, the species catalogue and name resolution
+// (with the UNIQUE scientific_name the real table has), observations with their ai_results,
+// photo hashes, the admin review list, moderation audit, area queries, exports, the
+// exact-location access log, dashboard statistics, scan jobs and re-classification jobs.
+// Anything else answers with no rows.
+// Every statement is recorded in db.queries so tests can assert on what was written.
+export function installFakeDb({ species = [] } = {}) {
+  const db = {
+    species: [],
+    observations: [],
+    aiResults: [],
+    audit: [],
+    scanJobs: [],
+    reclassifyJobs: [],
+    reclassifyItems: [],
+    locationAccess: [],
+    users: [],
+    authTokens: [],
+    queries: [],
+    // A user with a live session; returns the header that authenticates as them
+    signIn(role = 'user', username = `${role}${db.users.length + 1}`) {
+      const user = { user_id: ++nextId, username, password_hash: 'not-used', role, created_at: new Date() };
+      db.users.push(user);
+      const token = crypto.randomBytes(16).toString('hex');
+      db.authTokens.push({ token_hash: sha256(token), user_id: user.user_id, expires_at: new Date(Date.now() + 3600e3) });
+      return { Authorization: `Bearer ${token}` };
+    },
+    // Catalogue rows with the table's defaults
+    addSpecies(...rows) {
+      for (const row of rows) {
+        db.species.push({
+          species_id: ++nextId,
+          common_name: null,
+          is_endangered: 0,
+          description: null,
+          image_url: null,
+          created_at: new Date(),
+          deleted_at: null,
+          merged_into_species_id: null,
+          ...row,
+        });
+      }
+      return db.species.slice(-rows.length);
+    },
+    // Pending observations, each with its Top-K as [[species_id, confidence], ...]
+    addObservation(row = {}, results = []) {
+      const obs = {
+        observation_id: ++nextId,
+        user_id: null,
+        species_id: null,
+        photo_url: null,
+        location_latitude: null,
+        location_longitude: null,
+        location_name: null,
+        location_source: null,
+        captured_at: null,
+        source: 'camera',
+        phash: null,
+        status: 'pending',
+        notes: null,
+        ai_result_set: 1,
+        created_at: new Date(),
+        ...row,
+      };
+      db.observations.push(obs);
+      results.forEach(([species_id, confidence_score], i) => {
+        db.aiResults.push({ ai_result_id: ++nextId, observation_id: obs.observation_id, species_id, confidence_score, rank: i + 1, model_version: null, result_set: obs.ai_result_set, job_id: null, created_at: new Date() });
+      });
+      return obs;
+    },
+  };
+  let nextId = 1000;
+  const migrations = loadMigrations();
+  const ok = (extra = {}) => [{ affectedRows: 1, insertId: 0, ...extra }];
+  const sha256 = s => crypto.createHash('sha256').update(s).digest('hex');
+  const liveSpecies = () => db.species.filter(s => !s.deleted_at);
+  // BIT_COUNT(a ^ b) over the 16-hex-char hashes
+  const hamming = (a, b) => {
+    let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let bits = 0;
+    for (; x; x >>= 1n) bits += Number(x & 1n);
+    return bits;
+  };
+  const speciesOf = id => db.species.find(s => s.species_id === id);
+  const currentResults = o => db.aiResults.filter(r => r.observation_id === o.observation_id && r.result_set === o.ai_result_set);
+  // the first of `rows` with one of the name forms, the canonical form first
+  const byName = (rows, [forms, canonical]) => rows
+    .filter(s => forms.includes(s.scientific_name))
+    .sort((a, b) => (b.scientific_name === canonical) - (a.scientific_name === canonical) || a.species_id - b.species_id)
+    .slice(0, 1);
+  const duplicateEntry = (name) => {
+    const err = new Error(`Duplicate entry '${name}' for key 'uq_species_scientific_name'`);
+    err.code = 'ER_DUP_ENTRY';
+    return err;
+  };
+
+  // Location sensitivity (src/db.js LOCATION_SENSITIVE_SQL): the species or the current top
+  // prediction is endangered
+  function isSensitive(o) {
+    const top = currentResults(o).find(r => r.rank === 1);
+    return Boolean(speciesOf(o.species_id)?.is_endangered || speciesOf(top?.species_id)?.is_endangered);
+  }
+
+  // Area queries (src/db.js geoWhere) re-applied in JS: the rows inside the area at the position
+  // the caller sees (sensitive ones on the grid when the SQL generalises them)
+  function inArea(text, params) {
+    const grid = Number(text.match(/THEN \(FLOOR\(po\.location_latitude \/ ([\d.]+)\)/)?.[1]) || null;
+    const snap = v => (Math.floor(v / grid) + 0.5) * grid;
+    let i = 0;
+    let center = null;
+    if (text.includes('ASIN(')) {
+      center = { lat: params[0], lon: params[2], radiusKm: params[3] };
+      i += 4;
+    }
+    const [minLat, maxLat, minLon, maxLon] = params.slice(i + (grid ? 4 : 0), i + (grid ? 8 : 4));
+    i += grid ? 8 : 4;
+    const statusCount = (text.match(/po\.status IN \(([?,]+)\)/)[1].match(/\?/g) || []).length;
+    const statuses = params.slice(i, i + statusCount);
+    i += statusCount;
+    const speciesId = text.includes('po.species_id = ?') ? params[i++] : null;
+
+    const toRad = d => (d * Math.PI) / 180;
+    const rows = db.observations
+      .filter(o => o.location_latitude !== null && o.location_longitude !== null)
+      .filter(o => statuses.includes(o.status) && (!speciesId || o.species_id === speciesId))
+      .map(o => {
+        const sensitive = isSensitive(o);
+        const lat = Number(o.location_latitude);
+        const lon = Number(o.location_longitude);
+        return grid && sensitive
+          ? { o, sensitive, lat: snap(lat), lon: snap(lon) }
+          : { o, sensitive, lat, lon };
+      })
+      .filter(({ lat, lon }) => lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon)
+      .filter(({ lat, lon }) => !center || 6371 * 2 * Math.asin(Math.sqrt(
+        Math.sin(toRad(lat - center.lat) / 2) ** 2
+        + Math.cos(toRad(center.lat)) * Math.cos(toRad(lat)) * Math.sin(toRad(lon - center.lon) / 2) ** 2
+      )) <= center.radiusKm);
+    return rows;
+  }
+
+  // Dashboard statistics (src/db.js statsRange): the observations submitted in the optional
+  // from/to range that follows the query's first `lead` params
+  function inStatsRange(text, params, lead = 0) {
+    let i = lead;
+    const from = text.includes('po.created_at >= ?') ? params[i++] : null;
+    const to = text.includes('po.created_at < ?') ? params[i++] : null;
+    return db.observations.filter(o => (!from || o.created_at >= from) && (!to || o.created_at < to));
+  }
+  const topConfidence = o => currentResults(o).find(r => r.rank === 1)?.confidence_score ?? 0;
+  const day = d => d.toISOString().slice(0, 10);
+  // ISO 8601 year and week, as YEARWEEK(d, 3) and DATE_FORMAT(d, '%x-W%v')
+  function isoWeek(d) {
+    // the Thursday of d's week decides the year; week 1 is the one holding 4 January
+    const thursday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+    thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+    const year = thursday.getUTCFullYear();
+    return { year, week: 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / 604800e3) };
+  }
+  const STATS_KEYS = {
+    'po.status': o => [o.status, o.status],
+    'po.species_id': o => [o.species_id, speciesOf(o.species_id)?.scientific_name ?? null],
+    'ar.species_id': o => {
+      const top = currentResults(o).find(r => r.rank === 1);
+      return [top?.species_id ?? null, speciesOf(top?.species_id)?.scientific_name ?? null];
+    },
+    'po.user_id': o => [o.user_id, o.user_id],
+    'DATE(po.created_at)': o => [day(o.created_at), day(o.created_at)],
+    'YEARWEEK(po.created_at, 3)': o => {
+      const { year, week } = isoWeek(o.created_at);
+      return [year * 100 + week, `${year}-W${String(week).padStart(2, '0')}`];
+    },
+  };
+
+  // Admin review list (src/db.js listObservationsByStatus) re-applied in JS, for both the total
+  // and the page query: WHERE params in the order the filters are added, then the HAVING ones
+  function reviewList(text, params) {
+    const where = text.split(' GROUP BY ')[0];
+    let i = 0;
+    const statusCount = (text.match(/po\.status IN \(([?,]+)\)/)[1].match(/\?/g) || []).length;
+    const statuses = params.slice(i, (i += statusCount));
+    const from = where.includes('po.created_at >= ?') ? params[i++] : null;
+    const to = where.includes('po.created_at < ?') ? params[i++] : null;
+    const userId = where.includes('po.user_id = ?') ? params[i++] : null;
+    const location = where.includes('po.location_name LIKE ?') ? params[i++].slice(1, -1).toLowerCase() : null;
+    const hideSensitive = where.includes('LIKE ? AND NOT (');
+
+    // a species filter appears once per source it is matched against, predicted first
+    const bySearch = where.includes('FROM species s WHERE 1 = 1');
+    const takeMatch = () => {
+      if (!bySearch) {
+        const speciesId = params[i];
+        return id => id === speciesId;
+      }
+      const search = params.slice(i, i + 3);
+      return id => Boolean(id) && matchesSearch(speciesOf(id) || {}, search);
+    };
+    const matchers = [];
+    for (const [source, present] of [['predicted', /LIMIT 1\) (=|IN)/], ['assigned', /po\.species_id (= \?|IN \(SELECT)/]]) {
+      if (!present.test(where)) continue;
+      matchers.push({ source, match: takeMatch() });
+      i += bySearch ? 3 : 1;
+    }
+
+    const having = text.split(' HAVING ')[1] || '';
+    const minConfidence = having.includes('0) >= ?') ? params[i++] : null;
+    const maxConfidence = having.includes('0) <= ?') ? params[i++] : null;
+    const below = having.includes('0) < ?') ? params[i++] : null;
+    const sortCol = text.match(/ORDER BY (po\.created_at|top_confidence) (ASC|DESC)/);
+    const after = /\((po\.created_at|top_confidence) [<>] \?/.test(having) ? { value: params[i], id: params[i + 2] } : null;
+    if (after) i += 3;
+
+    const rows = db.observations
+      .filter(o => statuses.includes(o.status) && (!from || o.created_at >= from) && (!to || o.created_at < to))
+      .filter(o => !userId || o.user_id === userId)
+      .filter(o => location === null || String(o.location_name || '').toLowerCase().includes(location))
+      .filter(o => !hideSensitive || !isSensitive(o))
+      .map(o => {
+        const current = currentResults(o);
+        const top = current.find(r => r.rank === 1);
+        return {
+          o,
+          top,
+          row: {
+            observation_id: o.observation_id,
+            photo_url: o.photo_url,
+            status: o.status,
+            top_confidence: current.length ? Math.max(...current.map(r => r.confidence_score)) : 0,
+            created_at: o.created_at,
+            location_name: o.location_name,
+            location_latitude: o.location_latitude,
+            location_longitude: o.location_longitude,
+            user_id: o.user_id,
+            location_sensitive: isSensitive(o) ? 1 : 0,
+            top_species_name: speciesOf(top?.species_id)?.scientific_name ?? null,
+          },
+        };
+      })
+      .filter(({ o, top }) => !matchers.length || matchers.some(m => m.match(m.source === 'predicted' ? top?.species_id : o.species_id)))
+      .map(({ row }) => row)
+      .filter(r => (minConfidence === null || r.top_confidence >= minConfidence)
+        && (maxConfidence === null || r.top_confidence <= maxConfidence)
+        && (below === null || r.top_confidence < below));
+    if (!sortCol) return { rows };
+
+    const key = sortCol[1] === 'top_confidence' ? r => r.top_confidence : r => r.created_at.getTime();
+    const dir = sortCol[2] === 'ASC' ? 1 : -1;
+    const compare = (a, b) => dir * (key(a) - key(b) || a.observation_id - b.observation_id);
+    const afterRow = after && { observation_id: after.id, top_confidence: after.value, created_at: new Date(after.value) };
+    const [limit, offset] = params.slice(i);
+    return {
+      rows: rows
+        .filter(r => !afterRow || compare(r, afterRow) > 0)
+        .sort(compare)
+        .slice(offset, offset + limit),
+    };
+  }
+
+  // Catalogue search (src/db.js speciesSearchClause): every word starts a word of either name,
+  // or the whole term starts one of the names
+  function matchesSearch(s, [boolean, like]) {
+    const names = [s.scientific_name, s.common_name].filter(Boolean).map(n => n.toLowerCase());
+    const words = names.join(' ').split(/\s+/);
+    const prefixes = boolean.split(' ').map(w => w.replace(/^\+|\*$/g, '').toLowerCase());
+    const term = like.slice(0, -1).toLowerCase();
+    return prefixes.every(p => words.some(w => w.startsWith(p))) || names.some(n => n.startsWith(term));
+  }
+
+  async function query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    db.queries.push({ sql: text, params });
+
+    if (/^SELECT version, name, checksum, applied_at FROM schema_migrations/.test(text)) {
+      return [migrations.map(m => ({ version: m.version, name: m.name, checksum: m.checksum }))];
+    }
+
+    if (/^INSERT INTO users /.test(text)) {
+      const [username, password_hash, role] = params;
+      const user = { user_id: ++nextId, username, password_hash, role, created_at: new Date() };
+      db.users.push(user);
+      return ok({ insertId: user.user_id });
+    }
+    if (/^SELECT user_id, username, password_hash, role, created_at FROM users WHERE username = \?/.test(text)) {
+      return [db.users.filter(u => u.username === params[0]).slice(0, 1)];
+    }
+    if (/^UPDATE users SET role = \? WHERE user_id = \?/.test(text)) {
+      const user = db.users.find(u => u.user_id === Number(params[1]));
+      if (user) user.role = params[0];
+      return ok({ affectedRows: user ? 1 : 0 });
+    }
+    if (/^SELECT user_id, username, role, created_at FROM users ORDER BY/.test(text)) {
+      return [db.users.map(({ password_hash, ...u }) => u)];
+    }
+    if (/^INSERT INTO auth_tokens/.test(text)) {
+      const [token_hash, user_id, expires_at] = params;
+      db.authTokens.push({ token_hash, user_id, expires_at });
+      return ok();
+    }
+    if (/FROM auth_tokens t JOIN users u/.test(text)) {
+      const t = db.authTokens.find(x => x.token_hash === params[0] && x.expires_at > new Date());
+      const u = t && db.users.find(x => x.user_id === t.user_id);
+      return [u ? [{ user_id: u.user_id, username: u.username, role: u.role }] : []];
+    }
+    if (/^DELETE FROM auth_tokens WHERE token_hash = \?/.test(text)) {
+      db.authTokens = db.authTokens.filter(t => t.token_hash !== params[0]);
+      return ok();
+    }
+
+    // name resolution (src/db.js resolveSpeciesId): live rows, then retired ones and their merges
+    if (/^SELECT species_id FROM species WHERE scientific_name IN \(\?\) AND deleted_at IS NULL/.test(text)) {
+      return [byName(liveSpecies(), params)];
+    }
+    if (/^SELECT species_id, merged_into_species_id FROM species WHERE scientific_name IN \(\?\) AND deleted_at IS NOT NULL/.test(text)) {
+      return [byName(db.species.filter(s => s.deleted_at), params)];
+    }
+    if (/^SELECT species_id, deleted_at, merged_into_species_id FROM species WHERE species_id = \?$/.test(text)) {
+      return [db.species.filter(s => s.species_id === Number(params[0]))];
+    }
+    if (/^INSERT INTO species \(scientific_name\)/.test(text)) {
+      if (db.species.some(s => s.scientific_name === params[0])) throw duplicateEntry(params[0]);
+      const [row] = db.addSpecies({ scientific_name: params[0] });
+      return ok({ insertId: row.species_id });
+    }
+
+    if (/^INSERT INTO plant_observations/.test(text)) {
+      const [user_id, species_id, photo_url, location_latitude, location_longitude, location_name] = params;
+      const row = {
+        observation_id: ++nextId,
+        user_id,
+        species_id,
+        photo_url,
+        location_latitude,
+        location_longitude,
+        location_name,
+        location_source: params[6],
+        captured_at: params[7],
+        phash: params[8],
+        source: params[9],
+        status: params[10],
+        notes: params[11],
+        ai_result_set: 1,
+        created_at: new Date(),
+      };
+      db.observations.push(row);
+      return ok({ insertId: row.observation_id });
+    }
+    if (/^SELECT observation_id, user_id, species_id, photo_url/.test(text) && /FROM plant_observations WHERE observation_id = \?/.test(text)) {
+      return [db.observations.filter(o => o.observation_id === Number(params[0]))];
+    }
+    if (/^INSERT INTO ai_results/.test(text)) {
+      for (const [observation_id, species_id, confidence_score, rank, model_version, result_set, job_id] of params[0]) {
+        db.aiResults.push({ ai_result_id: ++nextId, observation_id, species_id, confidence_score, rank, model_version, result_set, job_id, created_at: new Date() });
+      }
+      return ok({ affectedRows: params[0].length });
+    }
+    if (/^SELECT ar\.ai_result_id, ar\.observation_id/.test(text)) {
+      const rows = db.aiResults
+        .filter(r => r.observation_id === Number(params[0]))
+        .sort((a, b) => a.rank - b.rank)
+        .map(r => {
+          const s = db.species.find(x => x.species_id === r.species_id) || {};
+          return { ...r, scientific_name: s.scientific_name ?? null, common_name: s.common_name ?? null, is_endangered: s.is_endangered ?? null };
+        });
+      return [rows];
+    }
+
+    // area queries (src/db.js listObservationsInArea, clusterObservationsInArea)
+    if (/^SELECT po\.observation_id, po\.species_id, s\.scientific_name, s\.common_name, s\.is_endangered/.test(text) && /LIMIT \?$/.test(text)) {
+      return [inArea(text, params)
+        .sort((a, b) => b.o.created_at - a.o.created_at)
+        .slice(0, params.at(-1))
+        .map(({ o, sensitive, lat, lon }) => {
+          const s = speciesOf(o.species_id);
+          return {
+            observation_id: o.observation_id,
+            species_id: o.species_id,
+            scientific_name: s?.scientific_name ?? null,
+            common_name: s?.common_name ?? null,
+            is_endangered: s?.is_endangered ?? null,
+            location_latitude: lat,
+            location_longitude: lon,
+            location_name: o.location_name,
+            location_sensitive: sensitive ? 1 : 0,
+            photo_url: o.photo_url,
+            status: o.status,
+            captured_at: o.captured_at,
+            created_at: o.created_at,
+          };
+        })];
+    }
+    if (/^SELECT FLOOR\(.*\) AS cell_y/.test(text)) {
+      const [cellDeg] = params;
+      const cells = new Map();
+      for (const { o, lat, lon } of inArea(text, params.slice(2))) {
+        const cell_y = Math.floor(lat / cellDeg);
+        const cell_x = Math.floor(lon / cellDeg);
+        const key = `${cell_x}:${cell_y}`;
+        if (!cells.has(key)) cells.set(key, { cell_y, cell_x, lats: [], lons: [], species: new Set() });
+        const c = cells.get(key);
+        c.lats.push(lat);
+        c.lons.push(lon);
+        if (o.species_id !== null) c.species.add(o.species_id);
+      }
+      const avg = xs => xs.reduce((a, b) => a + b, 0) / xs.length;
+      return [[...cells.values()]
+        .map(c => ({ cell_y: c.cell_y, cell_x: c.cell_x, count: c.lats.length, species_count: c.species.size, latitude: avg(c.lats), longitude: avg(c.lons) }))
+        .sort((a, b) => b.count - a.count)];
+    }
+
+    // admin review list (src/db.js listObservationsByStatus)
+    if (/^SELECT COUNT\(\*\) AS total FROM \( SELECT po\.observation_id, po\.photo_url, po\.status,/.test(text)) {
+      return [[{ total: reviewList(text, params).rows.length }]];
+    }
+    if (/^SELECT po\.observation_id, po\.photo_url, po\.status, COALESCE/.test(text)) {
+      return [reviewList(text, params).rows];
+    }
+
+    // streamed exports (src/db.js streamObservationsForExport)
+    if (/^SELECT po\.observation_id, po\.user_id, po\.species_id, po\.photo_url, po\.location_latitude/.test(text)) {
+      let i = 0;
+      const statusCount = (text.match(/po\.status IN \(([?,]+)\)/)[1].match(/\?/g) || []).length;
+      const statuses = params.slice(i, (i += statusCount));
+      const from = text.includes('po.created_at >= ?') ? params[i++] : null;
+      const to = text.includes('po.created_at < ?') ? params[i++] : null;
+      const speciesId = text.includes('po.species_id = ?') ? params[i++] : null;
+      return [db.observations
+        .filter(o => statuses.includes(o.status) && (!from || o.created_at >= from) && (!to || o.created_at < to))
+        .filter(o => !speciesId || o.species_id === speciesId)
+        .sort((a, b) => a.observation_id - b.observation_id)
+        .map(o => {
+          const s = speciesOf(o.species_id);
+          return {
+            ...o,
+            scientific_name: s?.scientific_name ?? null,
+            common_name: s?.common_name ?? null,
+            is_endangered: s?.is_endangered ?? null,
+            location_sensitive: isSensitive(o) ? 1 : 0,
+          };
+        })];
+    }
+
+    // async scan jobs (src/db.js insertScanJob .. completeScanJob)
+    if (/^INSERT INTO scan_jobs/.test(text)) {
+      const [job_id, observation_id, user_id] = params;
+      db.scanJobs.push({ job_id, observation_id, user_id, status: 'queued', error: null, created_at: new Date(), started_at: null, finished_at: null });
+      return ok();
+    }
+    if (/^SELECT j\.job_id, j\.observation_id/.test(text)) {
+      return [db.scanJobs
+        .filter(j => j.job_id === params[0])
+        .map(j => ({ ...j, photo_url: db.observations.find(o => o.observation_id === j.observation_id)?.photo_url ?? null }))];
+    }
+    if (/^SELECT job_id FROM scan_jobs WHERE status IN \(\?\)/.test(text)) {
+      return [db.scanJobs.filter(j => params[0].includes(j.status)).map(({ job_id }) => ({ job_id }))];
+    }
+    if (/^UPDATE scan_jobs SET status = \?, error = \?/.test(text)) {
+      const [status, error, job_id, fromStatuses] = params;
+      const job = db.scanJobs.find(j => j.job_id === job_id && fromStatuses.includes(j.status));
+      if (job) Object.assign(job, { status, error }, status === 'running' ? { started_at: new Date() } : { finished_at: new Date() });
+      return ok({ affectedRows: job ? 1 : 0 });
+    }
+    if (/^UPDATE scan_jobs SET status = 'completed'/.test(text)) {
+      const job = db.scanJobs.find(j => j.job_id === params[0] && j.status === 'running');
+      if (job) Object.assign(job, { status: 'completed', error: null, finished_at: new Date() });
+      return ok({ affectedRows: job ? 1 : 0 });
+    }
+
+    // re-classification jobs and their items (src/db.js insertReclassifyJob .. failReclassifyItem)
+    if (/^INSERT INTO reclassify_jobs/.test(text)) {
+      const [status, selection, created_by] = params;
+      const job = { job_id: ++nextId, status, selection, model_version: null, total: 0, error: null, created_by, created_at: new Date(), started_at: null, finished_at: null };
+      db.reclassifyJobs.push(job);
+      return ok({ insertId: job.job_id });
+    }
+    if (/^INSERT INTO reclassify_job_items \(job_id, observation_id\) SELECT/.test(text)) {
+      let i = 0;
+      const job_id = params[i++];
+      const statuses = text.includes('po.status IN (?)') ? params[i++] : null;
+      const from = text.includes('po.created_at >= ?') ? params[i++] : null;
+      const to = text.includes('po.created_at < ?') ? params[i++] : null;
+      const topSpecies = text.includes('ar.species_id = ?') ? params[i++] : null;
+      const picked = db.observations
+        .filter(o => (!statuses || statuses.includes(o.status)) && (!from || o.created_at >= from) && (!to || o.created_at < to))
+        .filter(o => !topSpecies || currentResults(o).find(r => r.rank === 1)?.species_id === topSpecies);
+      for (const o of picked) {
+        db.reclassifyItems.push({ job_id, observation_id: o.observation_id, status: 'pending', error: null, previous_top_species_id: null, new_top_species_id: null, result_set: null });
+      }
+      return ok({ affectedRows: picked.length });
+    }
+    if (/^UPDATE reclassify_jobs SET total = \? WHERE job_id = \?/.test(text)) {
+      const job = db.reclassifyJobs.find(j => j.job_id === params[1]);
+      if (job) job.total = params[0];
+      return ok({ affectedRows: job ? 1 : 0 });
+    }
+    if (/^SELECT j\.job_id, j\.status, j\.selection/.test(text)) {
+      const withCounts = j => {
+        const items = db.reclassifyItems.filter(i => i.job_id === j.job_id);
+        const done = items.filter(i => i.status === 'done');
+        return {
+          ...j,
+          done: done.length,
+          failed: items.filter(i => i.status === 'failed').length,
+          changed: done.filter(i => i.new_top_species_id !== i.previous_top_species_id).length,
+        };
+      };
+      if (text.includes('WHERE j.job_id = ?')) {
+        return [db.reclassifyJobs.filter(j => j.job_id === Number(params[0])).map(withCounts)];
+      }
+      const [limit, offset] = params;
+      return [[...db.reclassifyJobs].sort((a, b) => b.job_id - a.job_id).slice(offset, offset + limit).map(withCounts)];
+    }
+    if (/^SELECT i\.previous_top_species_id, ps\.scientific_name AS previous_scientific_name/.test(text)) {
+      const groups = new Map();
+      for (const i of db.reclassifyItems) {
+        if (i.job_id !== Number(params[0]) || i.status !== 'done' || i.new_top_species_id === i.previous_top_species_id) continue;
+        const key = `${i.previous_top_species_id}>${i.new_top_species_id}`;
+        if (!groups.has(key)) {
+          groups.set(key, {
+            previous_top_species_id: i.previous_top_species_id,
+            previous_scientific_name: speciesOf(i.previous_top_species_id)?.scientific_name ?? null,
+            new_top_species_id: i.new_top_species_id,
+            new_scientific_name: speciesOf(i.new_top_species_id)?.scientific_name ?? null,
+            count: 0,
+          });
+        }
+        groups.get(key).count++;
+      }
+      return [[...groups.values()].sort((a, b) => b.count - a.count).slice(0, params[1])];
+    }
+    if (/^SELECT i\.observation_id, po\.photo_url FROM reclassify_job_items i/.test(text)) {
+      const [job_id, limit] = params;
+      return [db.reclassifyItems
+        .filter(i => i.job_id === job_id && i.status === 'pending')
+        .sort((a, b) => a.observation_id - b.observation_id)
+        .slice(0, limit)
+        .map(i => ({ observation_id: i.observation_id, photo_url: db.observations.find(o => o.observation_id === i.observation_id)?.photo_url ?? null }))];
+    }
+    if (/^UPDATE reclassify_jobs SET status = \?, error = \?/.test(text)) {
+      const [status, error, job_id, fromStatuses] = params;
+      const job = db.reclassifyJobs.find(j => j.job_id === Number(job_id) && fromStatuses.includes(j.status));
+      if (job) {
+        Object.assign(job, { status, error });
+        if (status === 'running') job.started_at ??= new Date();
+        if (['completed', 'cancelled', 'failed'].includes(status)) job.finished_at = new Date();
+      }
+      return ok({ affectedRows: job ? 1 : 0 });
+    }
+    if (/^UPDATE reclassify_jobs SET model_version = \?/.test(text)) {
+      const job = db.reclassifyJobs.find(j => j.job_id === params[1] && j.model_version === null);
+      if (job) job.model_version = params[0];
+      return ok({ affectedRows: job ? 1 : 0 });
+    }
+    if (/^SELECT job_id FROM reclassify_jobs WHERE status IN \(\?\)/.test(text)) {
+      return [db.reclassifyJobs.filter(j => params[0].includes(j.status)).sort((a, b) => a.job_id - b.job_id).map(({ job_id }) => ({ job_id }))];
+    }
+    if (/^SELECT ai_result_set FROM plant_observations WHERE observation_id = \? FOR UPDATE/.test(text)) {
+      return [db.observations.filter(o => o.observation_id === params[0]).map(({ ai_result_set }) => ({ ai_result_set }))];
+    }
+    if (/^SELECT \(SELECT ar\.species_id FROM ai_results ar WHERE ar\.observation_id = \? AND ar\.result_set = \? AND ar\.rank = 1 LIMIT 1\) AS top_species_id/.test(text)) {
+      const [observation_id, set] = params;
+      const results = db.aiResults.filter(r => r.observation_id === observation_id);
+      return [[{
+        top_species_id: results.find(r => r.result_set === set && r.rank === 1)?.species_id ?? null,
+        last_set: Math.max(0, ...results.map(r => r.result_set)),
+      }]];
+    }
+    if (/^UPDATE plant_observations SET ai_result_set = \? WHERE observation_id = \?/.test(text)) {
+      const obs = db.observations.find(o => o.observation_id === params[1]);
+      if (obs) obs.ai_result_set = params[0];
+      return ok({ affectedRows: obs ? 1 : 0 });
+    }
+    if (/^UPDATE reclassify_job_items SET status = 'done'/.test(text)) {
+      const [previous_top_species_id, new_top_species_id, result_set, job_id, observation_id] = params;
+      const item = db.reclassifyItems.find(i => i.job_id === job_id && i.observation_id === observation_id);
+      if (item) Object.assign(item, { status: 'done', previous_top_species_id, new_top_species_id, result_set, error: null });
+      return ok({ affectedRows: item ? 1 : 0 });
+    }
+    if (/^UPDATE reclassify_job_items SET status = 'failed'/.test(text)) {
+      const [error, job_id, observation_id] = text.includes('error = ?') ? params : ['observation not found', ...params];
+      const item = db.reclassifyItems.find(i => i.job_id === job_id && i.observation_id === observation_id);
+      if (item) Object.assign(item, { status: 'failed', error });
+      return ok({ affectedRows: item ? 1 : 0 });
+    }
+
+    // dashboard statistics (src/db.js statsObservationCounts and the three after it)
+    if (/^SELECT .* AS group_key, .* AS label, COUNT\(\*\) AS total/.test(text)) {
+      const keyOf = STATS_KEYS[text.match(/^SELECT (.*) AS group_key,/)[1]];
+      const groups = new Map();
+      for (const o of inStatsRange(text, params)) {
+        const [group_key, label] = keyOf(o);
+        if (!groups.has(group_key)) groups.set(group_key, { group_key, label, total: 0, pending: 0, verified: 0, rejected: 0 });
+        const g = groups.get(group_key);
+        g.total++;
+        g[o.status]++;
+      }
+      const rows = [...groups.values()];
+      if (text.includes('ORDER BY group_key ASC')) rows.sort((a, b) => (a.group_key < b.group_key ? -1 : 1));
+      else rows.sort((a, b) => b.total - a.total);
+      return [rows];
+    }
+    if (/^SELECT COUNT\(\*\) AS total, COALESCE\(SUM\(COALESCE\(ar\.confidence_score, 0\) < \?\), 0\) AS flagged/.test(text)) {
+      const rows = inStatsRange(text, params, 1);
+      return [[{ total: rows.length, flagged: rows.filter(o => topConfidence(o) < params[0]).length }]];
+    }
+    if (/^SELECT LEAST\(FLOOR\(COALESCE\(ar\.confidence_score, 0\) \* \?\), \? - 1\) AS bin/.test(text)) {
+      const [bins] = params;
+      const counts = new Map();
+      for (const o of inStatsRange(text, params, 2)) {
+        const bin = Math.min(Math.floor(topConfidence(o) * bins), bins - 1);
+        counts.set(bin, (counts.get(bin) || 0) + 1);
+      }
+      return [[...counts].sort((a, b) => a[0] - b[0]).map(([bin, count]) => ({ bin, count }))];
+    }
+    if (/^SELECT COUNT\(\*\) AS reviewed/.test(text)) {
+      const waits = inStatsRange(text, params)
+        .map(o => db.audit.filter(a => a.observation_id === o.observation_id).map(a => a.created_at - o.created_at))
+        .filter(ms => ms.length)
+        .map(ms => Math.floor(Math.min(...ms) / 1000));
+      return [[{
+        reviewed: waits.length,
+        avg_seconds: waits.length ? waits.reduce((a, b) => a + b, 0) / waits.length : null,
+        min_seconds: waits.length ? Math.min(...waits) : null,
+        max_seconds: waits.length ? Math.max(...waits) : null,
+      }]];
+    }
+
+    // near-duplicate photos (src/db.js findNearDuplicateObservation, listNearDuplicatePairs)
+    if (/^SELECT po\.observation_id, BIT_COUNT\(po\.phash \^ CAST\(CONV\(\?, 16, 10\) AS UNSIGNED\)\) AS distance/.test(text)) {
+      const [phash, user_id, max] = params;
+      const rows = db.observations
+        .filter(o => o.user_id === user_id && o.phash && o.status !== 'rejected')
+        .map(o => ({ observation_id: o.observation_id, distance: hamming(o.phash, phash), created_at: o.created_at }))
+        .filter(r => r.distance <= max)
+        .sort((a, b) => a.distance - b.distance || a.created_at - b.created_at);
+      return [rows.slice(0, 1).map(({ observation_id, distance }) => ({ observation_id, distance }))];
+    }
+    if (/^SELECT a\.observation_id AS a_id, b\.observation_id AS b_id/.test(text)) {
+      const n = (params.length - 6) / 2;
+      const [max, from, to] = params;
+      const statuses = params.slice(3, 3 + n);
+      const limit = params.at(-1);
+      const inWindow = o => o.phash && statuses.includes(o.status) && o.created_at >= from && o.created_at < to;
+      const candidates = db.observations.filter(inWindow);
+      const rows = [];
+      for (const a of candidates) {
+        for (const b of candidates) {
+          if (b.observation_id <= a.observation_id) continue;
+          if (text.includes('a.user_id = b.user_id') && a.user_id !== b.user_id) continue;
+          const distance = hamming(a.phash, b.phash);
+          if (distance <= max) rows.push({ a_id: a.observation_id, b_id: b.observation_id, distance });
+        }
+      }
+      rows.sort((x, y) => x.distance - y.distance || x.a_id - y.a_id);
+      return [rows.slice(0, limit)];
+    }
+    if (/^SELECT po\.observation_id, po\.user_id, po\.photo_url, po\.status, po\.created_at, po\.location_name/.test(text)) {
+      return [db.observations
+        .filter(o => params[0].includes(o.observation_id))
+        .map(o => {
+          const top = currentResults(o).sort((a, b) => a.rank - b.rank)[0];
+          return {
+            ...o,
+            location_sensitive: 0,
+            top_species_name: db.species.find(s => s.species_id === top?.species_id)?.scientific_name ?? null,
+          };
+        })];
+    }
+
+    // moderation (src/db.js bulkModerateObservations and the audit trail)
+    if (/^SELECT po\.observation_id FROM plant_observations po LEFT JOIN ai_results ar .* HAVING COALESCE\(MAX\(ar\.confidence_score\), 0\) >= \?/.test(text)) {
+      const [min, limit] = params;
+      const rows = db.observations
+        .filter(o => o.status === 'pending' && Math.max(0, ...currentResults(o).map(r => r.confidence_score)) >= min)
+        .sort((a, b) => a.observation_id - b.observation_id)
+        .slice(0, limit);
+      return [rows.map(o => ({ observation_id: o.observation_id }))];
+    }
+    if (/^SELECT (observation_id, )?status, species_id, notes FROM plant_observations WHERE observation_id (IN \(\?\)|= \?)/.test(text)) {
+      const ids = [params[0]].flat().map(Number);
+      return [db.observations
+        .filter(o => ids.includes(o.observation_id))
+        .map(({ observation_id, status, species_id, notes }) => (text.includes('observation_id, status') ? { observation_id, status, species_id, notes } : { status, species_id, notes }))];
+    }
+    if (/^UPDATE plant_observations SET status = \?(, species_id = \?)? WHERE observation_id = \?$/.test(text)) {
+      const obs = db.observations.find(o => o.observation_id === Number(params.at(-1)));
+      if (obs) Object.assign(obs, { status: params[0] }, params.length === 3 && { species_id: params[1] });
+      return ok({ affectedRows: obs ? 1 : 0 });
+    }
+    if (/^INSERT INTO observation_audit/.test(text)) {
+      const [observation_id, user_id, action, before_values, after_values, ai_top_species_id, notes] = params;
+      db.audit.push({ observation_id, user_id, action, before_values: JSON.parse(before_values), after_values: JSON.parse(after_values), ai_top_species_id, notes, created_at: new Date() });
+      return ok();
+    }
+
+    // exact-location access log (src/db.js insertLocationAccessLog, listLocationAccessLog)
+    if (/^INSERT INTO location_access_log/.test(text)) {
+      for (const [user_id, observation_id, context, ip] of params[0]) {
+        db.locationAccess.push({ access_id: db.locationAccess.length + 1, user_id, observation_id, context, ip, accessed_at: new Date() });
+      }
+      return ok({ affectedRows: params[0].length });
+    }
+    if (/^SELECT l\.access_id, .* FROM location_access_log l/.test(text)) {
+      let i = 0;
+      const observationId = text.includes('l.observation_id = ?') ? params[i++] : null;
+      const userId = text.includes('l.user_id = ?') ? params[i++] : null;
+      const [limit, offset] = params.slice(i);
+      return [db.locationAccess
+        .filter(l => (!observationId || l.observation_id === observationId) && (!userId || l.user_id === userId))
+        .sort((a, b) => b.access_id - a.access_id)
+        .slice(offset, offset + limit)
+        .map(l => ({ ...l, username: db.users.find(u => u.user_id === l.user_id)?.username ?? null }))];
+    }
+
+    if (/^SELECT s\.species_id, s\.scientific_name, s\.common_name, s\.is_endangered, s\.image_url, s\.created_at FROM species s WHERE s\.deleted_at IS NULL/.test(text)) {
+      const search = params.length > 2 ? params.slice(0, 3) : null;
+      const [limit, offset] = params.slice(-2);
+      const rows = liveSpecies()
+        .filter(s => !search || matchesSearch(s, search))
+        .sort((a, b) => a.scientific_name.localeCompare(b.scientific_name));
+      return [rows.slice(offset, offset + limit)];
+    }
+    if (/^SELECT COUNT\(\*\) AS total FROM species s WHERE s\.deleted_at IS NULL/.test(text)) {
+      return [[{ total: liveSpecies().filter(s => !params.length || matchesSearch(s, params)).length }]];
+    }
+    if (/^SELECT s\.species_id, s\.scientific_name, s\.common_name, s\.is_endangered, s\.description/.test(text)) {
+      return [liveSpecies().filter(s => s.species_id === Number(params[0])).map(s => ({ ...s, verified_observation_count: 0 }))];
+    }
+    if (/^UPDATE species SET deleted_at = NOW\(\) WHERE species_id = \? AND deleted_at IS NULL/.test(text)) {
+      const row = liveSpecies().find(s => s.species_id === Number(params[0]));
+      if (row) row.deleted_at = new Date();
+      return ok({ affectedRows: row ? 1 : 0 });
+    }
+    if (/^UPDATE species SET .* WHERE species_id = \? AND deleted_at IS NULL$/.test(text)) {
+      const keys = [...text.matchAll(/(\w+) = \?/g)].map(m => m[1]).slice(0, -1);
+      const row = liveSpecies().find(s => s.species_id === Number(params.at(-1)));
+      const name = params[keys.indexOf('scientific_name')];
+      if (row && keys.includes('scientific_name') && db.species.some(s => s !== row && s.scientific_name === name)) {
+        throw duplicateEntry(name);
+      }
+      if (row) keys.forEach((k, i) => { row[k] = params[i]; });
+      return ok({ affectedRows: row ? 1 : 0 });
+    }
+
+    return /^(SELECT|SHOW)/i.test(text) ? [[]] : ok();
+  }
+
+  db.addSpecies(...species);
+  pool.query = query;
+  pool.getConnection = async () => ({
+    query,
+    // the raw connection, for streamed result sets
+    connection: {
+      query: (sql, params) => ({
+        stream: () => Readable.from((async function* rows() {
+          yield* (await query(sql, params))[0];
+        })()),
+      }),
+    },
+    release() {},
+    destroy() {},
+    beginTransaction: async () => {},
+    commit: async () => {},
+    rollback: async () => {},
+  });
+  return db;
+}
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Stand-in for python/worker.py (point PYTHON_PATH here): the same one-JSON-line protocol,
+// with the behaviour picked by the request's "image":
+//   "<name>" or "delay:<ms>:<name>"  answer with species_name <name> (after <ms>)
+//   "fail"   answer with an error      "hang"   never answer      "crash"  exit at once
+//   "stray:<name>"  first answer an id nobody asked for, then the request itself
+// Answers carry the worker's pid so tests can tell the workers of a pool apart.
+import readline from 'readline';
+
+const send = msg => process.stdout.write(JSON.stringify({ ...msg, pid: process.pid }) + '\n');
+
+function answer(req, name) {
+  send({ id: req.id, index: 0, species_name: name, confidence: 0.9, topk: [{ index: 0, name, confidence: 0.9 }], model_version: 'fake@1' });
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const req = JSON.parse(line);
+  if (req.cmd === 'info') return send({ id: req.id, version: 'fake@1' });
+
+  const image = String(req.image);
+  if (image === 'fail') return send({ id: req.id, error: 'cannot read image' });
+  if (image === 'hang') return;
+  if (image === 'crash') process.exit(3);
+  if (image.startsWith('stray:')) {
+    send({ id: 999999, species_name: 'nobody' });
+    return answer(req, image.slice(6));
+  }
+  const m = image.match(/^delay:(\d+):(.*)$/);
+  if (m) return setTimeout(() => answer(req, m[2]), Number(m[1]));
+  answer(req, image);
+});
@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+// INFER_BACKEND=http against a local stand-in for the remote inference service
+const replies = {
+  '/ok': (req, res) => res.end(JSON.stringify({ species_name: 'Acacia mangium', confidence: 0.8, topk: [], seen: req.headers })),
+  '/busy': (req, res) => res.writeHead(503, { 'Retry-After': '9' }).end('{}'),
+  '/broken': (req, res) => res.writeHead(500).end('{}'),
+  '/error': (req, res) => res.end(JSON.stringify({ error: 'unreadable image' })),
+  '/slow': () => {},
+};
+const service = http.createServer((req, res) => {
+  req.resume().on('end', () => replies[req.url](req, res));
+});
+await new Promise(resolve => service.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${service.address().port}`;
+
+process.env.INFER_BACKEND = 'http';
+process.env.INFER_TIMEOUT_MS = '300';
+process.env.INFER_HTTP_TOKEN = 'secret';
+process.env.INFER_HTTP_MODEL_VERSION = 'remote@7';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartplant-inference-http-'));
+process.env.MODEL_DIR = dir;
+const { inferImage, swapModel } = await import('../src/inference.js');
+
+const photo = path.join(dir, 'p.jpg');
+fs.writeFileSync(photo, 'bytes');
+test.after(() => {
+  service.closeAllConnections();
+  service.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const at = (route) => { process.env.INFER_HTTP_URL = base + route; };
+
+test('the image is posted as multipart with the token, and the version filled in', async () => {
+  at('/ok');
+  const answer = await inferImage(photo);
+  assert.equal(answer.species_name, 'Acacia mangium');
+  assert.equal(answer.model_version, 'remote@7');
+  assert.equal(answer.seen.authorization, 'Bearer secret');
+  assert.match(answer.seen['content-type'], /^multipart\/form-data/);
+});
+
+test('service failures map to the inference error codes', async () => {
+  at('/busy');
+  await assert.rejects(inferImage(photo), (e) => e.code === 'INFER_UNAVAILABLE' && e.retryAfter === 9);
+  at('/broken');
+  await assert.rejects(inferImage(photo), { code: 'INFER_FAILED' });
+  at('/error');
+  await assert.rejects(inferImage(photo), { code: 'INFER_FAILED', message: 'Inference failed: unreadable image' });
+  at('/slow');
+  await assert.rejects(inferImage(photo), { code: 'INFER_TIMEOUT' });
+});
+
+test('the http backend does not hot-swap models', async () => {
+  fs.writeFileSync(path.join(dir, 'map.json'), '{"0": "A a"}');
+  await assert.rejects(swapModel({ class_map_path: 'map.json' }), { code: 'MODEL_SWAP_UNSUPPORTED' });
+});
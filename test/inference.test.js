@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// INFER_BACKEND=stub: deterministic predictions from the image bytes, no python or model
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smartplant-inference-'));
+process.env.INFER_BACKEND = 'stub';
+process.env.MODEL_DIR = dir;
+process.env.MODEL_STATE_PATH = path.join(dir, 'model_state.json');
+
+const { startInference, inferImage, inferenceCapacityError, modelInfo, swapModel } = await import('../src/inference.js');
+startInference();
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function file(name, content) {
+  const p = path.join(dir, name);
+  fs.writeFileSync(p, content);
+  return p;
+}
+
+test('the stub answers the same bytes the same way, in the worker shape', async () => {
+  const photo = file('a.jpg', 'some image bytes');
+  const a = await inferImage(photo, 5);
+  const b = await inferImage(file('a-copy.jpg', 'some image bytes'));
+
+  assert.deepEqual(a, b);
+  assert.equal(a.topk.length, 5);
+  assert.equal(a.species_name, a.topk[0].name);
+  assert.equal(a.confidence, a.topk[0].confidence);
+  assert.ok(a.topk.every((t, i) => i === 0 || t.confidence <= a.topk[i - 1].confidence));
+  assert.match(a.model_version, /^stub@[0-9a-f]{12}$/);
+  assert.equal(inferenceCapacityError(), null);
+});
+
+test('different images get different scores', async () => {
+  const a = await inferImage(file('b.jpg', 'one photo'), 12);
+  const b = await inferImage(file('c.jpg', 'another photo'), 12);
+  assert.notDeepEqual(a.topk, b.topk);
+  assert.equal((await inferImage(file('d.jpg', 'x'), 99)).topk.length, 12);
+});
+
+test('a stub model swap checks the class map and switches to it', async () => {
+  await assert.rejects(swapModel({ class_map_path: file('bad.json', '{"0": "A a", "2": "B b"}') }), { code: 'MODEL_INVALID' });
+  await assert.rejects(swapModel({ class_map_path: '../outside.json' }), { code: 'MODEL_INVALID' });
+
+  const before = (await modelInfo()).version;
+  const swapped = await swapModel({ class_map_path: file('two.json', '{"0": "Genus one", "1": "Genus two"}'), name: 'tiny' }, { by: 'tester' });
+  assert.equal(swapped.num_classes, 2);
+  assert.match(swapped.version, /^tiny@/);
+  assert.notEqual(swapped.version, before);
+  assert.equal(JSON.parse(fs.readFileSync(process.env.MODEL_STATE_PATH, 'utf8')).activated_by, 'tester');
+
+  const answer = await inferImage(file('e.jpg', 'after the swap'));
+  assert.ok(['Genus one', 'Genus two'].includes(answer.species_name));
+  assert.equal(answer.model_version, swapped.version);
+});
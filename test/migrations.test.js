@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installFakeDb } from './helpers/fake-db.js';
+import { loadMigrations, splitStatements, migrationStatus } from '../src/migrations.js';
+
+test('every migration on disk has an up and a down file, numbered without gaps', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  migrations.forEach((m, i) => {
+    assert.equal(m.version, i + 1);
+    assert.ok(splitStatements(m.up).length > 0, `${m.version} up is empty`);
+    assert.ok(splitStatements(m.down).length > 0, `${m.version} down is empty`);
+    assert.match(m.checksum, /^[0-9a-f]{64}$/);
+  });
+});
+
+test('splitStatements drops comment lines and splits on a trailing semicolon', () => {
+  const sql = [
+    '-- a comment; with a semicolon',
+    'CREATE TABLE a (',
+    "  note VARCHAR(10) DEFAULT 'x;y'",
+    ');',
+    '',
+    'ALTER TABLE a ADD COLUMN b INT;   ',
+    'INSERT INTO a (note) VALUES (1)',
+  ].join('\r\n');
+  assert.deepEqual(splitStatements(sql), [
+    "CREATE TABLE a (\n  note VARCHAR(10) DEFAULT 'x;y'\n)",
+    'ALTER TABLE a ADD COLUMN b INT',
+    'INSERT INTO a (note) VALUES (1)',
+  ]);
+});
+
+test('migrationStatus reports a database that has every migration as current', async () => {
+  installFakeDb();
+  const migrations = loadMigrations();
+  const status = await migrationStatus();
+  assert.equal(status.current, migrations.length);
+  assert.deepEqual(status.migrations.map(m => m.state), migrations.map(() => 'applied'));
+  assert.deepEqual(status.unknown, []);
+});
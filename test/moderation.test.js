@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+// UNSURE_THRESHOLD is left unset so the filter form falls back to the 0.6 default
+delete process.env.UNSURE_THRESHOLD;
+
+const app = await startApp();
+test.after(() => app.close());
+
+const reviewer = app.db.signIn('reviewer');
+const [fern, palm] = app.db.addSpecies({ scientific_name: 'Asplenium nidus' }, { scientific_name: 'Nypa fruticans' });
+const bulk = body => app.call('/api/admin/observations/bulk', { method: 'POST', headers: reviewer, body });
+
+test('bulk ids: one result per id, final and missing ones untouched', async () => {
+  const pending = app.db.addObservation({}, [[fern.species_id, 0.4]]);
+  const verified = app.db.addObservation({ status: 'verified', species_id: palm.species_id });
+  const missing = 999999;
+
+  const res = await bulk({ action: 'reject', ids: [pending.observation_id, verified.observation_id, missing, pending.observation_id], review_notes: 'blurry' });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.deepEqual(
+    { requested: res.body.requested, updated: res.body.updated, not_found: res.body.not_found, already_final: res.body.already_final },
+    { requested: 3, updated: 1, not_found: 1, already_final: 1 }
+  );
+  assert.deepEqual(res.body.results, [
+    { observation_id: pending.observation_id, result: 'updated', status: 'rejected' },
+    { observation_id: verified.observation_id, result: 'already_final', status: 'verified' },
+    { observation_id: missing, result: 'not_found' },
+  ]);
+  assert.equal(pending.status, 'rejected');
+  assert.equal(verified.status, 'verified');
+
+  const [audit] = app.db.audit.filter(a => a.observation_id === pending.observation_id);
+  assert.equal(audit.action, 'bulk_reject');
+  assert.equal(audit.notes, 'blurry');
+  assert.deepEqual([audit.before_values.status, audit.after_values.status], ['pending', 'rejected']);
+  assert.equal(audit.ai_top_species_id, null); // the fake has no top-result join; the real query fills it
+});
+
+test('bulk confirm sets the species, and needs one that exists', async () => {
+  const a = app.db.addObservation({}, [[fern.species_id, 0.5]]);
+  const b = app.db.addObservation({}, [[fern.species_id, 0.7]]);
+
+  const res = await bulk({ action: 'confirm', species_id: palm.species_id, ids: [a.observation_id, b.observation_id] });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.updated, 2);
+  for (const o of [a, b]) assert.deepEqual([o.status, o.species_id], ['verified', palm.species_id]);
+
+  const c = app.db.addObservation();
+  assert.equal((await bulk({ action: 'confirm', species_id: 424242, ids: [c.observation_id] })).status, 404);
+  assert.equal((await bulk({ action: 'confirm', ids: [c.observation_id] })).status, 400);
+  assert.equal(c.status, 'pending');
+});
+
+test('bulk filter verifies pending items above the confidence, at least the unsure threshold', async () => {
+  const sure = app.db.addObservation({}, [[fern.species_id, 0.93], [palm.species_id, 0.05]]);
+  const unsure = app.db.addObservation({}, [[fern.species_id, 0.45]]);
+  const edge = app.db.addObservation({}, [[palm.species_id, 0.6]]);
+  const done = app.db.addObservation({ status: 'rejected' }, [[palm.species_id, 0.99]]);
+  // only the current result set counts, not an older classification
+  const stale = app.db.addObservation({ ai_result_set: 2 }, [[fern.species_id, 0.2]]);
+  app.db.aiResults.push({ observation_id: stale.observation_id, species_id: fern.species_id, confidence_score: 0.95, rank: 1, result_set: 1 });
+
+  const res = await bulk({ action: 'verify', filter: { auto_flagged: false, min_confidence: 0.3 } });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.min_confidence, 0.6);
+  const touched = res.body.results.map(r => r.observation_id);
+  assert.ok(touched.includes(sure.observation_id) && touched.includes(edge.observation_id));
+  for (const o of [unsure, done, stale]) assert.ok(!touched.includes(o.observation_id));
+  assert.deepEqual([sure.status, edge.status, unsure.status, done.status], ['verified', 'verified', 'pending', 'rejected']);
+
+  // a threshold in the request replaces the default
+  const lower = await bulk({ action: 'verify', filter: { auto_flagged: false, threshold: 0.4 } });
+  assert.equal(lower.body.min_confidence, 0.4);
+  assert.ok(lower.body.results.some(r => r.observation_id === unsure.observation_id && r.result === 'updated'));
+});
+
+test('bulk rejects malformed requests', async () => {
+  const o = app.db.addObservation();
+  assert.equal((await bulk({ action: 'approve', ids: [o.observation_id] })).status, 400);
+  assert.equal((await bulk({ action: 'verify' })).status, 400);
+  assert.equal((await bulk({ action: 'verify', ids: [o.observation_id], filter: { min_confidence: 0.9 } })).status, 400);
+  assert.equal((await bulk({ action: 'verify', ids: [] })).status, 400);
+  assert.equal((await bulk({ action: 'verify', ids: [-1] })).status, 400);
+  assert.equal((await bulk({ action: 'verify', filter: { min_confidence: 2 } })).status, 400);
+
+  const user = app.db.signIn('user');
+  const res = await app.call('/api/admin/observations/bulk', { method: 'POST', headers: user, body: { action: 'verify', ids: [o.observation_id] } });
+  assert.equal(res.status, 403);
+  assert.equal(o.status, 'pending');
+});
@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { canonicalSpeciesName, slugifyName } from '../src/names.js';
+
+test('canonicalSpeciesName capitalises the genus and lower-cases the rest', () => {
+  assert.equal(canonicalSpeciesName('acacia_mangium'), 'Acacia mangium');
+  assert.equal(canonicalSpeciesName('  ACACIA   Mangium '), 'Acacia mangium');
+  assert.equal(canonicalSpeciesName('Ficus benjamina VAR. Nuda'), 'Ficus benjamina var. nuda');
+});
+
+test('canonicalSpeciesName returns an empty string for blank input', () => {
+  assert.equal(canonicalSpeciesName(''), '');
+  assert.equal(canonicalSpeciesName('  _ '), '');
+  assert.equal(canonicalSpeciesName(null), '');
+  assert.equal(canonicalSpeciesName(undefined), '');
+});
+
+test('slugifyName matches the class_mapping.json label style', () => {
+  assert.equal(slugifyName('Acacia mangium'), 'acacia_mangium');
+  assert.equal(slugifyName(' Ficus benjamina var. nuda '), 'ficus_benjamina_var_nuda');
+  assert.equal(slugifyName(canonicalSpeciesName('alocasia_longiloba')), 'alocasia_longiloba');
+});
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The worker pool against test/helpers/fake-worker.js instead of python and a model
+process.env.PYTHON_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'helpers', 'fake-worker.js');
+process.env.INFER_WORKERS = '2';
+process.env.INFER_QUEUE_LIMIT = '3';
+process.env.INFER_TIMEOUT_MS = '1000';
+process.env.INFER_HUNG_AFTER_MS = '300';
+
+const { inferWithWorker, workerCapacityError, workerModelInfo, stopWorkers } = await import('../src/pyworker.js');
+test.after(() => stopWorkers());
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// { worker index: pid } of the running workers, once `count` of them are up (restarts take ~1 s)
+async function workerPids(count = 2) {
+  for (let i = 0; i < 50; i++) {
+    const infos = await workerModelInfo();
+    if (infos.length === count) return Object.fromEntries(infos.map(w => [w.worker, w.pid]));
+    await sleep(100);
+  }
+  throw new Error(`expected ${count} running workers`);
+}
+
+test('concurrent requests each get their own answer, in whatever order they come back', async () => {
+  const names = ['slow', 'fast', 'middle', 'quick', 'late'];
+  const delays = [150, 10, 80, 0, 120];
+  const answers = await Promise.all(names.map((n, i) => inferWithWorker(`delay:${delays[i]}:${n}`)));
+  assert.deepEqual(answers.map(a => a.species_name), names);
+});
+
+test('a failed inference rejects only its own request', async () => {
+  const [bad, good] = await Promise.allSettled([inferWithWorker('fail'), inferWithWorker('delay:20:fine')]);
+  assert.equal(bad.status, 'rejected');
+  assert.equal(bad.reason.code, 'INFER_FAILED');
+  assert.equal(bad.reason.detail, 'cannot read image');
+  assert.equal(good.value.species_name, 'fine');
+});
+
+test('answers for ids nobody is waiting for are ignored', async () => {
+  const answer = await inferWithWorker('stray:mine');
+  assert.equal(answer.species_name, 'mine');
+  assert.equal(typeof answer.id, 'number');
+});
+
+test('requests go to the least busy worker', async () => {
+  const answers = await Promise.all([inferWithWorker('delay:100:a'), inferWithWorker('delay:100:b')]);
+  assert.notEqual(answers[0].pid, answers[1].pid);
+});
+
+test('past the queue limit requests are turned away with a retry hint', async () => {
+  // two running and three waiting fill the queue (INFER_QUEUE_LIMIT=3)
+  const accepted = ['a', 'b', 'c', 'd', 'e'].map(n => inferWithWorker(`delay:150:${n}`));
+  assert.equal(workerCapacityError()?.code, 'INFER_QUEUE_FULL');
+  await assert.rejects(inferWithWorker('f'), (e) => e.code === 'INFER_QUEUE_FULL' && e.retryAfter > 0);
+
+  assert.equal((await Promise.all(accepted)).length, 5);
+  assert.equal(workerCapacityError(), null);
+});
+
+test('a crashed worker fails its request and is restarted', async () => {
+  const before = await workerPids();
+  await assert.rejects(inferWithWorker('crash'), { code: 'INFER_WORKER_EXIT' });
+  // the other worker keeps serving meanwhile
+  assert.equal((await inferWithWorker('still-here')).species_name, 'still-here');
+
+  const after = await workerPids();
+  assert.equal(Object.values(after).filter(pid => Object.values(before).includes(pid)).length, 1);
+});
+
+test('a worker that never answers stays busy, then is restarted', async () => {
+  const before = await workerPids();
+  // with both idle the first worker gets it
+  await assert.rejects(inferWithWorker('hang'), { code: 'INFER_TIMEOUT' });
+
+  // the timed-out request still occupies worker 0, so the next one goes to worker 1
+  assert.equal((await inferWithWorker('next')).pid, before[1]);
+
+  // INFER_HUNG_AFTER_MS later worker 0 is replaced
+  await sleep(400);
+  const after = await workerPids();
+  assert.notEqual(after[0], before[0]);
+  assert.equal(after[1], before[1]);
+  assert.equal((await inferWithWorker('back')).species_name, 'back');
+});
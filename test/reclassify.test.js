@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp, testImage, postScan } from './helpers/app.js';
+
+const app = await startApp();
+test.after(() => app.close());
+
+const admin = app.db.signIn('admin');
+const jobs = (route = '', { method = 'GET', body, headers = admin } = {}) =>
+  app.call(`/api/admin/reclassify-jobs${route}`, { method, body, headers });
+
+async function finished(job_id) {
+  for (let i = 0; i < 100; i++) {
+    const { body } = await jobs(`/${job_id}`);
+    if (!['queued', 'running'].includes(body.status)) return body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`job ${job_id} did not finish`);
+}
+
+const scanned = async seed => {
+  const { body } = await postScan(app.baseUrl, await testImage(seed));
+  return app.db.observations.find(o => o.observation_id === body.observation_id);
+};
+const topOf = o => app.db.aiResults.find(r => r.observation_id === o.observation_id && r.result_set === o.ai_result_set && r.rank === 1);
+
+test('a job re-runs inference into a new result set and counts top-1 changes', async () => {
+  const verified = await scanned(21);
+  verified.status = 'verified';
+  const stale = await scanned(22);
+  const same = await scanned(23);
+  const missing = app.db.addObservation({ photo_url: '/uploads/gone.jpg' }, [[topOf(same).species_id, 0.5]]);
+
+  // as if an older model had answered differently for this photo
+  const [older] = app.db.addSpecies({ scientific_name: 'Vetus exemplar' });
+  const modelTop = topOf(stale).species_id;
+  topOf(stale).species_id = older.species_id;
+
+  const created = await jobs('', { method: 'POST', body: { status: 'pending' } });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.deepEqual(created.body.selection, { statuses: ['pending'] });
+  assert.equal(created.body.progress.total, 3);
+
+  const job = await finished(created.body.job_id);
+  assert.equal(job.status, 'completed');
+  assert.match(job.model_version, /^stub@/);
+  assert.deepEqual(job.progress, { total: 3, processed: 3, remaining: 0, failed: 1, percent: 100 });
+  assert.deepEqual(job.summary, { reclassified: 2, top1_changed: 1, top1_unchanged: 1 });
+  assert.deepEqual(job.changes.map(c => [c.previous_scientific_name, c.new_top_species_id, c.count]), [['Vetus exemplar', modelTop, 1]]);
+
+  // the old predictions are kept; the observation now points at the new set
+  assert.equal(stale.ai_result_set, 2);
+  const sets = app.db.aiResults.filter(r => r.observation_id === stale.observation_id).map(r => r.result_set);
+  assert.deepEqual([...new Set(sets)], [1, 2]);
+  assert.ok(app.db.aiResults.filter(r => r.result_set === 2).every(r => r.job_id === job.job_id && r.model_version === job.model_version));
+  assert.equal(verified.ai_result_set, 1);
+  assert.equal(missing.ai_result_set, 1);
+  assert.match(app.db.reclassifyItems.find(i => i.observation_id === missing.observation_id).error, /missing|ENOENT|no such file/i);
+});
+
+test('selection by date range and current top species', async () => {
+  const [target, other] = app.db.addSpecies({ scientific_name: 'Selectus primus' }, { scientific_name: 'Selectus alter' });
+  const old = app.db.addObservation({ created_at: new Date('2024-01-05') }, [[target.species_id, 0.7]]);
+  app.db.addObservation({ created_at: new Date('2024-01-06') }, [[other.species_id, 0.7]]);
+  app.db.addObservation({ created_at: new Date('2024-02-01') }, [[target.species_id, 0.7]]);
+
+  const created = await jobs('', { method: 'POST', body: { from: '2024-01-01', to: '2024-01-31', top_species_id: target.species_id } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.selection.top_species_id, target.species_id);
+  assert.equal(created.body.selection.to, '2024-02-01T00:00:00.000Z');
+  const items = app.db.reclassifyItems.filter(i => i.job_id === created.body.job_id);
+  assert.deepEqual(items.map(i => i.observation_id), [old.observation_id]);
+  await finished(created.body.job_id);
+});
+
+test('a queued job can be cancelled once', async () => {
+  const job_id = 5000;
+  app.db.reclassifyJobs.push({ job_id, status: 'queued', selection: '{"statuses":["pending"]}', model_version: null, total: 0, error: null, created_by: null, created_at: new Date() });
+
+  const cancelled = await jobs(`/${job_id}/cancel`, { method: 'POST' });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.equal((await jobs(`/${job_id}/cancel`, { method: 'POST' })).status, 409);
+  assert.equal((await jobs('/424242/cancel', { method: 'POST' })).status, 404);
+
+  const list = await jobs('?limit=2', { headers: app.db.signIn('reviewer') });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.data[0].job_id, job_id);
+});
+
+test('jobs need a selection, and only admins start or cancel them', async () => {
+  for (const body of [{}, { status: 'archived' }, { top_species_id: 'x' }, { from: 'yesterday' }]) {
+    assert.equal((await jobs('', { method: 'POST', body })).status, 400, JSON.stringify(body));
+  }
+  const reviewer = app.db.signIn('reviewer');
+  assert.equal((await jobs('', { method: 'POST', body: { status: 'pending' }, headers: reviewer })).status, 403);
+  assert.equal((await jobs('/1/cancel', { method: 'POST', headers: reviewer })).status, 403);
+  assert.equal((await jobs('/abc')).status, 400);
+  assert.equal((await jobs('/424242')).status, 404);
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import exifr from 'exifr';
+
+import { startApp, testImage, postScan, PHONE_EXIF } from './helpers/app.js';
+
+// POST /scan end to end on the stub backend (INFER_BACKEND=stub), no python model or database.
+// The upload limit is read when src/uploads.js loads, so it is set before the app starts.
+process.env.UPLOAD_MAX_BYTES = String(256 * 1024);
+const app = await startApp();
+test.after(() => app.close());
+
+test('a scan without an image or with a non-image is rejected', async () => {
+  const res = await fetch(`${app.baseUrl}/scan`, { method: 'POST', body: new FormData() });
+  assert.equal(res.status, 400);
+
+  const { status, body } = await postScan(app.baseUrl, Buffer.from('definitely not a picture'));
+  assert.equal(status, 415);
+  assert.equal(body.code, 'UNSUPPORTED_IMAGE');
+
+  // the JPEG magic bytes alone do not make an image
+  const broken = await postScan(app.baseUrl, Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(64, 7)]));
+  assert.equal(broken.status, 400);
+  assert.equal(broken.body.code, 'INVALID_IMAGE');
+  assert.equal(app.db.observations.length, 0);
+});
+
+test('uploads over UPLOAD_MAX_BYTES are refused', async () => {
+  const { status, body } = await postScan(app.baseUrl, Buffer.alloc(300 * 1024, 0xff));
+  assert.equal(status, 413);
+  assert.match(body.error, /262144 bytes/);
+});
+
+test('without form coordinates the EXIF position and capture time are used', async () => {
+  const { status, body } = await postScan(app.baseUrl, await testImage(6, { exif: PHONE_EXIF }));
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.location_source, 'exif');
+  assert.equal(body.location_latitude, 1.55);
+  assert.ok(Math.abs(body.location_longitude - 110.34) < 1e-9);
+  assert.equal(new Date(body.captured_at).toISOString(), '2024-05-06T07:08:09.000Z');
+
+  const row = app.db.observations.find(o => o.observation_id === body.observation_id);
+  assert.equal(row.location_source, 'exif');
+  assert.equal(row.location_latitude, 1.55);
+});
+
+test('form coordinates win over EXIF, and no position at all stores nulls rather than 0,0', async () => {
+  const form = await postScan(app.baseUrl, await testImage(7, { exif: PHONE_EXIF }), { location_latitude: '3.1', location_longitude: '101.7' });
+  assert.deepEqual([form.body.location_latitude, form.body.location_longitude, form.body.location_source], [3.1, 101.7, 'form']);
+
+  const none = await postScan(app.baseUrl, await testImage(8));
+  assert.deepEqual([none.body.location_latitude, none.body.location_longitude, none.body.location_source], [null, null, null]);
+  const row = app.db.observations.find(o => o.observation_id === none.body.observation_id);
+  assert.deepEqual([row.location_latitude, row.location_longitude], [null, null]);
+});
+
+test('the publicly served copy carries no EXIF', async () => {
+  const { body } = await postScan(app.baseUrl, await testImage(9, { exif: PHONE_EXIF }));
+  const res = await fetch(app.baseUrl + body.primary.image_path);
+  assert.equal(res.status, 200);
+  const served = Buffer.from(await res.arrayBuffer());
+  const tags = await exifr.parse(served, { gps: true }).catch(() => undefined);
+  assert.equal(tags?.Make, undefined);
+  assert.equal(tags?.latitude, undefined);
+  assert.equal(tags?.DateTimeOriginal, undefined);
+});
+
+const predictions = body => ({
+  model_version: body.model_version,
+  auto_flagged: body.auto_flagged,
+  primary: { species_name: body.primary.species_name, confidence: body.primary.confidence },
+  candidates: body.candidates,
+  results: body.results.map(({ species_id, scientific_name, confidence, confidence_score, rank }) => ({ species_id, scientific_name, confidence, confidence_score, rank })),
+});
+
+async function finishedJob(status_url) {
+  for (let i = 0; i < 100; i++) {
+    const job = await (await fetch(app.baseUrl + status_url)).json();
+    if (['completed', 'failed'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`${status_url} did not finish`);
+}
+
+test('async scans answer 202 and finish in the background', async () => {
+  const { status, body } = await postScan(app.baseUrl, await testImage(3), { async: '1' });
+  assert.equal(status, 202);
+  assert.ok(['queued', 'running'].includes(body.status));
+  assert.ok(body.status_url);
+
+  const job = await finishedJob(body.status_url);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.result.observation_id, body.observation_id);
+  assert.equal(job.result.candidates.length, 5);
+});
+
+test('sync, async and duplicate answers for one photo are the same', async () => {
+  const img = await testImage(12);
+  const user = app.db.signIn();
+  const sync = (await postScan(app.baseUrl, img, {}, user)).body;
+  const duplicate = (await postScan(app.baseUrl, img, {}, user)).body;
+  const queued = (await postScan(app.baseUrl, img, { async: '1' })).body;
+  const async = (await finishedJob(queued.status_url)).result;
+
+  // candidates name the species rows the results point at, not the model's raw labels
+  const names = new Set(app.db.species.map(s => s.scientific_name));
+  assert.ok(sync.candidates.every(c => names.has(c.species)), JSON.stringify(sync.candidates));
+  assert.equal(sync.primary.species_name, sync.results[0].scientific_name);
+  assert.equal(sync.primary.confidence, sync.results[0].confidence);
+
+  const { duplicate: match, ...again } = duplicate;
+  assert.equal(match.observation_id, sync.observation_id);
+  assert.deepEqual(again, sync);
+  assert.deepEqual(predictions(async), predictions(sync));
+  assert.deepEqual(Object.keys(async).sort(), Object.keys(sync).sort());
+});
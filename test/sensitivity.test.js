@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+const app = await startApp();
+test.after(() => app.close());
+const { generalizeCoordinate, protectLocation, LOCATION_GRID_DEG } = await import('../src/sensitivity.js');
+
+const [pitcher, slipper] = app.db.addSpecies(
+  { scientific_name: 'Nepenthes rafflesiana' },
+  { scientific_name: 'Paphiopedilum sanderianum', is_endangered: 1 }
+);
+const at = (lat, lon, fields = {}, results = []) => app.db.addObservation({
+  location_latitude: lat,
+  location_longitude: lon,
+  location_name: 'Gunung Mulu',
+  status: 'verified',
+  ...fields,
+}, results);
+const common = at(4.0412, 114.8115, { species_id: pitcher.species_id });
+const rare = at(4.0312, 114.8215, { species_id: slipper.species_id });
+// no confirmed species, but the model's best guess is endangered
+const guessed = at(4.0212, 114.8315, {}, [[slipper.species_id, 0.8], [pitcher.species_id, 0.1]]);
+
+const geo = headers => app.call('/plant-observations/geo?bbox=114,3.5,115.5,4.5', { headers });
+const point = (body, o) => body.data.find(p => p.observation_id === o.observation_id);
+
+test('generalizeCoordinate snaps to the centre of the grid cell', () => {
+  assert.equal(LOCATION_GRID_DEG, 0.1);
+  assert.equal(generalizeCoordinate(4.0312), 4.05);
+  assert.equal(generalizeCoordinate('114.8215'), 114.85);
+  assert.equal(generalizeCoordinate(-0.01), -0.05);
+  assert.equal(generalizeCoordinate(4.0312, 1), 4.5);
+  for (const missing of [null, undefined, '', 'north']) assert.equal(generalizeCoordinate(missing), null);
+});
+
+test('protectLocation only hides sensitive rows from callers without exact access', () => {
+  const row = { observation_id: 1, location_latitude: 4.0312, location_longitude: 114.8215, location_name: 'Gunung Mulu' };
+
+  assert.deepEqual(protectLocation({ ...row, location_sensitive: 1 }, { exact: false }), {
+    ...row,
+    location_sensitive: 1,
+    location_latitude: 4.05,
+    location_longitude: 114.85,
+    location_name: '',
+    location_generalized: true,
+  });
+  assert.deepEqual(protectLocation({ ...row, location_sensitive: 1 }, { exact: true }), { ...row, location_sensitive: 1, location_generalized: false });
+  assert.deepEqual(protectLocation({ ...row, location_sensitive: 0 }, { exact: false }), { ...row, location_sensitive: 0, location_generalized: false });
+});
+
+test('the map generalises endangered observations below admin and logs nothing', async () => {
+  for (const headers of [{}, app.db.signIn('reviewer')]) {
+    const { body } = await geo(headers);
+    assert.deepEqual(
+      [point(body, rare).latitude, point(body, rare).longitude, point(body, rare).location, point(body, rare).location_generalized],
+      [4.05, 114.85, '', true]
+    );
+    assert.equal(point(body, guessed).location_generalized, true);
+    assert.deepEqual([point(body, common).latitude, point(body, common).location], [4.0412, 'Gunung Mulu']);
+  }
+  assert.deepEqual(app.db.locationAccess, []);
+});
+
+test('admins see exact locations and each sensitive one they see is logged', async () => {
+  app.db.locationAccess.length = 0;
+  const headers = app.db.signIn('admin', 'ranger');
+  const { body } = await geo(headers);
+  assert.deepEqual([point(body, rare).latitude, point(body, rare).location, point(body, rare).location_generalized], [4.0312, 'Gunung Mulu', false]);
+
+  assert.deepEqual(app.db.locationAccess.map(l => l.observation_id).sort(), [rare.observation_id, guessed.observation_id].sort());
+  assert.match(app.db.locationAccess[0].context, /^GET .*geo/);
+
+  const exported = await app.call('/api/admin/export/observations?format=json&exact_locations=1', { headers });
+  assert.equal(exported.status, 200);
+  assert.equal(app.db.locationAccess.length, 4);
+  assert.match(app.db.locationAccess.at(-1).context, /^GET .*export/);
+});
+
+test('GET /admin/location-access lists the log for admins, newest first', async () => {
+  app.db.locationAccess.length = 0;
+  const user = app.db.signIn('admin', 'warden');
+  await geo(user);
+
+  assert.equal((await app.call('/admin/location-access', { headers: app.db.signIn('reviewer') })).status, 403);
+  assert.equal((await app.call('/admin/location-access?observation_id=x', { headers: user })).status, 400);
+
+  const res = await app.call(`/admin/location-access?observation_id=${rare.observation_id}`, { headers: user });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.grid_deg, 0.1);
+  assert.equal(res.body.exact_location_role, 'admin');
+  assert.deepEqual(res.body.data.map(l => [l.observation_id, l.username]), [[rare.observation_id, 'warden']]);
+
+  const all = await app.call('/admin/location-access?limit=1', { headers: user });
+  assert.deepEqual(all.body.data.map(l => l.access_id), [2]);
+});
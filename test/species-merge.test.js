@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp, testImage, postScan } from './helpers/app.js';
+import { canonicalSpeciesName } from '../src/names.js';
+
+// Species that were deleted or merged keep their scientific_name (UNIQUE), so predictions of
+// those labels must resolve to an existing row rather than insert the name again
+const LABELS = Object.values((await import('../class_mapping.json', { with: { type: 'json' } })).default);
+
+const app = await startApp();
+test.after(() => app.close());
+
+test('scans of deleted and merged species resolve to existing rows', async () => {
+  const species = app.db.addSpecies(...LABELS.map(label => ({ scientific_name: canonicalSpeciesName(label) })));
+  // the first half is merged into the second half, one of those again through a chain of two merges
+  const half = species.length / 2;
+  for (let i = 0; i < half; i++) {
+    Object.assign(species[i], { deleted_at: new Date(), merged_into_species_id: species[i + half].species_id });
+  }
+  Object.assign(species[half], { deleted_at: new Date(), merged_into_species_id: species[half + 1].species_id });
+
+  // every remaining live species is deleted outright, through the API
+  const admin = app.db.signIn('admin');
+  for (const s of species.slice(half + 1)) {
+    const res = await app.call(`/species/${s.species_id}`, { method: 'DELETE', headers: admin });
+    assert.equal(res.status, 200);
+  }
+  assert.ok(app.db.species.every(s => s.deleted_at));
+
+  for (let seed = 10; seed < 14; seed++) {
+    const { status, body } = await postScan(app.baseUrl, await testImage(seed));
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const results = app.db.aiResults.filter(r => r.observation_id === body.observation_id);
+    assert.ok(results.length > 0);
+    for (const r of results) {
+      const row = app.db.species.find(s => s.species_id === r.species_id);
+      // merged names follow the merge chain; plainly deleted names keep their own row
+      assert.equal(row.merged_into_species_id, null, `${row.scientific_name} should have resolved past the merges`);
+    }
+  }
+  assert.equal(app.db.species.length, LABELS.length);
+  assert.ok(!app.db.queries.some(q => q.sql.startsWith('INSERT INTO species')));
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+// The species catalogue: search, detail with its gallery folder, edits and soft delete
+const app = await startApp();
+test.after(() => app.close());
+// storage reads SPECIES_IMAGE_DIR on import, so only after startApp has pointed it at the temp dir
+const { storage } = await import('../src/storage.js');
+
+const [mangium, , manghas] = app.db.addSpecies(
+  { scientific_name: 'Acacia mangium', common_name: 'Black wattle' },
+  { scientific_name: 'Acacia auriculiformis', common_name: 'Earleaf acacia' },
+  { scientific_name: 'Cerbera manghas', common_name: 'Sea mango', image_url: '/species_images/cerbera_manghas/c1.jpg' },
+);
+const reviewer = app.db.signIn('reviewer');
+
+test('the catalogue is searched by either name and paged', async () => {
+  const names = async q => (await app.call(`/species?q=${q}`)).body.data.map(s => s.scientific_name);
+  assert.deepEqual(await names('aca'), ['Acacia auriculiformis', 'Acacia mangium']);
+  assert.deepEqual(await names('sea'), ['Cerbera manghas']);
+  assert.deepEqual(await names('black%20wat'), ['Acacia mangium']);
+
+  const page = await app.call('/species?page_size=2');
+  assert.equal(page.body.total, 3);
+  assert.equal(page.body.next_page, 2);
+  assert.equal(page.body.data[0].description, undefined);
+  assert.equal((await app.call('/species?page=2&page_size=2')).body.next_page, null);
+});
+
+test('a species comes with the originals of its gallery folder', async () => {
+  await storage().put('species_images/acacia_mangium/a1.jpg', Buffer.from('jpeg'));
+  await storage().put('species_images/acacia_mangium/_derived/a1.thumb.webp', Buffer.from('webp'));
+
+  const { status, body } = await app.call(`/species/${mangium.species_id}`);
+  assert.equal(status, 200);
+  assert.equal(body.common_name, 'Black wattle');
+  assert.deepEqual(body.gallery, [`${app.baseUrl}/species_images/acacia_mangium/a1.jpg`]);
+  assert.equal((await app.call('/species/999999')).status, 404);
+});
+
+test('renaming a species takes its gallery along', async () => {
+  await storage().put('species_images/cerbera_manghas/c1.jpg', Buffer.from('jpeg'));
+  await storage().put('species_images/cerbera_manghas/_derived/c1.thumb.webp', Buffer.from('webp'));
+
+  const renamed = await app.call(`/species/${manghas.species_id}`, {
+    method: 'PUT',
+    headers: reviewer,
+    body: { scientific_name: '  cerbera  odollam ' },
+  });
+  assert.equal(renamed.status, 200);
+  assert.equal(renamed.body.species.scientific_name, 'Cerbera odollam');
+  assert.equal(renamed.body.species.image_url, `${app.baseUrl}/species_images/cerbera_odollam/c1.jpg`);
+
+  const { body } = await app.call(`/species/${manghas.species_id}`);
+  assert.deepEqual(body.gallery, [`${app.baseUrl}/species_images/cerbera_odollam/c1.jpg`]);
+  assert.deepEqual(await storage().list('species_images/cerbera_odollam/'), [
+    'species_images/cerbera_odollam/_derived/c1.thumb.webp',
+    'species_images/cerbera_odollam/c1.jpg',
+  ]);
+  assert.deepEqual(await storage().list('species_images/cerbera_manghas/'), []);
+  assert.equal((await fetch(body.image_url)).status, 200);
+});
+
+test('edits are checked and a taken name is refused without moving anything', async () => {
+  const put = body => app.call(`/species/${mangium.species_id}`, { method: 'PUT', headers: reviewer, body });
+  assert.equal((await put({})).status, 400);
+  assert.equal((await put({ scientific_name: ' ' })).status, 400);
+  assert.equal((await put({ scientific_name: 'acacia auriculiformis' })).status, 409);
+  assert.deepEqual(await storage().list('species_images/acacia_mangium/'), [
+    'species_images/acacia_mangium/_derived/a1.thumb.webp',
+    'species_images/acacia_mangium/a1.jpg',
+  ]);
+
+  const edited = await put({ common_name: 'Brown salwood', is_endangered: 1 });
+  assert.equal(edited.body.species.common_name, 'Brown salwood');
+  assert.equal(edited.body.species.is_endangered, true);
+  assert.equal((await app.call(`/species/${mangium.species_id}`, { method: 'PUT', body: { common_name: 'x' } })).status, 401);
+});
+
+test('deleted species leave the catalogue; only admins delete', async () => {
+  const [gone] = app.db.addSpecies({ scientific_name: 'Morinda citrifolia' });
+  assert.equal((await app.call(`/species/${gone.species_id}`, { method: 'DELETE', headers: reviewer })).status, 403);
+
+  const admin = app.db.signIn('admin');
+  assert.equal((await app.call(`/species/${gone.species_id}`, { method: 'DELETE', headers: admin })).status, 200);
+  assert.equal((await app.call(`/species/${gone.species_id}`, { method: 'DELETE', headers: admin })).status, 404);
+  assert.equal((await app.call(`/species/${gone.species_id}`)).status, 404);
+  assert.ok(!(await app.call('/species?q=morinda')).body.data.length);
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+// the auto-flagged share is reported at the default threshold
+delete process.env.UNSURE_THRESHOLD;
+
+const app = await startApp();
+test.after(() => app.close());
+
+const [fern, palm] = app.db.addSpecies({ scientific_name: 'Asplenium nidus' }, { scientific_name: 'Nypa fruticans' });
+const HOUR = 3600e3;
+const add = (created, fields, results) => app.db.addObservation({ created_at: new Date(created), ...fields }, results);
+const first = add('2025-03-10T08:00:00Z', { status: 'verified', user_id: 7, species_id: fern.species_id }, [[fern.species_id, 0.95]]);
+add('2025-03-11T08:00:00Z', { status: 'pending', user_id: 7 }, [[palm.species_id, 0.4]]);
+const third = add('2025-03-18T08:00:00Z', { status: 'rejected', user_id: 8 }, [[fern.species_id, 0.55]]);
+add('2025-03-18T09:00:00Z', { status: 'pending' }, []);
+add('2025-05-01T08:00:00Z', { status: 'verified', user_id: 8, species_id: palm.species_id }, [[palm.species_id, 1]]);
+
+// review time counts from submission to the first moderation action
+const reviewed = (obs, after) => app.db.audit.push({ observation_id: obs.observation_id, created_at: new Date(obs.created_at.getTime() + after) });
+reviewed(first, HOUR);
+reviewed(first, 3 * HOUR);
+reviewed(third, 2 * HOUR);
+
+const reviewer = app.db.signIn('reviewer');
+const stats = async (route) => {
+  const res = await app.call(`/api/admin/stats${route}`, { headers: reviewer });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+};
+const byKey = rows => Object.fromEntries(rows.map(r => [r.label, r]));
+
+test('observation counts by status, species, user and week', async () => {
+  const status = byKey((await stats('/observations')).data);
+  assert.deepEqual([status.pending.total, status.verified.total, status.rejected.total], [2, 2, 1]);
+
+  const species = byKey((await stats('/observations?group_by=species')).data);
+  assert.deepEqual([species['Asplenium nidus'].verified, species['Nypa fruticans'].verified, species.null.pending], [1, 1, 2]);
+  const predicted = byKey((await stats('/observations?group_by=predicted_species')).data);
+  assert.equal(predicted['Asplenium nidus'].total, 2);
+
+  const users = byKey((await stats('/observations?group_by=user')).data);
+  assert.deepEqual([users.user_7.total, users.user_8.rejected, users.anonymous.total], [2, 1, 1]);
+
+  const weeks = (await stats('/observations?group_by=week')).data;
+  assert.deepEqual(weeks.map(w => [w.label, w.total]), [['2025-W11', 2], ['2025-W12', 2], ['2025-W18', 1]]);
+});
+
+test('a date range limits every figure, `to` including its whole day', async () => {
+  const days = await stats('/observations?group_by=day&from=2025-03-10&to=2025-03-18');
+  assert.deepEqual(days.data.map(d => [d.label, d.total]), [['2025-03-10', 1], ['2025-03-11', 1], ['2025-03-18', 2]]);
+
+  const flagged = await stats('/auto-flagged?from=2025-04-01');
+  assert.deepEqual([flagged.total, flagged.auto_flagged], [1, 0]);
+});
+
+test('auto-flagged share, confidence histogram and review time', async () => {
+  const flagged = await stats('/auto-flagged');
+  // 0.4, 0.55 and the scan without predictions are under 0.6
+  assert.deepEqual(flagged, { from: null, to: null, threshold: 0.6, total: 5, auto_flagged: 3, share: 0.6 });
+
+  const histogram = await stats('/confidence-histogram?bins=4');
+  assert.deepEqual(histogram.data, [
+    { from: 0, to: 0.25, count: 1 },
+    { from: 0.25, to: 0.5, count: 1 },
+    { from: 0.5, to: 0.75, count: 1 },
+    { from: 0.75, to: 1, count: 2 }, // a confidence of exactly 1 stays in the last bin
+  ]);
+
+  const review = await stats('/review-time');
+  assert.deepEqual(review, { from: null, to: null, reviewed: 2, avg_seconds: 5400, min_seconds: 3600, max_seconds: 7200 });
+});
+
+test('the dashboard summary has every section', async () => {
+  const all = await stats('');
+  assert.deepEqual(Object.keys(all), ['from', 'to', 'by_status', 'by_week', 'auto_flagged', 'confidence_histogram', 'review_time']);
+  assert.equal(all.confidence_histogram.length, 10);
+  assert.equal(all.auto_flagged.total, 5);
+});
+
+test('bad parameters answer 400 and statistics are for reviewers', async () => {
+  for (const route of ['/observations?group_by=colour', '/confidence-histogram?bins=0', '/confidence-histogram?bins=2.5', '/review-time?from=someday']) {
+    const res = await app.call(`/api/admin/stats${route}`, { headers: reviewer });
+    assert.equal(res.status, 400, route);
+  }
+  assert.equal((await app.call('/api/admin/stats', { headers: app.db.signIn('user') })).status, 403);
+});
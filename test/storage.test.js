@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+import { startApp } from './helpers/app.js';
+
+// UPLOAD_DIR is read when storage.js loads, so it comes in after startApp points it at a temp dir
+const app = await startApp();
+test.after(() => app.close());
+const { assertKey, keyFromUrl, urlForKey, storage, withLocalFile, UPLOAD_DIR } = await import('../src/storage.js');
+
+const rejects = (fn) => assert.throws(fn, e => e.code === 'INVALID_KEY' && e.status === 400);
+
+test('assertKey accepts keys inside a known area', () => {
+  assert.equal(assertKey('uploads/abc.jpg'), 'uploads/abc.jpg');
+  assert.equal(assertKey('uploads/_derived/abc_thumb.webp'), 'uploads/_derived/abc_thumb.webp');
+  assert.equal(assertKey('species_images/acacia_mangium/x.jpg', { area: 'species_images' }), 'species_images/acacia_mangium/x.jpg');
+});
+
+test('assertKey rejects traversal, dotfiles, unknown areas and the wrong area', () => {
+  rejects(() => assertKey('uploads/../secret'));
+  rejects(() => assertKey('uploads/.env'));
+  rejects(() => assertKey('uploads/a/../../etc/passwd'));
+  rejects(() => assertKey('uploads/a%2f..%2fb'));
+  rejects(() => assertKey('uploads/a\\b'));
+  rejects(() => assertKey('uploads/'));
+  rejects(() => assertKey('uploads'));
+  rejects(() => assertKey('etc/passwd'));
+  rejects(() => assertKey('species_images/x/y.jpg', { area: 'uploads' }));
+  rejects(() => assertKey(null));
+});
+
+test('keyFromUrl only takes local paths', () => {
+  assert.equal(keyFromUrl('/uploads/abc.jpg'), 'uploads/abc.jpg');
+  assert.equal(keyFromUrl('/uploads/abc.jpg', { area: 'uploads' }), 'uploads/abc.jpg');
+  rejects(() => keyFromUrl('uploads/abc.jpg'));
+  rejects(() => keyFromUrl('https://example.com/uploads/abc.jpg'));
+  rejects(() => keyFromUrl('//example.com/uploads/abc.jpg'));
+  rejects(() => keyFromUrl('/uploads/../server.js'));
+  rejects(() => keyFromUrl('/species_images/a/b.jpg', { area: 'uploads' }));
+});
+
+test('urlForKey and keyFromUrl round-trip', () => {
+  assert.equal(keyFromUrl(urlForKey('uploads/abc.jpg')), 'uploads/abc.jpg');
+});
+
+test('the local driver keeps objects under their area directory', async () => {
+  const store = storage();
+  assert.equal(store.name, 'local');
+  await store.put('uploads/a/one.txt', Buffer.from('one'));
+  await store.copy('uploads/a/one.txt', 'uploads/b/two.txt');
+
+  assert.equal(store.localPath('uploads/a/one.txt'), path.join(UPLOAD_DIR, 'a', 'one.txt'));
+  assert.equal((await store.get('uploads/b/two.txt')).toString(), 'one');
+  assert.deepEqual(await store.list('uploads/'), ['uploads/a/one.txt', 'uploads/b/two.txt']);
+  assert.deepEqual(await store.list('uploads/missing/'), []);
+
+  await store.remove('uploads/a/one.txt');
+  await store.remove('uploads/a/one.txt'); // already gone is fine
+  assert.equal(await store.exists('uploads/a/one.txt'), false);
+  assert.equal(await withLocalFile('uploads/b/two.txt', file => fs.readFileSync(file, 'utf8')), 'one');
+  await assert.rejects(store.get('uploads/../server.js'), e => e.code === 'INVALID_KEY');
+});
+
+test('stored images are served under their area, and nothing outside it', async () => {
+  await storage().put('uploads/served.txt', Buffer.from('hello'));
+  const res = await fetch(`${app.baseUrl}/uploads/served.txt`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), 'hello');
+
+  assert.equal((await fetch(`${app.baseUrl}/uploads/missing.txt`)).status, 404);
+  assert.equal((await fetch(`${app.baseUrl}/uploads/.env`)).status, 404);
+  assert.equal((await fetch(`${app.baseUrl}/uploads/%2e%2e%2fpackage.json`)).status, 404);
+});
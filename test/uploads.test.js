@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+
+import { perceptualHash, readExifMetadata, sniffImageType } from '../src/uploads.js';
+import { PHONE_EXIF, testImage } from './helpers/app.js';
+
+test('sniffImageType goes by content, not by name', async () => {
+  const jpeg = await testImage(1);
+  assert.equal(sniffImageType(jpeg), 'jpeg');
+  assert.equal(sniffImageType(await sharp(jpeg).png().toBuffer()), 'png');
+  assert.equal(sniffImageType(await sharp(jpeg).webp().toBuffer()), 'webp');
+  assert.equal(sniffImageType(Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic'), Buffer.alloc(16)])), 'heic');
+  assert.equal(sniffImageType(Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypisom'), Buffer.alloc(16)])), null);
+  assert.equal(sniffImageType(Buffer.from('GIF89a not really')), null);
+  assert.equal(sniffImageType(Buffer.from([0xff, 0xd8])), null);
+  assert.equal(sniffImageType(undefined), null);
+});
+
+test('readExifMetadata reads the GPS position and capture time', async () => {
+  const meta = await readExifMetadata(await testImage(1, { exif: PHONE_EXIF }));
+  assert.equal(meta.latitude, 1.55);
+  assert.ok(Math.abs(meta.longitude - 110.34) < 1e-9);
+  assert.ok(meta.captured_at instanceof Date);
+  assert.equal(meta.captured_at.getUTCFullYear(), 2024);
+});
+
+test('readExifMetadata answers nulls for photos without a usable position', async () => {
+  const none = { latitude: null, longitude: null, captured_at: null };
+  assert.deepEqual(await readExifMetadata(await testImage(1)), none);
+  assert.deepEqual(await readExifMetadata(Buffer.from('not an image at all')), none);
+
+  // 0,0 is what broken GPS chips write; it is treated as no position
+  const nullIsland = await testImage(1, {
+    exif: { IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '0/1 0/1 0/1', GPSLongitudeRef: 'E', GPSLongitude: '0/1 0/1 0/1' } },
+  });
+  assert.deepEqual(await readExifMetadata(nullIsland), none);
+});
+
+const distance = (a, b) => {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  for (; x; x >>= 1n) bits += Number(x & 1n);
+  return bits;
+};
+
+test('perceptualHash is 16 hex characters and stable', async () => {
+  const img = await testImage(3);
+  const h = await perceptualHash(img);
+  assert.match(h, /^[0-9a-f]{16}$/);
+  assert.equal(await perceptualHash(img), h);
+});
+
+test('re-encoded and resized copies stay within a few bits', async () => {
+  const img = await testImage(5, { width: 320, height: 240 });
+  const copy = await sharp(img).resize(160).jpeg({ quality: 40 }).toBuffer();
+  assert.ok(distance(await perceptualHash(img), await perceptualHash(copy)) <= 6);
+});
+
+test('different pictures are far apart', async () => {
+  const a = await perceptualHash(await testImage(5, { width: 320, height: 240 }));
+  const flipped = await perceptualHash(await sharp(await testImage(5, { width: 320, height: 240 })).flop().toBuffer());
+  assert.ok(distance(a, flipped) > 6);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startApp } from './helpers/app.js';
+
+// Request validation answers only callers who may use the operation: everyone else hears
+// 401/403 first, without the schema details.
+const app = await startApp();
+test.after(() => app.close());
+
+const asUser = app.db.signIn('user', 'plain');
+const [fern] = app.db.addSpecies({ scientific_name: 'Asplenium nidus' });
+
+async function call(path, options = {}) {
+  const res = await fetch(app.baseUrl + path, options);
+  return { status: res.status, body: await res.json() };
+}
+
+test('admin routes check sign-in and role before the parameters', async () => {
+  for (const prefix of ['/api/admin', '/admin']) {
+    const anonymous = await call(`${prefix}/observations?species_id=abc`);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'UNAUTHENTICATED');
+    assert.equal(anonymous.body.details, undefined);
+
+    const plain = await call(`${prefix}/observations?species_id=abc`, { headers: asUser });
+    assert.equal(plain.status, 403);
+    assert.equal(plain.body.details, undefined);
+  }
+});
+
+test('guarded catalogue routes check the role the document declares first', async () => {
+  const anonymous = await call('/species/abc', { method: 'DELETE' });
+  assert.equal(anonymous.status, 401);
+
+  const plain = await call('/species/abc', {
+    method: 'PUT',
+    headers: { ...asUser, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ is_endangered: 'sometimes' }),
+  });
+  assert.equal(plain.status, 403);
+  assert.equal(plain.body.details, undefined);
+});
+
+test('public routes are still validated', async () => {
+  const { status, body } = await call('/species/abc');
+  assert.equal(status, 400);
+  assert.equal(body.code, 'VALIDATION_FAILED');
+  assert.equal(body.details[0].in, 'path');
+});
+
+test('callers who may use an operation get the details of what is wrong', async () => {
+  const query = await call('/api/admin/observations?species_id=abc', { headers: app.db.signIn('reviewer') });
+  assert.equal(query.status, 400);
+  assert.equal(query.body.code, 'VALIDATION_FAILED');
+  assert.deepEqual(query.body.details.map(d => [d.in, d.field]), [['query', 'species_id']]);
+
+  const body = await call(`/species/${fern.species_id}`, {
+    method: 'PUT',
+    headers: { ...app.db.signIn('admin'), 'Content-Type': 'application/json' },
+    body: JSON.stringify({ is_endangered: 'sometimes' }),
+  });
+  assert.equal(body.status, 400);
+  assert.equal(body.body.details[0].in, 'body');
+  assert.match(body.body.error, /^Invalid request: /);
+});
+
+test('every error comes back in the same envelope', async () => {
+  const broken = await call('/auth/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"username":' });
+  assert.deepEqual([broken.status, broken.body.code], [400, 'INVALID_JSON']);
+
+  const missing = await call('/species/999999');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'NOT_FOUND');
+  assert.equal(typeof missing.body.error, 'string');
+});
+
+test('the OpenAPI document is served', async () => {
+  const { status, body } = await call('/openapi.json');
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.0.3');
+  assert.ok(body.paths['/scan'].post);
+  assert.ok(body.components.schemas.Error);
+});